@@ -0,0 +1,60 @@
+///////////////////////////////////////////////////////////
+//
+// batch_tickets.test.js - the Tickets of a batch of transactions with `--ticket N`, see AddBatchTransactionSequences() in `sign.js`
+// syntax: npm test
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+process.argv.push('--ticket', '5');
+
+const { AddBatchTransactionSequences } = require('../xrpl_cmd/common/sign.js');
+
+const ACCOUNT = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+
+const ticketsClient = (tickets) => ({
+	request: async () => ({ result: { account_objects: tickets.map(TicketSequence => ({ LedgerEntryType: 'Ticket', TicketSequence })) } })
+});
+
+const batch = (count) => Array.from({ length: count }, () => ({ TransactionType: 'EscrowFinish', Account: ACCOUNT }));
+
+afterEach(() => mock.restoreAll());
+
+const mockOutput = function () {
+	// fail() of the checks exits the process: throw instead
+	mock.method(console, 'log', () => {});
+	mock.method(console, 'error', () => {});
+	mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+}
+
+test('--ticket N takes the account Tickets from N up', async () => {
+	mockOutput();
+	const transactions = batch(3);
+	await AddBatchTransactionSequences(transactions, { account: ACCOUNT, client: ticketsClient([9, 3, 6, 5]) });
+
+	assert.deepStrictEqual(transactions.map(tx => tx.TicketSequence), [5, 6, 9]);
+	assert.ok(transactions.every(tx => tx.Sequence === 0));
+});
+
+test('--ticket N fails when the account has too few Tickets', async () => {
+	mockOutput();
+	await assert.rejects(AddBatchTransactionSequences(batch(3), { account: ACCOUNT, client: ticketsClient([3, 5, 6]) }), /exit 1/);
+});
+
+test('--ticket N fails when the Ticket N is missing', async () => {
+	mockOutput();
+	await assert.rejects(AddBatchTransactionSequences(batch(1), { account: ACCOUNT, client: ticketsClient([6, 7]) }), /exit 1/);
+});
+
+test('--ticket N needs one listed Ticket per transaction offline', async () => {
+	mockOutput();
+	await assert.rejects(AddBatchTransactionSequences(batch(2), { accSequence: 1, ledgerSeqIndex: 100 }), /exit 1/);
+
+	const transactions = batch(1);
+	await AddBatchTransactionSequences(transactions, { accSequence: 1, ledgerSeqIndex: 100 });
+	assert.strictEqual(transactions[0].TicketSequence, 5);
+});
@@ -0,0 +1,85 @@
+///////////////////////////////////////////////////////////
+//
+// crypto_condition.test.js - DER encoding and decoding of the crypto-conditions, see `crypto_condition.js`
+// syntax: npm test
+//
+// The vectors are the examples of draft-thomas-crypto-conditions-04 (section "Test Vectors").
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Condition, Fulfillment, ConditionOfFulfillment, ValidateFulfillment, PrefixSha256Condition, ThresholdSha256Condition } = require('../xrpl_cmd/common/libs/crypto_condition.js');
+
+const VECTORS = {
+	preimage: {
+		fulfillment: 'A0028000',
+		condition: 'A0258020E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855810100',
+		type: 'preimage-sha-256', cost: 0, subtypes: []
+	},
+	prefix: {
+		fulfillment: 'A10B8000810100A204A0028000',
+		condition: 'A12A8020BB1AC5260C0141B7E54B26EC2330637C5597BF811951AC09E744AD20FF77E2878102040082020780',
+		type: 'prefix-sha-256', cost: 1024, subtypes: ['preimage-sha-256']
+	},
+	threshold: {
+		fulfillment: 'A208A004A0028000A100',
+		condition: 'A22A8020B4B84136DF48A71D73F4985C04C6767A778ECB65BA7023B4506823BEEE7631B98102040082020780',
+		type: 'threshold-sha-256', cost: 1024, subtypes: ['preimage-sha-256']
+	},
+	ed25519: {
+		fulfillment: 'A4648020D75A980182B10AB7D54BFED3C964073A0EE172F3DAA62325AF021A68F707511A8140E5564300C360AC729086E2CC806E828A84877F1EB8E5D974D873E065224901555FB8821590A33BACC61E39701CF9B46BD25BF5F0595BBE24655141438E7A100B',
+		condition: 'A4278020799239ABA8FC4FF7EABFBC4C44E69E8BDFED993324E12ED64792ABE289CF1D5F8103020000',
+		type: 'ed25519-sha-256', cost: 131072, subtypes: []
+	}
+};
+
+const hex = (buffer) => buffer.toString('hex').toUpperCase();
+
+for (const [name, vector] of Object.entries(VECTORS)) {
+	test(`${name} condition decodes and re-encodes to the same DER`, () => {
+		const condition = Condition.fromBinary(vector.condition);
+
+		assert.strictEqual(condition.type.name, vector.type);
+		assert.strictEqual(condition.cost, vector.cost);
+		assert.deepStrictEqual(condition.subtypes, vector.subtypes);
+		assert.strictEqual(hex(condition.serializeBinary()), vector.condition);
+	});
+
+	test(`${name} fulfillment re-encodes to the same DER and gives its condition`, () => {
+		assert.strictEqual(hex(Fulfillment.fromBinary(vector.fulfillment).serializeBinary()), vector.fulfillment);
+		assert.strictEqual(ConditionOfFulfillment(vector.fulfillment).toUpperCase(), vector.condition);
+		assert.strictEqual(ValidateFulfillment(vector.fulfillment, vector.condition), true);
+	});
+}
+
+test('compound conditions are computed from their subconditions', () => {
+	const preimage = Condition.fromBinary(VECTORS.preimage.condition);
+
+	assert.strictEqual(hex(PrefixSha256Condition({ prefix: Buffer.alloc(0), maxMessageLength: 0, subcondition: preimage }).serializeBinary()), VECTORS.prefix.condition);
+	assert.strictEqual(hex(ThresholdSha256Condition({ threshold: 1, subconditions: [preimage] }).serializeBinary()), VECTORS.threshold.condition);
+	assert.throws(() => ThresholdSha256Condition({ threshold: 2, subconditions: [preimage] }), RangeError);
+});
+
+test('fulfillment of another condition or message is not valid', () => {
+	assert.strictEqual(ValidateFulfillment(VECTORS.preimage.fulfillment, VECTORS.prefix.condition), false);
+	assert.strictEqual(ValidateFulfillment(VECTORS.ed25519.fulfillment, VECTORS.ed25519.condition, { message: Buffer.from('other') }), false);
+});
+
+test('preimage fulfillment round trip', () => {
+	const fulfillment = new Fulfillment({ preimage: Buffer.from('correct horse battery staple'), typeId: 0 });
+	const decoded = Fulfillment.fromBinary(fulfillment.serializeBinary());
+
+	assert.strictEqual(decoded.getPreimage().toString(), 'correct horse battery staple');
+	assert.strictEqual(hex(decoded.getCondition().serializeBinary()), hex(fulfillment.getCondition().serializeBinary()));
+});
+
+test('invalid binaries are refused', () => {
+	assert.throws(() => Condition.fromBinary('not hex'), /must be a hex string/);
+	assert.throws(() => Condition.fromBinary('A025'), /invalid condition binary/);
+	assert.throws(() => Condition.fromBinary(VECTORS.preimage.condition + '00'), /not a canonical DER encoding/);
+	assert.throws(() => Fulfillment.fromBinary(VECTORS.prefix.fulfillment + '00'), /not a canonical DER encoding/);
+});
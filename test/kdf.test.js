@@ -0,0 +1,71 @@
+///////////////////////////////////////////////////////////
+//
+// kdf.test.js - the password key derivations of the escrow conditions and their recovery codes, see `kdf.js`
+// syntax: npm test
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { PasswordCondition, RecoveryCode, ParseRecoveryCode, ValidateKdf } = require('../xrpl_cmd/common/libs/kdf.js');
+
+const ACCOUNT = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+const PASSWORD = 'correct horse battery staple';
+
+// the smallest valid parameters keep the tests fast
+const KDFS = {
+	argon2id: { algorithm: 'argon2id', m: 8, t: 1, p: 1, salt: 'account' },
+	scrypt: { algorithm: 'scrypt', m: 8, r: 8, p: 1, salt: 'account' },
+	bcrypt: { algorithm: 'bcrypt', rounds: 10, salt: 'account' }
+};
+
+for (const [name, kdf] of Object.entries(KDFS)) {
+	test(`${name} derives the same condition of the same password and account`, () => {
+		const condition = PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf }).hexCondition;
+
+		assert.match(condition, /^a0258020[0-9a-f]{64}810120$/);
+		assert.strictEqual(PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf: ParseRecoveryCode(RecoveryCode(kdf)) }).hexCondition, condition);
+		assert.notStrictEqual(PasswordCondition({ password: PASSWORD, account: 'rDsbeomae4FXwgQTJp9Rs64Qg9vDiTCdBv', kdf }).hexCondition, condition);
+		assert.notStrictEqual(PasswordCondition({ password: `${PASSWORD}!`, account: ACCOUNT, kdf }).hexCondition, condition);
+	});
+}
+
+test('argon2id and scrypt differ for the same password', () => {
+	const argon2id = PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf: KDFS.argon2id }).hexCondition;
+	const scrypt = PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf: KDFS.scrypt }).hexCondition;
+
+	assert.notStrictEqual(argon2id, scrypt);
+});
+
+test('random salt is required to derive the condition again', () => {
+	const kdf = { ...KDFS.argon2id, salt: 'random' };
+	const created = PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf });
+
+	assert.strictEqual(created.saltRandom, true);
+	assert.match(created.salt, /^[0-9A-F]{32}$/);
+	assert.strictEqual(PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf, salt: created.salt }).hexCondition, created.hexCondition);
+	assert.throws(() => PasswordCondition({ password: PASSWORD, account: ACCOUNT, kdf, salt: 'AB' }), /secret salt/);
+});
+
+test('recovery code round trip', () => {
+	assert.strictEqual(RecoveryCode(KDFS.argon2id), 'kdf=argon2id;m=8;t=1;p=1;salt=account');
+	assert.strictEqual(RecoveryCode(KDFS.bcrypt), 'kdf=bcrypt;rounds=10;salt=account');
+
+	for (const kdf of Object.values(KDFS)) {
+		assert.deepStrictEqual(ParseRecoveryCode(RecoveryCode(kdf)), kdf);
+	}
+	assert.deepStrictEqual(ParseRecoveryCode(' kdf=SCRYPT ; m=8; r=8; p=1; salt=Random '), { ...KDFS.scrypt, salt: 'random' });
+	assert.strictEqual(ParseRecoveryCode('').algorithm, 'bcrypt');
+});
+
+test('invalid recovery codes are refused', () => {
+	assert.throws(() => ParseRecoveryCode('kdf=md5;salt=account'), /unknown KDF algorithm/);
+	assert.throws(() => ParseRecoveryCode('kdf=argon2id;m=64;t=3;p=1;salt=pepper'), /invalid salt/);
+	assert.throws(() => ParseRecoveryCode('kdf=argon2id;m=64;t;p=1;salt=account'), /invalid recovery code part/);
+	assert.throws(() => ParseRecoveryCode('kdf=scrypt;m=96;r=8;p=1;salt=account'), /power of 2/);
+	assert.throws(() => ParseRecoveryCode('kdf=bcrypt;rounds=4;salt=account'), /bcrypt rounds must be from 10/);
+	assert.strictEqual(ValidateKdf({ ...KDFS.argon2id, m: 4 }), 'memory must be from 8 to 4096 MiB');
+});
@@ -0,0 +1,68 @@
+///////////////////////////////////////////////////////////
+//
+// keystore.test.js - the passphrase encryption of the local keystore, see `secure_file.js` and `wallet/keystore.js`
+// syntax: npm test
+//
+// The keystore is written to a temporary home directory.
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'xrpl_cmd-test-'));
+process.env.HOME = home;
+
+const { Wallet: XrplWallet } = require('xrpl');
+const { EncryptWithPassphrase, DecryptWithPassphrase } = require('../xrpl_cmd/common/libs/secure_file.js');
+const { KeystorePath, KeystoreImport, KeystoreUnlock, KeystoreEntry } = require('../xrpl_cmd/wallet/keystore.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('encrypted text decrypts with the passphrase only', () => {
+	const encrypted = EncryptWithPassphrase('secret text', 'passphrase');
+
+	assert.strictEqual(encrypted.kdf, 'scrypt');
+	assert.ok(!JSON.stringify(encrypted).includes('secret text'));
+	assert.strictEqual(DecryptWithPassphrase(encrypted, 'passphrase'), 'secret text');
+	assert.throws(() => DecryptWithPassphrase(encrypted, 'wrong passphrase'));
+	assert.throws(() => DecryptWithPassphrase({ ...encrypted, data: Buffer.from('modified').toString('base64') }, 'passphrase'));
+});
+
+test('the same text is encrypted with a new salt every time', () => {
+	const first = EncryptWithPassphrase('secret text', 'passphrase');
+	const second = EncryptWithPassphrase('secret text', 'passphrase');
+
+	assert.notStrictEqual(first.salt, second.salt);
+	assert.notStrictEqual(first.data, second.data);
+});
+
+test('keystore entry round trip', () => {
+	const wallet = XrplWallet.generate();
+	const entry = KeystoreImport({ secret: wallet.seed, label: 'test', passphrase: 'passphrase' });
+
+	assert.strictEqual(entry.address, wallet.classicAddress);
+	assert.strictEqual(entry.type, 'seed');
+	assert.deepStrictEqual(KeystoreEntry(wallet.classicAddress), JSON.parse(JSON.stringify(entry)));
+	assert.strictEqual(KeystoreUnlock(wallet.classicAddress, 'passphrase'), wallet.seed);
+	assert.throws(() => KeystoreUnlock(wallet.classicAddress, 'wrong passphrase'));
+
+	assert.ok(KeystorePath().startsWith(home));
+	assert.ok(!fs.readFileSync(KeystorePath(), 'utf8').includes(wallet.seed));
+	assert.strictEqual(fs.statSync(KeystorePath()).mode & 0o777, 0o600);
+});
+
+test('regular key entry is kept for its account', () => {
+	const account = XrplWallet.generate().classicAddress;
+	const regularKey = XrplWallet.generate();
+	const entry = KeystoreImport({ secret: regularKey.seed, account, passphrase: 'passphrase' });
+
+	assert.strictEqual(entry.address, account);
+	assert.strictEqual(entry.keyAddress, regularKey.classicAddress);
+	assert.strictEqual(KeystoreUnlock(account, 'passphrase'), regularKey.seed);
+});
@@ -0,0 +1,80 @@
+///////////////////////////////////////////////////////////
+//
+// mode_params.test.js - the parameters of the transaction command modes, see defineModeParams() in `common.js`
+// syntax: npm test
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', 'xrpl_cmd');
+
+const run = function (args) {
+	// the mode is chosen once per process (see CommandModeOption() in `cli_args.js`): every mode runs in a child process
+	const result = spawnSync(process.execPath, args, { cwd: ROOT, encoding: 'utf8', timeout: 30000 });
+	return { status: result.status, output: `${result.stdout}${result.stderr}` };
+}
+
+const helpPositions = function (script, mode) {
+	// { name: id } of the parameters listed by `--MODE --help`, the only named ones without id
+	const { status, output } = run([script, `--${mode}`, '--help']);
+	assert.strictEqual(status, 0, output);
+
+	const params = output.split(/^Parameters/m)[1].split(/^Options:/m)[0];
+	return Object.fromEntries([...params.matchAll(/^\s{2}\s*(\d*)\s{2}--(\w+)\s/gm)].map((mm) => [mm[2], mm[1] ? Number(mm[1]) : undefined]));
+}
+
+test('a parameter keeps its position in every mode of the command', () => {
+	['payment/payment.js', 'paychan/paychan_create.js', 'escrow/escrow_create.js', 'escrow/self_freeze/escrow_self_finish.js'].forEach((script) => {
+		const { COMMAND_MODES } = require(path.join(ROOT, script));
+		const positions = COMMAND_MODES.map((mode) => helpPositions(script, mode));
+
+		positions.forEach((params, idx) => {
+			const ids = Object.values(params).filter((id) => id).sort((a, b) => a - b);
+			assert.deepStrictEqual(ids, ids.map((id, pos) => pos + 1), `${script} --${COMMAND_MODES[idx]}: ${ids}`);
+
+			Object.keys(params).forEach((name) => positions.forEach((other) => {
+				if (name in other) { assert.strictEqual(other[name], params[name], `${script}: "${name}" moves between the modes`); }
+			}));
+		});
+	});
+});
+
+test('the parameters of the other modes are left out', () => {
+	const json = helpPositions('payment/payment.js', 'json');
+	const submit = helpPositions('payment/payment.js', 'submit');
+	const qr = helpPositions('payment/payment.js', 'qr');
+
+	assert.ok(!('key' in json) && 'key' in submit && 'key' in qr);
+	assert.ok(!('account_sequence' in submit) && qr.account_sequence === qr.key + 1);
+	assert.strictEqual(submit.key, Math.max(...Object.values(submit)));
+});
+
+test('a parameter without id is only named', () => {
+	const submit = helpPositions('escrow/self_freeze/escrow_self_finish.js', 'submit');
+	assert.ok('escrow_tx_hash' in submit);
+	assert.strictEqual(submit.escrow_tx_hash, undefined);
+
+	const { output } = run(['escrow/self_freeze/escrow_self_finish.js', '--submit', '--help']);
+	assert.match(output, /^Usage: node escrow_self_finish --submit NETWORK ACCOUNT KEY ESCROW_TX_SEQUENCE \[OPTIONS\]$/m);
+});
+
+test('defineModeParams rejects the positions not consecutive in a mode', () => {
+	const script = `
+		process.argv.splice(1, Infinity, 'script.js', '--submit');
+		const { defineModeParams } = require('./common/libs/common.js');
+		defineModeParams({
+			network: { id: 1, default: 'TEST', required: true },
+			key: { id: 3, default: '', required: true, modes: ['submit'] },
+		}, ['json', 'submit']).catch((err) => { console.log(err.name, err.message); process.exit(3); });
+	`;
+	const { status, output } = run(['-e', script]);
+
+	assert.strictEqual(status, 3, output);
+	assert.match(output, /InternalError The positions of the --submit parameters are not consecutive: 1, 3/);
+});
@@ -0,0 +1,55 @@
+///////////////////////////////////////////////////////////
+//
+// multisign_fee.test.js - the Fee check of the multi-signed transactions, see CheckMultisignFee() in `sign.js`
+// syntax: npm test
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { MultisignFee, CheckMultisignFee } = require('../xrpl_cmd/common/sign.js');
+
+const feeClient = (drops) => ({ request: async () => ({ result: { drops } }) });
+
+afterEach(() => mock.restoreAll());
+
+const mockExit = function () {
+	// fail() of the checks exits the process: throw instead
+	mock.method(console, 'error', () => {});
+	mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+}
+
+test('MultisignFee is the base fee x (1 + signatures)', () => {
+	assert.strictEqual(MultisignFee(10, 2), 30);
+	assert.strictEqual(MultisignFee('12', '3'), 48);
+});
+
+test('CheckMultisignFee accepts the Fee covering the signatures', async () => {
+	assert.deepStrictEqual(await CheckMultisignFee({ Fee: '30' }, 2, { baseFeeDrops: 10 }), { signersCount: 2, baseFeeDrops: 10 });
+});
+
+test('CheckMultisignFee refuses the Fee too low for the signatures', async () => {
+	mockExit();
+	await assert.rejects(CheckMultisignFee({ Fee: '29' }, 2, { baseFeeDrops: 10 }), /exit 1/);
+});
+
+test('CheckMultisignFee refuses an invalid number of the signatures', async () => {
+	mockExit();
+	await assert.rejects(CheckMultisignFee({ Fee: '30' }, '0', { baseFeeDrops: 10 }), /exit 1/);
+});
+
+test('CheckMultisignFee uses the current fee of the network under load', async () => {
+	mockExit();
+	const client = feeClient({ base_fee: '10', minimum_fee: '20' });
+
+	assert.deepStrictEqual(await CheckMultisignFee({ Fee: '60' }, 2, { client }), { signersCount: 2, baseFeeDrops: 20 });
+	await assert.rejects(CheckMultisignFee({ Fee: '30' }, 2, { client }), /exit 1/);
+});
+
+test('CheckMultisignFee falls back to the reference fee without the network', async () => {
+	mock.method(console, 'log', () => {});
+	assert.deepStrictEqual(await CheckMultisignFee({ Fee: '30' }, 2), { signersCount: 2, baseFeeDrops: 10 });
+});
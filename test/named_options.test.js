@@ -0,0 +1,78 @@
+///////////////////////////////////////////////////////////
+//
+// named_options.test.js - the named options and parameters of the command line, see `cli_args.js`
+// syntax: npm test
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { TakeNamedOption, TakeNamedParams, CheckUnknownOptions } = require('../xrpl_cmd/common/libs/cli_args.js');
+
+const ARGV = process.argv;
+const args = (...list) => { process.argv = ['node', 'script.js', ...list]; };
+
+beforeEach(() => args());
+afterEach(() => { process.argv = ARGV; mock.restoreAll(); });
+
+const mockExit = function () {
+	// the option errors exit the process: throw instead
+	mock.method(console, 'error', () => {});
+	mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+}
+
+test('TakeNamedOption takes "--name value" and "--name=value" out of the positional parameters', () => {
+	args('PUB', '--memo', 'hello', 'rAccount', '--tag=42', '10');
+
+	assert.strictEqual(TakeNamedOption('memo'), 'hello');
+	assert.strictEqual(TakeNamedOption('tag'), '42');
+	assert.deepStrictEqual(process.argv.slice(2), ['PUB', 'rAccount', '10']);
+});
+
+test('TakeNamedOption of a flag and of a missing value', () => {
+	args('PUB', '--yes', '--memo', '--tag');
+
+	assert.strictEqual(TakeNamedOption('yes', { flag: true }), true);
+	assert.strictEqual(TakeNamedOption('memo'), '');
+	assert.strictEqual(TakeNamedOption('tag'), '');
+	assert.strictEqual(TakeNamedOption('absent'), undefined);
+	assert.deepStrictEqual(process.argv.slice(2), ['PUB']);
+});
+
+test('TakeNamedOption keeps "=" in the value', () => {
+	args('--memo=a=b');
+
+	assert.strictEqual(TakeNamedOption('memo'), 'a=b');
+});
+
+test('TakeNamedParams accepts underscore and dash names', () => {
+	args('PUB', '--destination_tag', '7', '--source-tag=8');
+	const params = { network: { id: 1 }, destination_tag: { id: 2 }, source_tag: { id: 3 }, memo: { id: 4 } };
+
+	assert.deepStrictEqual(TakeNamedParams(params), { destination_tag: '7', source_tag: '8' });
+	assert.deepStrictEqual(process.argv.slice(2), ['PUB']);
+});
+
+test('TakeNamedParams refuses a parameter without a value or specified twice', () => {
+	mockExit();
+
+	args('--amount');
+	assert.throws(() => TakeNamedParams({ amount: { id: 1 } }), /exit 1/);
+
+	args('--source_tag', '1', '--source-tag', '2');
+	assert.throws(() => TakeNamedParams({ source_tag: { id: 1 } }), /exit 1/);
+});
+
+test('CheckUnknownOptions refuses the options left', () => {
+	mockExit();
+
+	args('PUB', '-', '--', '10');
+	assert.doesNotThrow(() => CheckUnknownOptions());
+
+	args('PUB', '--unknown=1');
+	assert.throws(() => CheckUnknownOptions(), /exit 1/);
+	assert.match(console.error.mock.calls[0].arguments[0], /Unknown option "--unknown"/);
+});
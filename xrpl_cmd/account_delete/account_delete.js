@@ -3,7 +3,10 @@
 // account_delete.js - deletes an account and any objects it owns in the XRP Ledger.
 //                     If possible, sending the account's remaining XRP to a specified destination account.
 //
-// syntax: node account_delete [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT
+// syntax: node account_delete [--json] [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT TX_FEE_DROPS
+//         node account_delete --qr [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT TX_FEE_DROPS SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
 //
 // To be deleted, an account must meet the following requirements:
 //    - The account's Sequence number plus 256 must be less than the current Ledger Index.
@@ -38,14 +41,21 @@
 
 const MODULE_NAME = 'account_delete';
 
-const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee, ShowTransactionDetails, OutputJsonTransaction } = require('../common/libs/common.js');
-const { AddTransactionSequences } = require('../common/sign.js');
+const COMMAND_MODES = ['json', 'qr'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, networkMinFee, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
 	account: { id: 2, default: '', required: true },
 	destination_account: { id: 3, default: '', required: true, desc: 'Account to receive remaining XRP' },
 	tx_fee_drops: { id: 4, default: '', required: true, desc: 'Transaction Fee in XRP drops (at least 2000)', auto: () => networkMinFee(main_params.network.value) },
+
+	account_secret_key: { id: 5, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true, modes: ['qr'] },
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
 }
 
 function AccountDelete ({ account, accountDest, tagDest, feeDrops }) {
@@ -72,41 +82,31 @@ function AccountDelete ({ account, accountDest, tagDest, feeDrops }) {
 	return cmd;
 }
 
-async function commandTxParams() {
-	let txData = AccountDelete({
-		account: main_params.account.value,
-		accountDest: main_params.destination_account.value,
-		feeDrops: main_params.tx_fee_drops.value
-	});
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
 
-	await AddTransactionSequences(
-		txData,
-		{
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		confirmFee: false,
+		build: () => AccountDelete({
 			account: main_params.account.value,
-			network: main_params.network.value,
-			ledgerTimeout: ledgerIndexMinTimeout(main_params.network.value)
-		}
-	);
-
-	return txData;
+			accountDest: main_params.destination_account.value,
+			feeDrops: main_params.tx_fee_drops.value
+		}),
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[[ DELETE WALLET ACCOUNT ]]' }]
+	});
 }
 
-async function main(){
-	await defineMainParams(main_params);
-
-	const txParams = await commandTxParams();
-
-	ShowTransactionDetails(txParams);
-
-	quit( OutputJsonTransaction(txParams) );
-}
 
 if (require.main === module) {
 	console.log(MODULE_NAME + ' called directly\n');
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = COMMAND_MODES;
 	exports.AccountDelete = AccountDelete;
 }
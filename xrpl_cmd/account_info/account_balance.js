@@ -3,6 +3,9 @@
 // account_balance.js - shows account XRP balance including amount in escrow.
 // syntax: node account_balance [PUB|TEST|DEV] ACCOUNT
 //
+// The incoming escrows (created by other accounts with ACCOUNT as the destination) are not a part of the balance,
+// they are shown separately with the expected inflow by month.
+//
 // Docs:
 //   https://xrpl.org/account_info.html
 //   https://xrpl.org/escrow-object.html
@@ -16,7 +19,7 @@ const { dropsToXrp, unixTimeToRippleTime } = require('xrpl');
 
 const { quit, fail, defineMainParams, ColoredText, XrplClient, showLoadedModules } = require('../common/libs/common.js');
 const { AccountInfo } = require('./account_info.js');
-const { AccountEscrows } = require('./account_escrows.js');
+const { AccountEscrows, IsIncomingEscrow, EscrowInflowByMonth, ShowEscrowInflow } = require('./account_escrows.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
@@ -37,15 +40,23 @@ const AccountBalance = async function ({ account, client, network, xrplAddress }
 	}
 
 	const accountInfo = await AccountInfo({ account, client: lclient, network, xrplAddress });
-	const allEscrows = await AccountEscrows({ account, client: lclient, network, xrplAddress });
+	const escrows = await AccountEscrows({ account, client: lclient, network, xrplAddress });
 	if (!client && lclient) { lclient.disconnect(); }
 
+	const allEscrows = escrows.filter((item) => !IsIncomingEscrow(item, account));
+	const incomingEscrows = escrows.filter((item) => IsIncomingEscrow(item, account));
+
 	const accountBalance = Number(accountInfo.result.account_data.Balance);
 	const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
 	const escrowsInfo = {
 		countOnSelf: 0, countFinishReady: 0, countCancelReady: 0, countToOthers: 0, countTotal: allEscrows.length,
 		amountTotal: 0, amountOnSelf: 0, amountReadyOnSelf: 0, amountFinishReady: 0, amountCancelReady: 0, amountToOthers: 0, amountReadyToOthers: 0
 	}
+	const incomingInfo = {
+		count: incomingEscrows.length, countFinishReady: 0, countExpired: 0,
+		amountTotal: 0, amountFinishReady: 0, amountExpired: 0,
+		inflowByMonth: EscrowInflowByMonth(incomingEscrows)
+	}
 
 	allEscrows.forEach((item, idx) => {
 		const amount = Number(item.Amount);
@@ -71,12 +82,23 @@ const AccountBalance = async function ({ account, client, network, xrplAddress }
 		}
 	})
 
+	incomingEscrows.forEach((item) => {
+		const amount = Number(item.Amount);
+		const expired = (item.CancelAfter && currentRippleTimestamp > item.CancelAfter);
+
+		if (expired) { incomingInfo.amountExpired += amount; incomingInfo.countExpired++; return; }
+
+		incomingInfo.amountTotal += amount;
+		if (!item.FinishAfter || currentRippleTimestamp > item.FinishAfter) { incomingInfo.amountFinishReady += amount; incomingInfo.countFinishReady++; }
+	})
+
 	return {
 		Account: accountInfo.result.account_data.Account,
 		accountBalance,
 		balanceTotal: accountBalance + escrowsInfo.amountTotal,
 		balanceWithUnlockedSelfEscrows: accountBalance + escrowsInfo.amountReadyOnSelf,
 		escrow: escrowsInfo,
+		incoming: incomingInfo,
 	};
 }
 
@@ -107,11 +129,24 @@ function showBalanceInfo(info) {
 	console.log('\n');
 }
 
+function showIncomingInfo(info) {
+	if (!info.incoming.count) { return; }
+
+	console.log(`INCOMING ESCROWS from other accounts (${info.incoming.count}):`);
+	console.log(`* total incoming amount: ${ColoredText(dropsToXrp(info.incoming.amountTotal), { color: 'FgGreen' })} XRP`);
+	console.log(`* ready to finish now: ${dropsToXrp(info.incoming.amountFinishReady)} XRP (${info.incoming.countFinishReady} escrows)`);
+	if (info.incoming.countExpired) { console.log(`* expired (can only be cancelled by the owner): ${dropsToXrp(info.incoming.amountExpired)} XRP (${info.incoming.countExpired} escrows)`); }
+
+	ShowEscrowInflow(info.incoming.inflowByMonth);
+	console.log('\nSee `account_escrows` for the details of every incoming escrow.\n');
+}
+
 async function main(){
 	await defineMainParams(main_params);
 
 	const info = await AccountBalance({ account: main_params.account.value, network: main_params.network.value });
 	showBalanceInfo(info);
+	showIncomingInfo(info);
 
 	quit();
 }
@@ -123,5 +158,6 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountBalance = AccountBalance;
 }
@@ -0,0 +1,158 @@
+///////////////////////////////////////////////////////////
+//
+// account_channels.js - lists the payment channels where the account is the source.
+// syntax: node account_channels [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT
+//
+// DESTINATION_ACCOUNT (optional) limits the list to the channels to that destination.
+//
+// "Remaining" is the XRP left in the channel that can still be claimed by the destination.
+// A channel with "Expiration" set is closing: it can be closed by anyone after that time.
+//
+//
+// Docs:
+//   https://xrpl.org/account_channels.html
+//   https://xrpl.org/ledger_entry.html#get-paychannel-object
+//   https://xrpl.org/paychannel.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'account_channels';
+
+const ACCOUNT_CHANNELS_PAGES_MAX = 20;
+
+const { dropsToXrp, rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	destination_account: { id: 3, default: '', required: false, desc: 'show the channels to this destination only' },
+}
+
+const AccountChannels = async function ({ account, destination, network, xrplAddress, client }) {
+	let lclient, marker;
+	const channels = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account Channels...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < ACCOUNT_CHANNELS_PAGES_MAX; page++) {
+			const request = { account, command: 'account_channels' };
+			if (destination) { request.destination_account = destination; }
+			if (marker) { request.marker = marker; }
+
+			const response = lclient.request(request);
+			let info;
+			response.then(
+				result => {
+					info = result;
+				},
+				error => {
+					if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+					else fail(`Error: ${error}`);
+				}
+			)
+			await response;
+
+			if (!info?.result?.channels) { fail('Unable to fetch Account Channels'); }
+
+			info.result.channels.forEach(item => channels.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return channels;
+}
+
+const PaymentChannelEntry = async function ({ channelId, network, xrplAddress, client }) {
+	// returns PayChannel ledger object: Account, Destination, Amount, Balance, PublicKey, SettleDelay, Expiration, CancelAfter
+	let lclient, info;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Payment Channel...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const response = lclient.request({ command: 'ledger_entry', payment_channel: channelId, ledger_index: 'validated' });
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+				else fail(`Error: ${error}`);
+			}
+		)
+		await response;
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	if (!info?.result?.node) { fail('Unable to fetch Payment Channel'); }
+
+	return info.result.node;
+}
+
+const ShowChannel = function (channel, { index } = {}) {
+	// `channel` is either account_channels item or PayChannel ledger object
+	const amount = channel.amount || channel.Amount;
+	const balance = channel.balance || channel.Balance || '0';
+	const expiration = channel.expiration || channel.Expiration;
+	const cancelAfter = channel.cancel_after || channel.CancelAfter;
+	const now = unixTimeToRippleTime(Date.now());
+
+	console.log(`\n${typeof index !== 'undefined' ? `#${index + 1} ` : ''}Channel ID: ${ColoredText(channel.channel_id || channel.index, { color: 'FgYellow' })}`);
+	console.log(`  Destination: ${channel.destination_account || channel.Destination}${(channel.destination_tag || channel.DestinationTag) ? `  (tag ${channel.destination_tag || channel.DestinationTag})` : ''}`);
+	console.log(`  Amount: ${dropsToXrp(amount)} XRP,  claimed: ${dropsToXrp(balance)} XRP,  remaining: ${ColoredText(`${dropsToXrp(String(Number(amount) - Number(balance)))} XRP`, { color: 'FgGreen' })}`);
+	console.log(`  Settle delay: ${channel.settle_delay || channel.SettleDelay} seconds`);
+	console.log(`  Public key: ${channel.public_key_hex || channel.PublicKey}`);
+	if (expiration) { console.log(`  Expiration: ${rippleTimeToISOTime(expiration)}${expiration <= now ? ColoredText('  [EXPIRED, can be closed by anyone]', { color: 'FgRed' }) : ColoredText('  [CLOSING]', { color: 'FgYellow' })}`); }
+	if (cancelAfter) { console.log(`  Cancel after: ${rippleTimeToISOTime(cancelAfter)}${cancelAfter <= now ? ColoredText('  [EXPIRED]', { color: 'FgRed' }) : ''}`); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const channels = await AccountChannels({ account: main_params.account.value, destination: main_params.destination_account.value, network: main_params.network.value });
+
+	if (!channels.length) { quit('\nNo payment channels found.\n'); }
+
+	console.log(`\nACCOUNT PAYMENT CHANNELS (${channels.length}):`);
+	channels.forEach((channel, index) => ShowChannel(channel, { index }));
+
+	quit(`\n${JSON.stringify(channels)}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AccountChannels = AccountChannels;
+	exports.PaymentChannelEntry = PaymentChannelEntry;
+	exports.ShowChannel = ShowChannel;
+}
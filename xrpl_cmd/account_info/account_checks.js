@@ -0,0 +1,118 @@
+///////////////////////////////////////////////////////////
+//
+// account_checks.js - lists the Checks sent and received by an account.
+// syntax: node account_checks [PUB|TEST|DEV] ACCOUNT
+//
+// "Sent" Checks can be cancelled by the account (`check_cancel`).
+// "Received" Checks can be cashed by the account (`check_cash`) or cancelled.
+// An expired Check can not be cashed anymore: anyone can cancel it to remove it from the ledger
+// and release the owner reserve of the source account.
+//
+//
+// Docs:
+//   https://xrpl.org/checks.html
+//   https://xrpl.org/look-up-checks.html
+//   https://xrpl.org/check.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'account_checks';
+
+const ACCOUNT_OBJECTS_PAGES_MAX = 20;
+
+const { rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { FormatAmount } = require('../common/libs/amount.js');
+const { AccountObjects } = require('./account_objects.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+}
+
+const AccountChecks = async function ({ account, network, xrplAddress, client }) {
+	// returns the Check ledger objects where the account is the source or the destination
+	let lclient, marker;
+	const checks = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account Checks...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < ACCOUNT_OBJECTS_PAGES_MAX; page++) {
+			const info = await AccountObjects({ account, client: lclient, type: 'check', marker });
+			if (!info?.result?.account_objects) { fail('Unable to fetch Account Checks'); }
+
+			info.result.account_objects
+				.filter(item => (item.LedgerEntryType === 'Check'))
+				.forEach(item => checks.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return checks;
+}
+
+const IsCheckExpired = function (check) {
+	return !!check.Expiration && check.Expiration <= unixTimeToRippleTime(Date.now());
+}
+
+const ShowCheck = function (check, { index } = {}) {
+	console.log(`\n${typeof index !== 'undefined' ? `#${index + 1} ` : ''}Check ID: ${ColoredText(check.index, { color: 'FgYellow' })}`);
+	console.log(`  Source: ${check.Account}${typeof check.SourceTag !== 'undefined' ? `  (tag ${check.SourceTag})` : ''}`);
+	console.log(`  Destination: ${check.Destination}${typeof check.DestinationTag !== 'undefined' ? `  (tag ${check.DestinationTag})` : ''}`);
+	console.log(`  Send max: ${ColoredText(FormatAmount(check.SendMax), { color: 'FgGreen' })}`);
+	if (check.InvoiceID) { console.log(`  Invoice ID: ${check.InvoiceID}`); }
+	if (check.Expiration) { console.log(`  Expiration: ${rippleTimeToISOTime(check.Expiration)}${IsCheckExpired(check) ? ColoredText('  [EXPIRED, can be cancelled by anyone]', { color: 'FgRed' }) : ''}`); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const account = main_params.account.value;
+	const checks = await AccountChecks({ account, network: main_params.network.value });
+
+	if (!checks.length) { quit('\nNo Checks found.\n'); }
+
+	const sent = checks.filter(item => (item.Account === account));
+	const received = checks.filter(item => (item.Destination === account));
+
+	console.log(`\nSENT CHECKS (${sent.length}):`);
+	sent.forEach((check, index) => ShowCheck(check, { index }));
+
+	console.log(`\n\nRECEIVED CHECKS (${received.length}):`);
+	received.forEach((check, index) => ShowCheck(check, { index }));
+
+	const expired = checks.filter(IsCheckExpired);
+	if (expired.length) {
+		console.log(ColoredText(`\n\n${expired.length} of the Checks expired. Use \`check_cancel\` script to remove them from the ledger.`, { color: 'FgRed' }));
+	}
+
+	quit(`\n${JSON.stringify(checks)}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AccountChecks = AccountChecks;
+	exports.IsCheckExpired = IsCheckExpired;
+	exports.ShowCheck = ShowCheck;
+}
@@ -15,7 +15,7 @@
 
 const MODULE_NAME = 'account_currencies';
 
-const { quit, fail, defineMainParams, XrplClient } = require('../common/libs/common.js');
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules } = require('../common/libs/common.js');
 const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
 
 const main_params = {
@@ -70,7 +70,8 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountCurrencies = AccountCurrencies;
 }
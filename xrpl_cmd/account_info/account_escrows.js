@@ -5,6 +5,8 @@
 //
 // Note that the response includes all pending escrow objects with <Account> as the sender or destination address,
 // where the sender address is the Account value and the destination address is the Destination value.
+// The escrows funded by <Account> and the incoming escrows (created by other accounts with <Account> as the destination)
+// are shown separately, the incoming ones with the expected inflow by month of their FinishAfter time.
 //
 //
 // Docs:
@@ -16,11 +18,13 @@
 
 const MODULE_NAME = 'account_escrows';
 
-const { rippleTimeToISOTime, dropsToXrp, unixTimeToRippleTime } = require('xrpl');
+const ESCROW_TX_CHAIN_MAX = 10; // PreviousTxnID steps back to EscrowCreate
 
-const { quit, fail, defineMainParams, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { rippleTimeToISOTime, dropsToXrp, unixTimeToRippleTime, hashes } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
 const { AccountObjects } = require('./account_objects.js');
-const { AccountTransactions } = require('./account_transactions.js');
+const { AccountTransactions, Transaction } = require('./account_transactions.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
@@ -36,6 +40,42 @@ const AccountEscrows = async function ({ account, network, xrplAddress, client }
 	return info.result.account_objects.filter(item => (item.LedgerEntryType === 'Escrow'));
 }
 
+const IsIncomingEscrow = function (escrow, account) {
+	// created by another account with <account> as the destination
+	return (escrow.Destination === account && escrow.Account !== account);
+}
+
+const EscrowInflowByMonth = function (escrows) {
+	// incoming escrows => [{ month, count, countConditional, amount }] by month of FinishAfter ('ready' if finishable now);
+	// expired escrows (after CancelAfter) can not be finished, they are not counted
+	const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
+	const months = {};
+
+	escrows.forEach((item) => {
+		if (item.CancelAfter && currentRippleTimestamp > item.CancelAfter) { return; }
+
+		const month = ((item.FinishAfter && currentRippleTimestamp <= item.FinishAfter) ? rippleTimeToISOTime(item.FinishAfter).slice(0, 7) : 'ready');
+		if (!months[month]) { months[month] = { month, count: 0, countConditional: 0, amount: 0 }; }
+
+		months[month].count++;
+		months[month].amount += Number(item.Amount);
+		if (item.Condition) { months[month].countConditional++; }
+	})
+
+	return Object.values(months).sort((a, b) => ((a.month === 'ready') ? -1 : (b.month === 'ready') ? 1 : a.month.localeCompare(b.month)));
+}
+
+const ShowEscrowInflow = function (inflow) {
+	if (!inflow.length) { return; }
+
+	console.log('\nEXPECTED INFLOW BY MONTH:');
+	inflow.forEach((item) => {
+		const month = ((item.month === 'ready') ? 'ready now' : item.month).padEnd(9);
+		const conditional = (item.countConditional ? `, ${item.countConditional} with condition` : '');
+		console.log(`  ${month}  ${ColoredText(`${dropsToXrp(item.amount)} XRP`, { color: 'FgGreen' })}  (${item.count} escrows${conditional})`);
+	})
+}
+
 async function FindAccountEscrow({ account, txHash, txSequence, client, network, xrplAddress }) {
 	const data = await AccountTransactions({ account, txHash, txSequence, txType: 'escrow', client, network, xrplAddress });
 	if (!data.result?.transactions?.length) { return; }
@@ -82,24 +122,51 @@ async function FindAccountEscrow({ account, txHash, txSequence, client, network,
 	};
 }
 
-async function FindCreateEscrowTransactions(txnHashes, { escrows, account, client, network, xrplAddress }) {
-	txnHashes = txnHashes.map((item) => item.toUpperCase()); 
+const FindEscrowCreateTransaction = async function (escrow, { client, network, xrplAddress }) {
+	// follows the PreviousTxnID of the escrow back to its EscrowCreate, returns { sequence, ledgerIndex, hash } or undefined;
+	// the transaction found must create exactly this escrow (the ID derived from the owner and the sequence)
+	let txHash = escrow.PreviousTxnID;
 
-	const txData = await AccountTransactions({ account, txHash: txnHashes, txType: 'escrow', client, network, xrplAddress });
-	if (!escrows) { return txData; }
-	if (!txData.result?.transactions?.length) { return txData; }
+	for (let step = 0; txHash && step < ESCROW_TX_CHAIN_MAX; step++) {
+		const tx = await Transaction({ txHash, client, network, xrplAddress });
+		if (!tx) { return; }
 
-	escrows.forEach((escrowItem) => {
-		if (!escrowItem.PreviousTxnID) { return; }
+		const sequence = tx.TicketSequence || tx.Sequence;
+		if (tx.TransactionType === 'EscrowCreate' && tx.meta?.TransactionResult === 'tesSUCCESS' && hashes.hashEscrow(tx.Account, sequence) === escrow.index) {
+			return { sequence, ledgerIndex: tx.ledger_index, hash: tx.hash };
+		}
 
-		const escrowHash = txnHashes[0]; //escrowItem.PreviousTxnID.toUpperCase();
-		if (!txnHashes.some((hash) => escrowHash.match(hash))) { return; }
+		// the escrow was modified by this transaction: its metadata keeps the previous PreviousTxnID
+		const node = tx.meta?.AffectedNodes?.find((item) => item.ModifiedNode?.LedgerIndex === escrow.index)?.ModifiedNode;
+		txHash = node?.PreviousTxnID;
+	}
+}
 
-		const foundTx = txData.result.transactions.filter(txItem => txItem.tx.hash.match(escrowHash));
-		if (foundTx.length !== 1) { return; }
+async function FindCreateEscrowTransactions(escrows, { client, network, xrplAddress }) {
+	// sets _OfferSequence and _CreateLedgerIndex of every escrow found
+	let lclient;
 
-		if (foundTx[0].tx?.OfferSequence) { escrowItem._OfferSequence = foundTx[0].tx.OfferSequence; }
-	})
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch EscrowCreate Transactions...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (const escrowItem of escrows) {
+			const found = await FindEscrowCreateTransaction(escrowItem, { client: lclient });
+			if (!found) { continue; }
+
+			escrowItem._OfferSequence = found.sequence;
+			escrowItem._CreateLedgerIndex = found.ledgerIndex;
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
 }
 
 function showEscrows(escrows) {
@@ -120,11 +187,7 @@ function showEscrows(escrows) {
 			countToCancel++; amountToCancel += Number(item.Amount);
 			console.log(`Cancel after: ${rippleTimeToISOTime(item.CancelAfter)} (yy-mm-dd) ${currentRippleTimestamp > item.CancelAfter ? ' <[ READY TO CANCEL ]>' : ''}`);
 		}
-		if (item._OfferSequence) {
-			const value = ColoredText(`${item._OfferSequence}`, { color: 'FgYellow' });
-			console.log(`\nEscrow TX Sequence: ${value} (use this Sequence value to cancel/finish the escrow)`);
-			delete item['_OfferSequence'];
-		}
+		showOfferSequence(item);
 
 		console.log(item);
 		amount += Number(item.Amount);
@@ -137,6 +200,47 @@ function showEscrows(escrows) {
 	if (countToCancel !== 0) { console.log(`\nReady to Cancel: ${countToCancel} escrows with total ${dropsToXrp(amountToCancel)} XRP (${amountToCancel} drops)`); }
 }
 
+function showIncomingEscrows(escrows) {
+	let amount = 0;
+
+	console.log(`\nINCOMING ESCROWS (${escrows.length}):`);
+
+	escrows.forEach((item, idx) => {
+		const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
+		const expired = (item.CancelAfter && currentRippleTimestamp > item.CancelAfter);
+
+		console.log(`\n===== [${idx + 1}] =====`);
+		console.log(`Amount: ${dropsToXrp(item.Amount)} XRP from ${ColoredText(item.Account, { color: 'FgYellow' })}${item.DestinationTag ? ` (destination tag ${item.DestinationTag})` : ''}`);
+		if (item.FinishAfter) {
+			console.log(`Finishable after: ${rippleTimeToISOTime(item.FinishAfter)} (yy-mm-dd) ${(currentRippleTimestamp > item.FinishAfter && !expired) ? ' <[ READY TO FINISH ]>' : ''}`);
+		}
+		if (item.CancelAfter) {
+			console.log(`Expires (cancel after): ${rippleTimeToISOTime(item.CancelAfter)} (yy-mm-dd) ${expired ? ' <[ EXPIRED ]>' : ''}`);
+		}
+		console.log(`Condition: ${item.Condition ? 'yes (the password or the key of the owner is required to finish)' : 'no'}`);
+		showOfferSequence(item);
+
+		console.log(item);
+		if (!expired) { amount += Number(item.Amount); }
+	})
+
+	console.log(`===== [END] =====`);
+	console.log(`\nTOTAL INCOMING AMOUNT (not expired): ${dropsToXrp(amount)} XRP (${amount} drops)`);
+
+	ShowEscrowInflow(EscrowInflowByMonth(escrows));
+	console.log('\nUse "escrow_release" to finish an incoming escrow by its owner and sequence.');
+}
+
+function showOfferSequence(item) {
+	if (typeof item._OfferSequence === 'undefined') { return; }
+
+	const value = ColoredText(`${item._OfferSequence}`, { color: 'FgYellow' });
+	console.log(`\nEscrow TX Sequence: ${value} (use this Sequence value to cancel/finish the escrow)`);
+	if (item._CreateLedgerIndex) { console.log(`Created in ledger: ${item._CreateLedgerIndex}`); }
+	delete item['_OfferSequence'];
+	delete item['_CreateLedgerIndex'];
+}
+
 async function main(){
 	await defineMainParams(main_params);
 
@@ -144,12 +248,17 @@ async function main(){
 	if (!escrows.length) { quit(`\nACCOUNT HAS NO ESCROWS`); }
 
 	if (['y', 'yes'].includes(main_params.search_offer_sequence.value.toLowerCase())) {
-		const txnHashes = escrows.map((item) => item.PreviousTxnID);
+		await FindCreateEscrowTransactions(escrows, { network: main_params.network.value });
 
-		await FindCreateEscrowTransactions(txnHashes, { escrows, account: main_params.account.value, network: main_params.network.value });
+		const notFound = escrows.filter((item) => typeof item._OfferSequence === 'undefined').length;
+		if (notFound) { console.log(ColoredText(`\nThe EscrowCreate transaction is not found for ${notFound} escrows (not in the history of the server)`, { color: 'FgYellow' })); }
 	}
 
-	showEscrows(escrows);
+	const incomingEscrows = escrows.filter((item) => IsIncomingEscrow(item, main_params.account.value));
+	const ownEscrows = escrows.filter((item) => !IsIncomingEscrow(item, main_params.account.value));
+
+	if (ownEscrows.length) { showEscrows(ownEscrows); }
+	if (incomingEscrows.length) { showIncomingEscrows(incomingEscrows); }
 	quit();
 }
 
@@ -160,6 +269,12 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountEscrows = AccountEscrows;
 	exports.FindAccountEscrow = FindAccountEscrow;
+	exports.FindEscrowCreateTransaction = FindEscrowCreateTransaction;
+	exports.FindCreateEscrowTransactions = FindCreateEscrowTransactions;
+	exports.IsIncomingEscrow = IsIncomingEscrow;
+	exports.EscrowInflowByMonth = EscrowInflowByMonth;
+	exports.ShowEscrowInflow = ShowEscrowInflow;
 }
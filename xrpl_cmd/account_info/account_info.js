@@ -116,6 +116,7 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountInfo = AccountInfo;
 	exports.DescribeAccountFlags = DescribeAccountFlags;
 }
@@ -78,5 +78,6 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountLines = AccountLines;
 }
@@ -0,0 +1,98 @@
+///////////////////////////////////////////////////////////
+//
+// account_nfts.js - lists the non-fungible tokens (NFTokens) owned by an account.
+// syntax: node account_nfts [PUB|TEST|DEV] ACCOUNT
+//
+// Use "NFToken ID" value as NFTOKEN_ID of `nft_offer_create`, `nft_burn` and `nft_offers` scripts.
+// Issuer, taxon, serial number, transfer fee and flags are encoded into the NFToken ID itself.
+//
+//
+// Docs:
+//   https://xrpl.org/account_nfts.html
+//   https://xrpl.org/nftoken.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'account_nfts';
+
+const ACCOUNT_NFTS_PAGES_MAX = 20;
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { ShowNFToken } = require('../nft/nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+}
+
+const AccountNFTs = async function ({ account, network, xrplAddress, client }) {
+	let lclient, marker;
+	const nfts = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account NFTs...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < ACCOUNT_NFTS_PAGES_MAX; page++) {
+			const request = { account, command: 'account_nfts', ledger_index: 'validated' };
+			if (marker) { request.marker = marker; }
+
+			const response = lclient.request(request);
+			let info;
+			response.then(
+				result => {
+					info = result;
+				},
+				error => {
+					if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+					else fail(`Error: ${error}`);
+				}
+			)
+			await response;
+
+			if (!info?.result?.account_nfts) { fail('Unable to fetch Account NFTs'); }
+
+			info.result.account_nfts.forEach(item => nfts.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return nfts;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const nfts = await AccountNFTs({ account: main_params.account.value, network: main_params.network.value });
+
+	if (!nfts.length) { quit('\nNo NFTokens found. Use `nft_mint` script to mint an NFToken.\n'); }
+
+	console.log(`\nACCOUNT NFTs (${nfts.length}):`);
+	nfts.forEach((nft, index) => ShowNFToken(nft, { index }));
+
+	quit(`\n${JSON.stringify(nfts)}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AccountNFTs = AccountNFTs;
+}
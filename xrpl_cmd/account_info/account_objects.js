@@ -22,7 +22,9 @@ const main_params = {
 	account: { id: 2, default: '', required: true },
 }
 
-const AccountObjects = async function ({ account, network, xrplAddress, client }) {
+const AccountObjects = async function ({ account, network, xrplAddress, client, type, marker }) {
+	// type - filter the results by a ledger object type (e.g. 'escrow', 'ticket')
+	// marker - value from a previous paginated response to resume retrieving data where it left off
 	let lclient, info;
 
 	try{
@@ -32,7 +34,11 @@ const AccountObjects = async function ({ account, network, xrplAddress, client }
 			lclient = await XrplClient({ network, xrplAddress });
 		}
 
-		const response = lclient.request({ account, command: 'account_objects' });
+		const request = { account, command: 'account_objects' };
+		if (type) { request.type = type; }
+		if (marker) { request.marker = marker; }
+
+		const response = lclient.request(request);
 		response.then(
 			result => {
 				info = result;
@@ -77,5 +83,6 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountObjects = AccountObjects;
 }
@@ -0,0 +1,181 @@
+///////////////////////////////////////////////////////////
+//
+// account_offers.js - lists the Offers placed by an account in the decentralized exchange.
+// syntax: node account_offers [PUB|TEST|DEV] ACCOUNT
+//
+// "Price" is the exchange rate (quality) of the offer: the amount it buys (TakerPays) per 1 unit it sells (TakerGets).
+// "Funded" shows whether the account holds enough of the sold asset to fill the offer:
+// offers are matched against the same balance one by one, so later offers can be partially funded or unfunded.
+// An unfunded or expired offer is removed from the order book when some transaction tries to consume it.
+//
+// Use "seq" value of an offer as OFFER_SEQUENCE of `offer_cancel` script.
+//
+//
+// Docs:
+//   https://xrpl.org/account_offers.html
+//   https://xrpl.org/offers.html#lifecycle-of-an-offer
+//   https://xrpl.org/offer.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'account_offers';
+
+const ACCOUNT_OFFERS_PAGES_MAX = 20;
+
+const { LedgerEntry, rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { FormatAmount, AmountValue, IsXrpAmount, ExchangeRate } = require('../common/libs/amount.js');
+const { AccountInfo } = require('./account_info.js');
+const { AccountLines } = require('./account_lines.js');
+const { ServerInfo } = require('../ledger/server_info.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+}
+
+const AccountOffers = async function ({ account, network, xrplAddress, client }) {
+	let lclient, marker;
+	const offers = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account Offers...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < ACCOUNT_OFFERS_PAGES_MAX; page++) {
+			const request = { account, command: 'account_offers' };
+			if (marker) { request.marker = marker; }
+
+			const response = lclient.request(request);
+			let info;
+			response.then(
+				result => {
+					info = result;
+				},
+				error => {
+					if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+					else fail(`Error: ${error}`);
+				}
+			)
+			await response;
+
+			if (!info?.result?.offers) { fail('Unable to fetch Account Offers'); }
+
+			info.result.offers.forEach(item => offers.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return offers.sort((a, b) => a.seq - b.seq);
+}
+
+const assetKey = function (amount) {
+	return (IsXrpAmount(amount) ? 'XRP' : `${amount.currency}.${amount.issuer}`);
+}
+
+const OffersFundedStatus = function (offers, { account, accountData, lines, reserve }) {
+	// returns the list of { status, available } in the order of offers
+	const funds = {};
+
+	if (accountData) {
+		const reserveXrp = reserve ? (reserve.base + reserve.inc * Number(accountData.OwnerCount || 0)) : 0;
+		funds.XRP = Math.max(AmountValue(accountData.Balance) - reserveXrp, 0);
+	}
+	(lines || []).forEach((line) => { funds[`${line.currency}.${line.account}`] = Math.max(Number(line.balance), 0); });
+
+	return offers.map((offer) => {
+		const gets = offer.taker_gets;
+		if (!IsXrpAmount(gets) && gets.issuer === account) { return { status: 'funded', issuer: true }; }
+
+		const key = assetKey(gets);
+		if (typeof funds[key] === 'undefined') { return { status: 'unknown' }; }
+
+		const available = funds[key];
+		const needed = AmountValue(gets);
+		funds[key] = Math.max(available - needed, 0);
+
+		if (available >= needed) { return { status: 'funded', available }; }
+		return { status: (available > 0 ? 'partially funded' : 'unfunded'), available };
+	});
+}
+
+const ShowOffer = function (offer, { index, funded } = {}) {
+	const price = ExchangeRate(offer.taker_gets, offer.taker_pays);
+	const flags = Object.keys(LedgerEntry.OfferFlags).filter((k) => isNaN(k) && (offer.flags & LedgerEntry.OfferFlags[k]));
+	const expired = offer.expiration && offer.expiration <= unixTimeToRippleTime(Date.now());
+
+	console.log(`\n${typeof index !== 'undefined' ? `#${index + 1} ` : ''}Offer seq: ${ColoredText(offer.seq, { color: 'FgYellow' })}${flags.length ? `  (${flags.join(', ')})` : ''}`);
+	console.log(`  Sell (TakerGets): ${FormatAmount(offer.taker_gets)}`);
+	console.log(`  Buy (TakerPays): ${FormatAmount(offer.taker_pays)}`);
+	if (price) { console.log(`  Price: ${ColoredText(price.text, { color: 'FgGreen' })}  (${price.inverse}),  quality: ${offer.quality}`); }
+	if (offer.expiration) { console.log(`  Expiration: ${rippleTimeToISOTime(offer.expiration)}${expired ? ColoredText('  [EXPIRED]', { color: 'FgRed' }) : ''}`); }
+
+	if (funded) {
+		const color = (funded.status === 'funded' ? 'FgGreen' : (funded.status === 'unknown' ? 'FgYellow' : 'FgRed'));
+		const details = (funded.issuer ? 'the account is the issuer' : (typeof funded.available !== 'undefined' ? `available ${+funded.available.toPrecision(15)}` : 'no balance found'));
+		console.log(`  Funded: ${ColoredText(funded.status.toUpperCase(), { color })}  (${details})`);
+	}
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const account = main_params.account.value;
+	let client, offers, accountInfo, lines, serverInfo;
+
+	try{
+		console.log('\nConnecting to XRPL to fetch Account Offers...');
+		client = await XrplClient({ network: main_params.network.value });
+
+		offers = await AccountOffers({ account, client });
+		if (offers.length) {
+			accountInfo = await AccountInfo({ account, client });
+			lines = await AccountLines({ account, client });
+			serverInfo = await ServerInfo({ client });
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	if (!offers.length) { quit('\nNo Offers found. Use `offer_create` script to place an Offer.\n'); }
+
+	const validatedLedger = serverInfo?.result?.info?.validated_ledger;
+	const reserve = validatedLedger ? { base: Number(validatedLedger.reserve_base_xrp), inc: Number(validatedLedger.reserve_inc_xrp) } : undefined;
+	const funded = OffersFundedStatus(offers, { account, accountData: accountInfo?.result?.account_data, lines: lines?.result?.lines, reserve });
+
+	console.log(`\nACCOUNT OFFERS (${offers.length}):`);
+	offers.forEach((offer, index) => ShowOffer(offer, { index, funded: funded[index] }));
+
+	quit(`\n${JSON.stringify(offers)}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AccountOffers = AccountOffers;
+	exports.OffersFundedStatus = OffersFundedStatus;
+	exports.ShowOffer = ShowOffer;
+}
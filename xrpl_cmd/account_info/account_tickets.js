@@ -0,0 +1,89 @@
+///////////////////////////////////////////////////////////
+//
+// account_tickets.js - lists the Tickets owned by an account.
+// syntax: node account_tickets [PUB|TEST|DEV] ACCOUNT
+//
+// A Ticket is a sequence number set aside by `ticket_create` script.
+// Use it as `--ticket TICKET_SEQUENCE` option of any transaction builder script
+// to sign the transaction independently of the account Sequence.
+//
+// Every Ticket adds 1 item to the owner reserve until it is used.
+//
+//
+// Docs:
+//   https://xrpl.org/tickets.html
+//   https://xrpl.org/ticket.html
+//   https://xrpl.org/account_objects.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'account_tickets';
+
+const ACCOUNT_OBJECTS_PAGES_MAX = 10; // an account owns 250 Tickets at most
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { AccountObjects } = require('./account_objects.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+}
+
+const AccountTickets = async function ({ account, network, xrplAddress, client }) {
+	// returns the sorted list of TicketSequence numbers
+	let lclient, marker;
+	const tickets = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account Tickets...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < ACCOUNT_OBJECTS_PAGES_MAX; page++) {
+			const info = await AccountObjects({ account, client: lclient, type: 'ticket', marker });
+			if (!info?.result?.account_objects) { fail('Unable to fetch Account Tickets'); }
+
+			info.result.account_objects
+				.filter(item => (item.LedgerEntryType === 'Ticket'))
+				.forEach(item => tickets.push(Number(item.TicketSequence)));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return tickets.sort((a, b) => a - b);
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const tickets = await AccountTickets({ account: main_params.account.value, network: main_params.network.value });
+
+	if (!tickets.length) { quit('\nNo Tickets found. Use `ticket_create` script to set aside some sequence numbers.\n'); }
+
+	console.log(`\nACCOUNT TICKETS (${tickets.length}):`);
+	console.log(ColoredText(tickets.join(', '), { color: 'FgGreen' }));
+
+	quit(`\nUse any of them as \`--ticket ${tickets[0]}\` option of a transaction builder script.\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AccountTickets = AccountTickets;
+}
@@ -90,6 +90,46 @@ const AccountTransactions = async function ({ account, network, xrplAddress, cli
 	return info
 }
 
+const Transaction = async function ({ txHash, network, xrplAddress, client }) {
+	// returns the transaction fields with its "hash", "ledger_index", "meta" and "validated", undefined if not found
+	// Docs: https://xrpl.org/tx.html
+	let lclient, info, notFound;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch the Transaction...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const response = lclient.request({ command: 'tx', transaction: txHash.toUpperCase() });
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				notFound = (error?.data?.error === 'txnNotFound'); // not in the history of the server
+				if (notFound) { return; }
+
+				if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+				else fail(`Error: ${error}`);
+			}
+		)
+		await response;
+
+	} catch(err) {
+		if (!notFound) { fail(err); }
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	if (!info?.result) { return; }
+	if (!info.result.tx_json) { return info.result; }
+
+	return { ...info.result.tx_json, hash: info.result.hash, ledger_index: info.result.ledger_index, meta: info.result.meta, validated: info.result.validated };
+}
+
 const searchInTransactions = function ({ info, txHash, txSequence, txType }) {
 	// let continueTransactionsRequests = false;
 
@@ -149,5 +189,7 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountTransactions = AccountTransactions;
+	exports.Transaction = Transaction;
 }
@@ -1,7 +1,12 @@
 ///////////////////////////////////////////////////////////
 //
 // set_key.js - assigns, changes, or removes the Regular Key pair associated with an account.
-// syntax: node set_key [PUB|TEST|DEV] ACCOUNT NEW_SECRET_KEY_ADDRESS
+// syntax: node set_key [--json] [PUB|TEST|DEV] ACCOUNT NEW_SECRET_KEY_ADDRESS
+//         node set_key --submit [PUB|TEST|DEV] ACCOUNT NEW_SECRET_KEY_ADDRESS SEED_KEY
+//         node set_key --qr [PUB|TEST|DEV] ACCOUNT NEW_SECRET_KEY_ADDRESS SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
 //
 //
 // The "master key pair" of an account is intrinsically linked to the account's address.
@@ -49,13 +54,20 @@ const MODULE_NAME = 'set_key';
 
 const { AccountSetAsfFlags } = require('xrpl');
 
-const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee } = require('../common/libs/common.js');
-const { AddTransactionSequences } = require('../common/sign.js');
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
 	account: { id: 2, default: '', required: true },
 	new_key_address: { id: 3, default: '', required: true, desc: 'Address corresponding to the new secret key (NOT THE NEW SECRET ITSELF !)' },
+	account_secret_key: { id: 4, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
 }
 
 function SetRegularKey ({ account, newKeyAddress, feeDrops }) {
@@ -140,34 +152,21 @@ function EnableMasterKey ({ account, feeDrops }) {
 	return cmd;
 }
 
-async function commandTxParams() {
-	let txData = SetRegularKey({
-		account: main_params.account.value,
-		newKeyAddress: main_params.new_key_address.value,
-		feeDrops: networkMinFee(main_params.network.value)
-	});
-
-	await AddTransactionSequences(
-		txData,
-		{
-			account: main_params.account.value,
-			network: main_params.network.value,
-			ledgerTimeout: ledgerIndexMinTimeout(main_params.network.value)
-		}
-	);
-
-	return txData;
-}
-
 async function main(){
-	await defineMainParams(main_params);
-
-	const txParams = await commandTxParams();
-
-	console.log('\nTRANSACTION DETAILS:');
-	console.log(txParams);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
 
-	quit(`\nJSON to be used on 'sign' script call:\n\n${JSON.stringify(txParams)}\n`);
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		confirmFee: false,
+		build: ({ feeDrops }) => SetRegularKey({
+			account: main_params.account.value,
+			newKeyAddress: main_params.new_key_address.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		qrTxFields: ['RegularKey']
+	});
 }
 
 if (require.main === module) {
@@ -175,8 +174,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = COMMAND_MODES;
 	exports.SetRegularKey = SetRegularKey;
 	exports.RemoveRegularKey = RemoveRegularKey;
 	exports.DisableMasterKey = DisableMasterKey;
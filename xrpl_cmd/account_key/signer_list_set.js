@@ -0,0 +1,152 @@
+///////////////////////////////////////////////////////////
+//
+// signer_list_set.js - creates, replaces, or removes a list of signers that can be used to multi-sign a transaction.
+// syntax: node signer_list_set [--json] [PUB|TEST|DEV] ACCOUNT SIGNER_QUORUM SIGNER_ENTRIES
+//         node signer_list_set --submit [PUB|TEST|DEV] ACCOUNT SIGNER_QUORUM SIGNER_ENTRIES SEED_KEY
+//         node signer_list_set --qr [PUB|TEST|DEV] ACCOUNT SIGNER_QUORUM SIGNER_ENTRIES SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// SIGNER_ENTRIES is a comma separated list of signer addresses with optional weights (default weight is 1):
+//   rSigner1Address:1,rSigner2Address:1,rSigner3Address:2
+//
+// A multi-signed transaction is valid if the sum of the weights of the signers who signed it
+// is equal to or greater than the SIGNER_QUORUM.
+// Use SIGNER_QUORUM = 0 without SIGNER_ENTRIES to remove the signer list.
+//
+// A signer list with up to 32 members (the ExpandedSignerList amendment) adds 1 item to the owner reserve.
+//
+// Every signer keeps its own keys. The signers can be placed on separate offline devices:
+//   1. build the transaction JSON on any device (any builder script, e.g. `payment`),
+//   2. every signer calls `sign` script (or `sign --qr`) with MULTISIGN = Yes,
+//   3. all the signed blobs are merged by `multisign_combine` script,
+//   4. the combined blob is sent by `submit_send` script.
+//
+// !!! Make sure the signers are able to reach the quorum before you disable the master key pair !!!
+//
+//
+// Docs:
+//   https://xrpl.org/multi-signing.html
+//   https://xrpl.org/signerlistset.html
+//   https://xrpl.org/set-up-multi-signing.html
+//   https://js.xrpl.org/interfaces/SignerListSet.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'signer_list_set';
+
+const SIGNER_ENTRIES_MAX = 32;
+const SIGNER_WEIGHT_MAX = 65535; // SignerWeight is UInt16
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	signer_quorum: { id: 3, default: '', required: true, desc: 'Target number for the signer weights (0 removes the signer list)' },
+	signer_entries: { id: 4, default: '', required: false, desc: 'Signer addresses with weights', example: 'rSigner1:1,rSigner2:1,rSigner3:1' },
+	account_secret_key: { id: 5, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+const ParseSignerEntries = function (entriesString) {
+	if (!entriesString?.trim()) { return []; }
+
+	return entriesString.split(/[,;\s]+/).filter((item) => item.length).map((item) => {
+		const [account, weight] = item.split(':');
+		return { account: account.trim(), weight: (typeof weight === 'undefined' || weight === '' ? 1 : Number(weight)) };
+	});
+}
+
+function SignerListSet ({ account, signerQuorum, signerEntries, feeDrops }) {
+	let error;
+
+	signerQuorum = Number(signerQuorum);
+	signerEntries = signerEntries || [];
+
+	if (!account) { console.error("Must specify 'account' in call SignerListSet()"); error = true; }
+	if (!feeDrops || feeDrops <= 0) { console.error("Must specify 'feeDrops' greater than zero in call SignerListSet()"); error = true; }
+	if (isNaN(signerQuorum) || signerQuorum < 0) { console.error("Must specify 'signerQuorum' as a Number not less than zero in call SignerListSet()"); error = true; }
+
+	if (signerQuorum === 0 && signerEntries.length) { console.error("Must not specify 'signerEntries' with zero 'signerQuorum' (it removes the signer list) in call SignerListSet()"); error = true; }
+	if (signerQuorum > 0) {
+		const weightsSum = signerEntries.reduce((sum, item) => sum + (Number(item.weight) || 0), 0);
+		const uniqueAccounts = new Set(signerEntries.map((item) => item.account));
+
+		if (!signerEntries.length) { console.error("Must specify 'signerEntries' in call SignerListSet()"); error = true; }
+		if (signerEntries.length > SIGNER_ENTRIES_MAX) { console.error(`Must not specify more than ${SIGNER_ENTRIES_MAX} 'signerEntries' in call SignerListSet()`); error = true; }
+		if (uniqueAccounts.size !== signerEntries.length) { console.error("Every signer must be listed only once in call SignerListSet()"); error = true; }
+		if (uniqueAccounts.has(account)) { console.error("The account itself must not be listed as a signer in call SignerListSet()"); error = true; }
+
+		signerEntries.forEach((item) => {
+			if (!item.account) { console.error("Signer entry with empty account in call SignerListSet()"); error = true; }
+			if (isNaN(item.weight) || item.weight < 1 || item.weight > SIGNER_WEIGHT_MAX) { console.error(`Signer '${item.account}' weight must be a Number from 1 to ${SIGNER_WEIGHT_MAX} in call SignerListSet()`); error = true; }
+		});
+
+		if (weightsSum < signerQuorum) { console.error(`Signers weights sum (${weightsSum}) is less than 'signerQuorum' (${signerQuorum}). The quorum could never be reached.`); error = true; }
+	}
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'SignerListSet',
+		Account: account,
+		SignerQuorum: signerQuorum, // A target number for the signer weights. A multi-signature from this list is valid only if the sum weights of the signatures provided is greater than or equal to this value.
+																// To delete a signer list, use the value 0.
+		Fee: feeDrops.toString()
+	};
+
+	if (signerQuorum > 0) {
+		// Array of SignerEntry objects, indicating the addresses and weights of signers in this list.
+		// This signer list must have at least 1 member and no more than 32 members.
+		// No address may appear more than once in the list, nor may the Account submitting the transaction appear in the list.
+		cmd.SignerEntries = signerEntries.map((item) => ({ SignerEntry: { Account: item.account, SignerWeight: Number(item.weight) } }));
+	}
+
+	return cmd;
+}
+
+function RemoveSignerList ({ account, feeDrops }) {
+	// You cannot remove the signer list if the master key is disabled and there is no regular key. (tecNO_ALTERNATIVE_KEY)
+	return SignerListSet({ account, feeDrops, signerQuorum: 0 });
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		build: ({ feeDrops }) => SignerListSet({
+			account: main_params.account.value,
+			signerQuorum: main_params.signer_quorum.value,
+			signerEntries: ParseSignerEntries(main_params.signer_entries.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'SIGNER LIST SET',
+		qrTxFields: ['SignerQuorum'],
+		qrAddtnFields: (tx) => [{ name: 'Transaction kind', value: (tx.SignerQuorum ? `[ SET SIGNER LIST: QUORUM ${tx.SignerQuorum} OF ${tx.SignerEntries.length} SIGNERS ]` : '[[ REMOVE SIGNER LIST ]]') }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.SignerListSet = SignerListSet;
+	exports.RemoveSignerList = RemoveSignerList;
+	exports.ParseSignerEntries = ParseSignerEntries;
+}
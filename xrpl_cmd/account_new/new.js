@@ -32,7 +32,7 @@ const MODULE_NAME = 'new';
 
 const { Wallet } = require('xrpl');
 
-const { quit, fail, prompt, defineMainParams, ColoredText } = require('../common/libs/common.js');
+const { quit, fail, prompt, defineMainParams, ColoredText, showLoadedModules } = require('../common/libs/common.js');
 
 const main_params = {
 	type: { id: 1, default: '', required: true, example: 'seed / mnemonic', auto: 'seed' },
@@ -126,8 +126,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.NewSeed = NewSeed;
 	exports.NewFromMnemonic = NewFromMnemonic;
 }
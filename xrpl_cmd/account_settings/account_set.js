@@ -14,7 +14,7 @@ const MODULE_NAME = 'account_set';
 
 const { AccountSetAsfFlags, AccountSetTfFlags } = require('xrpl');
 
-const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee } = require('../common/libs/common.js');
+const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee, showLoadedModules } = require('../common/libs/common.js');
 const { AddTransactionSequences } = require('../common/sign.js');
 
 const KNOWN_SET_FLAGS = {
@@ -174,8 +174,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.AccountSetFlag = AccountSetFlag;
 	exports.AccountClearFlag = AccountClearFlag;
 	exports.AvailableFlags = AvailableFlags;
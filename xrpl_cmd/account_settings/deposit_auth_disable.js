@@ -0,0 +1,72 @@
+///////////////////////////////////////////////////////////
+//
+// deposit_auth_disable.js - disables Deposit Authorization on this account
+// syntax: node deposit_auth_disable --submit [PUB|TEST|DEV] ACCOUNT SEED_KEY
+//         node deposit_auth_disable --qr [PUB|TEST|DEV] ACCOUNT SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --submit signs and submits the transaction, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// Deposit Authorization is an optional account setting in the XRP Ledger.
+// By default, new accounts have DepositAuth disabled and can receive XRP from anyone.
+//
+// If Deposit Authorization enabled, it blocks all transfers from strangers, including transfers of XRP and tokens.
+// An account with Deposit Authorization can only receive value in two ways:
+//   - From accounts it has preauthorized.
+//   - By sending a transaction to receive the funds.
+//     For example, an account with Deposit Authorization could finish an Escrow that was initiated by a stranger.
+//     When you have Deposit Authorization enabled, you can receive money from Checks, Escrow, and Payment Channels.
+//
+//
+// Docs: https://xrpl.org/depositauth.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'deposit_auth_disable';
+
+const COMMAND_MODES = ['qr', 'submit'];
+
+const { AccountSetAsfFlags } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { AccountClearFlag } = require('./account_set.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	account_secret_key: { id: 3, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true },
+
+	account_sequence: { id: 4, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 5, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 6, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		confirmFee: false,
+		build: ({ feeDrops }) => AccountClearFlag({
+			account: main_params.account.value,
+			feeDrops, // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			flag: AccountSetAsfFlags.asfDepositAuth
+		}),
+		title: 'DISABLE DEPOSIT AUTH',
+		qrTxFields: ['ClearFlag'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: 'Disable Deposit Authorization' }]
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
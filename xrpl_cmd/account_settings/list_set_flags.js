@@ -22,4 +22,9 @@ async function main(){
 	listAvailableFlags();
 }
 
-main();
+if (require.main === module) {
+	main();
+
+} else {
+	exports.COMMAND_MODES = [];
+}
@@ -0,0 +1,64 @@
+///////////////////////////////////////////////////////////
+//
+// xrp_income_allow.js - disables DisallowXRP flag on the account
+// syntax: node xrp_income_allow --submit [PUB|TEST|DEV] ACCOUNT SEED_KEY
+//         node xrp_income_allow --qr [PUB|TEST|DEV] ACCOUNT SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --submit signs and submits the transaction, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// The DisallowXRP flag indicates that an account should not receive XRP.
+// This is a softer protection than Deposit Authorization, and is not enforced by the XRP Ledger.
+// Client applications should honor this flag or at least warn about it.
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'xrp_income_allow';
+
+const COMMAND_MODES = ['qr', 'submit'];
+
+const { AccountSetAsfFlags } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { AccountClearFlag } = require('./account_set.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	account_secret_key: { id: 3, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true },
+
+	account_sequence: { id: 4, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 5, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 6, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		confirmFee: false,
+		build: ({ feeDrops }) => AccountClearFlag({
+			account: main_params.account.value,
+			feeDrops, // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			flag: AccountSetAsfFlags.asfDisallowXRP
+		}),
+		title: 'ALLOW XRP INCOME',
+		qrTxFields: ['ClearFlag'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: 'Allow XRP Income' }]
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
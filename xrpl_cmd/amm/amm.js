@@ -0,0 +1,283 @@
+///////////////////////////////////////////////////////////
+//
+// amm.js - XRPL Automated Market Maker (AMM) functions
+//
+// An AMM holds a pool of two assets (XRP and a token, or two tokens) and trades them with anyone at a price
+// defined by the pool balances. The liquidity providers receive LP tokens for their deposits.
+//
+// 1) Anyone can create an AMM for a pair of assets that has no AMM yet (`amm_create`), the creator receives the first LP tokens.
+// 2) Liquidity providers deposit assets (`amm_deposit`) and withdraw them back (`amm_withdraw`) in exchange for LP tokens.
+// 3) Liquidity providers vote on the trading fee (`amm_vote`), the votes are weighted by their LP tokens.
+// 4) Anyone can bid LP tokens for the auction slot (`amm_bid`) to trade with a discounted fee for 24 hours.
+// 5) The AMM is deleted automatically when all LP tokens are returned; `amm_delete` cleans up an empty AMM with too many trust lines.
+//
+// The asset pair can be specified in any order: XRP  or  USD.rIssuerAddress
+// LP token amounts can be specified as a plain number when the script is online: the LP token of the pair is fetched by `amm_info`.
+// Offline (`--qr` mode) specify them in full as  VALUE LP_CURRENCY.AMM_ACCOUNT  (see `amm_info`).
+//
+// The trading fee is specified in percent from 0 to 1 (the ledger stores it in units of 1/100,000).
+//
+// The AMM amendment must be enabled on the network, otherwise AMM transactions fail with "temDISABLED" result.
+//
+//
+// Docs:
+//   https://xrpl.org/automated-market-makers.html
+//   https://xrpl.org/ammcreate.html
+//   https://xrpl.org/ammdeposit.html
+//   https://xrpl.org/ammwithdraw.html
+//   https://xrpl.org/ammvote.html
+//   https://xrpl.org/ammbid.html
+//   https://xrpl.org/ammdelete.html
+//   https://xrpl.org/amm_info.html
+//   https://xrpl.org/known-amendments.html#amm
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm';
+
+const AMM_AMENDMENT_ID = '8CC0774A3BF66D1D22E76BBDA8E8A232E6B6313834301B3B23E8601196AE6455'; // SHA-512Half of "AMM"
+const AMENDMENTS_LEDGER_INDEX = '7DB0788C020F02780A673DC74757F23823FA3014C1866E72CC4CD8B226CD6EF4'; // the Amendments singleton object
+const TRADING_FEE_UNITS_PER_PERCENT = 1000;
+const TRADING_FEE_MAX_PERCENT = 1;
+const AUTH_ACCOUNTS_MAX = 4;
+const AMM_CREATE_FEE_DROPS_DEFAULT = 200000; // AMMCreate destroys the owner reserve increment (0.2 XRP on Mainnet) as its transaction cost
+
+const { isValidClassicAddress, xrpToDrops } = require('xrpl');
+
+const { fail, showLoadedModules, XrplClient, ShowWarning } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { ParseAmount, IsXrpAmount, CurrencyCodeText } = require('../common/libs/amount.js');
+const { ServerInfo } = require('../ledger/server_info.js');
+
+const AMM_DEPOSIT_MODES = {
+	'two-asset': { flag: 'tfTwoAsset', fields: ['amount', 'amount2'], desc: 'deposit both assets, up to AMOUNT and AMOUNT2' },
+	'single-asset': { flag: 'tfSingleAsset', fields: ['amount'], desc: 'deposit exactly AMOUNT of one asset' },
+	'lp-token': { flag: 'tfLPToken', fields: ['lpToken'], desc: 'deposit both assets to receive exactly LP_TOKEN amount' },
+	'one-asset-lp-token': { flag: 'tfOneAssetLPToken', fields: ['amount', 'lpToken'], desc: 'deposit up to AMOUNT of one asset to receive exactly LP_TOKEN amount' },
+	'limit-lp-token': { flag: 'tfLimitLPToken', fields: ['amount', 'ePrice'], desc: 'deposit up to AMOUNT of one asset, paying at most EPRICE per LP token' },
+}
+
+const AMM_WITHDRAW_MODES = {
+	'lp-token': { flag: 'tfLPToken', fields: ['lpToken'], desc: 'return exactly LP_TOKEN amount, receive both assets' },
+	'all': { flag: 'tfWithdrawAll', fields: [], desc: 'return all LP tokens, receive both assets' },
+	'one-asset-all': { flag: 'tfOneAssetWithdrawAll', fields: ['amount'], desc: 'return all LP tokens, receive one asset (at least AMOUNT)' },
+	'single-asset': { flag: 'tfSingleAsset', fields: ['amount'], desc: 'receive exactly AMOUNT of one asset' },
+	'two-asset': { flag: 'tfTwoAsset', fields: ['amount', 'amount2'], desc: 'receive both assets, up to AMOUNT and AMOUNT2' },
+	'one-asset-lp-token': { flag: 'tfOneAssetLPToken', fields: ['amount', 'lpToken'], desc: 'return exactly LP_TOKEN amount, receive one asset (at least AMOUNT)' },
+	'limit-lp-token': { flag: 'tfLimitLPToken', fields: ['amount', 'ePrice'], desc: 'receive up to AMOUNT of one asset, limited by the effective price EPRICE' },
+}
+
+const ParseAmmMode = function (input, modes, { title = 'mode' } = {}) {
+	// 'two-asset' or the flag name 'tfTwoAsset' (case insensitive)
+	const name = `${input || ''}`.trim().toLowerCase();
+	const key = Object.keys(modes).find((k) => k === name || modes[k].flag.toLowerCase() === name || modes[k].flag.replace(/^tf/, '').toLowerCase() === name);
+
+	if (!key) { fail(`Unknown ${title} "${input || ''}"\nAvailable modes:\n${AmmModesText(modes)}`); }
+
+	return Object.assign({ name: key }, modes[key]);
+}
+
+const AmmModeFieldErrors = function (mode, values) {
+	// values: { amount, amount2, lpToken, ePrice } => the list of the missing and the unused fields of the mode
+	const errors = [];
+
+	Object.keys(values).forEach((field) => {
+		const used = mode.fields.includes(field);
+		const specified = (typeof values[field] !== 'undefined' && values[field] !== null && values[field] !== '');
+
+		if (used && !specified) { errors.push(`Must specify '${field}' for '${mode.name}' mode`); }
+		if (!used && specified) { errors.push(`'${field}' is not used in '${mode.name}' mode`); }
+	});
+
+	return errors;
+}
+
+const AmmModesText = function (modes) {
+	return Object.keys(modes).map((key) => `  ${key.padEnd(20)} - ${modes[key].desc}`).join('\n');
+}
+
+const ParseTradingFee = function (input) {
+	// percent (0 - 1) => units of 1/100,000
+	const percent = Number(`${input}`.replace('%', '').trim());
+	if (`${input}`.trim() === '' || isNaN(percent) || percent < 0 || percent > TRADING_FEE_MAX_PERCENT) {
+		fail(`Invalid trading fee "${input}": must be a percent from 0 to ${TRADING_FEE_MAX_PERCENT}`);
+	}
+
+	return Math.round(percent * TRADING_FEE_UNITS_PER_PERCENT);
+}
+
+const TradingFeeText = function (units) {
+	return `${Number(units || 0) / TRADING_FEE_UNITS_PER_PERCENT}%`;
+}
+
+const ParseLpTokenAmount = function (input, { lpToken, name = 'LP token amount' } = {}) {
+	// returns { currency, issuer, value } of the LP token; a plain number needs `lpToken` of the AMM (see AmmInfo)
+	if (typeof input === 'undefined' || input === null || `${input}`.trim() === '') { return; }
+
+	if (!isNaN(input)) {
+		if (Number(input) <= 0) { fail(`Invalid ${name} "${input}": the value must be a number greater than zero`); }
+		if (!lpToken) { fail(`Invalid ${name} "${input}": specify it as "VALUE LP_CURRENCY.AMM_ACCOUNT", see \`amm_info\``); }
+
+		return { currency: lpToken.currency, issuer: lpToken.issuer, value: `${input}`.trim() };
+	}
+
+	const amount = ParseAmount(input, { name });
+	if (IsXrpAmount(amount)) { fail(`Invalid ${name} "${input}": LP token can not be XRP`); }
+
+	return amount;
+}
+
+const IsLpTokenNumber = function (input) {
+	// a plain number LP token amount is resolved online by AmmInfo
+	return (typeof input !== 'undefined' && input !== null && `${input}`.trim() !== '' && !isNaN(input));
+}
+
+const ParseAuthAccounts = function (input) {
+	// 'rAddress1, rAddress2' => [{ AuthAccount: { Account: 'rAddress1' } }, ...]
+	if (!input) { return; }
+
+	const accounts = `${input}`.split(/[\s,]+/).filter((item) => item.length);
+	if (accounts.length > AUTH_ACCOUNTS_MAX) { fail(`Too many auth accounts: ${accounts.length}, maximum ${AUTH_ACCOUNTS_MAX}`); }
+
+	accounts.forEach((account) => { if (!isValidClassicAddress(account)) { fail(`Invalid auth account address "${account}"`); } });
+
+	return accounts.map((account) => ({ AuthAccount: { Account: account } }));
+}
+
+const AssetText = function (asset) {
+	if (!asset) { return ''; }
+	return (asset.currency === 'XRP' ? 'XRP' : `${CurrencyCodeText(asset.currency)}.${asset.issuer}`);
+}
+
+const IsSameAsset = function (asset, asset2) {
+	return (asset.currency === asset2.currency && asset.issuer === asset2.issuer);
+}
+
+const IsPoolAmount = function (amount, asset, asset2) {
+	// the amount is of one of the AMM assets
+	const amountAsset = (IsXrpAmount(amount) ? { currency: 'XRP' } : { currency: amount.currency, issuer: amount.issuer });
+	return (IsSameAsset(amountAsset, asset) || IsSameAsset(amountAsset, asset2));
+}
+
+const AmmInfo = async function ({ asset, asset2, network, xrplAddress, client }) {
+	// returns `amm` object of the response: { account, amount, amount2, lp_token, trading_fee, vote_slots, auction_slot }
+	let lclient, info;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch AMM Info...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const response = lclient.request({ command: 'amm_info', asset, asset2, ledger_index: 'validated' });
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+				else fail(`Error: ${error}`);
+			}
+		)
+		await response;
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	if (!info?.result?.amm) { fail('Unable to fetch AMM Info'); }
+
+	return info.result.amm;
+}
+
+const AmmAmendmentEnabled = async function ({ network, xrplAddress, client }) {
+	// returns true / false, or undefined when unable to check
+	let lclient, info, notFound;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to check the AMM amendment...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const response = lclient.request({ command: 'ledger_entry', index: AMENDMENTS_LEDGER_INDEX, ledger_index: 'validated' });
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				notFound = (error?.data?.error === 'entryNotFound'); // no amendment is enabled at all
+			}
+		)
+		await response;
+
+	} catch(err) {
+		// the check is not critical, the transaction result will tell anyway
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	if (notFound) { return false; }
+	if (!info?.result?.node) { return; }
+
+	return (info.result.node.Amendments || []).includes(AMM_AMENDMENT_ID);
+}
+
+const AmmCreateFeeDrops = async function ({ network, client } = {}) {
+	// the owner reserve increment of the network, or the default value when offline
+	if (!network && !client) { return AMM_CREATE_FEE_DROPS_DEFAULT; }
+
+	const info = await ServerInfo({ network, client });
+	const reserveInc = info?.result?.info?.validated_ledger?.reserve_inc_xrp;
+
+	return (reserveInc ? Number(xrpToDrops(reserveInc)) : AMM_CREATE_FEE_DROPS_DEFAULT);
+}
+
+const WarnIfAmmNotEnabled = async function ({ network, client }) {
+	const enabled = await AmmAmendmentEnabled({ network, client });
+
+	if (enabled === false) { ShowWarning(`AMM amendment is NOT enabled on ${network} network: AMM transactions will fail with "temDISABLED" result.`); }
+	else if (typeof enabled === 'undefined') { ShowWarning(`Unable to check whether AMM amendment is enabled on ${network} network.`); }
+
+	return enabled;
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	console.log('Use "amm_info" to see the pool of an asset pair and your share in it.');
+	console.log('Use "amm_create" to create an AMM for an asset pair.');
+	console.log('Use "amm_deposit" / "amm_withdraw" to add / remove liquidity.');
+	console.log('Use "amm_vote" to vote on the trading fee, "amm_bid" to bid for the auction slot.');
+	console.log('Use "amm_delete" to delete an empty AMM.');
+	console.log(`\nDeposit modes:\n${AmmModesText(AMM_DEPOSIT_MODES)}`);
+	console.log(`\nWithdraw modes:\n${AmmModesText(AMM_WITHDRAW_MODES)}`);
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.AMM_DEPOSIT_MODES = AMM_DEPOSIT_MODES;
+	exports.AMM_WITHDRAW_MODES = AMM_WITHDRAW_MODES;
+	exports.ParseAmmMode = ParseAmmMode;
+	exports.AmmModeFieldErrors = AmmModeFieldErrors;
+	exports.AmmModesText = AmmModesText;
+	exports.ParseTradingFee = ParseTradingFee;
+	exports.TradingFeeText = TradingFeeText;
+	exports.ParseLpTokenAmount = ParseLpTokenAmount;
+	exports.IsLpTokenNumber = IsLpTokenNumber;
+	exports.ParseAuthAccounts = ParseAuthAccounts;
+	exports.AssetText = AssetText;
+	exports.IsSameAsset = IsSameAsset;
+	exports.IsPoolAmount = IsPoolAmount;
+	exports.AmmInfo = AmmInfo;
+	exports.AmmAmendmentEnabled = AmmAmendmentEnabled;
+	exports.AmmCreateFeeDrops = AmmCreateFeeDrops;
+	exports.WarnIfAmmNotEnabled = WarnIfAmmNotEnabled;
+}
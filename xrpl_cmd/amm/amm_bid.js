@@ -0,0 +1,137 @@
+///////////////////////////////////////////////////////////
+//
+// amm_bid.js - bids LP tokens for the auction slot of an Automated Market Maker (AMM)
+// syntax: node amm_bid [--json] [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 BID_MIN BID_MAX AUTH_ACCOUNTS
+//         node amm_bid --submit [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 BID_MIN BID_MAX AUTH_ACCOUNTS SEED_KEY
+//         node amm_bid --qr [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 BID_MIN BID_MAX AUTH_ACCOUNTS SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+// BID_MIN / BID_MAX (optional) - the range of LP tokens to pay for the slot:
+//   a plain number (the LP token of the AMM is fetched by `amm_info`) or  VALUE LP_CURRENCY.AMM_ACCOUNT,
+//   only the latter offline by --qr
+// AUTH_ACCOUNTS (optional) - comma separated list of up to 4 more accounts to share the discounted trading fee with
+//
+// The holder of the auction slot trades against the AMM with a discounted fee (1/10 of the trading fee) for 24 hours.
+// The price of the slot is set by the auction (see "auction_slot" in `amm_info`), the paid LP tokens are burned
+// except the refund to the previous holder. BID_MIN is paid if the price is lower, the bid fails if the price is higher than BID_MAX.
+//
+// Docs: https://xrpl.org/ammbid.html
+//       https://xrpl.org/automated-market-makers.html#auction-slot
+//       https://js.xrpl.org/interfaces/AMMBid.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_bid';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAsset, AmountValue, FormatAmount } = require('../common/libs/amount.js');
+const { ParseLpTokenAmount, IsLpTokenNumber, ParseAuthAccounts, IsSameAsset, AssetText, AmmInfo, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	asset: { id: 3, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 4, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	bid_min: { id: 5, default: '', required: false, desc: 'Minimum LP tokens to pay for the slot', example: '100 or 100 LP_CURRENCY.AMM_ACCOUNT' },
+	bid_max: { id: 6, default: '', required: false, desc: 'Maximum LP tokens to pay for the slot', example: '100 or 100 LP_CURRENCY.AMM_ACCOUNT' },
+	auth_accounts: { id: 7, default: '', required: false, desc: 'Comma separated accounts to share the discounted fee with (up to 4)' },
+
+	key: { id: 8, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 9, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 10, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 11, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMBid({ account, asset, asset2, bidMin, bidMax, authAccounts, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMBid.html
+	//       https://xrpl.org/ammbid.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMBid()"); error = true; }
+	if (!asset || !asset2){ console.error("Must specify 'asset' and 'asset2' in call AMMBid()"); error = true; }
+	if (asset && asset2 && IsSameAsset(asset, asset2)){ console.error("'asset' and 'asset2' must be different in call AMMBid()"); error = true; }
+	if (bidMin && bidMax && AmountValue(bidMin) > AmountValue(bidMax)){ console.error("'bidMin' must not be greater than 'bidMax' in call AMMBid()"); error = true; }
+	if (authAccounts?.some((item) => item.AuthAccount.Account === account)){ console.error("'authAccounts' must not include the bidding account in call AMMBid()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMBid()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMBid',
+		Account: account,
+		Asset: asset, // The definition for one of the assets in the AMM's pool.
+		Asset2: asset2, // The definition for the other asset in the AMM's pool.
+		Fee: feeDrops.toString()
+	};
+
+	if (bidMin) { cmd.BidMin = bidMin; } // Pay at least this LPToken amount for the slot.
+	if (bidMax) { cmd.BidMax = bidMax; } // Pay at most this LPToken amount for the slot.
+	if (authAccounts?.length) { cmd.AuthAccounts = authAccounts; } // A list of up to 4 additional accounts that you allow to trade at the discounted fee.
+
+	return cmd;
+}
+
+async function buildTransaction(mode, feeDrops) {
+	const asset = ParseAsset(main_params.asset.value, { name: 'asset' });
+	const asset2 = ParseAsset(main_params.asset2.value, { name: 'asset2' });
+
+	let ammLpToken;
+	if (mode !== 'qr') {
+		await WarnIfAmmNotEnabled({ network: main_params.network.value });
+		ammLpToken = ((IsLpTokenNumber(main_params.bid_min.value) || IsLpTokenNumber(main_params.bid_max.value)) ? (await AmmInfo({ asset, asset2, network: main_params.network.value })).lp_token : undefined);
+	}
+
+	return AMMBid({
+		account: main_params.account.value,
+		asset,
+		asset2,
+		bidMin: ParseLpTokenAmount(main_params.bid_min.value, { lpToken: ammLpToken, name: 'BidMin' }),
+		bidMax: ParseLpTokenAmount(main_params.bid_max.value, { lpToken: ammLpToken, name: 'BidMax' }),
+		authAccounts: ParseAuthAccounts(main_params.auth_accounts.value),
+		feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+	});
+}
+
+function qrFields(tx) {
+	const fields = [
+		{ name: 'AMM', value: `${AssetText(tx.Asset)} / ${AssetText(tx.Asset2)}` }
+	];
+	if (tx.BidMin) { fields.push({ name: 'Bid min', value: FormatAmount(tx.BidMin) }); }
+	if (tx.BidMax) { fields.push({ name: 'Bid max', value: FormatAmount(tx.BidMax) }); }
+	if (tx.AuthAccounts) { fields.push({ name: 'Auth accounts', value: tx.AuthAccounts.map((item) => item.AuthAccount.Account).join(', ') }); }
+	fields.push({ name: 'Transaction kind', value: '[ AMM AUCTION BID ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => buildTransaction(mode, feeDrops),
+		title: 'AMM BID',
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMBid = AMMBid;
+}
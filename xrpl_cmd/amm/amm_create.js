@@ -0,0 +1,112 @@
+///////////////////////////////////////////////////////////
+//
+// amm_create.js - creates an Automated Market Maker (AMM) for a pair of assets and deposits the initial liquidity
+// syntax: node amm_create [--json] [PUB|TEST|DEV] ACCOUNT AMOUNT AMOUNT2 TRADING_FEE
+//         node amm_create --submit [PUB|TEST|DEV] ACCOUNT AMOUNT AMOUNT2 TRADING_FEE SEED_KEY
+//         node amm_create --qr [PUB|TEST|DEV] ACCOUNT AMOUNT AMOUNT2 TRADING_FEE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// AMOUNT / AMOUNT2 - the initial amounts of the assets, their ratio sets the initial price:
+//   10  or  10 XRP  or  10 USD.rIssuerAddress
+// TRADING_FEE - the fee charged on trades against the AMM, percent from 0 to 1 (e.g. 0.5)
+//
+// Only one AMM can exist for an asset pair (see `amm_info`). The issuers of the tokens must have Default Ripple enabled.
+//
+// As a deterrent against ledger spam, AMMCreate requires a much higher than usual transaction cost:
+//   it destroys the owner reserve increment (currently 0.2 XRP on Mainnet) instead of the standard minimum of 0.00001 XRP.
+//   The reserve increment of the network is not known offline by --qr, the default one is proposed to be confirmed.
+//
+// Docs: https://xrpl.org/ammcreate.html
+//       https://xrpl.org/automated-market-makers.html
+//       https://js.xrpl.org/interfaces/AMMCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, IsXrpAmount, FormatAmount } = require('../common/libs/amount.js');
+const { ParseTradingFee, TradingFeeText, AmmCreateFeeDrops, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	amount: { id: 3, default: '', required: true, desc: 'Initial amount of the first asset', example: '100 or 100 XRP or 100 USD.rIssuerAddress' },
+	amount2: { id: 4, default: '', required: true, desc: 'Initial amount of the second asset', example: '100 or 100 XRP or 100 USD.rIssuerAddress' },
+	trading_fee: { id: 5, default: '', required: true, desc: 'Trading fee, percent from 0 to 1', example: '0.5' },
+	key: { id: 6, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMCreate({ account, amount, amount2, tradingFee, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMCreate.html
+	//       https://xrpl.org/ammcreate.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMCreate()"); error = true; }
+	if (!amount){ console.error("Must specify 'amount' in call AMMCreate()"); error = true; }
+	if (!amount2){ console.error("Must specify 'amount2' in call AMMCreate()"); error = true; }
+	if (amount && amount2 && IsXrpAmount(amount) && IsXrpAmount(amount2)){ console.error("'amount' and 'amount2' can not be both XRP in call AMMCreate()"); error = true; }
+	if (amount && amount2 && !IsXrpAmount(amount) && !IsXrpAmount(amount2) && amount.currency === amount2.currency && amount.issuer === amount2.issuer){ console.error("'amount' and 'amount2' must be different assets in call AMMCreate()"); error = true; }
+	if (typeof tradingFee !== 'number' || isNaN(tradingFee)){ console.error("Must specify 'tradingFee' as a Number in call AMMCreate()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMCreate()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMCreate',
+		Account: account,
+		Amount: amount, // The first of the two assets to fund this AMM with.
+		Amount2: amount2, // The second of the two assets to fund this AMM with.
+		TradingFee: tradingFee, // The fee to charge for trades against this AMM instance, in units of 1/100,000; a value of 1 is equivalent to 0.001%.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	if (mode !== 'qr') { await WarnIfAmmNotEnabled({ network: main_params.network.value }); }
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		fee: () => AmmCreateFeeDrops(mode === 'qr' ? {} : { network: main_params.network.value }),
+		build: ({ feeDrops }) => AMMCreate({
+			account: main_params.account.value,
+			amount: ParseAmount(main_params.amount.value, { name: 'amount' }),
+			amount2: ParseAmount(main_params.amount2.value, { name: 'amount2' }),
+			tradingFee: ParseTradingFee(main_params.trading_fee.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops), at least the owner reserve increment
+		}),
+		title: 'AMM CREATE',
+		qrAddtnFields: (tx) => [
+			{ name: 'Amount2', value: FormatAmount(tx.Amount2) },
+			{ name: 'Trading fee', value: TradingFeeText(tx.TradingFee) },
+			{ name: 'Transaction kind', value: '[ CREATE AMM ]' }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMCreate = AMMCreate;
+}
@@ -0,0 +1,99 @@
+///////////////////////////////////////////////////////////
+//
+// amm_delete.js - deletes an empty Automated Market Maker (AMM)
+// syntax: node amm_delete [--json] [PUB|TEST|DEV] ACCOUNT ASSET ASSET2
+//         node amm_delete --submit [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 SEED_KEY
+//         node amm_delete --qr [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+//
+// Normally an AMM is deleted automatically when all its LP tokens are returned (see `amm_withdraw`).
+// If the empty AMM has too many trust lines to delete them in one transaction, AMMDelete removes up to 512 of them:
+// send it again until the AMM is deleted. Anyone can send AMMDelete, the AMM must be empty.
+//
+// Docs: https://xrpl.org/ammdelete.html
+//       https://js.xrpl.org/interfaces/AMMDelete.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_delete';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAsset } = require('../common/libs/amount.js');
+const { IsSameAsset, AssetText, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	asset: { id: 3, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 4, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	key: { id: 5, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMDelete({ account, asset, asset2, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMDelete.html
+	//       https://xrpl.org/ammdelete.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMDelete()"); error = true; }
+	if (!asset || !asset2){ console.error("Must specify 'asset' and 'asset2' in call AMMDelete()"); error = true; }
+	if (asset && asset2 && IsSameAsset(asset, asset2)){ console.error("'asset' and 'asset2' must be different in call AMMDelete()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMDelete()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMDelete',
+		Account: account,
+		Asset: asset, // The definition for one of the assets in the AMM's pool.
+		Asset2: asset2, // The definition for the other asset in the AMM's pool.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	if (mode !== 'qr') { await WarnIfAmmNotEnabled({ network: main_params.network.value }); }
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => AMMDelete({
+			account: main_params.account.value,
+			asset: ParseAsset(main_params.asset.value, { name: 'asset' }),
+			asset2: ParseAsset(main_params.asset2.value, { name: 'asset2' }),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'AMM DELETE',
+		qrAddtnFields: (tx) => [
+			{ name: 'AMM', value: `${AssetText(tx.Asset)} / ${AssetText(tx.Asset2)}` },
+			{ name: 'Transaction kind', value: '[[ DELETE AMM ]]' }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMDelete = AMMDelete;
+}
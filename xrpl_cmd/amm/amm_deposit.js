@@ -0,0 +1,152 @@
+///////////////////////////////////////////////////////////
+//
+// amm_deposit.js - deposits assets into an Automated Market Maker (AMM) in exchange for its LP tokens
+// syntax: node amm_deposit [--json] [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE
+//         node amm_deposit --submit [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE SEED_KEY
+//         node amm_deposit --qr [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+// MODE - which of the values are specified (the other values must be left empty):
+//   two-asset            AMOUNT AMOUNT2  - deposit both assets, up to AMOUNT and AMOUNT2
+//   single-asset         AMOUNT          - deposit exactly AMOUNT of one asset
+//   lp-token             LP_TOKEN        - deposit both assets to receive exactly LP_TOKEN amount
+//   one-asset-lp-token   AMOUNT LP_TOKEN - deposit up to AMOUNT of one asset to receive exactly LP_TOKEN amount
+//   limit-lp-token       AMOUNT EPRICE   - deposit up to AMOUNT of one asset, paying at most EPRICE per LP token
+// AMOUNT / AMOUNT2 / EPRICE - 10  or  10 XRP  or  10 USD.rIssuerAddress
+// LP_TOKEN - a plain number (the LP token of the AMM is fetched by `amm_info`) or  VALUE LP_CURRENCY.AMM_ACCOUNT,
+//   only the latter offline by --qr
+//
+// A single asset deposit is charged the trading fee, as it changes the ratio of the pool.
+// Holding LP tokens adds a trust line to the AMM account (1 item to the owner reserve).
+//
+// Docs: https://xrpl.org/ammdeposit.html
+//       https://xrpl.org/automated-market-makers.html
+//       https://js.xrpl.org/interfaces/AMMDeposit.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_deposit';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { AMMDepositFlags } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, ParseAsset, FormatAmount } = require('../common/libs/amount.js');
+const { AMM_DEPOSIT_MODES, ParseAmmMode, AmmModeFieldErrors, ParseLpTokenAmount, IsLpTokenNumber, IsSameAsset, IsPoolAmount, AssetText, AmmInfo, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	asset: { id: 3, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 4, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	mode: { id: 5, default: '', required: true, desc: 'Deposit mode', example: Object.keys(AMM_DEPOSIT_MODES).join(', ') },
+	amount: { id: 6, default: '', required: false, desc: 'Amount of one asset (all modes except lp-token)', example: '10 or 10 USD.rIssuerAddress' },
+	amount2: { id: 7, default: '', required: false, desc: 'Amount of the other asset (two-asset mode)', example: '10 or 10 USD.rIssuerAddress' },
+	lp_token: { id: 8, default: '', required: false, desc: 'LP tokens to receive (lp-token modes)', example: '100 or 100 LP_CURRENCY.AMM_ACCOUNT' },
+	eprice: { id: 9, default: '', required: false, desc: 'Maximum effective price per LP token (limit-lp-token mode)', example: '0.5 or 0.5 USD.rIssuerAddress' },
+
+	key: { id: 10, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 11, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 12, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 13, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMDeposit({ account, asset, asset2, mode, amount, amount2, lpToken, ePrice, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMDeposit.html
+	//       https://xrpl.org/ammdeposit.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMDeposit()"); error = true; }
+	if (!asset || !asset2){ console.error("Must specify 'asset' and 'asset2' in call AMMDeposit()"); error = true; }
+	if (asset && asset2 && IsSameAsset(asset, asset2)){ console.error("'asset' and 'asset2' must be different in call AMMDeposit()"); error = true; }
+	if (!mode){ console.error("Must specify 'mode' in call AMMDeposit()"); error = true; }
+	if (mode) { AmmModeFieldErrors(mode, { amount, amount2, lpToken, ePrice }).forEach((msg) => { console.error(`${msg} in call AMMDeposit()`); error = true; }); }
+	if (asset && asset2 && amount && !IsPoolAmount(amount, asset, asset2)){ console.error("'amount' must be of one of the AMM assets in call AMMDeposit()"); error = true; }
+	if (asset && asset2 && amount2 && !IsPoolAmount(amount2, asset, asset2)){ console.error("'amount2' must be of one of the AMM assets in call AMMDeposit()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMDeposit()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMDeposit',
+		Account: account,
+		Asset: asset, // The definition for one of the assets in the AMM's pool.
+		Asset2: asset2, // The definition for the other asset in the AMM's pool.
+		Flags: AMMDepositFlags[mode.flag], // https://js.xrpl.org/enums/AMMDepositFlags.html
+		Fee: feeDrops.toString()
+	};
+
+	if (amount) { cmd.Amount = amount; } // The amount of one asset to deposit to the AMM.
+	if (amount2) { cmd.Amount2 = amount2; } // The amount of another asset to add to the AMM.
+	if (lpToken) { cmd.LPTokenOut = lpToken; } // How many of the AMM's LP Tokens to buy.
+	if (ePrice) { cmd.EPrice = ePrice; } // The maximum effective price, in the deposit asset, to pay for each LP Token received.
+
+	return cmd;
+}
+
+async function buildTransaction(mode, feeDrops) {
+	const asset = ParseAsset(main_params.asset.value, { name: 'asset' });
+	const asset2 = ParseAsset(main_params.asset2.value, { name: 'asset2' });
+
+	let ammLpToken;
+	if (mode !== 'qr') {
+		await WarnIfAmmNotEnabled({ network: main_params.network.value });
+		ammLpToken = (IsLpTokenNumber(main_params.lp_token.value) ? (await AmmInfo({ asset, asset2, network: main_params.network.value })).lp_token : undefined);
+	}
+
+	return AMMDeposit({
+		account: main_params.account.value,
+		asset,
+		asset2,
+		mode: ParseAmmMode(main_params.mode.value, AMM_DEPOSIT_MODES, { title: 'deposit mode' }),
+		amount: ParseAmount(main_params.amount.value, { name: 'amount' }),
+		amount2: ParseAmount(main_params.amount2.value, { name: 'amount2' }),
+		lpToken: ParseLpTokenAmount(main_params.lp_token.value, { lpToken: ammLpToken }),
+		ePrice: ParseAmount(main_params.eprice.value, { name: 'EPrice' }),
+		feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+	});
+}
+
+function qrFields(tx) {
+	const fields = [
+		{ name: 'AMM', value: `${AssetText(tx.Asset)} / ${AssetText(tx.Asset2)}` },
+		{ name: 'Deposit mode', value: ParseAmmMode(main_params.mode.value, AMM_DEPOSIT_MODES).name }
+	];
+	if (tx.Amount2) { fields.push({ name: 'Amount2', value: FormatAmount(tx.Amount2) }); }
+	if (tx.LPTokenOut) { fields.push({ name: 'LP tokens to receive', value: FormatAmount(tx.LPTokenOut) }); }
+	if (tx.EPrice) { fields.push({ name: 'Effective price', value: FormatAmount(tx.EPrice) }); }
+	fields.push({ name: 'Transaction kind', value: '[ AMM DEPOSIT ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => buildTransaction(mode, feeDrops),
+		title: 'AMM DEPOSIT',
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMDeposit = AMMDeposit;
+}
@@ -0,0 +1,130 @@
+///////////////////////////////////////////////////////////
+//
+// amm_info.js - shows the Automated Market Maker (AMM) of an asset pair: pool balances, LP token, trading fee and auction slot
+// syntax: node amm_info [PUB|TEST|DEV] ASSET ASSET2 ACCOUNT
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+// ACCOUNT (optional) - a liquidity provider to show its LP tokens and its share of the pool
+//
+// "Price" is the spot price of the pool (the ratio of its balances) before the trading fee.
+// Use the LP token as  VALUE LP_CURRENCY.AMM_ACCOUNT  in the offline `--qr` mode of the AMM commands.
+//
+//
+// Docs:
+//   https://xrpl.org/amm_info.html
+//   https://xrpl.org/automated-market-makers.html
+//   https://xrpl.org/amm.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_info';
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ParseAsset, FormatAmount, AmountValue, AmountCurrency, ExchangeRate, CurrencyCodeText } = require('../common/libs/amount.js');
+const { AccountLines } = require('../account_info/account_lines.js');
+const { AmmInfo, TradingFeeText, AssetText, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	asset: { id: 2, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 3, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	account: { id: 4, default: '', required: false, desc: 'Liquidity provider to show its share of the pool' },
+}
+
+const AmmAccountShare = function (amm, lines) {
+	// returns { lpTokens, share } of the account from its trust lines to the AMM account
+	const line = (lines || []).find((item) => item.account === amm.account && item.currency === amm.lp_token.currency);
+	const lpTokens = Number(line?.balance || 0);
+	const total = Number(amm.lp_token.value);
+
+	return { lpTokens, share: (total ? lpTokens / total : 0) };
+}
+
+const poolPart = function (amount, share) {
+	return `${+(AmountValue(amount) * share).toPrecision(15)} ${AmountCurrency(amount)}`;
+}
+
+const ShowAmm = function (amm) {
+	const price = ExchangeRate(amm.amount, amm.amount2);
+
+	console.log(`AMM account: ${ColoredText(amm.account, { color: 'FgYellow' })}`);
+	console.log('\nPOOL:');
+	console.log(`  ${ColoredText(FormatAmount(amm.amount), { color: 'FgGreen' })}${amm.asset_frozen ? ColoredText('  [FROZEN]', { color: 'FgRed' }) : ''}`);
+	console.log(`  ${ColoredText(FormatAmount(amm.amount2), { color: 'FgGreen' })}${amm.asset2_frozen ? ColoredText('  [FROZEN]', { color: 'FgRed' }) : ''}`);
+	if (price) { console.log(`Price: ${ColoredText(price.text, { color: 'FgYellow' })}  (${price.inverse})`); }
+
+	console.log(`\nLP token: ${amm.lp_token.value} ${CurrencyCodeText(amm.lp_token.currency)} (issuer ${amm.lp_token.issuer})`);
+	console.log(`  as input: "VALUE ${amm.lp_token.currency}.${amm.lp_token.issuer}"`);
+
+	console.log(`\nTrading fee: ${ColoredText(TradingFeeText(amm.trading_fee), { color: 'FgYellow' })}`);
+	if (amm.vote_slots?.length) {
+		console.log(`Votes (${amm.vote_slots.length}):`);
+		amm.vote_slots.forEach((slot) => console.log(`  [${slot.account}]  fee: ${TradingFeeText(slot.trading_fee)}  weight: ${TradingFeeText(slot.vote_weight)}`));
+	}
+
+	const slot = amm.auction_slot;
+	if (slot) {
+		console.log('\nAUCTION SLOT:');
+		console.log(`  Holder: ${slot.account}`);
+		console.log(`  Discounted fee: ${TradingFeeText(slot.discounted_fee)}`);
+		console.log(`  Price paid: ${FormatAmount(slot.price)}`);
+		console.log(`  Expiration: ${slot.expiration}`);
+		if (slot.auth_accounts?.length) { console.log(`  Auth accounts: ${slot.auth_accounts.map((item) => item.account).join(', ')}`); }
+	}
+}
+
+const ShowAccountShare = function (amm, account, { lpTokens, share }) {
+	console.log(`\nACCOUNT [${account}]:`);
+	if (!lpTokens) { console.log('  No LP tokens of this AMM'); return; }
+
+	console.log(`  LP tokens: ${ColoredText(lpTokens, { color: 'FgGreen' })}  (${ColoredText(`${+(share * 100).toPrecision(6)}%`, { color: 'FgYellow' })} of the pool)`);
+	console.log(`  Share of the pool: ${poolPart(amm.amount, share)} + ${poolPart(amm.amount2, share)}`);
+
+	const vote = amm.vote_slots?.find((item) => item.account === account);
+	if (vote) { console.log(`  Voted trading fee: ${TradingFeeText(vote.trading_fee)}`); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const asset = ParseAsset(main_params.asset.value, { name: 'asset' });
+	const asset2 = ParseAsset(main_params.asset2.value, { name: 'asset2' });
+	const account = main_params.account.value;
+	let client, amm, lines;
+
+	try{
+		console.log('\nConnecting to XRPL to fetch AMM Info...');
+		client = await XrplClient({ network: main_params.network.value });
+
+		await WarnIfAmmNotEnabled({ network: main_params.network.value, client });
+
+		amm = await AmmInfo({ asset, asset2, client });
+		if (account) { lines = await AccountLines({ account, client, peer: amm.account }); }
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	console.log(`\nAMM  ${AssetText(asset)} / ${AssetText(asset2)}`);
+	ShowAmm(amm);
+
+	if (account) { ShowAccountShare(amm, account, AmmAccountShare(amm, lines?.result?.lines)); }
+
+	quit(`\n${JSON.stringify(amm)}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.AmmAccountShare = AmmAccountShare;
+	exports.ShowAmm = ShowAmm;
+}
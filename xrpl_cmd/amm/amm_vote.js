@@ -0,0 +1,105 @@
+///////////////////////////////////////////////////////////
+//
+// amm_vote.js - votes on the trading fee of an Automated Market Maker (AMM)
+// syntax: node amm_vote [--json] [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 TRADING_FEE
+//         node amm_vote --submit [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 TRADING_FEE SEED_KEY
+//         node amm_vote --qr [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 TRADING_FEE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+// TRADING_FEE - the proposed fee, percent from 0 to 1 (e.g. 0.5)
+//
+// Only the LP token holders can vote. The trading fee of the AMM is the average of up to 8 votes weighted by the LP tokens
+// of the voters; a new vote replaces the vote with the lowest weight if all slots are taken (see `amm_info`).
+//
+// Docs: https://xrpl.org/ammvote.html
+//       https://xrpl.org/automated-market-makers.html#trading-fees
+//       https://js.xrpl.org/interfaces/AMMVote.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_vote';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAsset } = require('../common/libs/amount.js');
+const { ParseTradingFee, TradingFeeText, IsSameAsset, AssetText, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	asset: { id: 3, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 4, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	trading_fee: { id: 5, default: '', required: true, desc: 'Proposed trading fee, percent from 0 to 1', example: '0.5' },
+	key: { id: 6, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMVote({ account, asset, asset2, tradingFee, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMVote.html
+	//       https://xrpl.org/ammvote.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMVote()"); error = true; }
+	if (!asset || !asset2){ console.error("Must specify 'asset' and 'asset2' in call AMMVote()"); error = true; }
+	if (asset && asset2 && IsSameAsset(asset, asset2)){ console.error("'asset' and 'asset2' must be different in call AMMVote()"); error = true; }
+	if (typeof tradingFee !== 'number' || isNaN(tradingFee)){ console.error("Must specify 'tradingFee' as a Number in call AMMVote()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMVote()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMVote',
+		Account: account,
+		Asset: asset, // The definition for one of the assets in the AMM's pool.
+		Asset2: asset2, // The definition for the other asset in the AMM's pool.
+		TradingFee: tradingFee, // The proposed fee to vote for, in units of 1/100,000; a value of 1 is equivalent to 0.001%.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	if (mode !== 'qr') { await WarnIfAmmNotEnabled({ network: main_params.network.value }); }
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => AMMVote({
+			account: main_params.account.value,
+			asset: ParseAsset(main_params.asset.value, { name: 'asset' }),
+			asset2: ParseAsset(main_params.asset2.value, { name: 'asset2' }),
+			tradingFee: ParseTradingFee(main_params.trading_fee.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'AMM VOTE',
+		qrAddtnFields: (tx) => [
+			{ name: 'AMM', value: `${AssetText(tx.Asset)} / ${AssetText(tx.Asset2)}` },
+			{ name: 'Trading fee', value: TradingFeeText(tx.TradingFee) },
+			{ name: 'Transaction kind', value: '[ AMM VOTE ]' }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMVote = AMMVote;
+}
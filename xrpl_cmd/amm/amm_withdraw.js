@@ -0,0 +1,154 @@
+///////////////////////////////////////////////////////////
+//
+// amm_withdraw.js - withdraws assets from an Automated Market Maker (AMM) returning its LP tokens
+// syntax: node amm_withdraw [--json] [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE
+//         node amm_withdraw --submit [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE SEED_KEY
+//         node amm_withdraw --qr [PUB|TEST|DEV] ACCOUNT ASSET ASSET2 MODE AMOUNT AMOUNT2 LP_TOKEN EPRICE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ASSET / ASSET2 - the asset pair of the AMM, in any order:  XRP  or  USD.rIssuerAddress
+// MODE - which of the values are specified (the other values must be left empty):
+//   lp-token             LP_TOKEN        - return exactly LP_TOKEN amount, receive both assets
+//   all                                  - return all LP tokens, receive both assets
+//   one-asset-all        AMOUNT          - return all LP tokens, receive one asset (at least AMOUNT)
+//   single-asset         AMOUNT          - receive exactly AMOUNT of one asset
+//   two-asset            AMOUNT AMOUNT2  - receive both assets, up to AMOUNT and AMOUNT2
+//   one-asset-lp-token   AMOUNT LP_TOKEN - return exactly LP_TOKEN amount, receive one asset (at least AMOUNT)
+//   limit-lp-token       AMOUNT EPRICE   - receive up to AMOUNT of one asset, limited by the effective price EPRICE
+// AMOUNT / AMOUNT2 / EPRICE - 10  or  10 XRP  or  10 USD.rIssuerAddress
+// LP_TOKEN - a plain number (the LP token of the AMM is fetched by `amm_info`) or  VALUE LP_CURRENCY.AMM_ACCOUNT,
+//   only the latter offline by --qr
+//
+// A single asset withdrawal is charged the trading fee, as it changes the ratio of the pool.
+// When the last LP tokens are returned the AMM is deleted (see `amm_delete` if it has too many trust lines).
+//
+// Docs: https://xrpl.org/ammwithdraw.html
+//       https://xrpl.org/automated-market-makers.html
+//       https://js.xrpl.org/interfaces/AMMWithdraw.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amm_withdraw';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { AMMWithdrawFlags } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, ParseAsset, FormatAmount } = require('../common/libs/amount.js');
+const { AMM_WITHDRAW_MODES, ParseAmmMode, AmmModeFieldErrors, ParseLpTokenAmount, IsLpTokenNumber, IsSameAsset, IsPoolAmount, AssetText, AmmInfo, WarnIfAmmNotEnabled } = require('./amm.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	asset: { id: 3, default: '', required: true, desc: 'First asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	asset2: { id: 4, default: '', required: true, desc: 'Second asset of the AMM', example: 'XRP or USD.rIssuerAddress' },
+	mode: { id: 5, default: '', required: true, desc: 'Withdraw mode', example: Object.keys(AMM_WITHDRAW_MODES).join(', ') },
+	amount: { id: 6, default: '', required: false, desc: 'Amount of one asset (one-asset, single-asset, two-asset and limit modes)', example: '10 or 10 USD.rIssuerAddress' },
+	amount2: { id: 7, default: '', required: false, desc: 'Amount of the other asset (two-asset mode)', example: '10 or 10 USD.rIssuerAddress' },
+	lp_token: { id: 8, default: '', required: false, desc: 'LP tokens to return (lp-token modes)', example: '100 or 100 LP_CURRENCY.AMM_ACCOUNT' },
+	eprice: { id: 9, default: '', required: false, desc: 'Effective price limit, LP tokens per unit of the asset (limit-lp-token mode)', example: '0.5 or 0.5 USD.rIssuerAddress' },
+
+	key: { id: 10, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 11, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 12, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 13, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function AMMWithdraw({ account, asset, asset2, mode, amount, amount2, lpToken, ePrice, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/AMMWithdraw.html
+	//       https://xrpl.org/ammwithdraw.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call AMMWithdraw()"); error = true; }
+	if (!asset || !asset2){ console.error("Must specify 'asset' and 'asset2' in call AMMWithdraw()"); error = true; }
+	if (asset && asset2 && IsSameAsset(asset, asset2)){ console.error("'asset' and 'asset2' must be different in call AMMWithdraw()"); error = true; }
+	if (!mode){ console.error("Must specify 'mode' in call AMMWithdraw()"); error = true; }
+	if (mode) { AmmModeFieldErrors(mode, { amount, amount2, lpToken, ePrice }).forEach((msg) => { console.error(`${msg} in call AMMWithdraw()`); error = true; }); }
+	if (asset && asset2 && amount && !IsPoolAmount(amount, asset, asset2)){ console.error("'amount' must be of one of the AMM assets in call AMMWithdraw()"); error = true; }
+	if (asset && asset2 && amount2 && !IsPoolAmount(amount2, asset, asset2)){ console.error("'amount2' must be of one of the AMM assets in call AMMWithdraw()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call AMMWithdraw()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'AMMWithdraw',
+		Account: account,
+		Asset: asset, // The definition for one of the assets in the AMM's pool.
+		Asset2: asset2, // The definition for the other asset in the AMM's pool.
+		Flags: AMMWithdrawFlags[mode.flag], // https://js.xrpl.org/enums/AMMWithdrawFlags.html
+		Fee: feeDrops.toString()
+	};
+
+	if (amount) { cmd.Amount = amount; } // The amount of one asset to withdraw from the AMM.
+	if (amount2) { cmd.Amount2 = amount2; } // The amount of another asset to withdraw from the AMM.
+	if (lpToken) { cmd.LPTokenIn = lpToken; } // How many of the AMM's LP Tokens to redeem.
+	if (ePrice) { cmd.EPrice = ePrice; } // The minimum effective price, in LP Token returned, to pay per unit of the asset to withdraw.
+
+	return cmd;
+}
+
+async function buildTransaction(mode, feeDrops) {
+	const asset = ParseAsset(main_params.asset.value, { name: 'asset' });
+	const asset2 = ParseAsset(main_params.asset2.value, { name: 'asset2' });
+
+	let ammLpToken;
+	if (mode !== 'qr') {
+		await WarnIfAmmNotEnabled({ network: main_params.network.value });
+		ammLpToken = (IsLpTokenNumber(main_params.lp_token.value) ? (await AmmInfo({ asset, asset2, network: main_params.network.value })).lp_token : undefined);
+	}
+
+	return AMMWithdraw({
+		account: main_params.account.value,
+		asset,
+		asset2,
+		mode: ParseAmmMode(main_params.mode.value, AMM_WITHDRAW_MODES, { title: 'withdraw mode' }),
+		amount: ParseAmount(main_params.amount.value, { name: 'amount' }),
+		amount2: ParseAmount(main_params.amount2.value, { name: 'amount2' }),
+		lpToken: ParseLpTokenAmount(main_params.lp_token.value, { lpToken: ammLpToken }),
+		ePrice: ParseAmount(main_params.eprice.value, { name: 'EPrice' }),
+		feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+	});
+}
+
+function qrFields(tx) {
+	const fields = [
+		{ name: 'AMM', value: `${AssetText(tx.Asset)} / ${AssetText(tx.Asset2)}` },
+		{ name: 'Withdraw mode', value: ParseAmmMode(main_params.mode.value, AMM_WITHDRAW_MODES).name }
+	];
+	if (tx.Amount2) { fields.push({ name: 'Amount2', value: FormatAmount(tx.Amount2) }); }
+	if (tx.LPTokenIn) { fields.push({ name: 'LP tokens to return', value: FormatAmount(tx.LPTokenIn) }); }
+	if (tx.EPrice) { fields.push({ name: 'Effective price', value: FormatAmount(tx.EPrice) }); }
+	fields.push({ name: 'Transaction kind', value: '[ AMM WITHDRAW ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => buildTransaction(mode, feeDrops),
+		title: 'AMM WITHDRAW',
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.AMMWithdraw = AMMWithdraw;
+}
@@ -0,0 +1,89 @@
+///////////////////////////////////////////////////////////
+//
+// check_cancel.js - cancels a Check, removing it from the ledger without sending any money
+// syntax: node check_cancel [--json] [PUB|TEST|DEV] ACCOUNT CHECK_ID
+//         node check_cancel --submit [PUB|TEST|DEV] ACCOUNT CHECK_ID SEED_KEY
+//         node check_cancel --qr [PUB|TEST|DEV] ACCOUNT CHECK_ID SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// The source or the destination of the Check can cancel it at any time.
+// Any address can cancel an expired Check (see `account_checks` script).
+// The owner reserve of the Check source is released.
+//
+// Docs: https://xrpl.org/checkcancel.html
+//       https://xrpl.org/cancel-a-check.html
+//       https://js.xrpl.org/interfaces/CheckCancel.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'check_cancel';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { IsValidCheckId } = require('./check_create.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	check_id: { id: 3, default: '', required: true, desc: 'see `account_checks`' },
+	key: { id: 4, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function CheckCancel({ account, checkId, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/CheckCancel.html
+	//       https://xrpl.org/checkcancel.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call CheckCancel()"); error = true; }
+	if (!IsValidCheckId(checkId)){ console.error("Must specify 'checkId' as 64 characters hex string in call CheckCancel()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call CheckCancel()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'CheckCancel',
+		Account: account,
+		CheckID: checkId.toUpperCase(), // The ID of the Check ledger object to cancel, as a 64-character hexadecimal string.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => CheckCancel({
+			account: main_params.account.value,
+			checkId: main_params.check_id.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'CHECK CANCEL',
+		qrTxFields: ['CheckID'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[[ CANCEL CHECK ]]' }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.CheckCancel = CheckCancel;
+}
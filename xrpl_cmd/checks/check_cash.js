@@ -0,0 +1,115 @@
+///////////////////////////////////////////////////////////
+//
+// check_cash.js - cashes a Check by its destination
+// syntax: node check_cash [--json] [PUB|TEST|DEV] ACCOUNT CHECK_ID AMOUNT DELIVER_MIN
+//         node check_cash --submit [PUB|TEST|DEV] ACCOUNT CHECK_ID AMOUNT DELIVER_MIN SEED_KEY
+//         node check_cash --qr [PUB|TEST|DEV] ACCOUNT CHECK_ID AMOUNT DELIVER_MIN SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// Specify exactly one of:
+//   AMOUNT       - the exact amount to receive, the transaction fails if the Check cannot deliver it;
+//   DELIVER_MIN  - the minimum amount to receive, the Check delivers as much as possible up to its SendMax.
+// The currency (and the issuer) must match the SendMax of the Check:
+//   10  or  10 XRP  or  10 USD.rIssuerAddress
+//
+// Use `account_checks` script to find the CHECK_ID and to make sure the Check has not expired.
+//
+// Docs: https://xrpl.org/checkcash.html
+//       https://xrpl.org/cash-a-check-for-an-exact-amount.html
+//       https://xrpl.org/cash-a-check-for-a-flexible-amount.html
+//       https://js.xrpl.org/interfaces/CheckCash.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'check_cash';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { IsValidCheckId } = require('./check_create.js');
+const { ParseAmount, FormatAmount } = require('../common/libs/amount.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true, desc: 'Check destination account' },
+	check_id: { id: 3, default: '', required: true, desc: 'see `account_checks`' },
+	amount: { id: 4, default: '', required: false, desc: 'Exact amount to receive (or use DeliverMin)', example: '10 or 10 USD.rIssuerAddress' },
+	deliver_min: { id: 5, default: '', required: false, desc: 'Minimum amount to receive (if Amount is not specified)', example: '10 or 10 USD.rIssuerAddress' },
+
+	key: { id: 6, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function CheckCash({ account, checkId, amount, deliverMin, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/CheckCash.html
+	//       https://xrpl.org/checkcash.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call CheckCash()"); error = true; }
+	if (!IsValidCheckId(checkId)){ console.error("Must specify 'checkId' as 64 characters hex string in call CheckCash()"); error = true; }
+	if (!amount && !deliverMin){ console.error("Must specify 'amount' or 'deliverMin' in call CheckCash()"); error = true; }
+	if (amount && deliverMin){ console.error("Must specify either 'amount' or 'deliverMin', not both in call CheckCash()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call CheckCash()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'CheckCash',
+		Account: account, // Only the destination of the Check can cash it.
+		CheckID: checkId.toUpperCase(), // The ID of the Check ledger object to cash, as a 64-character hexadecimal string.
+		Fee: feeDrops.toString()
+	};
+
+	// Redeem the Check for exactly this amount, if possible. The currency must match that of the SendMax of the corresponding CheckCreate transaction.
+	if (amount) { cmd.Amount = amount; }
+	// Redeem the Check for at least this amount and for as much as possible. The currency must match that of the SendMax of the corresponding CheckCreate transaction.
+	if (deliverMin) { cmd.DeliverMin = deliverMin; }
+
+	return cmd;
+}
+
+function qrFields(tx) {
+	const fields = [];
+	if (tx.DeliverMin) { fields.push({ name: 'Deliver Min', value: FormatAmount(tx.DeliverMin) }); }
+	fields.push({ name: 'Transaction kind', value: '[ CASH CHECK ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => CheckCash({
+			account: main_params.account.value,
+			checkId: main_params.check_id.value,
+			amount: ParseAmount(main_params.amount.value, { name: 'Amount' }),
+			deliverMin: ParseAmount(main_params.deliver_min.value, { name: 'DeliverMin' }),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'CHECK CASH',
+		qrTxFields: ['CheckID'],
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.CheckCash = CheckCash;
+}
@@ -0,0 +1,151 @@
+///////////////////////////////////////////////////////////
+//
+// check_create.js - creates a Check: a deferred payment that can be cashed by its destination
+// syntax: node check_create [--json] [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT SEND_MAX EXPIRATION DESTINATION_TAG
+//         node check_create --submit [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT SEND_MAX EXPIRATION DESTINATION_TAG SEED_KEY
+//         node check_create --qr [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT SEND_MAX EXPIRATION DESTINATION_TAG SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// SEND_MAX is the maximum amount the destination can cash, XRP or a token:
+//   10  or  10 XRP  or  10 USD.rIssuerAddress
+// EXPIRATION (optional) is the time after which the Check is no longer valid, e.g. 2025-10-20T00:00:00Z or 30d
+//
+// Checks are the way to pay an account with Deposit Authorization enabled without being preauthorized:
+// the destination cashes the Check itself by `check_cash` script.
+// The funds are not set aside: the Check can fail to be cashed if the source has not enough balance at that time.
+//
+// Every Check adds 1 item to the owner reserve of the source account until it is cashed or cancelled.
+//
+// Docs: https://xrpl.org/checks.html
+//       https://xrpl.org/checkcreate.html
+//       https://xrpl.org/send-a-check.html
+//       https://js.xrpl.org/interfaces/CheckCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'check_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const LEDGER_SPACE_CHECK = 0x0043; // 'C'
+const CHECK_ID_REGEX = /^[0-9A-Fa-f]{64}$/;
+
+const { createHash } = require('crypto');
+const { decodeAccountID } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails, InputTimeToRippleTime, ColoredText } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, FormatAmount } = require('../common/libs/amount.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	source_account: { id: 2, default: '', required: true },
+	destination_account: { id: 3, default: '', required: true },
+	send_max: { id: 4, default: '', required: true, desc: 'Maximum amount the destination can cash', example: '10 or 10 USD.rIssuerAddress' },
+	expiration: { id: 5, default: '', required: false, desc: 'Time after which the Check is no longer valid', example: '2025-10-20T00:00:00Z or 30d', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	destination_tag: { id: 6, default: '', required: false, desc: 'Numeric identifier for the Check at the destination', type: 'number' },
+
+	key: { id: 7, default: '', required: true, desc: 'source account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 8, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 9, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 10, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function CheckCreate({ account, destination, sendMax, expiration, tagDest, invoiceID, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/CheckCreate.html
+	//       https://xrpl.org/checkcreate.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call CheckCreate()"); error = true; }
+	if (!destination){ console.error("Must specify 'destination' in call CheckCreate()"); error = true; }
+	if (account && account === destination){ console.error("Check 'destination' must differ from the source 'account' in call CheckCreate()"); error = true; }
+	if (!sendMax){ console.error("Must specify 'sendMax' in call CheckCreate()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call CheckCreate()"); error = true; }
+	if (typeof tagDest !== 'undefined' && tagDest !== null && isNaN(tagDest)){ console.error("Destination Tag 'tagDest' must be a Number in call CheckCreate()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'CheckCreate',
+		Account: account,
+		Destination: destination, // The unique address of the account that can cash the Check.
+		SendMax: sendMax, // Maximum amount of source currency the Check is allowed to debit the sender, including transfer fees on non-XRP currencies.
+											// The Check can only credit the destination with the same currency (from the same issuer, for non-XRP currencies).
+											// For non-XRP amounts, the nested field names MUST be lower-case.
+		Fee: feeDrops.toString()
+	};
+
+	if (expiration) { cmd.Expiration = Number(expiration); } // Time after which the Check is no longer valid, in seconds since the Ripple Epoch.
+	if (typeof tagDest !== 'undefined' && tagDest !== null) { cmd.DestinationTag = Number(tagDest); } // Arbitrary tag that identifies the reason for the Check, or a hosted recipient to pay.
+	if (invoiceID) { cmd.InvoiceID = invoiceID; } // Arbitrary 256-bit hash representing a specific reason or identifier for this Check.
+
+	return cmd;
+}
+
+const IsValidCheckId = function (checkId) {
+	return CHECK_ID_REGEX.test(checkId || '');
+}
+
+const CheckId = function (account, sequence) {
+	// The ID of a Check is the SHA-512Half of: the Check space key (0x0043), the AccountID of the sender, the Sequence (or Ticket) of CheckCreate.
+	const data = Buffer.alloc(2 + 20 + 4);
+	data.writeUInt16BE(LEDGER_SPACE_CHECK, 0);
+	Buffer.from(decodeAccountID(account)).copy(data, 2);
+	data.writeUInt32BE(Number(sequence), 22);
+
+	return createHash('sha512').update(data).digest().subarray(0, 32).toString('hex').toUpperCase();
+}
+
+const ShowCheckId = function (tx) {
+	const sequence = tx.Sequence || tx.TicketSequence;
+	if (!sequence) { return; }
+
+	const checkId = CheckId(tx.Account, sequence);
+	console.log(`\nCheck ID: ${ColoredText(checkId, { color: 'FgYellow' })}`);
+	console.log('Give it to the destination to let it cash the Check.');
+
+	return checkId;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.source_account.value,
+		build: ({ feeDrops }) => CheckCreate({
+			account: main_params.source_account.value,
+			destination: main_params.destination_account.value,
+			sendMax: ParseAmount(main_params.send_max.value, { name: 'SendMax' }),
+			expiration: InputTimeToRippleTime(main_params.expiration.value),
+			tagDest: main_params.destination_tag.value || null,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		show: (tx) => {
+			ShowTransactionDetails(tx);
+			ShowCheckId(tx);
+		},
+		title: 'CHECK CREATE',
+		qrTxFields: ['Expiration'],
+		qrAddtnFields: (tx) => [{ name: 'Send Max', value: FormatAmount(tx.SendMax) }, { name: 'Transaction kind', value: '[ CREATE CHECK ]' }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.CheckCreate = CheckCreate;
+	exports.CheckId = CheckId;
+	exports.ShowCheckId = ShowCheckId;
+	exports.IsValidCheckId = IsValidCheckId;
+}
@@ -9,7 +9,21 @@
 const MODULE_NAME = 'common_settings';
 
 const OFFLINE = false; // disables xrpl client connections.
-const ESCROW_CONDITION_BCRYPT_HASH_ROUNDS = 10; // 4..31, default: 10.
+const ESCROW_CONDITION_BCRYPT_HASH_ROUNDS = 10; // 10..31, default: 10.
+const ESCROW_CONDITION_KDF = 'argon2id'; // password key derivation of new escrows: argon2id, scrypt, bcrypt (legacy)
+const ESCROW_CONDITION_KDF_PARAMS = { // memory in MiB, see common/libs/kdf.js
+	argon2id: { memoryMiB: 64, timeCost: 3, parallelism: 1 },
+	scrypt: { memoryMiB: 128, blockSize: 8, parallelism: 1 },
+};
+const ESCROW_REGISTRY = { // the local record of the escrows created, see escrow/escrow_registry.js
+	enabled: true,
+	path: '', // default: ~/.xrpl_cmd/escrow_registry.json
+	encrypt: false, // encrypt a new registry file with a passphrase (asked once per run)
+};
+const WALLET_KEYSTORE = { // the encrypted secret keys to sign with, see wallet/keystore.js
+	enabled: true,
+	path: '', // default: ~/.xrpl_cmd/keystore.json
+};
 const SHOW_MODULES_LOADED = false;
 
 // https://xrpl.org/public-servers.html
@@ -84,6 +98,22 @@ const EscrowConditionBcryptRounds = function () {
 	return ESCROW_CONDITION_BCRYPT_HASH_ROUNDS;
 }
 
+const EscrowConditionKdf = function () {
+	return ESCROW_CONDITION_KDF;
+}
+
+const EscrowConditionKdfParams = function (algorithm) {
+	return ESCROW_CONDITION_KDF_PARAMS[algorithm];
+}
+
+const EscrowRegistrySettings = function () {
+	return ESCROW_REGISTRY;
+}
+
+const WalletKeystoreSettings = function () {
+	return WALLET_KEYSTORE;
+}
+
 const Colors = function () {
 	return COLORS;
 }
@@ -101,4 +131,8 @@ if (require.main !== module) {
 	exports.IsOffline = IsOffline;
 	exports.Colors = Colors;
 	exports.EscrowConditionBcryptRounds = EscrowConditionBcryptRounds;
+	exports.EscrowConditionKdf = EscrowConditionKdf;
+	exports.EscrowConditionKdfParams = EscrowConditionKdfParams;
+	exports.EscrowRegistrySettings = EscrowRegistrySettings;
+	exports.WalletKeystoreSettings = WalletKeystoreSettings;
 }
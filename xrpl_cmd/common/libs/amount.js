@@ -0,0 +1,145 @@
+///////////////////////////////////////////////////////////
+//
+// amount.js - XRP and issued currency (token) amounts
+//
+// Amount input formats:
+//   10  or  10 XRP              - XRP amount (converted to drops)
+//   10 USD.rIssuerAddress       - token amount, the currency code and the issuer are separated by dot
+//   10 USD rIssuerAddress       - the same with spaces
+//
+// Asset (currency without a value) input formats:
+//   XRP                         - XRP
+//   USD.rIssuerAddress          - token, or the same with spaces: USD rIssuerAddress
+//
+// Currency codes longer than 3 characters are converted to 40 characters hex (the nonstandard currency code format).
+//
+// Docs: https://xrpl.org/basic-data-types.html#specifying-currency-amounts
+//       https://xrpl.org/currency-formats.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'amount';
+
+const STANDARD_CURRENCY_REGEX = /^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/;
+const HEX_CURRENCY_REGEX = /^[0-9A-Fa-f]{40}$/;
+const NONSTANDARD_CURRENCY_MAX_LENGTH = 20;
+
+const { xrpToDrops, dropsToXrp, convertStringToHex, convertHexToString, isValidClassicAddress } = require('xrpl');
+
+const { fail, showLoadedModules } = require('./common.js');
+
+const CurrencyCode = function (code) {
+	if (HEX_CURRENCY_REGEX.test(code)) { return code.toUpperCase(); }
+	if (STANDARD_CURRENCY_REGEX.test(code)) {
+		if (code.toUpperCase() === 'XRP') { fail('"XRP" is not allowed as a token currency code'); }
+		return code;
+	}
+	if (code.length > NONSTANDARD_CURRENCY_MAX_LENGTH) { fail(`Currency code "${code}" is longer than ${NONSTANDARD_CURRENCY_MAX_LENGTH} characters`); }
+
+	return convertStringToHex(code).padEnd(40, '0').toUpperCase();
+}
+
+const CurrencyCodeText = function (code) {
+	if (!HEX_CURRENCY_REGEX.test(code || '')) { return code; }
+
+	const text = convertHexToString(code).replace(/\0/g, '');
+	return (/^[\x20-\x7E]+$/.test(text) ? text : code); // keep hex if it is not a printable text
+}
+
+const ParseAmount = function (input, { name = 'amount' } = {}) {
+	// returns XRP amount as a string of drops or a token amount as { currency, issuer, value }
+	if (typeof input === 'undefined' || input === null || `${input}`.trim() === '') { return; }
+
+	const parts = `${input}`.trim().split(/[\s.]+(?=[A-Za-z])|\s+/).filter((item) => item.length);
+	const value = parts[0];
+
+	if (isNaN(value) || Number(value) <= 0) { fail(`Invalid ${name} "${input}": the value must be a number greater than zero`); }
+
+	if (parts.length === 1 || (parts.length === 2 && parts[1].toUpperCase() === 'XRP')) {
+		try {
+			return xrpToDrops(value);
+		} catch (e) {
+			fail(`Invalid ${name} "${input}": ${e.message}`); // e.g. more than 6 decimal places
+		}
+	}
+
+	let [currency, issuer] = parts.slice(1);
+	if (!issuer && currency.includes('.')) { [currency, issuer] = currency.split('.'); }
+
+	if (!currency || !issuer) { fail(`Invalid ${name} "${input}": specify a token amount as "VALUE CURRENCY.ISSUER"`); }
+	if (!isValidClassicAddress(issuer)) { fail(`Invalid ${name} "${input}": "${issuer}" is not a valid issuer address`); }
+
+	return { currency: CurrencyCode(currency), issuer, value: `${value}` };
+}
+
+const ParseAsset = function (input, { name = 'asset' } = {}) {
+	// returns { currency: 'XRP' } or a token asset as { currency, issuer }
+	if (typeof input === 'undefined' || input === null || `${input}`.trim() === '') { return; }
+
+	const parts = `${input}`.trim().split(/[\s.]+/).filter((item) => item.length);
+	if (parts.length === 1 && parts[0].toUpperCase() === 'XRP') { return { currency: 'XRP' }; }
+
+	const [currency, issuer] = parts;
+	if (parts.length !== 2) { fail(`Invalid ${name} "${input}": specify XRP or a token as "CURRENCY.ISSUER"`); }
+	if (!isValidClassicAddress(issuer)) { fail(`Invalid ${name} "${input}": "${issuer}" is not a valid issuer address`); }
+
+	return { currency: CurrencyCode(currency), issuer };
+}
+
+const IsXrpAmount = function (amount) {
+	return (typeof amount === 'string' || typeof amount === 'number');
+}
+
+const AmountValue = function (amount) {
+	// returns XRP amount in XRP (not drops) or a token amount value as a Number
+	if (typeof amount === 'undefined' || amount === null) { return; }
+	return Number(IsXrpAmount(amount) ? dropsToXrp(amount) : amount.value);
+}
+
+const AmountCurrency = function (amount) {
+	return (IsXrpAmount(amount) ? 'XRP' : CurrencyCodeText(amount.currency));
+}
+
+const AmountInputText = function (amount) {
+	// the amount in the input format accepted by ParseAmount()
+	if (typeof amount === 'undefined' || amount === null) { return ''; }
+	if (IsXrpAmount(amount)) { return `${dropsToXrp(amount)} XRP`; }
+
+	return `${amount.value} ${CurrencyCodeText(amount.currency)}.${amount.issuer}`;
+}
+
+const ExchangeRate = function (baseAmount, quoteAmount) {
+	// the price of 1 unit of the base asset in units of the quote asset (e.g. TakerGets / TakerPays of an offer)
+	const base = AmountValue(baseAmount);
+	const quote = AmountValue(quoteAmount);
+	if (!base || !quote) { return; }
+
+	return {
+		value: quote / base,
+		text: `1 ${AmountCurrency(baseAmount)} = ${+(quote / base).toPrecision(15)} ${AmountCurrency(quoteAmount)}`,
+		inverse: `1 ${AmountCurrency(quoteAmount)} = ${+(base / quote).toPrecision(15)} ${AmountCurrency(baseAmount)}`
+	};
+}
+
+const FormatAmount = function (amount) {
+	if (typeof amount === 'undefined' || amount === null) { return ''; }
+	if (IsXrpAmount(amount)) { return `${dropsToXrp(amount)} XRP`; }
+
+	return `${amount.value} ${CurrencyCodeText(amount.currency)}${amount.issuer ? ` (issuer ${amount.issuer})` : ''}`;
+}
+
+if (require.main !== module) {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.ParseAmount = ParseAmount;
+	exports.ParseAsset = ParseAsset;
+	exports.FormatAmount = FormatAmount;
+	exports.IsXrpAmount = IsXrpAmount;
+	exports.AmountValue = AmountValue;
+	exports.AmountCurrency = AmountCurrency;
+	exports.ExchangeRate = ExchangeRate;
+	exports.AmountInputText = AmountInputText;
+	exports.CurrencyCode = CurrencyCode;
+	exports.CurrencyCodeText = CurrencyCodeText;
+}
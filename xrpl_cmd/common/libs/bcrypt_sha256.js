@@ -23,6 +23,7 @@ const { fail } = require('assert');
 
 const { Condition, Fulfillment } = require('./crypto_condition.js');
 const { InternalError } = require('./errors.js');
+const { ShowLoadedModules } = require('../common_settings.js');
 
 const BASE64_CODE = Buffer.from("./ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789");
 const BCRYPT_MAXSALT = 16;
@@ -215,7 +216,7 @@ const bcryptEncodeBase64 = function (outBufferUint8, inDataUint8, dataLength) {
 }
 
 if (require.main !== module) {
-	console.log(MODULE_NAME + ' module loaded');
+	if (ShowLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
 	exports.Sha256condition = Sha256condition;
 	exports.Sha256Fulfillment = Sha256Fulfillment;
@@ -13,12 +13,55 @@ const readline = require('readline'); // built-in nodejs module
 const { DateAddTimeInterval } = require('./time.js');
 const { ShowLoadedModules } = require('../common_settings.js');
 
+var ticketSequenceOption;
+var secretKeyInputOption;
+var commandModeOption; // { mode, modes } of the transaction command, see CommandModeOption()
+var automationOption;
+var namedOptions = []; // [{ name, flag, desc }] of the script options, see TakeNamedOption()
+
+const COMMON_OPTIONS = [
+	{ name: 'ticket', value: 'N', desc: 'use the Ticket N instead of the next account Sequence (N1,N2,... for a batch), see `account_tickets`' },
+	{ name: 'key-stdin', secret: true, desc: 'read the secret key from the standard input' },
+	{ name: 'key-fd', value: 'N', secret: true, desc: 'read the secret key from the file descriptor N, e.g. --key-fd 3 3<secret.txt' },
+	{ name: 'key-file', value: 'PATH', secret: true, desc: 'read the secret key from the file (chmod 600), the first line or XRPL_SECRET_KEY=...' },
+	{ name: 'key-argv', secret: true, desc: 'allow the secret key to be passed as a positional or named parameter' },
+	{ name: 'yes', desc: 'confirm the transactions submit without asking' },
+	{ name: 'answers', value: 'PATH', desc: 'answer the questions from the JSON file (chmod 600): { "question or parameter": "answer" }' },
+	{ name: 'strict', desc: 'fail on a question not answered by --answers instead of waiting for the input' },
+	{ name: 'help', desc: 'show this help (or -h)' },
+];
+
+const COMMAND_MODES = {
+	json: 'build the transaction JSON to be signed by `common/sign` (online, no secret key)',
+	qr: 'sign offline and show the signed transaction as a QR code',
+	submit: 'sign and submit the transaction online',
+};
+
 const clearLastLines = function (count) {
+  if (!process.stdout.isTTY) { return; }
   process.stdout.moveCursor(0, -count);
   process.stdout.clearScreenDown();
 }
 
-const prompt = function (message, { hide, scramble } = {}) {
+const prompt = function (message, { hide, scramble, name, confirmation, optional } = {}) {
+	// name: the key of the answer in the `--answers` file (the question text by default)
+	// confirmation: the question is answered "yes" by `--yes`
+	// optional: the question is answered empty (the default value) in the strict mode if it is not in the `--answers` file
+	const automated = automatedAnswer(name || message, { confirmation });
+	if (typeof automated !== 'undefined') {
+		console.log(`${message}${(scramble || hide ? '*'.repeat(hide ? 0 : automated.length) : automated)}`);
+		return Promise.resolve(automated);
+	}
+	if (AutomationOption().strict && optional) {
+		console.log(message);
+		return Promise.resolve('');
+	}
+	if (AutomationOption().strict) {
+		console.error(`\n\nThe question is not answered in the strict mode: "${answerKey(name || message)}"`);
+		console.error('Add its answer to the --answers file (the question text or the parameter name as the key), or run without --strict');
+		process.exit(1);
+	}
+
 	const rl = readline.createInterface({
 		input: process.stdin,
 		output: process.stdout
@@ -81,7 +124,7 @@ const PromptParameter = async function (paramOptions, paramKey, initialRequest =
 			promptQuestion = `${newline}${paramOptions.message}${textAuto}: `;
 		}
 
-		let answer = (await prompt(promptQuestion, { scramble: paramOptions.scramble })).trim();
+		let answer = (await prompt(promptQuestion, { scramble: paramOptions.scramble, name: paramKey || paramOptions.message, optional: !!paramKey && !paramOptions.required })).trim();
 		if (!answer && existDefaultValue) { answer = paramDefaultAutoValue(paramOptions); }
 		if (answer && typeof paramOptions.answerMinLength !== 'undefined' && paramOptions.answerMinLength >= 0 && answer.length < paramOptions.answerMinLength) {
 			console.log(`  You must type at least ${options.answerMinLength} characters`);
@@ -117,15 +160,264 @@ const PromptWalletKey = async function (paramOptions, paramName, walletAccount)
 	return await PromptParameter(opts, paramName);
 }
 
+const TakeNamedOption = function (name, { flag, desc } = {}) {
+	// Removes `--name value`, `--name=value` (or `--name` if it is a flag) from process.argv
+	// so the positional parameters keep their ids. `--name` without a value returns an empty string.
+	// desc: the option is listed by `--help` (see ShowParamsHelp())
+	const argv = process.argv;
+
+	if (desc && !namedOptions.some((item) => item.name === name)) { namedOptions.push({ name, flag, desc }); }
+
+	for (let i = 2; i < argv.length; i++) {
+		if (argv[i] === `--${name}`) {
+			if (flag) { argv.splice(i, 1); return true; }
+
+			const value = argv[i + 1];
+			if (typeof value === 'undefined' || value.startsWith('--')) { argv.splice(i, 1); return ''; }
+
+			argv.splice(i, 2);
+			return value;
+		}
+		if (argv[i].startsWith(`--${name}=`)) {
+			const value = argv[i].substring(name.length + 3);
+			argv.splice(i, 1);
+			return value;
+		}
+	}
+}
+
+const TicketSequenceOption = function ({ list } = {}) {
+	// `--ticket N` uses the Ticket N instead of the next account Sequence (Sequence: 0 + TicketSequence: N).
+	// `--ticket N1,N2,...` lists the Tickets of a batch of transactions, returned with `list` only.
+	if (typeof ticketSequenceOption === 'undefined') {
+		const value = TakeNamedOption('ticket');
+		ticketSequenceOption = null;
+
+		if (typeof value !== 'undefined') {
+			if (!/^\d+(,\d+)*$/.test(value || '') || value.split(',').some(item => Number(item) <= 0)) {
+				console.error(`Invalid --ticket value "${value || ''}". Must be a Ticket Sequence number (or a comma separated list), see \`account_tickets\``);
+				process.exit(1);
+			}
+			ticketSequenceOption = value.split(',').map(Number);
+		}
+	}
+
+	if (!ticketSequenceOption) { return null; }
+	if (list) { return ticketSequenceOption; }
+
+	if (ticketSequenceOption.length > 1) {
+		console.error(`A single Ticket is used by this transaction, not ${ticketSequenceOption.length}: --ticket ${ticketSequenceOption.join(',')}`);
+		process.exit(1);
+	}
+
+	return ticketSequenceOption[0];
+}
+
+const TakeNamedParams = function (params) {
+	// `--param_name value`, `--param-name value` or `--param_name=value` of every parameter => { param_name: value }
+	const named = {};
+
+	Object.keys(params).forEach((key) => {
+		const names = [key, key.replace(/_/g, '-')].filter((name, idx, list) => list.indexOf(name) === idx);
+
+		names.forEach((name) => {
+			const value = TakeNamedOption(name);
+			if (typeof value === 'undefined') { return; }
+			if (!value.length) { namedOptionError(`Missing value of --${name}`); }
+			if (typeof named[key] !== 'undefined') { namedOptionError(`Parameter "${key}" is specified twice`); }
+
+			named[key] = value;
+		})
+	})
+
+	return named;
+}
+
+const HelpOption = function () {
+	const index = process.argv.indexOf('-h', 2);
+	if (index >= 0) { process.argv.splice(index, 1); return true; }
+
+	return !!TakeNamedOption('help', { flag: true });
+}
+
+const CheckUnknownOptions = function () {
+	// the options left in process.argv are not known by the script
+	const unknown = process.argv.slice(2).find((arg) => /^--./.test(arg));
+	if (unknown) { namedOptionError(`Unknown option "${unknown.split('=')[0]}", see --help`); }
+}
+
+const paramLabel = function (params, key) {
+	// a parameter without "id" is only named
+	return (params[key].id ? `${params[key].id} "${key}"` : `--${key}`);
+}
+
+const ShowParamsHelp = function (params) {
+	// the usage generated from the parameters: id, required, desc, example, default and type
+	const keys = Object.keys(params).sort((a, b) => (params[a].id || Infinity) - (params[b].id || Infinity));
+	const script = require('path').basename(process.argv[1] || '', '.js');
+	const usage = keys.filter((key) => params[key].id).map((key) => (params[key].required || params[key].mandatory_required ? key.toUpperCase() : `[${key.toUpperCase()}]`));
+	const hasSecret = keys.some((key) => paramIsOfType('secret_key', { type: params[key].type || paramTypeByName(key) }));
+	const width = Math.max(...keys.map((key) => key.length), ...COMMON_OPTIONS.concat(namedOptions).map((item) => item.name.length + (item.value ? item.value.length + 1 : 0))) + 4;
+
+	const modeUsage = (commandModeOption ? `--${commandModeOption.mode} ` : '');
+	console.log(`Usage: node ${script} ${modeUsage}${usage.join(' ')} [OPTIONS]`);
+	if (commandModeOption?.modes.length > 1) { console.log(`The parameters of the --${commandModeOption.mode} mode, see \`--MODE --help\` of the others: ${commandModeOption.modes.filter((mode) => mode !== commandModeOption.mode).map((mode) => `--${mode}`).join(', ')}`); }
+	console.log('\nParameters (positional in this order, or named: --name value, --name=value; the ones without a number are only named):');
+
+	keys.forEach((key) => {
+		const opts = params[key];
+		const type = opts.type || paramTypeByName(key);
+		const details = [
+			(opts.required || opts.mandatory_required ? 'required' : 'optional'),
+			opts.desc,
+			(opts.example ? `example: ${opts.example}` : ''),
+			helpDefaultText(opts),
+			(type ? `type: ${[].concat(type).join(', ')}` : '')
+		].filter((text) => text);
+
+		console.log(`  ${`${opts.id || ''}`.padStart(2)}  ${`--${key}`.padEnd(width)} ${details.join(', ')}`);
+	})
+
+	console.log('\nOptions:');
+	COMMON_OPTIONS.filter((item) => hasSecret || !item.secret).concat(namedOptions).forEach((item) => {
+		console.log(`      ${`--${item.name}${item.value ? ` ${item.value}` : ''}`.padEnd(width)} ${item.desc}`);
+	})
+
+	if (hasSecret) { console.log('\nThe secret key passed on the command line is rejected without --key-argv: pass "" in its place to be asked for it.'); }
+}
+
+const CommandModeOption = function (modes) {
+	// `--json`, `--qr` or `--submit`: the mode of the transaction command of "modes",
+	// `--json` by default, the commands without the JSON mode require the mode to be chosen
+	if (typeof commandModeOption !== 'undefined') { return commandModeOption.mode; }
+
+	const chosen = Object.keys(COMMAND_MODES).filter((mode) => TakeNamedOption(mode, { flag: true, desc: (modes.includes(mode) ? COMMAND_MODES[mode] : undefined) }));
+	const available = modes.map((mode) => `--${mode}`).join(', ');
+
+	if (chosen.length > 1) { namedOptionError(`Choose only one of ${chosen.map((mode) => `--${mode}`).join(', ')}`); }
+	if (chosen.length && !modes.includes(chosen[0])) { namedOptionError(`The command has no --${chosen[0]} mode, available: ${available}`); }
+
+	const mode = chosen[0] || (modes.includes('json') ? 'json' : undefined);
+	if (!mode && !process.argv.slice(2).some((arg) => ['-h', '--help'].includes(arg))) { namedOptionError(`Choose the mode of the command: ${available}`); }
+
+	commandModeOption = { mode: mode || modes[0], modes };
+	return commandModeOption.mode;
+}
+
+const AutomationOption = function () {
+	// `--yes` confirms the submit, `--answers PATH` answers the questions from the JSON file,
+	// `--strict` fails on a question not answered instead of waiting for the input (cron jobs, end-to-end tests).
+	// The standard input read by `--key-stdin` can't answer the questions either: it is the strict mode too.
+	if (typeof automationOption !== 'undefined') { return automationOption; }
+
+	const yes = !!TakeNamedOption('yes', { flag: true });
+	const strict = !!TakeNamedOption('strict', { flag: true });
+	const file = TakeNamedOption('answers');
+
+	automationOption = { yes, strict: strict || !!secretKeyInputOption?.stdin, answers: {} };
+	if (typeof file === 'undefined') { return automationOption; }
+
+	if (!file) { namedOptionError('Invalid --answers value. Must be a JSON file path'); }
+	checkPrivateFile(file, { title: 'answers file' });
+
+	try {
+		automationOption.answers = JSON.parse(require('fs').readFileSync(file, 'utf8'));
+	} catch (e) {
+		namedOptionError(`Unable to read the answers file "${file}": ${e.message}`);
+	}
+	if (!automationOption.answers || typeof automationOption.answers !== 'object' || Array.isArray(automationOption.answers)) {
+		namedOptionError(`The answers file "${file}" must be a JSON object: { "question or parameter name": "answer" or ["1st answer", "2nd answer"] }`);
+	}
+
+	return automationOption;
+}
+
+const CommonOptions = function () {
+	// [{ name, value, desc }] of the options accepted by every script (see defineMainParams() in `common.js`)
+	return COMMON_OPTIONS;
+}
+
+const SecretKeyInputOption = function () {
+	// `--key-stdin`, `--key-fd N` or `--key-file PATH` reads the secret key from the standard input, the file descriptor N
+	// or the file instead of the command line, where it is shown in the process list and saved in the shell history.
+	// `--key-argv` allows the secret key to be passed as a positional parameter.
+	if (typeof secretKeyInputOption !== 'undefined') { return secretKeyInputOption; }
+
+	const fromStdin = TakeNamedOption('key-stdin', { flag: true });
+	const fd = TakeNamedOption('key-fd');
+	const file = TakeNamedOption('key-file');
+
+	secretKeyInputOption = { allowArgv: !!TakeNamedOption('key-argv', { flag: true }) };
+
+	const sources = [fromStdin, fd, file].filter((value) => typeof value !== 'undefined');
+	if (!sources.length) { return secretKeyInputOption; }
+	if (sources.length > 1) { secretKeyInputError('Specify only one of --key-stdin, --key-fd, --key-file'); }
+
+	if (fromStdin) {
+		if (process.stdin.isTTY) { secretKeyInputError('--key-stdin expects the secret key piped to the standard input, omit it to be asked for the key'); }
+		secretKeyInputOption.source = 'the standard input';
+		secretKeyInputOption.stdin = true;
+		secretKeyInputOption.secret = readSecretKey(0, secretKeyInputOption.source);
+
+	} else if (typeof fd !== 'undefined') {
+		if (!/^\d+$/.test(fd || '')) { secretKeyInputError(`Invalid --key-fd value "${fd || ''}". Must be a file descriptor number, e.g. --key-fd 3 3<secret.txt`); }
+		secretKeyInputOption.source = `the file descriptor ${fd}`;
+		secretKeyInputOption.secret = readSecretKey(Number(fd), secretKeyInputOption.source);
+
+	} else {
+		if (!file) { secretKeyInputError('Invalid --key-file value. Must be a file path'); }
+		checkPrivateFile(file);
+		secretKeyInputOption.source = `the file ${file}`;
+		secretKeyInputOption.secret = readSecretKey(file, secretKeyInputOption.source);
+	}
+
+	return secretKeyInputOption;
+}
+
+const ApplySecretKeyInput = function (params) {
+	// sets the value of the `secret_key` parameter read by SecretKeyInputOption(),
+	// rejects a secret key passed positionally without `--key-argv`
+	const input = SecretKeyInputOption();
+	const keys = Object.keys(params).filter((key) => paramIsOfType('secret_key', { type: params[key].type || paramTypeByName(key) }));
+
+	keys.forEach((key) => {
+		if (!params[key].cmdParam || input.allowArgv) { return; }
+		secretKeyInputError(`The secret key must not be passed on the command line (parameter ${paramLabel(params, key)}): it is shown in the process list and saved in the shell history.\n`
+			+ 'Use --key-stdin, --key-fd N, --key-file PATH or the keystore (pass "" in its place), or add --key-argv to allow it');
+	})
+
+	if (!input.secret) { return; }
+
+	const key = keys.find((name) => !params[name].value);
+	if (!key) { secretKeyInputError(`The secret key of ${input.source} is not used: the script has no secret key parameter to set`); }
+
+	const { IsValidSecretKey } = require('./wallet');
+	if (!IsValidSecretKey(input.secret)) { secretKeyInputError(`Invalid secret key read from ${input.source}`); }
+
+	params[key].value = input.secret;
+}
+
+const SkipSequenceParams = function (params) {
+	// A transaction using a Ticket needs neither the account Sequence nor the Last Ledger Sequence,
+	// so it can be signed offline and submitted later in any order.
+	Object.keys(params).forEach(key => {
+		const opts = { type: params[key].type || paramTypeByName(key) };
+		if (!paramIsOfType('account_sequence', opts) && !paramIsOfType('ledger_sequence', opts)) { return; }
+
+		params[key].required = false;
+		params[key].skip = true;
+	})
+}
+
 const validateMainParams = function (params, allowSkipSomeRequired = false) {
 	let requiredValid = true, nonrequiredValid = true;
 
 	Object.keys(params).forEach(key => {
-		if (params[key].value) { return; }
+		if (params[key].value || params[key].skip || params[key].keystore) { return; }
 		if (params[key].mandatory_required) { params[key].required = true; }
 		if (!params[key].required) { nonrequiredValid = false; return; }
 
-		console.error('Required parameter ' + params[key].id + ' ("' + key + '") not specified');
+		console.error(`Required parameter ${paramLabel(params, key)} not specified`);
 
 		if (allowSkipSomeRequired && !params[key].mandatory_required) {
 			if (!params[key].cmdParam && paramIsOfType('secret_key', params[key])) { return; }
@@ -141,14 +433,94 @@ const requestParameters = async function (params, { autoDetectParamType, initial
 	let firsttime = true;
 
 	for (const key of Object.keys(params)) {
-		if (params[key].value) { continue; }
-		if (firsttime) { console.log('Specify parameters to continue'); firsttime = false; }
+		if (params[key].value || params[key].skip) { continue; }
 		if (!params[key].type && autoDetectParamType) { params[key].type = paramTypeByName(key); }
+		if (initialRequest && keystoreSignerParam(params, key)) { params[key].keystore = true; continue; }
+		if (firsttime) { console.log('Specify parameters to continue'); firsttime = false; }
 
 		params[key].value = await PromptParameter(params[key], key, initialRequest);
 	}
 }
 
+function keystoreSignerParam (params, key) {
+	// the secret key is not asked if the keystore has the key of an account of the parameters:
+	// it is unlocked on signing (see SignWithKeyPrompt() in `sign.js`)
+	if (params[key].mandatory_required || !paramIsOfType('secret_key', params[key])) { return false; }
+
+	const { KeystoreEntry } = require('../../wallet/keystore.js');
+	return Object.keys(params).some((name) => (typeof params[name].value === 'string' && params[name].value && !!KeystoreEntry(params[name].value)));
+}
+
+function readSecretKey (pathOrFd, source) {
+	// the first line, the value of XRPL_SECRET_KEY=... in an environment file
+	const fs = require('fs');
+	let content;
+
+	try {
+		content = fs.readFileSync(pathOrFd, 'utf8');
+	} catch (e) {
+		secretKeyInputError(`Unable to read the secret key from ${source}: ${e.message}`);
+	}
+
+	const lines = content.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length && !line.startsWith('#'));
+	const variable = lines.map((line) => /^(?:export\s+)?XRPL_SECRET_KEY\s*=\s*(.*)$/.exec(line)).find((mm) => mm);
+	const secret = (variable ? variable[1].replace(/^(['"])(.*)\1$/, '$2') : lines[0])?.trim();
+
+	if (!secret) { secretKeyInputError(`No secret key in ${source}`); }
+	return secret;
+}
+
+function checkPrivateFile (file, { title = 'secret key file' } = {}) {
+	// the file must be a regular file not accessible by the group and the others (chmod 600), except on Windows
+	const fs = require('fs');
+	let stats;
+
+	try {
+		stats = fs.statSync(file);
+	} catch (e) {
+		secretKeyInputError(`Unable to read the ${title}: ${e.message}`);
+	}
+
+	if (!stats.isFile()) { secretKeyInputError(`The ${title} "${file}" is not a regular file`); }
+	if (process.platform !== 'win32' && (stats.mode & 0o077)) {
+		secretKeyInputError(`The ${title} "${file}" is accessible by other users (mode ${(stats.mode & 0o777).toString(8)}), run: chmod 600 ${file}`);
+	}
+}
+
+function answerKey (question) {
+	// "\nEnter the password [Default: 1]: " => "Enter the password"
+	return `${question}`.replace(/\s*\[Default: [^\]]*\]\s*:?\s*$/, '').trim().replace(/\s*:$/, '');
+}
+
+function automatedAnswer (question, { confirmation } = {}) {
+	// the answer of the `--answers` file: the key equal to the question (or the parameter name), or the longest key the question starts with;
+	// a list of answers is used one by one for the repeated question; undefined if not answered
+	const { yes, answers } = AutomationOption();
+	const key = answerKey(question);
+
+	const found = (key in answers ? key : Object.keys(answers).filter((item) => item.length && key.startsWith(item)).sort((a, b) => b.length - a.length)[0]);
+	if (typeof found === 'undefined') { return (confirmation && yes ? 'yes' : undefined); }
+
+	let answer = answers[found];
+	if (Array.isArray(answer)) {
+		if (!answer.length) { return (confirmation && yes ? 'yes' : undefined); }
+		answer = answer.shift();
+	}
+
+	if (typeof answer === 'boolean') { return (answer ? 'yes' : 'no'); }
+	return `${answer ?? ''}`;
+}
+
+function namedOptionError (text) {
+	console.error(text);
+	process.exit(1);
+}
+
+function secretKeyInputError (text) {
+	console.error(text);
+	process.exit(1);
+}
+
 function paramIsOfType (type, opts = {}) {
 	if (!opts.type) { return false; }
 	if (typeof opts.type === 'string' && opts.type === type) { return true; }
@@ -227,6 +599,15 @@ function isValidDate(dateTest) {
 	return (dateTest instanceof Date && !isNaN(dateTest));
 }
 
+function helpDefaultText(paramOptions) {
+	// the auto value may depend on the parameters not specified yet (e.g. the network)
+	try {
+		return (paramIsAnyDefaultValue(paramOptions) ? `default: ${paramDefaultAutoValue(paramOptions)}` : '');
+	} catch (e) {
+		return 'default: auto';
+	}
+}
+
 function paramIsAnyDefaultValue(paramOptions) {
 	if (!isUndefinedEmptyValue(paramOptions?.default)) { return true; }
 
@@ -264,6 +645,14 @@ function paramTypeByName (key) {
 		case 'sign_key':
 		case 'key':
 			return 'secret_key';
+
+		case 'account_sequence':
+		case 'source_account_sequence':
+			return 'account_sequence';
+
+		case 'ledger_current_index':
+		case 'ledger_index_timeout':
+			return 'ledger_sequence';
 	}
 }
 
@@ -277,4 +666,16 @@ if (require.main !== module) {
 	exports.PromptWalletKey = PromptWalletKey;
 	exports.prompt = prompt;
 	exports.ProcessInputDateTime = ProcessInputDateTime;
+	exports.TakeNamedOption = TakeNamedOption;
+	exports.TakeNamedParams = TakeNamedParams;
+	exports.HelpOption = HelpOption;
+	exports.CheckUnknownOptions = CheckUnknownOptions;
+	exports.ShowParamsHelp = ShowParamsHelp;
+	exports.CommonOptions = CommonOptions;
+	exports.CommandModeOption = CommandModeOption;
+	exports.AutomationOption = AutomationOption;
+	exports.TicketSequenceOption = TicketSequenceOption;
+	exports.SkipSequenceParams = SkipSequenceParams;
+	exports.SecretKeyInputOption = SecretKeyInputOption;
+	exports.ApplySecretKeyInput = ApplySecretKeyInput;
 }
@@ -11,11 +11,11 @@ const MODULE_NAME = 'common';
 // const RIPPLE_EPOCH_UNIX_DIFFERENCE = 946684800 // the number of seconds since the "Ripple Epoch" of January 1, 2000 (00:00 UTC) is 946684800.
 
 const xrpl = require('xrpl');
-const readline = require('readline'); // built-in nodejs module
 
-const { validateMainParams, requestParameters, PromptParameter } = require('./cli_args.js');
+const { validateMainParams, requestParameters, PromptParameter, ProcessInputDateTime, TicketSequenceOption, SkipSequenceParams, SecretKeyInputOption, ApplySecretKeyInput, CommandModeOption, AutomationOption, prompt, TakeNamedParams, HelpOption, CheckUnknownOptions, ShowParamsHelp } = require('./cli_args.js');
 const { XrplServerSettings, XrplServers, Colors, ShowLoadedModules, IsOffline } = require('../common_settings.js');
 const { ShowMemos } = require('./memo.js');
+const { InternalError } = require('./errors.js');
 // const { type } = require('os');
 
 const XRPL_SERVERS = XrplServers();
@@ -31,19 +31,6 @@ const fail = function (message) {
 	process.exit(1);
 }
 
-const prompt = function (message) {
-	const rl = readline.createInterface({
-		input: process.stdin,
-		output: process.stdout
-	});
-
-	return new Promise(resolve => rl.question(message, answer => {
-		rl.history = rl.history.slice(1);
-		rl.close();
-		resolve(answer);
-	}));
-}
-
 const checkObjectHasArrays = (obj, maxDeepLevel, arraysList, curDeepLevel) => {
   let stoppedInMiddle = false;
   let arrayFound = false;
@@ -112,7 +99,9 @@ const ShowTransactionDetails = function (tx, { extra } = {}) {
 	const btmLineWidth = topLineWidth + title.length;
 	console.log(`\n${'='.repeat(topLineWidth / 2)}${title}${'='.repeat(topLineWidth / 2)}`);
 
-	if (tx.Amount) { console.log(`Amount: ${ColoredText(`${xrpl.dropsToXrp(parseInt(tx.Amount, 10))} XRP`, { color: 'FgGreen' })}`); }
+	const { FormatAmount, ExchangeRate, CurrencyCodeText } = require('./amount.js');
+
+	if (tx.Amount) { console.log(`Amount: ${ColoredText(FormatAmount(tx.Amount), { color: 'FgGreen' })}`); }
 	console.log(`Fee: ${ColoredText(`${tx.Fee} drops`, { color: 'FgGreen' })}`);
 
 	if (tx.Account && tx.Destination) { console.log(`From [${tx.Account}]  \x1b[32mTo\x1b[0m  [\x1b[32m${tx.Destination}\x1b[0m]${tx.Account === tx.Destination ? '  (identical addresses)' : ''}`); }
@@ -138,32 +127,199 @@ const ShowTransactionDetails = function (tx, { extra } = {}) {
 		}
 	}
 
+	if (tx.TransactionType === 'SignerListSet') {
+		if (!tx.SignerQuorum) { console.log(ColoredText('Signer list will be removed', { color: 'FgYellow' })); }
+		else {
+			console.log(`Signer Quorum: ${ColoredText(tx.SignerQuorum, { color: 'FgYellow' })}`);
+			tx.SignerEntries?.forEach((item) => console.log(`  Signer [${item.SignerEntry.Account}]  weight: ${item.SignerEntry.SignerWeight}`));
+		}
+	}
+
+	if (tx.TransactionType === 'AccountSet' && (tx.SetFlag || tx.ClearFlag)) {
+		const { DescribeSetFlag } = require('../../account_settings/account_set.js');
+		if (tx.SetFlag) { console.log(`SetFlag: ${ColoredText(DescribeSetFlag(tx.SetFlag).name, { color: 'FgYellow' })}`); }
+		if (tx.ClearFlag) { console.log(`ClearFlag: ${ColoredText(DescribeSetFlag(tx.ClearFlag).name, { color: 'FgYellow' })}`); }
+	}
+
+	if (tx.TransactionType === 'Payment') {
+		if (tx.SendMax) { console.log(`Send Max: ${ColoredText(FormatAmount(tx.SendMax), { color: 'FgYellow' })}`); }
+		if (tx.DeliverMin) { console.log(`Deliver Min: ${ColoredText(FormatAmount(tx.DeliverMin), { color: 'FgYellow' })}`); }
+		if (tx.Paths) { console.log(`Paths: ${tx.Paths.length}`); }
+		const flags = FlagNames(tx.Flags, xrpl.PaymentFlags);
+		if (flags.length) { console.log(`Flags: ${ColoredText(flags.join(', '), { color: 'FgYellow' })}`); }
+	}
+
+	if (tx.TransactionType?.startsWith('Check')) {
+		if (tx.CheckID) { console.log(`Check ID: ${ColoredText(tx.CheckID, { color: 'FgYellow' })}`); }
+		if (tx.SendMax) { console.log(`Send Max: ${ColoredText(FormatAmount(tx.SendMax), { color: 'FgGreen' })}`); }
+		if (tx.DeliverMin) { console.log(`Deliver Min: ${ColoredText(FormatAmount(tx.DeliverMin), { color: 'FgGreen' })}`); }
+		if (tx.Expiration) { console.log(`Expiration: ${xrpl.rippleTimeToISOTime(tx.Expiration)}`); }
+	}
+
+	if (tx.TransactionType?.startsWith('Offer')) {
+		if (tx.TakerGets) { console.log(`Sell (TakerGets): ${ColoredText(FormatAmount(tx.TakerGets), { color: 'FgRed' })}`); }
+		if (tx.TakerPays) { console.log(`Buy (TakerPays): ${ColoredText(FormatAmount(tx.TakerPays), { color: 'FgGreen' })}`); }
+		if (tx.TakerGets && tx.TakerPays) {
+			const price = ExchangeRate(tx.TakerGets, tx.TakerPays);
+			if (price) { console.log(`Price: ${ColoredText(price.text, { color: 'FgYellow' })}  (${price.inverse})`); }
+		}
+		const flags = FlagNames(tx.Flags, xrpl.OfferCreateFlags);
+		if (flags.length) { console.log(`Flags: ${ColoredText(flags.join(', '), { color: 'FgYellow' })}`); }
+		if (tx.Expiration) { console.log(`Expiration: ${xrpl.rippleTimeToISOTime(tx.Expiration)}`); }
+		if (tx.OfferSequence) { console.log(`Offer to cancel: ${ColoredText(`Sequence ${tx.OfferSequence}`, { color: 'FgYellow' })}`); }
+	}
+
+	if (tx.TransactionType?.startsWith('AMM')) {
+		const assetText = (asset) => (asset.currency === 'XRP' ? 'XRP' : `${CurrencyCodeText(asset.currency)}.${asset.issuer}`);
+
+		if (tx.Asset && tx.Asset2) { console.log(`AMM: ${ColoredText(`${assetText(tx.Asset)} / ${assetText(tx.Asset2)}`, { color: 'FgYellow' })}`); }
+		if (tx.Amount2) { console.log(`Amount2: ${ColoredText(FormatAmount(tx.Amount2), { color: 'FgGreen' })}`); }
+		if (tx.LPTokenOut) { console.log(`LP tokens to receive: ${ColoredText(FormatAmount(tx.LPTokenOut), { color: 'FgGreen' })}`); }
+		if (tx.LPTokenIn) { console.log(`LP tokens to return: ${ColoredText(FormatAmount(tx.LPTokenIn), { color: 'FgRed' })}`); }
+		if (tx.EPrice) { console.log(`Effective price: ${ColoredText(FormatAmount(tx.EPrice), { color: 'FgYellow' })}`); }
+		if (typeof tx.TradingFee !== 'undefined') { console.log(`Trading fee: ${ColoredText(`${tx.TradingFee / 1000}%`, { color: 'FgYellow' })}`); }
+		if (tx.BidMin) { console.log(`Bid min: ${ColoredText(FormatAmount(tx.BidMin), { color: 'FgYellow' })}`); }
+		if (tx.BidMax) { console.log(`Bid max: ${ColoredText(FormatAmount(tx.BidMax), { color: 'FgYellow' })}`); }
+		tx.AuthAccounts?.forEach((item) => console.log(`  Auth account [${item.AuthAccount.Account}]`));
+
+		const flagsEnum = { AMMDeposit: xrpl.AMMDepositFlags, AMMWithdraw: xrpl.AMMWithdrawFlags }[tx.TransactionType];
+		if (flagsEnum) { console.log(`Mode: ${ColoredText(FlagNames(tx.Flags, flagsEnum).join(', '), { color: 'FgYellow' })}`); }
+	}
+
+	if (tx.TransactionType?.startsWith('Escrow')) {
+		if (tx.Owner) { console.log(`Escrow owner: ${tx.Owner}`); }
+		if (tx.OfferSequence) { console.log(`Escrow sequence: ${ColoredText(tx.OfferSequence, { color: 'FgYellow' })}`); }
+		if (tx.FinishAfter) { const tm = xrpl.rippleTimeToISOTime(tx.FinishAfter); console.log(`Finish after: ${ColoredText(`${tm}  |  ${new Date(tm)}`, { color: 'FgGreen' })}`); }
+		if (tx.CancelAfter) { const tm = xrpl.rippleTimeToISOTime(tx.CancelAfter); console.log(`Cancel after: ${ColoredText(`${tm}  |  ${new Date(tm)}`, { color: 'FgYellow' })}`); }
+		else if (tx.TransactionType === 'EscrowCreate') { console.log(ColoredText('No CancelAfter: the escrow can never be cancelled', { color: 'FgYellow' })); }
+		if (tx.Condition) { console.log(`Condition: ${ColoredText(tx.Condition, { color: 'FgYellow' })}`); }
+		if (tx.SourceTag) { console.log(`Source Tag: ${tx.SourceTag}`); }
+	}
+
+	if (tx.TransactionType?.startsWith('NFToken')) {
+		if (tx.NFTokenID) { console.log(`NFToken ID: ${ColoredText(tx.NFTokenID, { color: 'FgYellow' })}`); }
+		if (typeof tx.NFTokenTaxon !== 'undefined') { console.log(`Taxon: ${tx.NFTokenTaxon}`); }
+		if (tx.URI) { console.log(`URI: ${ColoredText(xrpl.convertHexToString(tx.URI), { color: 'FgGreen' })}`); }
+		if (tx.TransferFee) { console.log(`Transfer fee: ${ColoredText(`${tx.TransferFee / 1000}%`, { color: 'FgYellow' })}`); }
+		if (tx.Issuer) { console.log(`Issuer: ${tx.Issuer}`); }
+		if (tx.Owner) { console.log(`Owner: ${tx.Owner}`); }
+		if (tx.Expiration) { console.log(`Expiration: ${xrpl.rippleTimeToISOTime(tx.Expiration)}`); }
+		if (tx.NFTokenSellOffer) { console.log(`Sell offer: ${ColoredText(tx.NFTokenSellOffer, { color: 'FgYellow' })}`); }
+		if (tx.NFTokenBuyOffer) { console.log(`Buy offer: ${ColoredText(tx.NFTokenBuyOffer, { color: 'FgYellow' })}`); }
+		if (tx.NFTokenBrokerFee) { console.log(`Broker fee: ${ColoredText(FormatAmount(tx.NFTokenBrokerFee), { color: 'FgGreen' })}`); }
+		tx.NFTokenOffers?.forEach((item) => console.log(`  Offer to cancel [${item}]`));
+
+		if (tx.TransactionType === 'NFTokenCreateOffer') { console.log(`Side: ${ColoredText((tx.Flags & xrpl.NFTokenCreateOfferFlags.tfSellNFToken) ? 'SELL' : 'BUY', { color: 'FgYellow' })}`); }
+		if (tx.TransactionType === 'NFTokenMint') {
+			const flags = FlagNames(tx.Flags, xrpl.NFTokenMintFlags);
+			if (flags.length) { console.log(`Flags: ${ColoredText(flags.join(', '), { color: 'FgYellow' })}`); }
+		}
+	}
+
+	if (tx.TransactionType?.startsWith('PaymentChannel')) {
+		if (tx.Channel) { console.log(`Channel: ${ColoredText(tx.Channel, { color: 'FgYellow' })}`); }
+		if (tx.SettleDelay) { console.log(`Settle Delay: ${tx.SettleDelay} seconds`); }
+		if (tx.Balance) { console.log(`Balance after claim: ${ColoredText(`${xrpl.dropsToXrp(tx.Balance)} XRP`, { color: 'FgGreen' })}`); }
+		if (tx.CancelAfter) { console.log(`Cancel after: ${xrpl.rippleTimeToISOTime(tx.CancelAfter)}`); }
+		if (tx.Expiration) { console.log(`Expiration: ${xrpl.rippleTimeToISOTime(tx.Expiration)}`); }
+		if (tx.Flags & xrpl.PaymentChannelClaimFlags.tfRenew) { console.log(ColoredText('Channel expiration will be cleared (tfRenew)', { color: 'FgYellow' })); }
+		if (tx.Flags & xrpl.PaymentChannelClaimFlags.tfClose) { console.log(ColoredText('Channel will be closed (tfClose)', { color: 'FgYellow' })); }
+	}
+
+	if (tx.Signers?.length) {
+		console.log(`Multi-signed by ${tx.Signers.length} signer(s):`);
+		tx.Signers.forEach((item) => console.log(`  [${item.Signer.Account}]`));
+	}
+
 	console.log(`${'='.repeat(btmLineWidth)}`);
 }
 
 const defineMainParams = async function (main_params, autoDetectParamType = true) {
+	// the parameters are positional (by their ids) or named: `--name value`, `--name=value`
+	if (HelpOption()) { ShowParamsHelp(main_params); quit(); }
+	if (TicketSequenceOption({ list: true })) { SkipSequenceParams(main_params); }
+	SecretKeyInputOption(); // takes `--key-*` options out of the positional parameters
+	AutomationOption(); // `--yes`, `--answers PATH`, `--strict`
+
+	const named = TakeNamedParams(main_params);
+	CheckUnknownOptions();
+
 	Object.keys(main_params).forEach(key => {
-		const cmdValue = process.argv[main_params[key].id + 1];
+		const cmdValue = (main_params[key].id ? process.argv[main_params[key].id + 1] : undefined);
+		if (cmdValue && typeof named[key] !== 'undefined') { fail(`Parameter ${main_params[key].id} "${key}" is specified twice: positionally and by --${key}`); }
 
-		main_params[key].cmdParam = !!cmdValue;
-		main_params[key].value = cmdValue || main_params[key].default;
+		const value = named[key] ?? cmdValue;
+		main_params[key].cmdParam = !!value;
+		main_params[key].value = value || main_params[key].default;
 	})
 
+	ApplySecretKeyInput(main_params);
+
 	let validation = validateMainParams(main_params, false);
 	if (validation.requiredValid && validation.nonrequiredValid ) { return; }
 
-	await requestParameters(main_params, { autoDetectParamType, initialRequest: true});
+	// in the strict mode (`--strict`, `--key-stdin`) the parameters are answered by the `--answers` file only, see prompt() in `cli_args.js`
+	await requestParameters(main_params, { autoDetectParamType, initialRequest: true });
 
 	validation = validateMainParams(main_params, true);
 	if ( !validation.requiredValid ) { fail('Invalid parameters'); }
 }
 
+const defineModeParams = async function (main_params, modes) {
+	// defineMainParams() of the transaction command run in one of "modes" (json, qr, submit) chosen by `--json`, `--qr` or `--submit`:
+	// the parameters of the other modes (see "modes" of the parameter) are left out. A parameter keeps its position in every mode,
+	// so the ones of some modes only follow the common ones (or have no "id" and are only named)
+	const mode = CommandModeOption(modes);
+
+	Object.keys(main_params).forEach((key) => {
+		if (main_params[key].modes && !main_params[key].modes.includes(mode)) { delete main_params[key]; }
+	})
+
+	const ids = Object.values(main_params).map((opts) => opts.id).filter((id) => id).sort((a, b) => a - b);
+	if (ids.some((id, idx) => id !== idx + 1)) { throw new InternalError(`The positions of the --${mode} parameters are not consecutive: ${ids.join(', ')}`); }
+
+	await defineMainParams(main_params);
+	return mode;
+}
+
 const rippleEpochTimestamp = function (timeString) {
 	if (!timeString) { quit("Undefined timeString in call rippleEpochTimestamp()"); }
 
 	return xrpl.isoTimeToRippleTime(timeString)
 }
 
+const InputTimeToRippleTime = function (timeString, { name } = {}) {
+	// accepts ISO date or a time offset from now (e.g. '30d', '90days', '1year')
+	// name (optional): the name of the time shown in the error
+	if (!timeString) { return; }
+
+	const isoTime = ProcessInputDateTime(timeString, { type: ['datetime', 'timeoffset', 'drop_ms'] });
+	if (!isoTime) { fail(`Invalid ${name ? `'${name}' ` : ''}time specified: "${timeString}"`); }
+
+	return rippleEpochTimestamp(isoTime);
+}
+
+const ParseFlagNames = function (input, flagsEnum, { aliases = {}, title = 'flag' } = {}) {
+	// 'passive, tfSell' => tfPassive | tfSell  (the "tf" prefix can be omitted, case insensitive)
+	if (!input) { return 0; }
+
+	const names = Object.keys(flagsEnum).filter((k) => isNaN(k));
+	let flags = 0;
+
+	`${input}`.split(/[\s,|]+/).filter((item) => item.length).forEach((name) => {
+		const key = aliases[name.toLowerCase()] || names.find((k) => [k.toLowerCase(), k.replace(/^tf/, '').toLowerCase()].includes(name.toLowerCase()));
+		if (!key) { fail(`Unknown ${title} "${name}"\nAvailable flags: ${names.join(', ')}`); }
+
+		flags |= flagsEnum[key];
+	});
+
+	return flags;
+}
+
+const FlagNames = function (flagsValue, flagsEnum) {
+	return Object.keys(flagsEnum).filter((k) => isNaN(k) && (flagsValue & flagsEnum[k]));
+}
+
 const validateRippleEpochTimestamp = function (rippleEpochTimestamp, unixTimeString) {
 	const dateUnixTimestampMillisec = (rippleEpochTimestamp + 946684800) * 1000
 	const dateUnix = new Date(dateUnixTimestampMillisec)
@@ -256,8 +412,12 @@ if (require.main !== module) {
 	exports.fail = fail;
 	exports.prompt = prompt;
 	exports.defineMainParams = defineMainParams;
+	exports.defineModeParams = defineModeParams;
 	exports.validateMainParams = validateMainParams;
 	exports.rippleEpochTimestamp = rippleEpochTimestamp;
+	exports.InputTimeToRippleTime = InputTimeToRippleTime;
+	exports.ParseFlagNames = ParseFlagNames;
+	exports.FlagNames = FlagNames;
 	exports.validateRippleEpochTimestamp = validateRippleEpochTimestamp;
 	exports.checkObjectHasArrays = checkObjectHasArrays;
 	exports.XrplServerAddress = XrplServerAddress;
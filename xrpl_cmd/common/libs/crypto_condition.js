@@ -1,11 +1,20 @@
 ///////////////////////////////////////////////////////////
 //
-// crypto_condition.js - Implements PREIMAGE-SHA-256 crypto-conditions
+// crypto_condition.js - Implements PREIMAGE-SHA-256, PREFIX-SHA-256, THRESHOLD-SHA-256 and ED25519-SHA-256 crypto-conditions
+//
+// Condition.fromBinary() / Fulfillment.fromBinary() decode DER binaries (as in Condition and Fulfillment fields
+// of escrow transactions), conditions of any type are decoded, fulfillments of any type except RSA-SHA-256.
+//
+// Compound conditions:
+//   PREFIX-SHA-256    - the subfulfillment must be valid for the message prefixed with PREFIX
+//   THRESHOLD-SHA-256 - THRESHOLD of the subconditions must be fulfilled (e.g. 2 of 3 passwords)
+// ED25519-SHA-256 is fulfilled by the Ed25519 signature of the message (empty for escrows).
 //
 // Docs: https://tools.ietf.org/html/draft-thomas-crypto-conditions-04
 //       https://tools.ietf.org/html/draft-thomas-crypto-conditions-02#section-8.1.4
 //       https://github.com/interledgerjs/five-bells-condition/blob/master/src/lib/condition.js
 //       https://github.com/interledgerjs/five-bells-condition/blob/master/src/lib/fulfillment.js
+//       https://github.com/interledgerjs/five-bells-condition/tree/master/src/types
 //
 ///////////////////////////////////////////////////////////
 
@@ -13,7 +22,18 @@
 
 const MODULE_NAME = 'crypto_condition';
 
-const { MissingDataError } = require('./errors.js');
+const crypto = require('crypto');
+
+const { MissingDataError, DecodeError } = require('./errors.js');
+const { ShowLoadedModules } = require('../common_settings.js');
+
+const COMPOUND_CONDITION_BASE_COST = 1024; // added per subcondition of THRESHOLD-SHA-256 and to PREFIX-SHA-256
+const ED25519_CONDITION_COST = 131072;
+const ED25519_PUBLIC_KEY_SIZE = 32;
+const ED25519_SIGNATURE_SIZE = 64;
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex'); // DER SubjectPublicKeyInfo header of a raw Ed25519 public key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex'); // DER PKCS#8 header of a raw Ed25519 private key
+const THRESHOLD_MAX = 65535;
 
 const TYPES = {
 	0: {
@@ -21,6 +41,30 @@ const TYPES = {
 		asn1Condition: 'preimageSha256Condition',
 		asn1Fulfillment: 'preimageSha256Fulfillment',
 		category: 'simple'
+	},
+	1: {
+		name: 'prefix-sha-256',
+		asn1Condition: 'prefixSha256Condition',
+		asn1Fulfillment: 'prefixSha256Fulfillment',
+		category: 'compound'
+	},
+	2: {
+		name: 'threshold-sha-256',
+		asn1Condition: 'thresholdSha256Condition',
+		asn1Fulfillment: 'thresholdSha256Fulfillment',
+		category: 'compound'
+	},
+	3: {
+		name: 'rsa-sha-256',
+		asn1Condition: 'rsaSha256Condition',
+		asn1Fulfillment: 'rsaSha256Fulfillment',
+		category: 'simple'
+	},
+	4: {
+		name: 'ed25519-sha-256',
+		asn1Condition: 'ed25519Sha256Condition',
+		asn1Fulfillment: 'ed25519Sha256Fulfillment',
+		category: 'simple'
 	}
 };
 
@@ -40,6 +84,26 @@ class Condition {
 		this.type = TYPES[this.typeId];
 	}
 
+	static fromBinary (data) {
+		// DER binary (Buffer or hex) => Condition
+		return Condition.fromAsn1Json(decodeDer(Asn1SchemasConditions().condition, data, 'condition'));
+	}
+
+	static fromAsn1Json (decoded) {
+		const typeId = typeIdByAsn1Name(decoded.type, 'asn1Condition');
+
+		// Convert the subtypes bitarray to the set of type names
+		const subtypes = [];
+		const subtypesBuffer = decoded.value.subtypes?.data;
+		if (subtypesBuffer) {
+			Object.keys(TYPES).forEach((id) => {
+				if (subtypesBuffer[id >>> 3] & (1 << (7 - id % 8))) { subtypes.push(TYPES[id].name); }
+			});
+		}
+
+		return new Condition({ hash: decoded.value.fingerprint, typeId, cost: decoded.value.cost.toString(10), subtypes });
+	}
+
 	serializeBinary () {
 		const asn1Json = this.getAsn1Json();
 		return this.getAsn1Scheme('condition').encode(asn1Json);
@@ -104,14 +168,35 @@ class Condition {
 }
 
 class Fulfillment {
-	constructor({ preimage, typeId }) {
+	// PREIMAGE-SHA-256 fulfillment, the base class of the fulfillments of the other types
+	constructor({ preimage, typeId = 0 }) {
+		this.typeId = Number(typeId);
+		this.type = TYPES[this.typeId];
+		if (this.typeId !== 0) { return; }
+
 		if (!Buffer.isBuffer(preimage)) {
 			throw new TypeError(`Preimage must be a Buffer, was: ${typeof preimage === 'object' ? `${typeof preimage} ${JSON.stringify(preimage)}` : typeof preimage}`);
 		}
 
 		this.preimage = preimage;
-		this.typeId = Number(typeId);
-		this.type = TYPES[this.typeId];
+	}
+
+	static fromBinary (data) {
+		// DER binary (Buffer or hex) => Fulfillment
+		return Fulfillment.fromAsn1Json(decodeDer(Asn1SchemasFulfillments().fulfillment, data, 'fulfillment'));
+	}
+
+	static fromAsn1Json (decoded) {
+		const typeId = typeIdByAsn1Name(decoded.type, 'asn1Fulfillment');
+		const value = decoded.value;
+
+		switch (typeId) {
+			case 0: return new Fulfillment({ preimage: value.preimage, typeId });
+			case 1: return new PrefixSha256Fulfillment({ prefix: value.prefix, maxMessageLength: value.maxMessageLength.toString(10), subfulfillment: Fulfillment.fromAsn1Json(value.subfulfillment) });
+			case 2: return new ThresholdSha256Fulfillment({ subfulfillments: value.subfulfillments.map(Fulfillment.fromAsn1Json), subconditions: value.subconditions.map(Condition.fromAsn1Json) });
+			case 4: return new Ed25519Sha256Fulfillment({ publicKey: value.publicKey, signature: value.signature });
+			default: throw new MissingDataError(`unsupported fulfillment type "${TYPES[typeId].name}"`);
+		}
 	}
 
 	serializeBinary () {
@@ -119,6 +204,19 @@ class Fulfillment {
 		return this.getAsn1Scheme('fulfillment').encode(asn1Json);
 	}
 
+	getCondition () {
+		// the condition this fulfillment fulfills: SHA-256 of the preimage, the cost is the preimage length
+		const preimage = this.getPreimage();
+		const hash = crypto.createHash('sha256').update(preimage).digest();
+
+		return new Condition({ hash, typeId: this.typeId, cost: preimage.length, subtypes: [] });
+	}
+
+	validate () {
+		// a preimage is valid for any message, the caller compares getCondition() with the expected condition
+		return true;
+	}
+
 	getAsn1Json () {
 		const type = this.getType();
 
@@ -152,6 +250,213 @@ class Fulfillment {
 	}
 }
 
+class PrefixSha256Fulfillment extends Fulfillment {
+	constructor({ prefix, maxMessageLength, subfulfillment }) {
+		super({ typeId: 1 });
+
+		if (!Buffer.isBuffer(prefix)) { throw new TypeError('Prefix must be a Buffer'); }
+		if (!(subfulfillment instanceof Fulfillment)) { throw new TypeError('Subfulfillment must be a Fulfillment'); }
+
+		this.prefix = prefix;
+		this.maxMessageLength = Number(maxMessageLength);
+		this.subfulfillment = subfulfillment;
+	}
+
+	getCondition () {
+		return PrefixSha256Condition({ prefix: this.prefix, maxMessageLength: this.maxMessageLength, subcondition: this.subfulfillment.getCondition() });
+	}
+
+	validate (message = Buffer.alloc(0)) {
+		if (message.length > this.maxMessageLength) { return false; }
+
+		return this.subfulfillment.validate(Buffer.concat([this.prefix, message]));
+	}
+
+	getAsn1JsonPayload () {
+		return {
+			prefix: this.prefix,
+			maxMessageLength: this.maxMessageLength,
+			subfulfillment: this.subfulfillment.getAsn1Json()
+		};
+	}
+}
+
+class ThresholdSha256Fulfillment extends Fulfillment {
+	// the threshold is the number of subfulfillments, subconditions are the conditions of the parts not fulfilled
+	constructor({ subfulfillments, subconditions = [] }) {
+		super({ typeId: 2 });
+
+		if (!Array.isArray(subfulfillments) || !subfulfillments.length) { throw new TypeError('Subfulfillments must be a non-empty Array'); }
+
+		this.subfulfillments = subfulfillments;
+		this.subconditions = subconditions;
+	}
+
+	getCondition () {
+		return ThresholdSha256Condition({
+			threshold: this.subfulfillments.length,
+			subconditions: [...this.subfulfillments.map((item) => item.getCondition()), ...this.subconditions]
+		});
+	}
+
+	validate (message = Buffer.alloc(0)) {
+		return this.subfulfillments.every((item) => item.validate(message));
+	}
+
+	getAsn1JsonPayload () {
+		return {
+			subfulfillments: sortByBinary(this.subfulfillments).map((item) => item.getAsn1Json()),
+			subconditions: sortByBinary(this.subconditions).map((item) => item.getAsn1Json())
+		};
+	}
+}
+
+class Ed25519Sha256Fulfillment extends Fulfillment {
+	constructor({ publicKey, signature }) {
+		super({ typeId: 4 });
+
+		if (!Buffer.isBuffer(publicKey) || publicKey.length !== ED25519_PUBLIC_KEY_SIZE) { throw new TypeError(`Public key must be a Buffer of ${ED25519_PUBLIC_KEY_SIZE} bytes`); }
+		if (!Buffer.isBuffer(signature) || signature.length !== ED25519_SIGNATURE_SIZE) { throw new TypeError(`Signature must be a Buffer of ${ED25519_SIGNATURE_SIZE} bytes`); }
+
+		this.publicKey = publicKey;
+		this.signature = signature;
+	}
+
+	static sign ({ privateKey, message = Buffer.alloc(0) }) {
+		// privateKey: the raw 32 bytes Ed25519 private key
+		const keyObject = crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, privateKey]), format: 'der', type: 'pkcs8' });
+		const publicKey = crypto.createPublicKey(keyObject).export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length);
+
+		return new Ed25519Sha256Fulfillment({ publicKey, signature: crypto.sign(null, message, keyObject) });
+	}
+
+	getCondition () {
+		return Ed25519Sha256Condition(this.publicKey);
+	}
+
+	validate (message = Buffer.alloc(0)) {
+		try {
+			return crypto.verify(null, message, ed25519PublicKeyObject(this.publicKey), this.signature);
+		} catch (e) {
+			return false; // not a valid Ed25519 public key
+		}
+	}
+
+	getAsn1JsonPayload () {
+		return {
+			publicKey: this.publicKey,
+			signature: this.signature
+		};
+	}
+}
+
+const PrefixSha256Condition = function ({ prefix, maxMessageLength, subcondition }) {
+	// fingerprint: SHA-256 of PrefixFingerprintContents, cost: prefix length + max message length + subcondition cost + 1024
+	const fingerprint = Asn1SchemasConditions().prefixFingerprintContents.encode({
+		prefix,
+		maxMessageLength: Number(maxMessageLength),
+		subcondition: subcondition.getAsn1Json()
+	}, 'der');
+
+	return new Condition({
+		hash: crypto.createHash('sha256').update(fingerprint).digest(),
+		typeId: 1,
+		cost: prefix.length + Number(maxMessageLength) + subcondition.getCost() + COMPOUND_CONDITION_BASE_COST,
+		subtypes: compoundSubtypes(1, [subcondition])
+	});
+}
+
+const ThresholdSha256Condition = function ({ threshold, subconditions }) {
+	// fingerprint: SHA-256 of ThresholdFingerprintContents,
+	// cost: the sum of THRESHOLD largest subcondition costs + 1024 per subcondition
+	threshold = Number(threshold);
+	if (!Number.isInteger(threshold) || threshold < 1 || threshold > Math.min(subconditions.length, THRESHOLD_MAX)) {
+		throw new RangeError(`Threshold must be from 1 to the number of subconditions (${subconditions.length})`);
+	}
+
+	const fingerprint = Asn1SchemasConditions().thresholdFingerprintContents.encode({
+		threshold,
+		subconditions: sortByBinary(subconditions).map((item) => item.getAsn1Json())
+	}, 'der');
+
+	const largestCosts = subconditions.map((item) => item.getCost()).sort((a, b) => b - a).slice(0, threshold);
+
+	return new Condition({
+		hash: crypto.createHash('sha256').update(fingerprint).digest(),
+		typeId: 2,
+		cost: largestCosts.reduce((a, b) => a + b, 0) + COMPOUND_CONDITION_BASE_COST * subconditions.length,
+		subtypes: compoundSubtypes(2, subconditions)
+	});
+}
+
+const Ed25519Sha256Condition = function (publicKey) {
+	// publicKey: the raw 32 bytes Ed25519 public key; fingerprint: SHA-256 of Ed25519FingerprintContents
+	if (!Buffer.isBuffer(publicKey) || publicKey.length !== ED25519_PUBLIC_KEY_SIZE) { throw new TypeError(`Public key must be a Buffer of ${ED25519_PUBLIC_KEY_SIZE} bytes`); }
+
+	const fingerprint = Asn1SchemasConditions().ed25519FingerprintContents.encode({ publicKey }, 'der');
+
+	return new Condition({ hash: crypto.createHash('sha256').update(fingerprint).digest(), typeId: 4, cost: ED25519_CONDITION_COST, subtypes: [] });
+}
+
+const ConditionOfFulfillment = function (fulfillmentHex) {
+	// returns the hex condition a fulfillment fulfills
+	return Fulfillment.fromBinary(fulfillmentHex).getCondition().serializeBinary().toString('hex');
+}
+
+const ValidateFulfillment = function (fulfillmentHex, conditionHex, { message = Buffer.alloc(0) } = {}) {
+	// true if the fulfillment matches the condition and its signatures are valid for the message
+	const fulfillment = Fulfillment.fromBinary(fulfillmentHex);
+	if (fulfillment.getCondition().serializeBinary().toString('hex').toUpperCase() !== conditionHex.toUpperCase()) { return false; }
+
+	return fulfillment.validate(message);
+}
+
+function compoundSubtypes (typeId, subconditions) {
+	// the types of the subconditions and their subtypes, without the type of the compound condition itself
+	const names = new Set();
+	subconditions.forEach((item) => {
+		names.add(item.getType().name);
+		item.getSubtypes().forEach((name) => names.add(name));
+	});
+	names.delete(TYPES[typeId].name);
+
+	return Object.keys(TYPES).map((id) => TYPES[id].name).filter((name) => names.has(name));
+}
+
+function sortByBinary (items) {
+	// DER SET OF order: lexicographically by the encoded binary (as five-bells-condition)
+	return items
+		.map((item) => ({ item, binary: item.serializeBinary() }))
+		.sort((a, b) => Buffer.compare(a.binary, b.binary))
+		.map((entry) => entry.item);
+}
+
+function ed25519PublicKeyObject (publicKey) {
+	return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey]), format: 'der', type: 'spki' });
+}
+
+function decodeDer (scheme, data, name) {
+	if (!Buffer.isBuffer(data)) {
+		if (typeof data !== 'string' || !/^([0-9A-Fa-f]{2})+$/.test(data.trim())) { throw new DecodeError(`${name} must be a hex string`); }
+		data = Buffer.from(data.trim(), 'hex');
+	}
+
+	let decoded;
+	try { decoded = scheme.decode(data, 'der'); }
+	catch (e) { throw new DecodeError(`invalid ${name} binary: ${e.message}`); }
+
+	// the decoder ignores trailing bytes and accepts some non-canonical encodings, the re-encoded binary must be identical
+	if (!scheme.encode(decoded, 'der').equals(data)) { throw new DecodeError(`invalid ${name} binary: not a canonical DER encoding`); }
+
+	return decoded;
+}
+
+function typeIdByAsn1Name (asn1Name, key) {
+	const typeId = Object.keys(TYPES).find((id) => TYPES[id][key] === asn1Name);
+	if (typeof typeId === 'undefined') { throw new DecodeError(`unknown type "${asn1Name}"`); }
+
+	return Number(typeId);
+}
 
 function Asn1SchemasConditions () {
 	if (asn1Schemas.conditions) { return asn1Schemas.conditions; }
@@ -184,6 +489,26 @@ function Asn1SchemasConditions () {
 		});
 	});
 
+	// the contents hashed to the fingerprints of the conditions
+	schemas.prefixFingerprintContents = asn.define('PrefixFingerprintContents', function () {
+		this.seq().obj(
+			this.key('prefix').implicit(0).octstr(),
+			this.key('maxMessageLength').implicit(1).int(),
+			this.key('subcondition').explicit(2).use(schemas.condition)
+		);
+	});
+	schemas.thresholdFingerprintContents = asn.define('ThresholdFingerprintContents', function () {
+		this.seq().obj(
+			this.key('threshold').implicit(0).int(),
+			this.key('subconditions').implicit(1).setof(schemas.condition)
+		);
+	});
+	schemas.ed25519FingerprintContents = asn.define('Ed25519FingerprintContents', function () {
+		this.seq().obj(
+			this.key('publicKey').implicit(0).octstr()
+		);
+	});
+
 	asn1Schemas.conditions = schemas;
 	return asn1Schemas.conditions;
 }
@@ -241,8 +566,16 @@ function Asn1SchemasFulfillments () {
 }
 
 if (require.main !== module) {
-	console.log(MODULE_NAME + ' module loaded');
+	if (ShowLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
 	exports.Condition = Condition;
 	exports.Fulfillment = Fulfillment;
+	exports.PrefixSha256Fulfillment = PrefixSha256Fulfillment;
+	exports.ThresholdSha256Fulfillment = ThresholdSha256Fulfillment;
+	exports.Ed25519Sha256Fulfillment = Ed25519Sha256Fulfillment;
+	exports.PrefixSha256Condition = PrefixSha256Condition;
+	exports.ThresholdSha256Condition = ThresholdSha256Condition;
+	exports.Ed25519Sha256Condition = Ed25519Sha256Condition;
+	exports.ConditionOfFulfillment = ConditionOfFulfillment;
+	exports.ValidateFulfillment = ValidateFulfillment;
 }
@@ -37,6 +37,9 @@ class MissingDataError extends BaseError {
 class InternalError extends BaseError {
 }
 
+class DecodeError extends BaseError {
+}
+
 const ShowXrplHighlitedError = function (error) {
   try {
     if (!(error.name === 'RippledError' || error.name === 'XrplError')) { return false; }
@@ -57,5 +60,6 @@ const ShowXrplHighlitedError = function (error) {
 if (require.main !== module) {
 	exports.MissingDataError = MissingDataError;
 	exports.InternalError = InternalError;
+	exports.DecodeError = DecodeError;
 	exports.ShowXrplHighlitedError = ShowXrplHighlitedError;
 }
@@ -0,0 +1,179 @@
+///////////////////////////////////////////////////////////
+//
+// kdf.js - Password key derivation (KDF) of the escrow password conditions
+//
+// The condition of an escrow is public on the ledger, so a password condition can be brute-forced offline for years.
+// Memory-hard KDFs make every guess expensive:
+//   argon2id - memory (MiB), time cost (passes over the memory), parallelism
+//   scrypt   - memory (MiB) = 128 * N * r, block size r, parallelism p
+//   bcrypt   - the legacy mode: rounds (see BCryptSHA256() in `bcrypt_sha256.js`)
+// The preimage of the condition is the 32 bytes derived from the password (for bcrypt - see Sha256condition()).
+//
+// The algorithm and its parameters are written in the RECOVERY CODE of the recovery card, e.g.
+//   kdf=argon2id;m=64;t=3;p=1;salt=account
+// The password can't be checked without the recovery code: keep it with the escrow details.
+//   salt=account - the salt is derived from the escrow owner account
+//   salt=random  - the random secret salt is shown once on the escrow creation, it is required with the password
+//
+// Docs: https://www.rfc-editor.org/rfc/rfc9106
+//       https://www.rfc-editor.org/rfc/rfc7914
+//       https://github.com/paulmillr/noble-hashes#argon2
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'kdf';
+
+const KDF_ALGORITHMS = ['argon2id', 'scrypt', 'bcrypt'];
+const KDF_SALT_MODES = ['account', 'random'];
+const KDF_PREIMAGE_SIZE = 32;
+const KDF_RANDOM_SALT_SIZE = 16;
+const KDF_MEMORY_MIB_LIMITS = [8, 4096];
+const KDF_TIME_COST_LIMITS = [1, 64];
+const KDF_PARALLELISM_LIMITS = [1, 16];
+const BCRYPT_ROUNDS_LIMITS = [10, 31]; // BCryptSHA256() raises fewer rounds to 10
+
+const crypto = require('crypto');
+
+const { Sha256condition } = require('./bcrypt_sha256.js');
+const { EscrowConditionKdf, EscrowConditionKdfParams, EscrowConditionBcryptRounds } = require('../common_settings.js');
+
+const KdfDefaults = function (algorithm = EscrowConditionKdf()) {
+	// { algorithm, ...parameters, salt } of the settings (see `common_settings.js`)
+	const setts = EscrowConditionKdfParams(algorithm);
+
+	switch (algorithm) {
+		case 'argon2id': return { algorithm, m: setts.memoryMiB, t: setts.timeCost, p: setts.parallelism, salt: 'account' };
+		case 'scrypt': return { algorithm, m: setts.memoryMiB, r: setts.blockSize, p: setts.parallelism, salt: 'account' };
+		case 'bcrypt': return { algorithm, rounds: EscrowConditionBcryptRounds(), salt: 'account' };
+	}
+
+	throw new TypeError(`Unknown KDF algorithm "${algorithm}": must be one of ${KDF_ALGORITHMS.join(', ')}`);
+}
+
+const ValidateKdf = function (kdf) {
+	// returns the error text or undefined if the parameters are valid
+	const outOf = (value, [min, max]) => (!Number.isInteger(value) || value < min || value > max);
+
+	if (!KDF_ALGORITHMS.includes(kdf?.algorithm)) { return `unknown KDF algorithm "${kdf?.algorithm}": must be one of ${KDF_ALGORITHMS.join(', ')}`; }
+	if (!KDF_SALT_MODES.includes(kdf.salt)) { return `invalid salt "${kdf.salt}": must be one of ${KDF_SALT_MODES.join(', ')}`; }
+
+	if (kdf.algorithm === 'bcrypt') {
+		if (outOf(kdf.rounds, BCRYPT_ROUNDS_LIMITS)) { return `bcrypt rounds must be from ${BCRYPT_ROUNDS_LIMITS.join(' to ')}`; }
+		return;
+	}
+
+	if (outOf(kdf.m, KDF_MEMORY_MIB_LIMITS)) { return `memory must be from ${KDF_MEMORY_MIB_LIMITS.join(' to ')} MiB`; }
+	if (outOf(kdf.p, KDF_PARALLELISM_LIMITS)) { return `parallelism must be from ${KDF_PARALLELISM_LIMITS.join(' to ')}`; }
+
+	if (kdf.algorithm === 'argon2id' && outOf(kdf.t, KDF_TIME_COST_LIMITS)) { return `time cost must be from ${KDF_TIME_COST_LIMITS.join(' to ')}`; }
+	if (kdf.algorithm === 'scrypt') {
+		if (outOf(kdf.r, [1, 32])) { return 'scrypt block size must be from 1 to 32'; }
+		if (!scryptCost(kdf)) { return 'scrypt memory must be a power of 2 MiB (e.g. 64, 128, 256)'; }
+	}
+}
+
+const RecoveryCode = function (kdf) {
+	// { algorithm: 'argon2id', m: 64, t: 3, p: 1, salt: 'account' } => 'kdf=argon2id;m=64;t=3;p=1;salt=account'
+	const keys = { argon2id: ['m', 't', 'p'], scrypt: ['m', 'r', 'p'], bcrypt: ['rounds'] }[kdf.algorithm];
+
+	return [`kdf=${kdf.algorithm}`].concat(keys.map((key) => `${key}=${kdf[key]}`), `salt=${kdf.salt}`).join(';');
+}
+
+const ParseRecoveryCode = function (code) {
+	// the recovery code => kdf, empty code is the legacy bcrypt mode; throws on invalid code
+	if (!`${code ?? ''}`.trim()) { return KdfDefaults('bcrypt'); }
+
+	const kdf = {};
+	`${code}`.trim().split(';').filter((item) => item.trim().length).forEach((item) => {
+		const [key, value] = item.split('=').map((text) => text?.trim());
+		if (!key || typeof value === 'undefined') { throw new TypeError(`invalid recovery code part "${item}"`); }
+
+		if (key === 'kdf') { kdf.algorithm = value.toLowerCase(); }
+		else if (key === 'salt') { kdf.salt = value.toLowerCase(); }
+		else { kdf[key] = Number(value); }
+	});
+
+	const error = ValidateKdf(kdf);
+	if (error) { throw new TypeError(`invalid recovery code: ${error}`); }
+
+	return kdf;
+}
+
+const KdfDescription = function (kdf) {
+	switch (kdf.algorithm) {
+		case 'argon2id': return `Argon2id, memory ${kdf.m} MiB, time cost ${kdf.t}, parallelism ${kdf.p}`;
+		case 'scrypt': return `scrypt, memory ${kdf.m} MiB (N=${scryptCost(kdf)}, r=${kdf.r}, p=${kdf.p})`;
+		case 'bcrypt': return `bcrypt (legacy), ${kdf.rounds} rounds`;
+	}
+}
+
+const PasswordCondition = function ({ password, account, kdf = KdfDefaults(), salt, verbose = false }) {
+	// returns the response of Sha256condition() and { kdf }, with { salt, saltRandom } of a new random salt
+	// salt: the secret salt of the "random" salt mode (a new one is generated if not specified)
+	const error = ValidateKdf(kdf);
+	if (error) { throw new TypeError(`Invalid KDF: ${error}`); }
+	if (!password?.trim()) { throw new TypeError('Must not specify empty password'); }
+
+	if (kdf.algorithm === 'bcrypt') {
+		const response = Sha256condition({
+			verbose,
+			bcryptFromSecret: password,
+			bcryptExistingSalt: salt,
+			bcryptUsePermanentSaltFromSecret: (kdf.salt === 'account'),
+			bcryptPermanentSaltPepper: account,
+			bcryptHashRounds: kdf.rounds
+		});
+		response.kdf = kdf;
+		return response;
+	}
+
+	let saltBytes, saltRandom = false;
+	if (kdf.salt === 'account') { saltBytes = crypto.createHash('sha256').update(`${account}`).digest(); }
+	else if (salt) { saltBytes = Buffer.from(salt, 'hex'); }
+	else { saltBytes = crypto.randomBytes(KDF_RANDOM_SALT_SIZE); saltRandom = true; }
+
+	if (kdf.salt === 'random' && saltBytes.length < KDF_RANDOM_SALT_SIZE) { throw new TypeError(`The secret salt must be ${KDF_RANDOM_SALT_SIZE * 2} hex characters`); }
+
+	const preimage = DerivePreimage(password, saltBytes, kdf);
+	const response = Sha256condition({ verbose, existingPreimage: preimage });
+
+	response.random = false;
+	response.kdf = kdf;
+	if (kdf.salt === 'random') {
+		response.salt = saltBytes.toString('hex').toUpperCase();
+		response.saltRandom = saltRandom;
+	}
+
+	return response;
+}
+
+const DerivePreimage = function (password, saltBytes, kdf) {
+	if (kdf.algorithm === 'argon2id') {
+		const { argon2id } = require('@noble/hashes/argon2'); // https://github.com/paulmillr/noble-hashes
+		return Buffer.from(argon2id(password, saltBytes, { m: kdf.m * 1024, t: kdf.t, p: kdf.p, dkLen: KDF_PREIMAGE_SIZE }));
+	}
+
+	if (kdf.algorithm === 'scrypt') {
+		const memory = kdf.m * 1024 * 1024;
+		return crypto.scryptSync(password, saltBytes, KDF_PREIMAGE_SIZE, { N: scryptCost(kdf), r: kdf.r, p: kdf.p, maxmem: 2 * memory * kdf.p });
+	}
+
+	throw new TypeError(`Unsupported KDF algorithm "${kdf.algorithm}" in call DerivePreimage()`);
+}
+
+function scryptCost (kdf) {
+	// N = memory / (128 * r), must be a power of 2
+	const N = (kdf.m * 1024 * 1024) / (128 * kdf.r);
+	return (Number.isInteger(N) && N > 1 && (N & (N - 1)) === 0 ? N : undefined);
+}
+
+if (require.main !== module) {
+	exports.KdfDefaults = KdfDefaults;
+	exports.ValidateKdf = ValidateKdf;
+	exports.RecoveryCode = RecoveryCode;
+	exports.ParseRecoveryCode = ParseRecoveryCode;
+	exports.KdfDescription = KdfDescription;
+	exports.PasswordCondition = PasswordCondition;
+	exports.KDF_ALGORITHMS = KDF_ALGORITHMS;
+}
@@ -0,0 +1,70 @@
+///////////////////////////////////////////////////////////
+//
+// secure_file.js - passphrase encryption and private files of the local data (~/.xrpl_cmd)
+//
+// The key is derived from the passphrase by scrypt with a random salt, the data is encrypted by AES-256-GCM
+// (a wrong passphrase or a modified file fails the authentication tag check).
+// The files are written with the owner-only permissions (0600, the directory 0700).
+//
+// Docs: https://www.rfc-editor.org/rfc/rfc7914
+//       https://nodejs.org/api/crypto.html#class-cipher
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'secure_file';
+
+const ENCRYPTION_SCRYPT = { N: 131072, r: 8, p: 1, keyLength: 32 }; // 128 MiB
+const ENCRYPTION_SALT_SIZE = 16;
+const ENCRYPTION_IV_SIZE = 12;
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { ShowLoadedModules } = require('../common_settings.js');
+
+const LocalDataPath = function (fileName) {
+	// ~/.xrpl_cmd/fileName
+	return path.join(require('os').homedir(), '.xrpl_cmd', fileName);
+}
+
+const EncryptWithPassphrase = function (text, passphrase) {
+	// returns { kdf, N, r, p, keyLength, salt, iv, tag, data } to be stored as JSON
+	const salt = crypto.randomBytes(ENCRYPTION_SALT_SIZE);
+	const iv = crypto.randomBytes(ENCRYPTION_IV_SIZE);
+	const cipher = crypto.createCipheriv('aes-256-gcm', passphraseKey(passphrase, salt), iv);
+	const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+	return { kdf: 'scrypt', ...ENCRYPTION_SCRYPT, salt: salt.toString('hex'), iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('base64') };
+}
+
+const DecryptWithPassphrase = function (encrypted, passphrase) {
+	// the text of EncryptWithPassphrase(), throws on a wrong passphrase
+	const decipher = crypto.createDecipheriv('aes-256-gcm', passphraseKey(passphrase, Buffer.from(encrypted.salt, 'hex'), encrypted), Buffer.from(encrypted.iv, 'hex'));
+	decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+
+	return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+const WritePrivateFile = function (filePath, text) {
+	// writes a temporary file and renames it, so the file is never left half-written; throws on error
+	fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+	const tmpPath = `${filePath}.tmp`;
+	fs.writeFileSync(tmpPath, text, { mode: 0o600 });
+	fs.renameSync(tmpPath, filePath);
+}
+
+function passphraseKey(passphrase, salt, { N, r, p, keyLength } = ENCRYPTION_SCRYPT) {
+	return crypto.scryptSync(passphrase, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+if (require.main !== module) {
+	if (ShowLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.LocalDataPath = LocalDataPath;
+	exports.EncryptWithPassphrase = EncryptWithPassphrase;
+	exports.DecryptWithPassphrase = DecryptWithPassphrase;
+	exports.WritePrivateFile = WritePrivateFile;
+}
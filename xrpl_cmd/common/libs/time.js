@@ -44,14 +44,11 @@ const DateAddTimeInterval = function (initialDate, interval) {
 
 	// console.log(a); console.log(`secondsAdd: ${secondsAdd}, millisecondsAdd: ${a.millisec.val}`) // debug
 
-	if (!isNaN(a.months.val) && a.months.val !== 0) {
-		let mm = resultDate.getMonth() + a.months.val;
-		if (mm > 11) { mm -= 12; a.years.val++; }
-
+	const monthsAdd = (a.months.val || 0) + 12 * (a.years.val || 0); // `setMonth` moves the year on overflow
+	if (monthsAdd !== 0) {
 		ensureLastDay = resultDate.getDate(); // check the last day of month (29,30,31)
-		resultDate.setMonth(mm);
+		resultDate.setMonth(resultDate.getMonth() + monthsAdd);
 	}
-	if (!isNaN(a.years.val) && a.years.val != 0) { resultDate.setFullYear(resultDate.getFullYear() + a.years.val); }
 
 	if (ensureLastDay && resultDate.getDate() !== ensureLastDay) {
 		resultDate.setDate(0); // set the last day of previous month
@@ -60,6 +57,24 @@ const DateAddTimeInterval = function (initialDate, interval) {
 	return resultDate;
 }
 
+const TimeIntervalSeries = function (startDate, interval, { count, endDate, max }) {
+	// [startDate, startDate + interval, startDate + 2 * interval, ...]: `count` dates or the dates up to `endDate` (max `max` dates).
+	// Every date is counted from startDate ("1month" from Jan 31: Feb 28, Mar 31, Apr 30, ...).
+	const dates = [];
+
+	for (let i = 0; !max || i < max; i++) {
+		if (count && i >= count) { break; }
+
+		const date = (i === 0 ? new Date(startDate) : DateAddTimeInterval(new Date(startDate), interval.replace(/\d+/g, (num) => Number(num) * i)));
+		if (!date || (i > 0 && date <= dates[i - 1])) { return null; } // invalid or not a positive interval
+		if (endDate && date > endDate) { break; }
+
+		dates.push(date);
+	}
+
+	return dates;
+}
+
 const timeRelativeValueSum = function (regex, interval) {
 	let validMatch = false;
 	let sum = interval.match(regex)
@@ -80,4 +95,5 @@ if (require.main !== module) {
 	if (ShowLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
 	exports.DateAddTimeInterval = DateAddTimeInterval;
+	exports.TimeIntervalSeries = TimeIntervalSeries;
 }
@@ -0,0 +1,147 @@
+///////////////////////////////////////////////////////////
+//
+// multisign_combine.js - combines the signatures of several signers into one multi-signed transaction
+// syntax: node multisign_combine SIGNED_BLOBS SHOW_QR
+//
+// SIGNED_BLOBS is a comma separated list of:
+//   - "tx_blob" values printed by `sign` script (or scanned from `sign --qr` QR codes) with MULTISIGN = Yes,
+//   - paths to text files containing such values (one or more per file, the JSON output of `sign` script is accepted too).
+// More signatures can be pasted one by one after the script is started.
+//
+// Every signature must be made for the very same transaction.
+// The combined "tx_blob" is ready to be sent by `submit_send` script.
+//
+// This script does not connect to XRPL, so it can be used in offline mode.
+//
+// Docs: https://xrpl.org/multi-signing.html
+//       https://xrpl.org/send-a-multi-signed-transaction.html
+//       https://js.xrpl.org/functions/multisign.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'multisign_combine';
+
+const HEX_BLOB_REGEX = /^[0-9A-Fa-f]+$/;
+
+const fs = require('fs');
+const { decode, multisign, hashes } = require('xrpl');
+
+const { quit, fail, prompt, defineMainParams, showLoadedModules, ShowTransactionDetails, ShowWarning, ColoredText } = require('./libs/common.js');
+
+const main_params = {
+	signed_blobs: { id: 1, default: '', required: true, desc: 'signed "tx_blob" values or file paths, comma separated' },
+	show_qr: { id: 2, default: 'No', required: false, desc: 'show the combined transaction as QR code', example: '[Y]es / [N]o' },
+};
+
+const ReadSignedBlobs = function (input) {
+	const blobs = [];
+
+	(input || '').split(/[,;\s]+/).filter((item) => item.length).forEach((item) => {
+		if (HEX_BLOB_REGEX.test(item)) { blobs.push(item.toUpperCase()); return; }
+		if (!fs.existsSync(item)) { fail(`"${item.substring(0, 32)}..." is neither a signed transaction blob nor an existing file`); }
+
+		blobsFromText(fs.readFileSync(item, 'utf8')).forEach((blob) => blobs.push(blob));
+	});
+
+	return blobs;
+}
+
+function blobsFromText(text) {
+	// a file may contain plain hex blobs or the JSON printed by `sign` script: { tx_blob: '...', hash: '...' }
+	const found = text.match(/[0-9A-Fa-f]{64,}/g) || [];
+
+	return found.filter((item) => {
+		try { return !!decode(item).Signers; } catch (e) { return false; }
+	}).map((item) => item.toUpperCase());
+}
+
+const CombineSignedTransactions = function (signedBlobs) {
+	const signers = new Map();
+
+	signedBlobs.forEach((blob) => {
+		let decoded;
+		try { decoded = decode(blob); } catch (err) { fail(`Unable to decode signed transaction: ${err.message}`); }
+
+		if (!decoded.Signers?.length) { fail(`Transaction ${hashes.hashSignedTx(blob)} is not a multi-signature (no "Signers" field). Sign it with MULTISIGN = Yes`); }
+
+		decoded.Signers.forEach((item) => {
+			const account = item.Signer.Account;
+			if (signers.has(account)) { ShowWarning(`Duplicated signature of ${account} is skipped`); return; }
+			signers.set(account, blob);
+		});
+	});
+
+	const uniqueBlobs = Array.from(new Set(signers.values()));
+	if (uniqueBlobs.length < 2) { ShowWarning('Only one signature specified. The transaction is valid if that signer weight alone reaches the quorum.'); }
+
+	let combined;
+	try {
+		combined = multisign(uniqueBlobs); // verifies that every blob signs the same transaction and sorts the signers
+	} catch (err) {
+		fail(`Unable to combine signatures: ${err.message}`);
+	}
+
+	return {
+		tx_blob: combined,
+		hash: hashes.hashSignedTx(combined),
+		signers: Array.from(signers.keys())
+	};
+}
+
+async function promptMoreBlobs(blobs) {
+	console.log('\nPaste more signed "tx_blob" values (or file paths) one by one. Submit an empty line to finish.');
+
+	for (let i = 0; i < 32; i++) { // a signer list has 32 members at most
+		const answer = (await prompt(`\nSignature # ${blobs.length + 1}: `)).trim();
+		if (!answer) { break; }
+
+		ReadSignedBlobs(answer).forEach((blob) => blobs.push(blob));
+	}
+	return blobs;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const blobs = ReadSignedBlobs(main_params.signed_blobs.value);
+	await promptMoreBlobs(blobs);
+	if (!blobs.length) { fail('No signed transactions specified'); }
+
+	const combined = CombineSignedTransactions(blobs);
+
+	ShowTransactionDetails(decode(combined.tx_blob));
+
+	console.log(`\nSIGNERS (${combined.signers.length}):`);
+	combined.signers.forEach((account) => console.log(`  ${account}`));
+
+	console.log('\nMULTI-SIGNED TRANSACTION:');
+	console.log({ tx_blob: combined.tx_blob, hash: combined.hash });
+
+	console.log(`\nUse ${ColoredText('"tx_blob"', { color: 'FgGreen' })} value in call \`submit_send\` script to send this transaction to XRP Ledger blockchain.`);
+	console.log('\nUse "hash" value to search detailed information in call `account_transactions` script after the transaction is sent to XRPL.\n');
+
+	if (!['y', 'yes'].includes(main_params.show_qr.value.toLowerCase())) { quit(); }
+
+	const { ShowHtmlQR } = require('./qr.js');
+	await ShowHtmlQR(combined.tx_blob, {
+		title: 'Multi-Signed Transaction',
+		descriptionFieldsTop: [{ name: 'Signers', value: combined.signers.join(', ') }],
+		descriptionFieldsBottom: [
+			{ name: 'Data', value: combined.tx_blob },
+			{ name: 'Hash', value: combined.hash }
+		],
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.ReadSignedBlobs = ReadSignedBlobs;
+	exports.CombineSignedTransactions = CombineSignedTransactions;
+}
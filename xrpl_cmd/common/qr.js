@@ -25,10 +25,11 @@ const BROWSERS_SETTINGS = {
 
 const WEB_SERVER_PORT = 3133;
 const WEB_SERVER_TIMEOUT = 12_000;
+const WEB_SERVER_WAIT_MAX = 300_000; // the page to be opened, see showHtmlPage() with { wait }
 
 const QRCoder = require('qrcode');
 
-const { fail, defineMainParams, quit } = require('./libs/common.js');
+const { fail, defineMainParams, quit, showLoadedModules } = require('./libs/common.js');
 
 const main_params = {
 	data_text: { id: 1, default: '', required: true },
@@ -50,9 +51,45 @@ const QRgenerateURL = async function (qrText) {
   }
 }
 
-const GenerateQRhtml = async function (qrText, { title, descriptionFieldsTop, descriptionFieldsBottom }) {
+const GenerateQRhtml = async function (qrText, { title, descriptionFieldsTop, descriptionFieldsBottom, parts, pageTitle }) {
+	// parts (optional): [{ qrText, title, descriptionFieldsTop, descriptionFieldsBottom }] separated by cut lines,
+	// so the printed page can be cut into pieces and the pieces stored apart
+	let htmlContent = [].concat(htmlHead(title?.length > 290, pageTitle));
+
+	htmlContent = htmlContent.concat(await qrBlockHtml(qrText, { title, descriptionFieldsTop, descriptionFieldsBottom }));
+
+	for (let idx in parts || []) {
+		const part = parts[idx];
+		htmlContent.push('<div class="cut clearBoth">&#9986; - - - - - - - - - - - - - - - - - - - - cut here - - - - - - - - - - - - - - - - - - - -</div><div class="part clearBoth">');
+		htmlContent = htmlContent.concat(await qrBlockHtml(part.qrText, part));
+		htmlContent.push('</div>');
+	}
+
+	htmlContent.push('</body></html>');
+
+	return htmlContent.join('');
+}
+
+const GenerateQRBundleHtml = async function (items, { title } = {}) {
+	// items: [{ qrText, title, descriptionFieldsTop, descriptionFieldsBottom }], one QR code per item on a single page
+	let htmlContent = [].concat(htmlHead(false));
+
+	if (title) { htmlContent.push(`<div class="head clearBoth">${title}</div>`); }
+
+	for (let idx in items) {
+		const item = items[idx];
+		htmlContent.push(`<hr class="clearBoth"><div class="head clearBoth">[ ${Number(idx) + 1} / ${items.length} ]</div>`);
+		htmlContent = htmlContent.concat(await qrBlockHtml(item.qrText, item));
+	}
+
+	htmlContent.push('</body></html>');
+
+	return htmlContent.join('');
+}
+
+async function qrBlockHtml(qrText, { title, descriptionFieldsTop, descriptionFieldsBottom }) {
 	const qrImageUrl = await QRgenerateURL(qrText);
-	let htmlContent = [].concat(htmlHead(title?.length > 290));
+	const htmlContent = [];
 
 	if (descriptionFieldsTop?.length) {
 		for (let idx in descriptionFieldsTop) {
@@ -73,49 +110,80 @@ const GenerateQRhtml = async function (qrText, { title, descriptionFieldsTop, de
 		}
 	}
 
-	htmlContent.push('</body></html>');
-
-	return htmlContent.join('');
+	return htmlContent;
 }
 
 const ShowHtmlQR = async function (qrText, options = {}) {
+	// options.wait: resolves when the page is shown (or on timeout) instead of quitting the script, see showHtmlPage()
 	const htmlContent = await GenerateQRhtml(qrText, options);
 
+	return showHtmlPage(htmlContent, { wait: options.wait });
+}
+
+const ShowHtmlQRBundle = async function (items, options = {}) {
+	const htmlContent = await GenerateQRBundleHtml(items, options);
+
+	showHtmlPage(htmlContent);
+}
+
+function showHtmlPage(htmlContent, { wait } = {}) {
+	// wait: the script goes on after the page is shown - the web server is stopped by timeout
+	// (or WEB_SERVER_WAIT_MAX if the page is never opened) and the returned promise is resolved
 	console.log('\nLaunching local web server to show QR in browser...\n');
 
 	const express = require('express');
 	const launcher = require('./libs/launch_browser');
 	const app = express();
 
-	app.listen(WEB_SERVER_PORT);
+	let resolveShown, waitTimer, stopped = false;
+	const shown = new Promise((resolve) => { resolveShown = resolve; });
+	const stop = (message) => {
+		if (!wait) { return quit(message); }
+		if (stopped) { return; }
+
+		stopped = true;
+		clearTimeout(waitTimer);
+		server.close();
+		server.closeAllConnections?.();
+		console.log(`\n${message}`);
+		resolveShown();
+	}
+
+	const server = app.listen(WEB_SERVER_PORT);
 	console.log(`To see the QR code, open in your web browser this link URL: http://localhost:${WEB_SERVER_PORT}/\n`);
+	if (wait) { waitTimer = setTimeout(() => stop(`Web server stopped: the page was not opened within ${WEB_SERVER_WAIT_MAX/1000} s`), WEB_SERVER_WAIT_MAX); }
 
 	app.get('/', function(req, res) {
 		res.writeHead(200, { 'Content-Type': 'text/html' });
 
-		console.log('\nPress Ctrl+C to stop web server and quit this script\n');
+		console.log(wait ? `\nThe page is shown for ${WEB_SERVER_TIMEOUT/1000} s, then this script goes on\n` : '\nPress Ctrl+C to stop web server and quit this script\n');
 
-		setTimeout(() => quit(`Server stopped by timeout (${WEB_SERVER_TIMEOUT/1000} s)`), WEB_SERVER_TIMEOUT);
+		setTimeout(() => stop(`Server stopped by timeout (${WEB_SERVER_TIMEOUT/1000} s)`), WEB_SERVER_TIMEOUT);
 
 		res.end(htmlContent);
 	})
 
 	launcher(`http://localhost:${WEB_SERVER_PORT}/`, { browser: BROWSERS, browserSettings: BROWSERS_SETTINGS }, function (e, browser){
+		if (e && wait) { return console.log(`\n${e}: open the link URL above in your web browser`); }
+
 		console.log('\nBrowser launched to show QR code');
 
 		browser.on('stop', function(code){
-			quit( 'Browser closed.\nWeb server stopped.' );
+			stop( 'Browser closed.\nWeb server stopped.' );
 		});
 
 		if (e) { return fail(e); }
 	});
+
+	if (wait) { return shown; }
 }
 
-function htmlHead(titleCenter) {
+function htmlHead(titleCenter, pageTitle = 'XRPL transaction QR code') {
 	return [
-		"<!DOCTYPE html/><html><head><title>XRPL transaction QR code</title></head><body>",
+		`<!DOCTYPE html/><html><head><title>${pageTitle}</title></head><body>`,
 		"<style type='text/css'>div { padding: 7px; } .inline { float:left; } .clearBoth { clear:both; display: block; } span.value { display:block; width:500px; word-wrap:break-word; } span.name { font-weight: bold; padding-right: 0.5rem; } .head { font-weight: bold; padding-top: 0; padding-bottom: 0; }</style>",
-		`<style type='text/css'>.codeBlock { text-align: ${titleCenter ? 'center' : 'left'}; width: 480px }</style>`
+		`<style type='text/css'>.codeBlock { text-align: ${titleCenter ? 'center' : 'left'}; width: 480px }</style>`,
+		"<style type='text/css'>.cut { color: gray; padding-top: 1.5rem; white-space: nowrap; } .part { page-break-inside: avoid; break-inside: avoid; overflow: auto; } @media print { .cut { color: black; } }</style>"
 	];
 }
 
@@ -136,9 +204,11 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
 	exports.QRgenerateURL = QRgenerateURL;
 	exports.GenerateQRhtml = GenerateQRhtml;
 	exports.ShowHtmlQR = ShowHtmlQR;
+	exports.GenerateQRBundleHtml = GenerateQRBundleHtml;
+	exports.ShowHtmlQRBundle = ShowHtmlQRBundle;
 }
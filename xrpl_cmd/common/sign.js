@@ -1,31 +1,62 @@
 ///////////////////////////////////////////////////////////
 //
 // sign.js - sign a transaction
-// syntax: node sign TRANSACTION_JSON_STRING SEED_KEY
+// syntax: node sign [--qr] TRANSACTION_JSON_STRING SEED_KEY MULTISIGN SIGNERS_COUNT NETWORK
+//
+// With --qr the signed transaction is shown as a QR code to be scanned on an online device (see `sign_qr.js`).
 //
 // The most secure way to sign a transaction is to sign locally with a client library.
 //
 // Alternatively, if you run your own rippled node you can sign the transaction using the sign method,
 // but this must be done through a trusted and encrypted connection, or through a local (same-machine) connection.
 //
+// With MULTISIGN = Yes the transaction is signed by one of the signers of the account's signer list.
+// Every signer has to sign the very same transaction JSON (including Sequence and Fee),
+// then all the signed blobs are merged by `multisign_combine` script into one transaction.
+// SIGNERS_COUNT is the number of the signatures to be combined (asked if empty): the transaction is not signed
+// if its Fee is lower than the base fee x (1 + SIGNERS_COUNT), it would be rejected after all signers have signed.
+// The base fee is the current one of NETWORK (optional), the reference 10 drops offline.
+//
+// Every transaction builder script accepts `--ticket TICKET_SEQUENCE` option to use a Ticket
+// (created by `ticket_create` script, listed by `account_tickets` script) instead of the next account Sequence.
+// Such a transaction gets "Sequence": 0 and "TicketSequence" fields and no "LastLedgerSequence",
+// so it can be signed offline and submitted later independently of the other transactions.
+//
+// The transaction commands run with `--qr` or `--submit` unlock the secret key of the signing account from the local keystore
+// (imported by `wallet/keystore_import`) when it is not specified (see `tx_command.js`).
+//
+// A secret key parameter is read by `--key-stdin`, `--key-fd N` or `--key-file PATH` (pass "" in its place, see `cli_args.js`),
+// a secret key passed positionally is rejected unless `--key-argv` is specified.
+//
 //
 // Docs: https://xrpl.org/secure-signing.html
 //       https://xrpl.org/set-up-secure-signing.html
 //       https://xrpl.org/assign-a-regular-key-pair.html#sign-your-transaction
+//       https://xrpl.org/multi-signing.html
+//       https://xrpl.org/send-a-multi-signed-transaction.html
+//       https://xrpl.org/tickets.html
 ///////////////////////////////////////////////////////////
 
 'use strict';
 
 const MODULE_NAME = 'sign';
 
-const { quit, prompt, defineMainParams, isOffline, showLoadedModules } = require('./libs/common.js');
-const { PromptWalletKey } = require('../common/libs/cli_args.js');
+const MULTISIGN_BASE_FEE_DROPS = 10; // the reference transaction cost the multi-signed Fee is multiplied from when the network is not available
+
+const { quit, fail, prompt, defineMainParams, isOffline, showLoadedModules, ColoredText } = require('./libs/common.js');
+const { PromptWalletKey, PromptRequired, TicketSequenceOption, TakeNamedOption } = require('../common/libs/cli_args.js');
 const { Wallet } = require('../common/libs/wallet.js');
 const { AccountInfo } = require('../account_info/account_info.js');
+const { ServerFee } = require('../ledger/server_fee.js');
+const { AccountTickets } = require('../account_info/account_tickets.js');
+const { KeystoreSecretRequest } = require('../wallet/keystore.js');
 
 const main_params = {
 	tx: { id: 1, default: '', required: true, desc: 'transaction in json string format' },
 	key: { id: 2, default: '', mandatory_required: true, desc: 'secret seed/mnemonic to sign with', scramble: true },
+	multisign: { id: 3, default: 'No', required: false, desc: 'sign as one of the signers of a multi-signed transaction', example: '[Y]es / [N]o' },
+	signers_count: { id: 4, default: '', required: false, desc: 'number of the signatures to be combined (multi-signing)', type: 'number' },
+	network: { id: 5, default: '', required: false, desc: 'network to check the multi-signed Fee against its current fee (online)', example: 'DEV, TEST, PUB' },
 };
 
 function parsedTransactionParams(str) {
@@ -33,21 +64,86 @@ function parsedTransactionParams(str) {
 };
 
 const Sign = function ({ transaction, multisign, wallet } = { multisign: false }) {
+	// With "multisign" the transaction gets an empty SigningPubKey and a single entry in the Signers array
+	// instead of TxnSignature. Such blob can not be submitted alone, it must be combined with the others.
 	return wallet.sign(
-		transaction
+		transaction,
+		!!multisign
 	); // wallet.sign returns: { tx_blob: serialized, hash: hashSignedTx(serialized) }
 };
 
-const SignWithKeyPrompt = async function ({ transaction, secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName }) {
+const MultisignFee = function (baseFeeDrops, signersCount) {
+	// A multi-signed transaction costs the base fee multiplied by (1 + number of signatures provided).
+	return Number(baseFeeDrops) * (1 + Number(signersCount));
+}
+
+const MultisignBaseFee = async function ({ network, client } = {}) {
+	// the current base fee of the network scaled by its load, the reference MULTISIGN_BASE_FEE_DROPS offline (with a warning)
+	if ((!network && !client) || isOffline()) {
+		console.log(ColoredText(`\nThe current fee of the network is unknown offline: the multi-signed Fee is checked against the reference ${MULTISIGN_BASE_FEE_DROPS} drops, it may be too low under load.`, { color: 'FgYellow' }));
+		return MULTISIGN_BASE_FEE_DROPS;
+	}
+
+	const { drops } = (await ServerFee({ network, client })).result;
+	return Math.max(Number(drops.base_fee), Number(drops.minimum_fee));
+}
+
+const CheckMultisignFee = async function (transaction, signersCount, { baseFeeDrops, network, client } = {}) {
+	// refuses to sign the multi-signed transaction with the Fee too low for "signersCount" signatures (asked if empty):
+	// the Fee can't be raised here, every signer must sign the very same transaction
+	// baseFeeDrops (optional): the base fee to check against instead of the current one of "network" (see MultisignBaseFee())
+	// returns { signersCount, baseFeeDrops }
+	if (!signersCount) { signersCount = await PromptRequired('Number of the signatures to be combined (the Fee must cover them)', { newline: true }); }
+
+	const count = Number(signersCount);
+	if (!Number.isInteger(count) || count < 1) { fail(`Invalid number of the signatures: ${signersCount}`); }
+
+	const baseFee = Number(baseFeeDrops || await MultisignBaseFee({ network, client }));
+	const minFee = MultisignFee(baseFee, count);
+	if (Number(transaction.Fee) < minFee) {
+		fail(`\nTransaction Fee (${transaction.Fee} drops) is too low to be multi-signed by ${count} signer(s): at least ${minFee} drops (${baseFee} drops x (1 + ${count})).\nBuild the transaction with this Fee again, the signatures of every signer must be of the very same transaction.`);
+	}
+
+	return { signersCount: count, baseFeeDrops: baseFee };
+}
+
+const ShowMultisignFeeWarning = function (transaction, { baseFeeDrops } = {}) {
+	const fee = Number(transaction.Fee);
+	const baseFee = Number(baseFeeDrops || MULTISIGN_BASE_FEE_DROPS);
+	const maxSigners = Math.floor(fee / baseFee) - 1;
+
+	console.log(`\nThe Fee of a multi-signed transaction must be at least ${baseFee} drops x (1 + number of signatures).`);
+	if (maxSigners < 1) {
+		console.log(ColoredText(`Transaction Fee (${transaction.Fee} drops) is too low to be multi-signed, it will be rejected.`, { color: 'FgYellow' }));
+		return;
+	}
+	console.log(`Transaction Fee (${transaction.Fee} drops) covers up to ${maxSigners} signature(s).`);
+}
+
+const WalletWithKeyPrompt = async function ({ secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName }) {
+	// the keystore entry of "promptAccountAddress" is offered first (see `wallet/keystore`)
+	if (!secretKey) {
+		secretKey = await KeystoreSecretRequest(promptAccountAddress);
+	}
 	if (!secretKey) {
 		secretKey = await PromptWalletKey(secretKeyPromptOpts, promptParamName, promptAccountAddress);
 	}
 
-	const wallet = Wallet(secretKey);
-	const signed = Sign({ wallet, transaction, addLedgerMaxSequence: true });
+	return Wallet(secretKey);
+}
+
+const SignWithKeyPrompt = async function ({ transaction, secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName, multisign }) {
+	const wallet = await WalletWithKeyPrompt({ secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName });
+	const signed = Sign({ wallet, transaction, multisign, addLedgerMaxSequence: true });
 	return signed;
 }
 
+const SignBatchWithKeyPrompt = async function ({ transactions, secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName }) {
+	// the secret key is prompted once for all the transactions
+	const wallet = await WalletWithKeyPrompt({ secretKey, secretKeyPromptOpts, promptAccountAddress, promptParamName });
+	return transactions.map((transaction) => Sign({ wallet, transaction }));
+}
+
 const AccountLastSequence = async function ({ network, xrplAddress, client, account } = {}) {
 	const info = await AccountInfo({ network, xrplAddress, client, account });
 
@@ -57,8 +153,12 @@ const AccountLastSequence = async function ({ network, xrplAddress, client, acco
 	};
 }
 
-async function AddTransactionSequences(txData, { account, ledgerTimeout, ledgerSeqIndex, accSequence, network, xrplAddress, client }) {
+async function AddTransactionSequences(txData, { account, ledgerTimeout, ledgerSeqIndex, accSequence, ticketSequence, network, xrplAddress, client }) {
 	let seqInfo;
+
+	ticketSequence = ticketSequence || TicketSequenceOption();
+	if (ticketSequence) { return addTicketSequence(txData, { ticketSequence, ledgerSeqIndex, ledgerTimeout }); }
+
 	const offline = isOffline();
 	const manually = offline || !account || (!client && !network && !xrplAddress);
 	const validInput = !isNaN(ledgerSeqIndex) && !isNaN(accSequence);
@@ -96,6 +196,52 @@ async function AddTransactionSequences(txData, { account, ledgerTimeout, ledgerS
 	addAccountSequence(txData, seqInfo);
 }
 
+const batchTicketSequences = async function (count, { account, network, xrplAddress, client }) {
+	// `--ticket N1,N2,...` lists the Tickets of all the transactions, `--ticket N` takes the account Tickets from N up.
+	// The Tickets are read from the ledger whenever the network is available: a missing Ticket fails the batch.
+	const tickets = TicketSequenceOption({ list: true });
+	const online = !isOffline() && account && (client || network || xrplAddress);
+
+	if (!online) {
+		if (tickets.length !== count) { fail(`${count} Tickets are needed offline: --ticket N1,N2,... (see \`account_tickets\`)`); }
+		return tickets;
+	}
+
+	const accountTickets = await AccountTickets({ account, network, xrplAddress, client });
+	const missing = tickets.filter(ticket => !accountTickets.includes(ticket));
+	if (missing.length) { fail(`Tickets not found on account ${account}: ${missing.join(', ')}`); }
+
+	if (tickets.length > 1) {
+		if (tickets.length !== count) { fail(`${count} Tickets are needed, ${tickets.length} listed: ${tickets.join(', ')}`); }
+		return tickets;
+	}
+
+	const available = accountTickets.filter(ticket => ticket >= tickets[0]).slice(0, count);
+	if (available.length < count) { fail(`${count} Tickets from ${tickets[0]} are needed, account ${account} has ${available.length}: create them with \`ticket_create\``); }
+
+	return available;
+}
+
+const AddBatchTransactionSequences = async function (transactions, options) {
+	// The first transaction gets the account Sequence as usual, the next ones get the consecutive Sequence numbers
+	// and the same LastLedgerSequence, so they must be submitted in this order.
+	// With `--ticket` every transaction gets one of the account Tickets instead (see batchTicketSequences).
+	if (!transactions.length) { return; }
+
+	const first = transactions[0];
+	const tickets = TicketSequenceOption({ list: true }) && await batchTicketSequences(transactions.length, options);
+	await AddTransactionSequences(first, { ...options, ticketSequence: tickets?.[0] });
+
+	transactions.slice(1).forEach((tx, idx) => {
+		if (tickets) { tx.Sequence = 0; tx.TicketSequence = tickets[idx + 1]; }
+		else if (first.Sequence) { tx.Sequence = Number(first.Sequence) + idx + 1; }
+
+		if (first.LastLedgerSequence) { tx.LastLedgerSequence = first.LastLedgerSequence; }
+	})
+
+	if (tickets) { console.log(`Tickets ${tickets.join(', ')} are used by ${transactions.length} transactions.`); }
+}
+
 const addLastLedgerIndexTimeout = async function (data, sequenceData, { indexTimeout }) {
 	// LastLedgerSequence is an optional parameter of all transactions.
 	// This instructs the XRP Ledger that a transaction must be validated on or before a specific ledger version.
@@ -117,6 +263,22 @@ const addAccountSequence = async function (data, sequenceData) {
 	data.Sequence = Number(sequenceData.accountSequence);
 }
 
+const addTicketSequence = function (data, { ticketSequence, ledgerSeqIndex, ledgerTimeout }) {
+	// A Ticket is a sequence number set aside by TicketCreate transaction.
+	// The transaction using a Ticket must have Sequence = 0 and the Ticket number in the TicketSequence field.
+	// Tickets can be used in any order, so the transaction is not invalidated by the other transactions of the account.
+
+	data.Sequence = 0;
+	data.TicketSequence = Number(ticketSequence);
+
+	if (ledgerSeqIndex && !isNaN(ledgerSeqIndex)) {
+		addLastLedgerIndexTimeout(data, { ledgerLastIndex: ledgerSeqIndex }, { indexTimeout: (isNaN(ledgerTimeout) ? 1 : Number(ledgerTimeout)) });
+	}
+
+	console.log(`\nUsing Ticket ${ColoredText(data.TicketSequence, { color: 'FgYellow' })} instead of the account Sequence.`);
+	if (!data.LastLedgerSequence) { console.log('LastLedgerSequence is not set: the transaction can be submitted at any time while the Ticket exists.'); }
+}
+
 const SequencesExpiration = function (sequenceData, { accountSeq, ledgerSeq }) {
 	// 1) verify LastLedgerSequence is valid
 	// Highest ledger index this transaction can appear in.
@@ -153,10 +315,32 @@ const SequencesExpiration = function (sequenceData, { accountSeq, ledgerSeq }) {
 }
 
 async function main(){
+	const qr = TakeNamedOption('qr', { flag: true, desc: 'show the signed transaction as a QR code (offline)' });
 	await defineMainParams(main_params);
 
 	const parsedTx = parsedTransactionParams(main_params.tx.value);
-	const transaction = Sign({ wallet: Wallet(main_params.key.value), transaction: parsedTx });
+	const multisign = ['y', 'yes'].includes(main_params.multisign.value.toLowerCase());
+	const multisignFee = (multisign ? await CheckMultisignFee(parsedTx, main_params.signers_count.value, { network: main_params.network.value }) : {});
+
+	const wallet = Wallet(main_params.key.value);
+	const transaction = Sign({ wallet, transaction: parsedTx, multisign });
+
+	if (qr) {
+		// required here: `sign_qr.js` requires this module
+		const { ShowSignedQR } = require('./sign_qr.js');
+
+		if (multisign) { ShowMultisignFeeWarning(parsedTx, { baseFeeDrops: multisignFee.baseFeeDrops }); }
+		return ShowSignedQR({ transaction: parsedTx, tx: transaction, multisign, wallet });
+	}
+
+	if (multisign) {
+		console.log(`\nSIGNED TRANSACTION (signature of the signer ${wallet.classicAddress}):`);
+		console.log(transaction);
+
+		ShowMultisignFeeWarning(parsedTx, { baseFeeDrops: multisignFee.baseFeeDrops });
+		console.log('\nCollect the "tx_blob" values of all signers and use them in call `multisign_combine` script to build the transaction to be submitted.\n');
+		quit();
+	}
 
 	console.log('\nSIGNED TRANSACTION:');
 	console.log(transaction);
@@ -173,12 +357,21 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.Wallet = Wallet;
 	exports.Sign = Sign;
+	exports.MultisignFee = MultisignFee;
+	exports.MultisignBaseFee = MultisignBaseFee;
+	exports.CheckMultisignFee = CheckMultisignFee;
+	exports.ShowMultisignFeeWarning = ShowMultisignFeeWarning;
+	exports.WalletWithKeyPrompt = WalletWithKeyPrompt;
 	exports.SignWithKeyPrompt = SignWithKeyPrompt;
+	exports.SignBatchWithKeyPrompt = SignBatchWithKeyPrompt;
 	exports.AccountLastSequence = AccountLastSequence;
 	exports.AddTransactionSequences = AddTransactionSequences;
+	exports.AddBatchTransactionSequences = AddBatchTransactionSequences;
 	exports.SequencesExpiration = SequencesExpiration;
 	exports.addLastLedgerIndexTimeout = addLastLedgerIndexTimeout;
 	exports.addAccountSequence = addAccountSequence;
+	exports.addTicketSequence = addTicketSequence;
 }
@@ -1,10 +1,14 @@
 ///////////////////////////////////////////////////////////
 //
 // sign_qr.js - sign a transaction and show TX data as QR code in offline.
-// syntax: node escrow [PUB|TEST|DEV] ACCOUNT XRP_ESCROW ESCROW_RELEASE_TIME
+// The library of `sign --qr` and of the `--qr` mode of the transaction commands (see `tx_command.js`).
+//
+// With a multi-signature the QR code contains a signature of one signer only.
+// Scan the QR codes of all signers and merge them with `multisign_combine` script.
 //
 // Docs: https://xrpl.org/secure-signing.html
 //       https://xrpl.org/set-up-secure-signing.html
+//       https://xrpl.org/multi-signing.html
 ///////////////////////////////////////////////////////////
 
 'use strict';
@@ -13,32 +17,69 @@ const MODULE_NAME = 'sign_qr';
 
 const { dropsToXrp } = require("xrpl");
 
-const { fail, defineMainParams } = require('./libs/common.js');
-const { Sign, Wallet } = require('./sign.js');
-const { ShowHtmlQR } = require('./qr.js');
+const { showLoadedModules } = require('./libs/common.js');
+const { Sign } = require('./sign.js');
+const { ShowHtmlQR, ShowHtmlQRBundle } = require('./qr.js');
+const { FormatAmount, IsXrpAmount } = require('./libs/amount.js');
 const { DescribeSetFlag } = require('../account_settings/account_set.js');
 
-const main_params = {
-	tx: { id: 1, default: '', required: true, desc: 'transaction in json string format' },
-	key: { id: 2, default: '', mandatory_required: true, desc: 'secret seed/mnemonic to sign with', scramble: true },
-};
-
 const SignQR = async function ({ transaction, multisign, wallet, qrTxFields, qrAddtnFields }) {
 	const tx = Sign({ transaction, multisign, wallet });
-	const skipAddtnFields = ['Account', 'Destination', 'DestinationTag', 'SourceTag', 'Amount', 'Fee', 'Sequence', 'LastLedgerSequence', 'SetFlag', 'ClearFlag'];
+	await ShowSignedQR({ transaction, tx, multisign, wallet, qrTxFields, qrAddtnFields });
 
-	console.log('\nSIGNED TRANSACTION:');
+	return tx;
+}
+
+const ShowSignedQR = async function ({ transaction, tx, multisign, wallet, qrTxFields, qrAddtnFields }) {
+	// tx: the signed "transaction" ({ tx_blob, hash } of Sign())
+	console.log(`\nSIGNED TRANSACTION${multisign ? ` (signature of the signer ${wallet.classicAddress})` : ''}:`);
 	console.log(tx);
-	console.log('\nUse "hash" value to search detailed information in call `account_transactions` script after the transaction is sent to XRPL.\n');
+	if (multisign) { console.log('\nCombine this signature with the signatures of other signers in call `multisign_combine` script.\n'); }
+	else { console.log('\nUse "hash" value to search detailed information in call `account_transactions` script after the transaction is sent to XRPL.\n'); }
+
+	await ShowHtmlQR(tx.tx_blob, {
+		title: `${multisign ? 'Multi-Signature of' : 'Signed'} Transaction [${transaction.TransactionType}]`,
+		...qrDescriptionFields({ transaction, tx, multisign, wallet, qrTxFields, qrAddtnFields })
+	});
+}
+
+const SignQRBundle = async function ({ transactions, wallet, title }) {
+	// transactions: [{ transaction, qrTxFields, qrAddtnFields }] to be signed by the same wallet and shown as QR codes on a single page,
+	// they must be submitted in the order shown (consecutive Sequences)
+	const items = [], signed = [];
+
+	for (const { transaction, qrTxFields, qrAddtnFields } of transactions) {
+		const tx = Sign({ transaction, wallet });
+		signed.push(tx);
+
+		items.push({
+			qrText: tx.tx_blob,
+			title: `Signed Transaction [${transaction.TransactionType}]`,
+			...qrDescriptionFields({ transaction, tx, wallet, qrTxFields, qrAddtnFields })
+		});
+	}
+
+	console.log(`\nSIGNED TRANSACTIONS (${signed.length}):`);
+	console.log(signed);
+	console.log('\nSubmit them in the order shown: every next transaction uses the next Sequence (or Ticket).\n');
+
+	await ShowHtmlQRBundle(items, { title });
+
+	return signed;
+}
+
+function qrDescriptionFields({ transaction, tx, multisign, wallet, qrTxFields, qrAddtnFields }) {
+	const skipAddtnFields = ['Account', 'Destination', 'DestinationTag', 'SourceTag', 'Amount', 'Fee', 'Sequence', 'TicketSequence', 'LastLedgerSequence', 'SetFlag', 'ClearFlag'];
 
 	const descriptionFieldsTop = [];
+	if (multisign) { descriptionFieldsTop.push({ name: 'Multi-Signer', value: wallet.classicAddress }); }
 
 	const srcAccText = (transaction.Destination ? 'Source Account' : 'Account');
 	if (transaction.Account) { descriptionFieldsTop.push({ name: srcAccText, value: transaction.Account }); }
 	if (transaction.Destination) { descriptionFieldsTop.push({ name: 'Destination Account', value: transaction.Destination }); }
 	if (transaction.DestinationTag) { descriptionFieldsTop.push({ name: 'Destination Tag', value: transaction.DestinationTag }); }
 	if (transaction.SourceTag) { descriptionFieldsTop.push({ name: 'Source Tag', value: transaction.SourceTag }); }
-	if (transaction.Amount) { descriptionFieldsTop.push({ name: 'Amount', value: `${dropsToXrp(Number(transaction.Amount))} XRP (${transaction.Amount} drops)` }); }
+	if (transaction.Amount) { descriptionFieldsTop.push({ name: 'Amount', value: (IsXrpAmount(transaction.Amount) ? `${dropsToXrp(Number(transaction.Amount))} XRP (${transaction.Amount} drops)` : FormatAmount(transaction.Amount)) }); }
 	if (transaction.Fee) { descriptionFieldsTop.push({ name: 'Fee', value: `${transaction.Fee} drops` }); }
 	if (transaction.ClearFlag) { descriptionFieldsTop.push({ name: 'ClearFlag', value: `[${transaction.ClearFlag}] ${DescribeSetFlag(transaction.ClearFlag).name}` }); }
 	if (transaction.SetFlag) { descriptionFieldsTop.push({ name: 'SetFlag', value: `[${transaction.SetFlag}] ${DescribeSetFlag(transaction.SetFlag).name}` }); }
@@ -59,38 +100,19 @@ const SignQR = async function ({ transaction, multisign, wallet, qrTxFields, qrA
 	}
 
 	const descriptionFieldsBottom = [
-		{ name: 'Data', value: tx.tx_blob },
-		{ name: 'Hash', value: tx.hash }
+		{ name: 'Data', value: tx.tx_blob }
 	];
+	if (!multisign) { descriptionFieldsBottom.push({ name: 'Hash', value: tx.hash }); } // the hash changes once all signatures are combined
 	if (transaction.Sequence) { descriptionFieldsBottom.push({ name: 'Source Account Sequence', value: transaction.Sequence }); }
+	if (transaction.TicketSequence) { descriptionFieldsBottom.push({ name: 'Ticket Sequence', value: transaction.TicketSequence }); }
 	if (transaction.LastLedgerSequence) { descriptionFieldsBottom.push({ name: 'Max Ledger Index', value: transaction.LastLedgerSequence }); }
 
-	await ShowHtmlQR(tx.tx_blob, {
-		title: `Signed Transaction [${transaction.TransactionType}]`,
-		descriptionFieldsTop,
-		descriptionFieldsBottom,
-	});
-
-	return tx;
-}
-
-function parsedTransactionParams(str) {
-	return JSON.parse(str);
+	return { descriptionFieldsTop, descriptionFieldsBottom };
 }
 
-async function main(){
-	await defineMainParams(main_params);
-
-	const parsedTx = parsedTransactionParams(main_params.tx.value);
-	const transaction = SignQR({ wallet: Wallet(main_params.key.value), transaction: parsedTx });
-	console.log(transaction);
-}
-
-if (require.main === module) {
-	console.log(MODULE_NAME + ' called directly\n');
-	main();
-
-} else {
-	console.log(MODULE_NAME + ' module loaded');
+if (require.main !== module) {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 	exports.SignQR = SignQR;
+	exports.SignQRBundle = SignQRBundle;
+	exports.ShowSignedQR = ShowSignedQR;
 }
@@ -3,6 +3,9 @@
 // submit_send.js - submit transaction and send it to XRPL blockchain
 // syntax: node submit_send [PUB|TEST|DEV] TRANSACTION_ENCODED_STRING
 //
+// The submit is confirmed by `--yes` without asking (see AutomationOption() in `libs/cli_args.js`),
+// except the submit of a transaction that may be rejected due to expiration.
+//
 ///////////////////////////////////////////////////////////
 
 'use strict';
@@ -19,9 +22,10 @@ const main_params = {
 	transaction_blob_hex_string: { id: 2, default: '', required: true },
 };
 
-const Submit = async function (transaction, { network, address, validateSequence, failHard }) {
+const Submit = async function (transaction, { network, address, validateSequence, failHard, onSubmitted }) {
 	// If "failHard" is true, and the transaction fails locally, do not retry or relay the transaction to other servers.
 	// This flag helps on "AccountDelete" to greatly reduce the chances of paying the high transaction cost if the account cannot be deleted.
+	// onSubmitted (optional): a synchronous function called with the submit result before the result is shown.
 	let client;
 
 	console.log(); // an empty line
@@ -32,7 +36,7 @@ const Submit = async function (transaction, { network, address, validateSequence
 	if (isOffline()) { fail("\nOFFLINE mode enabled in `common.js`\n\nDenied to connect to XRPL in offline mode"); }
 
 	const confirmationTime = new Date();
-	const answer = await prompt('\nType [Y]es to continue and submit this transaction to blockchain: ');
+	const answer = await prompt('\nType [Y]es to continue and submit this transaction to blockchain: ', { confirmation: true });
 	if (!['y', 'yes'].includes(answer.toLowerCase())) {
 		fail('Aborted');
 	}
@@ -55,13 +59,17 @@ const Submit = async function (transaction, { network, address, validateSequence
 			if (validation.ledgerSeq?.expired) {
 				const title = ColoredText("Transaction Last Ledger Sequence has expired", { color: 'FgRed', bgColor: 'BgYellow' });
 				console.log(`\n${title}\nActual ledger index: ${validation.ledgerSeq.current}\nTx max value: ${txDecoded.LastLedgerSequence}\nExceeded value: ${validation.ledgerSeq.exceeded}`);
-			} else {
+			} else if (validation.ledgerSeq) {
 				console.log(`\nTransaction Last Ledger Sequence remaining value: ${validation.ledgerSeq.remaining}`);
 			}
+			if (validation.ticket?.missing) {
+				const title = ColoredText(`Ticket ${txDecoded.TicketSequence} is not found`, { color: 'FgRed', bgColor: 'BgYellow' });
+				console.log(`\n${title}\nIt has been used by another transaction or it has never been created. See \`account_tickets\``);
+			}
 
 			if (validation.expired) {
 				const title = ColoredText("!!! Warning! This transaction may be rejected due to expiration errors !!!", { color: 'FgMagenta', bgColor: 'BgYellow' });
-				const msg = ColoredText('\nMost likely you should re-sign the transaction\nwith updated values of Last Ledger Sequence or/and Account Sequence', { color: 'FgCyan' });
+				const msg = ColoredText('\nMost likely you should re-sign the transaction\nwith updated values of Last Ledger Sequence or/and Account Sequence (or another Ticket)', { color: 'FgCyan' });
 				console.log(`\n${title}\n${"=".repeat(75)}`);
 				console.log(msg);
 
@@ -78,6 +86,8 @@ const Submit = async function (transaction, { network, address, validateSequence
 		console.log(`[${new Date()}]\nTransaction sent\n`);
 		response.then(
 							result => {
+								if (onSubmitted) { onSubmitted(result); }
+
 								console.log('RESULT:');
 								console.log(result);
 								console.log(`\n${JSON.stringify(result)}`);
@@ -85,7 +95,7 @@ const Submit = async function (transaction, { network, address, validateSequence
 								if (result.result.engine_result === 'tesSUCCESS') {
 									console.log(`\n${ColoredText('[ SUCCEEDED ]', { color: 'FgGreen' })}\nPlease wait for transaction validation within 3..60 seconds.\n\nTo find detailed information use "account_transactions" script with 'tx_json -> hash' and 'validated_ledger_index' listed above in transaction details.\n`);
 
-									if (txDecoded.TransactionType === 'EscrowCreate') { console.log(`Remember the Sequence (${txDecoded.Sequence}) of this Escrow Create transaction. It is necessary for its cancellation or finish.\n\n`); }
+									if (txDecoded.TransactionType === 'EscrowCreate') { console.log(`Remember the Sequence (${txDecoded.Sequence || txDecoded.TicketSequence}) of this Escrow Create transaction. It is necessary for its cancellation or finish.\n\n`); }
 								} else {
 									if (!result.result.applied || !result.result.queued || result.result.kept) { console.log('\n'); }
 									if (!result.result.applied) { console.log('NOT APPLIED To current open ledger'); }
@@ -111,11 +121,72 @@ const Submit = async function (transaction, { network, address, validateSequence
 	quit();
 }
 
+const SubmitBatch = async function (transactions, { network, address, onSubmitted }) {
+	// Submits the signed transactions one by one in the order given (consecutive Sequences) after a single confirmation.
+	// Stops on the first transaction that is not accepted: the next ones would fail with a Sequence gap.
+	// onSubmitted (optional): a synchronous function called with the submit result and the index of every transaction submitted.
+	let client, submitted = 0;
+
+	console.log(); // an empty line
+	if (!address && network) { address = XrplServerAddress(network); console.log(`XRPL NETWORK: ${network?.toUpperCase()}`); }
+	if (!address) { fail('XRPL Network or Address must be specified in call SubmitBatch()'); }
+	console.log(`XRPL ADDRESS: ${address}`);
+
+	if (isOffline()) { fail("\nOFFLINE mode enabled in `common.js`\n\nDenied to connect to XRPL in offline mode"); }
+
+	const answer = await prompt(`\nType [Y]es to continue and submit these ${transactions.length} transactions to blockchain: `, { confirmation: true });
+	if (!['y', 'yes'].includes(answer.toLowerCase())) {
+		fail('Aborted');
+	}
+
+	try{
+		console.log('Connecting to XRPL...');
+		client = new Client(address);
+		await client.connect();
+
+		for (const [idx, transaction] of transactions.entries()) {
+			const txDecoded = decode(transaction);
+			const result = await client.submit(transaction);
+			const engineResult = result.result.engine_result;
+			const accepted = (engineResult === 'tesSUCCESS' || engineResult === 'terQUEUED');
+			if (onSubmitted) { onSubmitted(result, idx); }
+
+			console.log(`\n[${idx + 1}/${transactions.length}] ${txDecoded.TransactionType} ${result.result.tx_json?.hash}  Sequence: ${txDecoded.TicketSequence ? `ticket ${txDecoded.TicketSequence}` : txDecoded.Sequence}`);
+			console.log(`  ${ColoredText(engineResult, { color: (accepted ? 'FgGreen' : 'FgRed') })} - ${result.result.engine_result_message}`);
+
+			if (!accepted) { break; }
+			submitted++;
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	if (submitted !== transactions.length) {
+		fail(`\nSubmitted ${submitted} of ${transactions.length} transactions, the rest are not sent. Re-sign them with the updated account Sequence.`);
+	}
+
+	console.log(`\n${ColoredText('[ SUCCEEDED ]', { color: 'FgGreen' })}\nAll ${transactions.length} transactions are submitted. Please wait for validation within 3..60 seconds.\n`);
+	quit();
+}
+
 async function validateAccountLedgerSequences(decodedTransaction, client) {
 	const { AccountLastSequence, SequencesExpiration } = require('./sign.js');
 	const info = await AccountLastSequence({ account: decodedTransaction.Account, client });
+	const validation = SequencesExpiration(info, { accountSeq: decodedTransaction.Sequence, ledgerSeq: decodedTransaction.LastLedgerSequence });
+
+	if (decodedTransaction.TicketSequence) {
+		const { AccountTickets } = require('../account_info/account_tickets.js');
+		const tickets = await AccountTickets({ account: decodedTransaction.Account, client });
+
+		validation.ticket = { missing: !tickets.includes(Number(decodedTransaction.TicketSequence)) };
+		validation.expired = validation.expired || validation.ticket.missing;
+	}
 
-	return SequencesExpiration(info, { accountSeq: decodedTransaction.Sequence, ledgerSeq: decodedTransaction.LastLedgerSequence });
+	return validation;
 }
 
 function decodeAndSubmit() {
@@ -139,5 +210,7 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.Submit = Submit;
+	exports.SubmitBatch = SubmitBatch;
 }
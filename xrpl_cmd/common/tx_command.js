@@ -0,0 +1,146 @@
+///////////////////////////////////////////////////////////
+//
+// tx_command.js - runs a transaction command in the mode chosen by `--json`, `--qr` or `--submit`
+//
+// json   - builds the transaction with the account Sequence of the network and shows its JSON to be signed by `sign`
+// qr     - builds the transaction with ACCOUNT_SEQUENCE, LEDGER_INDEX and LEDGER_TIMEOUT of the parameters (offline),
+//          signs it and shows the QR code
+// submit - builds the transaction with the account Sequence of the network, signs it and submits it
+//
+// The parameters of a mode only are marked by "modes" (see defineModeParams() in `libs/common.js`):
+// the secret key of the qr and submit modes, the account_sequence, ledger_current_index and ledger_index_timeout of the qr mode.
+// The secret key not specified is unlocked from the keystore or asked (see WalletWithKeyPrompt() in `sign.js`).
+//
+// RunBatchTransactionCommand() does the same for a series of transactions with consecutive Sequences
+// (or the account Tickets of `--ticket`, see AddBatchTransactionSequences() in `sign.js`):
+// json shows the JSON of every transaction, qr shows all QR codes on a single page, submit submits them in order.
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'tx_command';
+
+const { quit, networkMinFee, ledgerIndexMinTimeout, ConfirmFeeValue, ShowTransactionDetails, OutputJsonTransaction, showLoadedModules } = require('./libs/common.js');
+const { Sign, AddTransactionSequences, AddBatchTransactionSequences, WalletWithKeyPrompt } = require('./sign.js');
+const { SignQR, SignQRBundle } = require('./sign_qr.js');
+const { Submit, SubmitBatch } = require('./submit_send.js');
+
+const ModeWallet = function (params, { keyParam = 'key', account }) {
+	// returns the function resolving the wallet of the secret key parameter once, asked on the first call
+	let wallet;
+
+	return async function () {
+		if (!wallet) {
+			wallet = await WalletWithKeyPrompt({ secretKey: params[keyParam].value, secretKeyPromptOpts: params[keyParam], promptParamName: keyParam, promptAccountAddress: account });
+		}
+		return wallet;
+	}
+}
+
+const ModeSequences = function (mode, params, { account }) {
+	// the options of AddTransactionSequences(): the account Sequence of the network, or the offline parameters of the qr mode
+	if (mode === 'qr') {
+		return {
+			accSequence: params.account_sequence.value,
+			ledgerSeqIndex: params.ledger_current_index.value,
+			ledgerTimeout: params.ledger_index_timeout.value
+		};
+	}
+
+	return {
+		account,
+		network: params.network.value,
+		ledgerTimeout: ledgerIndexMinTimeout(params.network.value)
+	};
+}
+
+const ModeFee = async function (mode, params, { confirmFee = true, fee } = {}) {
+	// the minimal network fee (or the drops resolved by "fee" of the command), confirmed before signing
+	const feeDrops = (fee ? await fee() : networkMinFee(params.network.value));
+	if (mode === 'json' || !confirmFee) { return feeDrops; }
+
+	return await ConfirmFeeValue(feeDrops);
+}
+
+const RunTransactionCommand = async function (mode, { params, account, keyParam = 'key', build, confirmFee, fee, show = ShowTransactionDetails, title, qrTxFields, qrAddtnFields, onSigned, submitOptions }) {
+	// build: async ({ feeDrops, wallet }) => the transaction without the sequences, "wallet" resolves the signing wallet if it is needed to build it
+	// fee (optional): async () => the fee drops of the command instead of the minimal network fee
+	// qrAddtnFields: the fields of the QR page (see SignQR()) or a function of the transaction returning them
+	// onSigned (optional): async (signed, transaction) => called after signing, before the submit
+	// returns { transaction, signed }
+	const wallet = (mode === 'json' ? undefined : ModeWallet(params, { keyParam, account }));
+
+	const transaction = await build({ feeDrops: await ModeFee(mode, params, { confirmFee, fee }), wallet });
+	await AddTransactionSequences(transaction, ModeSequences(mode, params, { account }));
+
+	await show(transaction);
+
+	if (mode === 'json') { quit(OutputJsonTransaction(transaction)); }
+
+	if (mode === 'qr') {
+		const signed = await SignQR({
+			wallet: await wallet(),
+			transaction,
+			qrTxFields,
+			qrAddtnFields: (typeof qrAddtnFields === 'function' ? qrAddtnFields(transaction) : qrAddtnFields)
+		});
+		if (onSigned) { await onSigned(signed, transaction); }
+		return { transaction, signed };
+	}
+
+	const signed = Sign({ wallet: await wallet(), transaction });
+	console.log(`\nSIGNED TRANSACTION${title ? ` - ${title}` : ''}:`);
+	console.log(signed);
+	if (onSigned) { await onSigned(signed, transaction); }
+
+	await Submit(signed.tx_blob, { network: params.network.value, ...submitOptions });
+	return { transaction, signed };
+}
+
+const RunBatchTransactionCommand = async function (mode, { params, account, keyParam = 'key', build, confirmFee, fee, show, title, qrTransactions, onSigned, submitOptions }) {
+	// build: async ({ feeDrops, wallet }) => the transactions without the sequences, in the order to be submitted
+	// show (optional): async (transactions) => shows them with the sequences, after the details of every transaction
+	// qrTransactions: (transactions) => [{ transaction, qrTxFields, qrAddtnFields }] of the QR page (see SignQRBundle())
+	// onSigned (optional): async (signed, transactions) => called after signing, before the submit
+	// returns { transactions, signed }
+	const wallet = (mode === 'json' ? undefined : ModeWallet(params, { keyParam, account }));
+
+	const transactions = await build({ feeDrops: await ModeFee(mode, params, { confirmFee, fee }), wallet });
+	await AddBatchTransactionSequences(transactions, ModeSequences(mode, params, { account }));
+
+	if (mode === 'json') { transactions.forEach((tx) => OutputJsonTransaction(tx)); }
+	else { transactions.forEach((tx) => ShowTransactionDetails(tx)); }
+	if (show) { await show(transactions); }
+
+	if (mode === 'json') { quit(); }
+
+	if (mode === 'qr') {
+		const signed = await SignQRBundle({
+			wallet: await wallet(),
+			transactions: qrTransactions(transactions),
+			title: `${title ? `${title}: ` : ''}${transactions.length} transactions, submit them in this order`
+		});
+		if (onSigned) { await onSigned(signed, transactions); }
+		return { transactions, signed };
+	}
+
+	const signer = await wallet();
+	const signed = transactions.map((transaction) => Sign({ wallet: signer, transaction }));
+	console.log(`\nSIGNED TRANSACTIONS${title ? ` - ${title.toUpperCase()}` : ''} (${signed.length}):`);
+	console.log(signed);
+	if (onSigned) { await onSigned(signed, transactions); }
+
+	await SubmitBatch(signed.map((item) => item.tx_blob), { network: params.network.value, ...submitOptions });
+	return { transactions, signed };
+}
+
+if (require.main !== module) {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.RunTransactionCommand = RunTransactionCommand;
+	exports.RunBatchTransactionCommand = RunBatchTransactionCommand;
+	exports.ModeWallet = ModeWallet;
+	exports.ModeSequences = ModeSequences;
+	exports.ModeFee = ModeFee;
+}
@@ -0,0 +1,30 @@
+///////////////////////////////////////////////////////////
+//
+// list_offer_flags.js - lists OfferCreate Flags
+// syntax: node list_offer_flags
+//
+//
+// Docs:
+//   https://xrpl.org/offercreate.html#offercreate-flags
+//   https://js.xrpl.org/enums/OfferCreateFlags.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const { AvailableFlags } = require('./offer_create.js');
+
+function listAvailableFlags () {
+	AvailableFlags().forEach((item) => console.log(item));
+}
+
+async function main(){
+	console.log('\nOfferCreate Flags:\n');
+	listAvailableFlags();
+}
+
+if (require.main === module) {
+	main();
+
+} else {
+	exports.COMMAND_MODES = [];
+}
@@ -0,0 +1,86 @@
+///////////////////////////////////////////////////////////
+//
+// offer_cancel.js - removes an Offer from the decentralized exchange
+// syntax: node offer_cancel [--json] [PUB|TEST|DEV] ACCOUNT OFFER_SEQUENCE
+//         node offer_cancel --submit [PUB|TEST|DEV] ACCOUNT OFFER_SEQUENCE SEED_KEY
+//         node offer_cancel --qr [PUB|TEST|DEV] ACCOUNT OFFER_SEQUENCE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// OFFER_SEQUENCE is the sequence number (or the Ticket) of the OfferCreate transaction, see `account_offers` script.
+// The owner reserve of the Offer is released.
+//
+// Docs: https://xrpl.org/offercancel.html
+//       https://js.xrpl.org/interfaces/OfferCancel.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'offer_cancel';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	offer_sequence: { id: 3, default: '', required: true, desc: 'see "seq" in `account_offers`', type: 'number' },
+	key: { id: 4, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function OfferCancel({ account, offerSequence, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/OfferCancel.html
+	//       https://xrpl.org/offercancel.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call OfferCancel()"); error = true; }
+	if (!offerSequence || isNaN(offerSequence) || offerSequence <= 0){ console.error("Must specify 'offerSequence' as a Number in call OfferCancel()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call OfferCancel()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'OfferCancel',
+		Account: account,
+		OfferSequence: Number(offerSequence), // The sequence number (or Ticket number) of a previous OfferCreate transaction.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => OfferCancel({
+			account: main_params.account.value,
+			offerSequence: main_params.offer_sequence.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'OFFER CANCEL',
+		qrTxFields: ['OfferSequence'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[[ CANCEL OFFER ]]' }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.OfferCancel = OfferCancel;
+}
@@ -0,0 +1,162 @@
+///////////////////////////////////////////////////////////
+//
+// offer_create.js - places an Offer (a limit order) in the decentralized exchange
+// syntax: node offer_create [--json] [PUB|TEST|DEV] ACCOUNT TAKER_GETS TAKER_PAYS FLAGS EXPIRATION OFFER_SEQUENCE
+//         node offer_create --submit [PUB|TEST|DEV] ACCOUNT TAKER_GETS TAKER_PAYS FLAGS EXPIRATION OFFER_SEQUENCE SEED_KEY
+//         node offer_create --qr [PUB|TEST|DEV] ACCOUNT TAKER_GETS TAKER_PAYS FLAGS EXPIRATION OFFER_SEQUENCE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// TAKER_GETS is the amount you sell (the counterparty gets it), TAKER_PAYS is the amount you buy (the counterparty pays it):
+//   10  or  10 XRP  or  10 USD.rIssuerAddress
+// To hold a token you need a trust line to its issuer first (see `trustline_set` script).
+//
+// FLAGS (optional) - comma separated list, the "tf" prefix can be omitted, "ioc" and "fok" are accepted as well:
+//   tfPassive            - do not consume offers that exactly match this one, only the offers that cross it
+//   tfImmediateOrCancel  - treat the offer as an Immediate or Cancel order, never place it into the order book
+//   tfFillOrKill         - treat the offer as a Fill or Kill order, cancel it if it can not be filled entirely
+//   tfSell               - exchange the entire TakerGets amount, even if it means obtaining more than TakerPays
+// EXPIRATION (optional) - the time after which the offer is no longer active, e.g. 2025-10-20T00:00:00Z or 30d
+// OFFER_SEQUENCE (optional) - the sequence number of an existing offer to cancel (replace) first, see `account_offers`
+//
+// Every Offer placed into the order book adds 1 item to the owner reserve of the account until it is consumed or cancelled.
+//
+// Docs: https://xrpl.org/decentralized-exchange.html
+//       https://xrpl.org/offers.html
+//       https://xrpl.org/offercreate.html
+//       https://xrpl.org/trade-in-the-decentralized-exchange.html
+//       https://js.xrpl.org/interfaces/OfferCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'offer_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { OfferCreateFlags } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules, InputTimeToRippleTime, ParseFlagNames, FlagNames } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, IsXrpAmount, FormatAmount, ExchangeRate } = require('../common/libs/amount.js');
+
+const KNOWN_OFFER_FLAGS = {
+	tfPassive: "Do not consume offers that exactly match this one, only offers that cross it. Lets an order book have 'zero spread'.",
+	tfImmediateOrCancel: "Immediate or Cancel order: trade as much as possible right now, never place the rest into the order book.",
+	tfFillOrKill: "Fill or Kill order: only try to match existing offers in the ledger, and only if the entire TakerPays quantity can be obtained.",
+	tfSell: "Exchange the entire TakerGets amount, even if it means obtaining more than the TakerPays amount in exchange."
+}
+
+const OFFER_FLAG_ALIASES = { ioc: 'tfImmediateOrCancel', fok: 'tfFillOrKill' };
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	taker_gets: { id: 3, default: '', required: true, desc: 'Amount you sell', example: '10 or 10 USD.rIssuerAddress' },
+	taker_pays: { id: 4, default: '', required: true, desc: 'Amount you buy', example: '10 or 10 USD.rIssuerAddress' },
+	flags: { id: 5, default: '', required: false, desc: 'Comma separated offer flags', example: 'tfPassive, tfImmediateOrCancel, tfFillOrKill, tfSell' },
+	expiration: { id: 6, default: '', required: false, desc: 'Time after which the offer is no longer active', example: '2025-10-20T00:00:00Z or 30d', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	offer_sequence: { id: 7, default: '', required: false, desc: 'Sequence of an existing offer to replace, see `account_offers`', type: 'number' },
+
+	key: { id: 8, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 9, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 10, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 11, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+const AvailableFlags = function () {
+	return Object.keys(OfferCreateFlags).filter((k) => isNaN(k)).map((key) => {
+		const h = {};
+		h[key] = { value: OfferCreateFlags[key], value_hex: `0x${OfferCreateFlags[key].toString(16)}`, desc: KNOWN_OFFER_FLAGS[key] };
+		return h;
+	});
+}
+
+const ParseOfferFlags = function (input) {
+	return ParseFlagNames(input, OfferCreateFlags, { aliases: OFFER_FLAG_ALIASES, title: 'offer flag' });
+}
+
+const OfferFlagNames = function (flagsValue) {
+	return FlagNames(flagsValue, OfferCreateFlags);
+}
+
+function OfferCreate({ account, takerGets, takerPays, flags, expiration, offerSequence, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/OfferCreate.html
+	//       https://xrpl.org/offercreate.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call OfferCreate()"); error = true; }
+	if (!takerGets){ console.error("Must specify 'takerGets' in call OfferCreate()"); error = true; }
+	if (!takerPays){ console.error("Must specify 'takerPays' in call OfferCreate()"); error = true; }
+	if (takerGets && takerPays && IsXrpAmount(takerGets) && IsXrpAmount(takerPays)){ console.error("'takerGets' and 'takerPays' can not be both XRP in call OfferCreate()"); error = true; }
+	if (takerGets && takerPays && !IsXrpAmount(takerGets) && !IsXrpAmount(takerPays) && takerGets.currency === takerPays.currency && takerGets.issuer === takerPays.issuer){ console.error("'takerGets' and 'takerPays' must be different assets in call OfferCreate()"); error = true; }
+	if ((flags & OfferCreateFlags.tfImmediateOrCancel) && (flags & OfferCreateFlags.tfFillOrKill)){ console.error("Flags 'tfImmediateOrCancel' and 'tfFillOrKill' can not be combined in call OfferCreate()"); error = true; }
+	if (typeof offerSequence !== 'undefined' && offerSequence !== null && offerSequence !== '' && isNaN(offerSequence)){ console.error("'offerSequence' must be a Number in call OfferCreate()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call OfferCreate()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'OfferCreate',
+		Account: account,
+		TakerGets: takerGets, // The amount and type of currency being sold.
+		TakerPays: takerPays, // The amount and type of currency being bought.
+		Fee: feeDrops.toString()
+	};
+
+	if (flags) { cmd.Flags = flags; } // https://js.xrpl.org/enums/OfferCreateFlags.html
+	if (expiration) { cmd.Expiration = Number(expiration); } // Time after which the Offer is no longer active, in seconds since the Ripple Epoch.
+	if (offerSequence) { cmd.OfferSequence = Number(offerSequence); } // An Offer to delete first, specified in the same way as OfferCancel.
+
+	return cmd;
+}
+
+function qrFields(tx) {
+	const fields = [
+		{ name: 'Sell', value: FormatAmount(tx.TakerGets) },
+		{ name: 'Buy', value: FormatAmount(tx.TakerPays) },
+		{ name: 'Price', value: ExchangeRate(tx.TakerGets, tx.TakerPays)?.text }
+	];
+	if (tx.Flags) { fields.push({ name: 'Offer flags', value: OfferFlagNames(tx.Flags).join(', ') }); }
+	fields.push({ name: 'Transaction kind', value: '[ CREATE OFFER ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => OfferCreate({
+			account: main_params.account.value,
+			takerGets: ParseAmount(main_params.taker_gets.value, { name: 'TakerGets' }),
+			takerPays: ParseAmount(main_params.taker_pays.value, { name: 'TakerPays' }),
+			flags: ParseOfferFlags(main_params.flags.value),
+			expiration: InputTimeToRippleTime(main_params.expiration.value),
+			offerSequence: main_params.offer_sequence.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'OFFER CREATE',
+		qrTxFields: ['Expiration', 'OfferSequence'],
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.OfferCreate = OfferCreate;
+	exports.AvailableFlags = AvailableFlags;
+	exports.ParseOfferFlags = ParseOfferFlags;
+	exports.OfferFlagNames = OfferFlagNames;
+}
@@ -0,0 +1,154 @@
+///////////////////////////////////////////////////////////
+//
+// condition_inspect.js - decodes and verifies escrow crypto-conditions and fulfillments (works offline)
+// syntax: node condition_inspect CONDITION FULFILLMENT ACCOUNT
+//
+// CONDITION - the hex Condition of the escrow (see `account_escrows` or the EscrowCreate transaction):
+//   shows its type, fingerprint and cost, and the EscrowFinish fee required to fulfill it
+// FULFILLMENT (optional) - the hex Fulfillment or the Secret SHA-256 Key (the preimage) written down at the escrow creation:
+//   checks it satisfies CONDITION (the signatures of Ed25519 parts of compound conditions are verified too)
+// ACCOUNT (optional) - the escrow owner (the account that created the escrow with a password):
+//   asks for the password, the RECOVERY CODE of the recovery card and the optional secret salt, re-derives the condition and checks it matches CONDITION
+//   (PREIMAGE-SHA-256 conditions only, check the parts of a compound condition by their conditions in CONDITION_JSON),
+//   so you can confirm a written-down password is still correct before the escrow release date.
+//   For a tranche N of `escrow_ladder` enter the password as "PASSWORD#N".
+//
+// This script does not connect to XRPL, so it can be used in offline mode.
+//
+// Docs: https://xrpl.org/escrowcreate.html
+//       https://xrpl.org/escrowfinish.html
+//       https://tools.ietf.org/html/draft-thomas-crypto-conditions-04
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'condition_inspect';
+
+const { isValidClassicAddress } = require('xrpl');
+
+const { quit, fail, defineMainParams, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { Condition, Fulfillment } = require('../common/libs/crypto_condition.js');
+const { Sha256Fulfillment } = require('../common/libs/bcrypt_sha256.js');
+const { PasswordCondition, KdfDescription } = require('../common/libs/kdf.js');
+const { DecodeError } = require('../common/libs/errors.js');
+const { prompt, PromptRequired } = require('../common/libs/cli_args.js');
+const { Fee } = require('./escrow_finish.js');
+const { FulfillmentMatchesCondition, escrowRecoveryCodeRequest } = require('./escrow_condition.js');
+
+const main_params = {
+	condition: { id: 1, default: '', required: true, desc: 'Hex condition of the escrow' },
+	fulfillment: { id: 2, default: '', required: false, desc: 'Hex fulfillment or secret SHA-256 key to check' },
+	account: { id: 3, default: '', required: false, desc: 'Escrow owner to check a password' },
+}
+
+const DecodeCondition = function (conditionHex) {
+	try {
+		return Condition.fromBinary(conditionHex);
+	} catch (e) {
+		fail(`Invalid CONDITION: ${e.message}`);
+	}
+}
+
+const ParseFulfillmentOrPreimage = function (input) {
+	// hex fulfillment or hex preimage => { fulfillment, decoded: Fulfillment, fromPreimage }
+	const value = `${input || ''}`.trim();
+
+	try {
+		return { fulfillment: value.toUpperCase(), decoded: Fulfillment.fromBinary(value) };
+	} catch (e) {
+		if (!(e instanceof DecodeError) || !/^([0-9A-Fa-f]{2})+$/.test(value)) { fail(`Invalid FULFILLMENT: ${e.message}`); }
+	}
+
+	// not a fulfillment binary: the secret SHA-256 key (preimage) itself
+	const preimage = Buffer.from(value, 'hex');
+	const fulfillment = Sha256Fulfillment({ preimage }).toUpperCase();
+	return { fulfillment, decoded: Fulfillment.fromBinary(fulfillment), fromPreimage: true };
+}
+
+const ShowCondition = function (condition) {
+	const type = condition.type;
+
+	console.log('\nCONDITION:');
+	console.log(`  Type: ${ColoredText(type.name, { color: 'FgYellow' })}  (type ID ${condition.typeId})`);
+	console.log(`  Fingerprint: ${condition.getHash().toString('hex').toUpperCase()}`);
+	console.log(`  Cost: ${condition.getCost()}`);
+	if (type.category === 'compound') { console.log(`  Subtypes: ${condition.getSubtypes().length ? condition.getSubtypes().join(', ') : '<none>'}`); }
+
+	if (condition.typeId === 0) {
+		console.log(`  Preimage size: ${condition.getCost()} bytes`);
+		console.log(`  EscrowFinish fee: ${ColoredText(`${Fee(undefined, { withCondition: true, preimageSize: condition.getCost() })} drops`, { color: 'FgGreen' })}`);
+	} else {
+		console.log('  EscrowFinish fee: depends on the fulfillment size');
+		console.log(ColoredText(`  The XRP Ledger accepts ${type.name} escrow conditions only if the CryptoConditionsSuite amendment is enabled`, { color: 'FgYellow' }));
+	}
+}
+
+const CheckFulfillment = function (conditionHex, input) {
+	const parsed = ParseFulfillmentOrPreimage(input);
+	const matches = FulfillmentMatchesCondition(parsed.fulfillment, conditionHex);
+
+	console.log(`\nFULFILLMENT${parsed.fromPreimage ? ' (from the secret SHA-256 key)' : ''}:`);
+	console.log(`  ${parsed.fulfillment}`);
+	console.log(`  Type: ${parsed.decoded.type.name}`);
+	if (parsed.decoded.typeId === 0) { console.log(`  Preimage size: ${parsed.decoded.getPreimage().length} bytes`); }
+	const size = (parsed.decoded.typeId === 0 ? parsed.decoded.getPreimage().length : parsed.fulfillment.length / 2);
+	console.log(`  EscrowFinish fee: ${Fee(undefined, { withCondition: true, preimageSize: size })} drops`);
+	ShowMatch(matches, 'The fulfillment');
+
+	return matches;
+}
+
+const CheckPassword = async function (conditionHex, { account }) {
+	if (!isValidClassicAddress(account || '')) { fail(`Invalid ACCOUNT "${account}"`); }
+	if (Condition.fromBinary(conditionHex).typeId !== 0) { fail('A password can be checked against a preimage-sha-256 condition only: check the parts of CONDITION_JSON'); }
+
+	const password = await PromptRequired('Enter the password of the escrow', { scramble: true, newline: true });
+	const kdf = await escrowRecoveryCodeRequest();
+	const salt = (await prompt(`\nEnter ${kdf.salt === 'random' ? 'the' : 'optional'} secret salt if you used it: `)).trim();
+	if (kdf.salt === 'random' && !salt) { fail('The secret salt is required by the recovery code (salt=random)'); }
+
+	console.log(`\nDeriving the condition: ${KdfDescription(kdf)}...`);
+	const shaCondition = PasswordCondition({ password, salt, account, kdf });
+	const matches = (shaCondition.hexCondition.toUpperCase() === conditionHex.toUpperCase());
+
+	console.log(`\nPASSWORD of [${account}]:`);
+	ShowMatch(matches, 'The password');
+	if (!matches) { console.log('Check the ACCOUNT is the escrow owner, the RECOVERY CODE, the secret salt and the case of the password.'); }
+
+	return matches;
+}
+
+const ShowMatch = function (matches, name) {
+	if (matches) { console.log(ColoredText(`  ${name} MATCHES the condition`, { color: 'FgGreen' })); }
+	else { console.log(ColoredText(`  ${name} DOES NOT MATCH the condition`, { color: 'FgRed' })); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const conditionHex = main_params.condition.value.trim();
+	const condition = DecodeCondition(conditionHex);
+	ShowCondition(condition);
+
+	let valid = true;
+	if (main_params.fulfillment.value) { valid = CheckFulfillment(conditionHex, main_params.fulfillment.value) && valid; }
+	if (main_params.account.value) { valid = (await CheckPassword(conditionHex, { account: main_params.account.value.trim() })) && valid; }
+
+	if (!valid) { fail(); }
+	quit();
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.DecodeCondition = DecodeCondition;
+	exports.ParseFulfillmentOrPreimage = ParseFulfillmentOrPreimage;
+	exports.ShowCondition = ShowCondition;
+	exports.CheckFulfillment = CheckFulfillment;
+	exports.CheckPassword = CheckPassword;
+}
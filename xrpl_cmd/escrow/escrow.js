@@ -35,7 +35,12 @@
 
 const MODULE_NAME = 'escrow';
 
-const { fail, showLoadedModules, rippleEpochTimestamp, validateRippleEpochTimestamp } = require('../common/libs/common.js');
+const { unixTimeToRippleTime, rippleTimeToISOTime } = require('xrpl');
+
+const { fail, showLoadedModules, rippleEpochTimestamp, validateRippleEpochTimestamp, InputTimeToRippleTime, XrplClient } = require('../common/libs/common.js');
+const { ProcessInputDateTime } = require('../common/libs/cli_args.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { FulfillmentMatchesCondition } = require('./escrow_condition.js');
 
 function selfEscrowGeneralParams({ account, releaseTimeString, amountDropsToEscrow, feeDrops }) {
 	const releaseTimestamp = rippleEpochTimestamp(releaseTimeString);
@@ -52,6 +57,39 @@ function selfEscrowGeneralParams({ account, releaseTimeString, amountDropsToEscr
 	};
 }
 
+function escrowRippleTime(timeString, { name } = {}) {
+	// InputTimeToRippleTime() of the escrow time checked by the Ripple Epoch round trip: it must be in the future
+	if (!timeString) { return; }
+
+	// a time offset is resolved once: the timestamp and its check are of the same moment
+	const isoTime = ProcessInputDateTime(timeString, { type: ['datetime', 'timeoffset', 'drop_ms'] }) || timeString;
+	const timestamp = InputTimeToRippleTime(isoTime, { name });
+
+	if (!validateRippleEpochTimestamp(timestamp, isoTime)) { fail(`Invalid Ripple Epoch calculation for '${name}'`); return; }
+	if (timestamp <= unixTimeToRippleTime(Date.now())) { fail(`'${name}' time must be in the future: ${isoTime}`); return; }
+
+	return timestamp;
+}
+
+function escrowGeneralParams({ account, destination, finishAfterString, cancelAfterString, amountDropsToEscrow, feeDrops, tagDest, tagSrc }) {
+	if (destination && destination === account) { fail("Escrow 'destination' must differ from the source 'account', use `escrow_self` to escrow funds to the account itself"); return {}; }
+
+	const finishAfter = escrowRippleTime(finishAfterString, { name: 'finishAfter' });
+	const cancelAfter = escrowRippleTime(cancelAfterString, { name: 'cancelAfter' });
+	if (finishAfter && cancelAfter && cancelAfter <= finishAfter) { fail('FinishAfter time must be before the CancelAfter time'); return {}; }
+
+	return {
+		finishAfter,
+		cancelAfter,
+		accountSrc: account,
+		accountDest: destination,
+		amountDropsToEscrow,
+		feeDrops,
+		tagDest,
+		tagSrc
+	};
+}
+
 function escrowCreate({ accountSrc, accountDest, cancelAfter, finishAfter, amountDropsToEscrow, feeDrops, finishConditionSha256PublicHash, tagSrc, tagDest }) {
 	// Docs: https://js.xrpl.org/interfaces/EscrowCreate.html
 	//       https://xrpl.org/escrow.html
@@ -114,15 +152,67 @@ function escrowCreate({ accountSrc, accountDest, cancelAfter, finishAfter, amoun
 	return cmdEscrow;
 }
 
+const EscrowEntry = async function ({ owner, sequence, network, xrplAddress, client }) {
+	// returns the Escrow ledger object created by the owner's EscrowCreate with the Sequence (or Ticket), undefined if it does not exist
+	let lclient, info, notFound;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch the Escrow...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const response = lclient.request({ command: 'ledger_entry', escrow: { owner, seq: Number(sequence) }, ledger_index: 'validated' });
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				notFound = (error?.data?.error === 'entryNotFound'); // finished, cancelled or never created
+				if (notFound) { return; }
+
+				if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+				else fail(`Error: ${error}`);
+			}
+		)
+		await response;
+
+	} catch(err) {
+		if (!notFound) { fail(err); }
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return info?.result?.node;
+}
+
+const VerifyEscrowFinish = function (escrow, { fulfillment } = {}) {
+	// fails if the escrow can not be finished right now with the fulfillment specified
+	if (!escrow) { fail('Escrow not found: it is already finished or cancelled, or the owner / sequence is wrong'); return; }
+
+	const now = unixTimeToRippleTime(Date.now());
+	if (escrow.FinishAfter && now <= escrow.FinishAfter) { fail(`The escrow can not be finished before ${rippleTimeToISOTime(escrow.FinishAfter)}`); return; }
+	if (escrow.CancelAfter && now > escrow.CancelAfter) { fail(`The escrow expired at ${rippleTimeToISOTime(escrow.CancelAfter)}: it can only be cancelled now`); return; }
+
+	if (escrow.Condition && !fulfillment) { fail('The escrow is protected by a Condition: the fulfillment is required to finish it'); return; }
+	if (!escrow.Condition && fulfillment) { fail('The escrow has no Condition: the fulfillment must not be specified'); return; }
+	if (escrow.Condition && !FulfillmentMatchesCondition(fulfillment, escrow.Condition)) { fail('The fulfillment does not match the Condition of the escrow'); return; }
+
+	return true;
+}
+
 async function main(){
 }
 
 if (require.main === module) {
 	console.log(MODULE_NAME + ' called directly\n');
 	console.log('Use "escrow_self" to freeze a funds on the account.');
-	console.log('Use "escrow_create" to create the escrow on the account.');
+	console.log('Use "escrow_create" to escrow the funds to another account (destination).');
 	console.log('Use "escrow_cancel" to cancel the escrow on any account.');
 	console.log('Use "escrow_finish" to finish the escrow and release the funds back to source account.');
+	console.log('Use "escrow_release" to finish the escrow of another account (as its destination or a third party).');
 	main();
 
 } else {
@@ -130,4 +220,8 @@ if (require.main === module) {
 
 	exports.escrowCreate = escrowCreate;
 	exports.selfEscrowGeneralParams = selfEscrowGeneralParams;
+	exports.escrowGeneralParams = escrowGeneralParams;
+	exports.escrowRippleTime = escrowRippleTime;
+	exports.EscrowEntry = EscrowEntry;
+	exports.VerifyEscrowFinish = VerifyEscrowFinish;
 }
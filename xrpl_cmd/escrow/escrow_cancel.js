@@ -6,6 +6,8 @@
 // Any account may submit an EscrowCancel transaction.
 // If the corresponding EscrowCreate transaction did not specify a CancelAfter time, the EscrowCancel transaction fails.
 //
+// With `--registry` the escrow is chosen from the escrow registry, see `escrow_registry`.
+//
 // Docs: https://xrpl.org/escrowcancel.html
 //       https://xrpl.org/cancel-an-expired-escrow.html
 //       https://js.xrpl.org/interfaces/EscrowCancel.html
@@ -15,8 +17,9 @@
 
 const MODULE_NAME = 'escrow_cancel';
 
-const { quit, fail, prompt, defineMainParams, ledgerIndexMinTimeout, networkMinFee, ShowTransactionDetails, OutputJsonTransaction } = require('../common/libs/common.js');
+const { quit, fail, prompt, defineMainParams, ledgerIndexMinTimeout, networkMinFee, ShowTransactionDetails, OutputJsonTransaction, showLoadedModules } = require('../common/libs/common.js');
 const { AddTransactionSequences } = require('../common/sign.js');
+const { EscrowRegistryPickOption, EscrowRegistryPick } = require('./escrow_registry.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
@@ -74,8 +77,14 @@ async function commandTxParams() {
 }
 
 async function main(){
+	const fromRegistry = EscrowRegistryPickOption(main_params, ['escrow_tx_sequence']);
 	await defineMainParams(main_params);
 
+	if (fromRegistry) {
+		const entry = await EscrowRegistryPick({ network: main_params.network.value, owner: main_params.account.value, action: 'cancel' });
+		main_params.escrow_tx_sequence.value = entry.sequence;
+	}
+
 	const txParams = await commandTxParams();
 
 	ShowTransactionDetails(txParams);
@@ -88,8 +97,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.escrowCancel = escrowCancel;
 	exports.escrowSelfCancel = escrowSelfCancel;
 }
@@ -2,16 +2,31 @@
 //
 // escrow_condition.js - escrow condition functions
 //
-///////////////////////////////////////////////////////////
+// Compound conditions (e.g. "2 of 3 passwords", "signed by this Ed25519 key") are built by prompts from parts:
+//   Password  - PREIMAGE-SHA-256 derived from a password (as a password protected escrow)
+//   Key       - PREIMAGE-SHA-256 of a random secret SHA-256 key
+//   Ed25519   - ED25519-SHA-256 of an Ed25519 public key, fulfilled by signing with its secret key (seed)
+//   Threshold - THRESHOLD-SHA-256: any M of N parts
+//   Prefix    - PREFIX-SHA-256: the part is signed with a prefix
+// CONDITION_JSON describes the parts, it is required to finish the escrow: keep it with the escrow details.
+//
+// !!! The XRP Ledger accepts only PREIMAGE-SHA-256 escrow conditions unless the CryptoConditionsSuite amendment is enabled !!!
+/////////////////////////////////////////////////////////////
 
 'use strict';
 
 const MODULE_NAME = 'escrow_condition';
 
-const { fail, ColoredText, ColoredTextStart, ColoredTextEnd, showLoadedModules } = require('../common/libs/common.js');
+const COMPOUND_CONDITION_DEPTH_MAX = 3;
+const THRESHOLD_SUBCONDITIONS_MAX = 16;
+const ED25519_PUBLIC_KEY_REGEX = /^(ED)?[0-9A-F]{64}$/i;
+
+const { fail, ColoredText, ColoredTextStart, ColoredTextEnd, ShowWarning, showLoadedModules } = require('../common/libs/common.js');
 const { Sha256condition, Sha256Fulfillment } = require('../common/libs/bcrypt_sha256.js');
+const { Condition, Fulfillment, PrefixSha256Fulfillment, ThresholdSha256Fulfillment, Ed25519Sha256Fulfillment, PrefixSha256Condition, ThresholdSha256Condition, Ed25519Sha256Condition, ValidateFulfillment } = require('../common/libs/crypto_condition.js');
+const { WalletFromSecret } = require('../common/libs/wallet.js');
+const { KdfDefaults, ValidateKdf, RecoveryCode, ParseRecoveryCode, KdfDescription, PasswordCondition, KDF_ALGORITHMS } = require('../common/libs/kdf.js');
 const { prompt, PromptRequired, ProcessInputDateTime } = require('../common/libs/cli_args.js');
-const { EscrowConditionBcryptRounds } = require('../common/common_settings.js');
 
 const escrowPasswordProtectionOnRequest = async function ({ account, releaseTimeString, skipAskCancelAfter }) {
 	const answers = await escrowAskPasswordProtection();
@@ -19,23 +34,19 @@ const escrowPasswordProtectionOnRequest = async function ({ account, releaseTime
 
 	if (!skipAskCancelAfter) { await escrowAskPasswordCancellation({ answers, releaseTimeString }); }
 
-	const conditionParams = { verbose: false };
-
-	if (!answers.random && answers.secret) {
-		conditionParams.bcryptFromSecret = answers.secret;
-		conditionParams.bcryptUsePermanentSaltFromSecret = !answers.randomSalt;
-		conditionParams.bcryptPermanentSaltPepper = account;
-		conditionParams.bcryptHashRounds = EscrowConditionBcryptRounds();
+	if (answers.compound) {
+		answers.condition = await escrowCompoundConditionOnRequest({ account });
+		return answers;
 	}
 
-	const shaCondition = Sha256condition(conditionParams);
+	const byPassword = (!answers.random && answers.secret);
+	if (byPassword) { console.log(`\nDeriving the condition: ${KdfDescription(answers.kdf)}...`); }
+
+	const shaCondition = (byPassword ? PasswordCondition({ password: answers.secret, account, kdf: answers.kdf }) : Sha256condition({ verbose: false }));
 	if (!shaCondition.hexCondition) { return answers; }
 
 	if (!answers.random) {
-		if (shaCondition.salt) { conditionParams.bcryptExistingSalt = shaCondition.salt; }
-		conditionParams.verbose = false;
-
-		const result_test = Sha256condition(conditionParams);
+		const result_test = PasswordCondition({ password: answers.secret, account, kdf: answers.kdf, salt: shaCondition.salt });
 		if (shaCondition.hexCondition !== result_test.hexCondition || shaCondition.hexSecretPreimage !== result_test.hexSecretPreimage || typeof shaCondition.hexCondition === 'undefined' || typeof shaCondition.hexSecretPreimage === 'undefined' || shaCondition.hexSecretPreimage === 'undefined' || !shaCondition.hexCondition || !shaCondition.hexSecretPreimage) {
 			fail('Internal error occurred in Sha256condition()');
 			return answers;
@@ -57,7 +68,7 @@ const escrowPasswordProtectionOnRequest = async function ({ account, releaseTime
 
 		const txt = (shaCondition.random || !shaCondition.saltRandom ? "Secret SHA-256 Key" : "Secret Salt");
 		console.log(`\n\n${ColoredTextStart({ color: 'FgYellow' })}!!! Write down the ${txt} on a piece of paper and don't lose it !!!`);
-		if (shaCondition.saltRandom) { console.log("\nYour password will be invalid without secret salt phrase!\nSecret Salt is case sensitive."); }
+		if (shaCondition.saltRandom) { console.log(`\nYour password will be invalid without secret salt phrase!${answers.kdf.algorithm === 'bcrypt' ? '\nSecret Salt is case sensitive.' : ''}`); }
 		if (!shaCondition.random && answers.secret) { console.log("\nYou can use the Secret SHA-256 Key directly instead of your password to finish the escrow."); }
 		console.log(`\n${ColoredTextEnd()}${ColoredTextStart({ color: 'Bright' })}${"=".repeat(87)}${ColoredTextEnd()}`);
 		await new Promise(r => setTimeout(r, 3000));
@@ -67,17 +78,21 @@ const escrowPasswordProtectionOnRequest = async function ({ account, releaseTime
 		await new Promise(r => setTimeout(r, 1500));
 	}
 
+	if (byPassword) { ShowRecoveryCard({ account, kdf: answers.kdf, hexCondition: shaCondition.hexCondition.toUpperCase() }); }
+
 	answers.condition = shaCondition;
+	answers.recoverySheet = await escrowRecoverySheetRequest({ account, shaCondition, kdf: (byPassword ? answers.kdf : undefined) });
 	return answers;
 }
 
-const escrowFinishFulfillmentRequest = async function ({ escrowSrcAccountAddress, escrowTestCondition } = {}) {
+const escrowFinishFulfillmentRequest = async function ({ escrowSrcAccountAddress, escrowTestCondition, compound = true } = {}) {
 	let secret, shaCondition;
 
 	for (let i = 0; i < 20; i++) {
-		const isProtected = (await PromptRequired('Is the escrow protected by a password or a key ? (Password / Key / Non-protected)', { newline: true })).trim();
+		const isProtected = (await PromptRequired(`Is the escrow protected by a password or a key ? (Password / Key / ${compound ? 'Compound / ' : ''}Non-protected)`, { newline: true })).trim();
 		const byPassword = ['p', 'password'].includes(isProtected.toLowerCase());
 		const byKey = ['k', 'key'].includes(isProtected.toLowerCase());
+		if (compound && ['c', 'compound'].includes(isProtected.toLowerCase())) { return escrowCompoundFulfillmentOnRequest({ account: escrowSrcAccountAddress, escrowTestCondition }); }
 		if (!byPassword && !byKey) { return; }
 
 		if (byKey) {
@@ -91,9 +106,12 @@ const escrowFinishFulfillmentRequest = async function ({ escrowSrcAccountAddress
 
 		} else if (byPassword) {
 			const password = await PromptRequired('Enter password to finish the escrow', { scramble: true, newline: true });
-			const salt = (await prompt('\nEnter optional secret salt if you know it: ')).trim();
+			const kdf = await escrowRecoveryCodeRequest();
+			const salt = (await prompt(`\nEnter ${kdf.salt === 'random' ? 'the' : 'optional'} secret salt if you know it: `)).trim();
+			if (kdf.salt === 'random' && !salt) { fail('The secret salt is required by the recovery code (salt=random)'); }
 			if (password) {
-				shaCondition = Sha256condition({ verbose: false, bcryptFromSecret: password, bcryptExistingSalt: salt, bcryptUsePermanentSaltFromSecret: true, bcryptPermanentSaltPepper: escrowSrcAccountAddress });
+				if (kdf.algorithm !== 'bcrypt') { console.log(`\nDeriving the key: ${KdfDescription(kdf)}...`); }
+				shaCondition = PasswordCondition({ password, account: escrowSrcAccountAddress, kdf, salt });
 			}
 		}
 
@@ -127,6 +145,16 @@ const escrowFulfillment = function (secret) {
 	return { data: Sha256Fulfillment({ preimage }), preimageSize: preimage.length };
 }
 
+const FulfillmentMatchesCondition = function (fulfillment, condition) {
+	if (!fulfillment || !condition) { return false; }
+
+	try {
+		return ValidateFulfillment(fulfillment, condition);
+	} catch (e) {
+		return false; // not a valid fulfillment
+	}
+}
+
 const escrowAskPasswordProtection = async function () {
 	const result = {};
 	const passwordMinLength = 6;
@@ -137,12 +165,20 @@ const escrowAskPasswordProtection = async function () {
 	result.protect = ['y', 'yes'].includes(answer.toLowerCase());
 	if (!result.protect) { return result; }
 
-	answer = (await prompt('\nGenerate random SHA-256 key pair or use your password? (Random/Password) [Random]: ')).trim();
+	answer = (await prompt('\nGenerate random SHA-256 key pair, use your password or build a compound condition? (Random/Password/Compound) [Random]: ')).trim();
 	if (!answer || ['r', 'random', 'rnd'].includes(answer.toLowerCase())) {
 		result.random = true;
 		return result;
 	}
 
+	if (['c', 'compound'].includes(answer.toLowerCase())) {
+		ShowWarning('!!! The XRP Ledger accepts only PREIMAGE-SHA-256 (password / key) escrow conditions unless the CryptoConditionsSuite amendment is enabled:\nan EscrowCreate with a compound or Ed25519 condition is rejected by the networks without it !!!');
+		answer = await PromptRequired('Continue with a compound condition ? (Yes/No)', { newline: true });
+		result.protect = ['y', 'yes'].includes(answer.toLowerCase());
+		result.compound = result.protect;
+		return result;
+	}
+
 	console.log(ColoredText('\n!!! DO NOT USE the password already used earlier !!!', { color: 'FgYellow' }));
 	console.log(ColoredText("because the secret key corresponding to a combination of\npassword and account will be visible in public transactions\nafter it is used to finish an escrow", { color: 'FgYellow' }));
 
@@ -154,16 +190,205 @@ const escrowAskPasswordProtection = async function () {
 	if (!answer2 || answer2 !== answer) { fail('\nInvalid password confirmation'); return result; }
 
 	const secret = answer;
+	const kdf = await escrowAskPasswordKdf();
 
-	answer = (await prompt('\nAdd random 22 characters to passphrase (more secure, you must remember them)? (Yes/No) [No]: ')).trim();
+	answer = (await prompt('\nAdd a random secret salt to the password (more secure, you must keep it)? (Yes/No) [No]: ')).trim();
 	const randomSalt = ['y', 'yes'].includes(answer.toLowerCase());
+	kdf.salt = (randomSalt ? 'random' : 'account');
 
 	result.secret = secret;
 	result.randomSalt = randomSalt;
+	result.kdf = kdf;
+
+	return result;
+}
+
+const escrowAskPasswordKdf = async function () {
+	// returns the key derivation of a new password condition: the algorithm and its parameters, see `common/libs/kdf.js`
+	const defaults = KdfDefaults();
+
+	let answer = (await prompt(`\nKey derivation of the password? (Argon2id / Scrypt / Bcrypt - legacy) [${defaults.algorithm}]: `)).trim().toLowerCase();
+	const algorithm = (answer ? KDF_ALGORITHMS.find((item) => item.startsWith(answer)) : defaults.algorithm);
+	if (!algorithm) { fail(`Unknown key derivation "${answer}"`); }
+
+	const kdf = KdfDefaults(algorithm);
+	if (algorithm !== 'bcrypt') {
+		answer = (await prompt(`\nMemory to derive the key, MiB (more memory - slower brute-force) [${kdf.m}]: `)).trim();
+		if (answer) { kdf.m = Number(answer); }
+	}
+	if (algorithm === 'argon2id') {
+		answer = (await prompt(`\nTime cost, passes over the memory [${kdf.t}]: `)).trim();
+		if (answer) { kdf.t = Number(answer); }
+	}
+
+	const error = ValidateKdf(kdf);
+	if (error) { fail(`Invalid key derivation parameters: ${error}`); }
+
+	return kdf;
+}
+
+const escrowRecoveryCodeRequest = async function () {
+	// the kdf of the RECOVERY CODE from the recovery card, the legacy bcrypt mode if no code
+	for (let i = 0; i < 5; i++) {
+		const answer = (await prompt('\nEnter RECOVERY CODE from the recovery card (empty for the escrows protected by bcrypt without it): ')).trim();
+
+		try {
+			return ParseRecoveryCode(answer);
+		} catch (e) {
+			console.log(ColoredText(`${e.message}, e.g. ${RecoveryCode(KdfDefaults())}`, { color: 'FgYellow' }));
+		}
+	}
+
+	fail('No valid recovery code specified');
+}
+
+const ShowRecoveryCard = function ({ account, kdf, hexCondition, note }) {
+	// the key derivation details required to re-derive the condition from the password, no secrets
+	const title = '[ ESCROW RECOVERY CARD ]';
+	const lineWidth = 87;
+
+	console.log(`\n${ColoredTextStart({ color: 'Bright' })}${"=".repeat(Math.floor((lineWidth - title.length) / 2))}${title}${"=".repeat(Math.ceil((lineWidth - title.length) / 2))}`);
+	console.log(`\nEscrow owner:    ${account}`);
+	if (hexCondition) { console.log(`Condition:       ${hexCondition}`); }
+	console.log(`Key derivation:  ${KdfDescription(kdf)}`);
+	console.log(`Salt:            ${kdf.salt === 'random' ? 'random - the secret salt is required with the password' : 'derived from the escrow owner account'}`);
+	console.log(`\nRECOVERY CODE:   ${ColoredText(RecoveryCode(kdf), { color: 'FgYellow' })}${ColoredTextStart({ color: 'Bright' })}`);
+	if (note) { console.log(`\n${note}`); }
+	console.log(`\n${ColoredTextStart({ color: 'FgYellow' })}Print or write down the recovery card: the RECOVERY CODE is asked with the password to finish the escrow.`);
+	console.log('It contains no secrets, keep it with the escrow details.');
+	console.log(`\n${ColoredTextEnd()}${ColoredTextStart({ color: 'Bright' })}${"=".repeat(lineWidth)}${ColoredTextEnd()}`);
+}
+
+const escrowRecoverySheetRequest = async function ({ account, shaCondition, kdf }) {
+	// the secrets of the printable recovery sheet, it is shown by ShowEscrowRecoverySheet() once the escrow sequence is known
+	let answer = (await prompt('\nShow a printable recovery sheet with QR codes of the secrets once the escrow sequence is known? (Yes/No) [No]: ')).trim();
+	if (!['y', 'yes'].includes(answer.toLowerCase())) { return; }
+
+	let includeKey = !kdf; // the random key is the only secret of the escrow
+	if (!includeKey) {
+		answer = (await prompt('\nPut the Secret SHA-256 Key on the sheet too (it finishes the escrow without the password)? (Yes/No) [No]: ')).trim();
+		includeKey = ['y', 'yes'].includes(answer.toLowerCase());
+	}
+
+	return {
+		account,
+		hexCondition: shaCondition.hexCondition.toUpperCase(),
+		kdf,
+		hexSecretPreimage: (includeKey ? shaCondition.hexSecretPreimage.toUpperCase() : undefined),
+		salt: (shaCondition.saltRandom ? shaCondition.salt : undefined)
+	};
+}
+
+const EscrowProtectionInfo = function (answers) {
+	// the answers of escrowPasswordProtectionOnRequest() => { kind, recoveryCode, recoverySheet } with no secrets
+	if (!answers?.protect || !answers.condition?.hexCondition) { return {}; }
+
+	const kind = (answers.compound ? 'compound' : (answers.random ? 'key' : 'password'));
+	return { kind, recoveryCode: (kind === 'password' ? RecoveryCode(answers.kdf) : undefined), recoverySheet: answers.recoverySheet };
+}
+
+const ShowEscrowRecoverySheet = async function (sheet, tx) {
+	// sheet: see escrowRecoverySheetRequest(), tx: the EscrowCreate transaction with its Sequence (or TicketSequence)
+	// One page to print: the escrow details and the key derivation, then the secret key and the secret salt
+	// below the cut lines, so the secret parts can be cut off and stored apart from the details.
+	if (!sheet?.hexCondition) { return; }
+
+	const { ShowHtmlQR } = require('../common/qr.js');
+	const { dropsToXrp, rippleTimeToISOTime } = require('xrpl');
+
+	const sequence = tx.Sequence || tx.TicketSequence;
+	const escrowFields = [
+		{ name: 'Escrow owner', value: sheet.account },
+		{ name: 'Escrow sequence', value: sequence },
+	];
+	const details = { Owner: sheet.account, OfferSequence: sequence, Condition: sheet.hexCondition };
+
+	const descriptionFieldsTop = escrowFields.concat(
+		(tx.Destination !== tx.Account ? [{ name: 'Destination', value: tx.Destination }] : []),
+		[{ name: 'Amount', value: `${dropsToXrp(tx.Amount)} XRP` }],
+		[{ name: 'Finish after', value: (tx.FinishAfter ? rippleTimeToISOTime(tx.FinishAfter) : '-') }],
+		[{ name: 'Cancel after', value: (tx.CancelAfter ? rippleTimeToISOTime(tx.CancelAfter) : 'never') }],
+	);
+	if (sheet.kdf) {
+		details.RecoveryCode = RecoveryCode(sheet.kdf);
+		descriptionFieldsTop.push({ name: 'Key derivation', value: KdfDescription(sheet.kdf) });
+		descriptionFieldsTop.push({ name: 'RECOVERY CODE', value: details.RecoveryCode });
+		descriptionFieldsTop.push({ name: 'Salt', value: (sheet.kdf.salt === 'random' ? 'random - the secret salt is required with the password' : 'derived from the escrow owner account') });
+	} else {
+		descriptionFieldsTop.push({ name: 'Protection', value: 'random Secret SHA-256 Key' });
+	}
+
+	const parts = [];
+	if (sheet.hexSecretPreimage) {
+		parts.push({
+			qrText: sheet.hexSecretPreimage,
+			title: '[ SECRET SHA-256 KEY ]',
+			descriptionFieldsTop: escrowFields,
+			descriptionFieldsBottom: [
+				{ name: 'Secret SHA-256 Key', value: sheet.hexSecretPreimage },
+				{ name: 'Note', value: `Finishes the escrow${sheet.kdf ? ' instead of the password' : ''}. Keep it secret.` },
+			]
+		});
+	}
+	if (sheet.salt) {
+		parts.push({
+			qrText: sheet.salt,
+			title: '[ SECRET SALT ]',
+			descriptionFieldsTop: escrowFields,
+			descriptionFieldsBottom: [
+				{ name: 'Secret Salt', value: sheet.salt },
+				{ name: 'Note', value: 'Required with the password to finish the escrow. Keep it secret.' },
+			]
+		});
+	}
+
+	const options = {
+		pageTitle: `Escrow recovery sheet ${sheet.account} #${sequence}`,
+		title: '[ ESCROW RECOVERY SHEET ]',
+		descriptionFieldsTop,
+		descriptionFieldsBottom: [
+			{ name: 'Condition', value: sheet.hexCondition },
+			{ name: 'Note', value: 'The escrow sequence is valid once the EscrowCreate transaction is validated. The QR code above holds the escrow details, no secrets.' },
+		],
+		parts,
+		wait: true
+	};
+
+	console.log(ColoredText(`\nPrint the recovery sheet from the browser${parts.length ? ', cut off the secret parts and store them apart from the escrow details' : ''}.`, { color: 'FgYellow' }));
+	await ShowHtmlQR(JSON.stringify(details), options);
+}
+
+const escrowLadderPasswordRequest = async function ({ releaseTimeString }) {
+	// one password for a series of escrows (tranches), the condition of every tranche N is derived from "PASSWORD#N"
+	const result = {};
+	const passwordMinLength = 6;
+
+	let answer = (await prompt('\nDo you want to protect the escrow finish operations with password? (Yes/No) [No]: ')).trim();
+	result.protect = ['y', 'yes'].includes(answer.toLowerCase());
+	if (!result.protect) { return result; }
+
+	console.log(ColoredText('\nEvery escrow gets its own condition derived from the password and its tranche number:', { color: 'FgYellow' }));
+	console.log(ColoredText('to finish the tranche N enter the password as "PASSWORD#N" (e.g. "mypassword#3").', { color: 'FgYellow' }));
+	console.log(ColoredText('Finishing one tranche does not reveal the conditions of the others.', { color: 'FgYellow' }));
+
+	answer = (await PromptRequired('Enter password to protect the finish of the escrows', { scramble: true, newline: true, answerMinLength: passwordMinLength })).trim();
+	if (!answer) { result.protect = false; return result; }
+
+	const answer2 = (await PromptRequired('Confirm password', { scramble: true, newline: true, answerMinLength: passwordMinLength })).trim();
+	if (!answer2 || answer2 !== answer) { fail('\nInvalid password confirmation'); return result; }
+
+	result.secret = answer;
+	result.kdf = await escrowAskPasswordKdf();
+	await escrowAskPasswordCancellation({ answers: result, releaseTimeString });
 
 	return result;
 }
 
+const escrowTranchePasswordCondition = function ({ password, account, tranche, kdf = KdfDefaults('bcrypt') }) {
+	// the same as a password condition of `escrow_self` for the password "PASSWORD#N", so `escrow_self_finish` accepts it
+	return PasswordCondition({ password: `${password}#${tranche}`, account, kdf });
+}
+
 const escrowAskPasswordCancellation = async function ({ answers, releaseTimeString }) {
 	let answer = (await prompt(`\nAllow escrow cancellation after a few decades in case you lose the ${answers.random ? 'secret key' : 'password'}? (Yes/No) [Yes]: `)).trim();
 	if (answer && !['y', 'yes'].includes(answer.toLowerCase())) { return; }
@@ -182,6 +407,188 @@ const escrowAskPasswordCancellation = async function ({ answers, releaseTimeStri
 	answers.timeConditionCancelAfter = answer;
 }
 
+const escrowCompoundConditionOnRequest = async function ({ account }) {
+	// returns { hexCondition, description } of a compound condition built by prompts
+	console.log(ColoredText('\nBuild the condition from parts: a threshold of parts (e.g. 2 of 3 family members), each part is a password, a key or an Ed25519 key', { color: 'FgYellow' }));
+
+	const description = await escrowConditionPartRequest({ account, label: 'the escrow' });
+	const hexCondition = CompoundConditionOfDescription(description).serializeBinary().toString('hex').toUpperCase();
+
+	console.log(`\n${ColoredTextStart({ color: 'Bright' })}${"=".repeat(87)}`);
+	console.log(`\nCONDITION_JSON:\n\n${JSON.stringify(description)}`);
+	console.log(`\n\n${ColoredTextStart({ color: 'FgYellow' })}!!! Keep CONDITION_JSON with the escrow details: it is required to finish the escrow !!!`);
+	console.log('It contains no secrets, the passwords, keys and Ed25519 secret keys are asked to finish the escrow.');
+	console.log(`\n${ColoredTextEnd()}${ColoredTextStart({ color: 'Bright' })}${"=".repeat(87)}${ColoredTextEnd()}`);
+	await new Promise(r => setTimeout(r, 3000));
+
+	return { hexCondition, description };
+}
+
+const escrowConditionPartRequest = async function ({ account, label, depth = 0 }) {
+	// returns the description of a condition part: { type, label, ... } (see ParseConditionDescription())
+	const kinds = ['Password', 'Key', 'Ed25519'].concat(depth < COMPOUND_CONDITION_DEPTH_MAX ? ['Threshold', 'Prefix'] : []);
+
+	for (let i = 0; i < 20; i++) {
+		const answer = (await PromptRequired(`Condition of ${label} ? (${kinds.join(' / ')})`, { newline: true })).trim().toLowerCase();
+
+		if (['p', 'password'].includes(answer)) {
+			const password = (await PromptRequired(`Enter password of ${label}`, { scramble: true, newline: true, answerMinLength: 6 })).trim();
+			const password2 = (await PromptRequired('Confirm password', { scramble: true, newline: true, answerMinLength: 6 })).trim();
+			if (!password || password !== password2) { console.log(ColoredText('Invalid password confirmation', { color: 'FgYellow' })); continue; }
+
+			const kdf = await escrowAskPasswordKdf();
+			console.log(`\nDeriving the condition: ${KdfDescription(kdf)}...`);
+
+			const shaCondition = PasswordCondition({ password, account, kdf });
+			return { type: 'preimage-sha-256', label, secret: 'password', recoveryCode: RecoveryCode(kdf), condition: shaCondition.hexCondition.toUpperCase() };
+		}
+
+		if (['k', 'key'].includes(answer)) {
+			const shaCondition = Sha256condition({ verbose: false });
+			console.log(`\nSecret SHA-256 Key of ${label}: ${ColoredText(shaCondition.hexSecretPreimage.toUpperCase(), { color: 'Bright' })}`);
+			console.log(ColoredText('!!! Write down the Secret SHA-256 Key on a piece of paper and don\'t lose it !!!', { color: 'FgYellow' }));
+			return { type: 'preimage-sha-256', label, secret: 'key', condition: shaCondition.hexCondition.toUpperCase() };
+		}
+
+		if (['e', 'ed25519'].includes(answer)) {
+			const publicKey = (await PromptRequired(`Enter Ed25519 public key of ${label} (66 hex characters starting with ED)`, { newline: true })).trim();
+			if (!ED25519_PUBLIC_KEY_REGEX.test(publicKey)) { console.log(ColoredText('Invalid Ed25519 public key', { color: 'FgYellow' })); continue; }
+
+			return { type: 'ed25519-sha-256', label, publicKey: publicKey.slice(-64).toUpperCase() };
+		}
+
+		if (depth < COMPOUND_CONDITION_DEPTH_MAX && ['t', 'threshold'].includes(answer)) {
+			const count = Number(await PromptRequired(`Number of parts of ${label} (2 - ${THRESHOLD_SUBCONDITIONS_MAX})`, { newline: true }));
+			if (!Number.isInteger(count) || count < 2 || count > THRESHOLD_SUBCONDITIONS_MAX) { console.log(ColoredText('Invalid number of parts', { color: 'FgYellow' })); continue; }
+
+			const threshold = Number(await PromptRequired(`Number of parts required to finish the escrow (1 - ${count})`, { newline: true }));
+			if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) { console.log(ColoredText('Invalid threshold', { color: 'FgYellow' })); continue; }
+
+			const subconditions = [];
+			for (let idx = 0; idx < count; idx++) {
+				const name = (await prompt(`\nName of part #${idx + 1} of ${label} (e.g. a family member) [part #${idx + 1}]: `)).trim();
+				subconditions.push(await escrowConditionPartRequest({ account, label: name || `part #${idx + 1}`, depth: depth + 1 }));
+			}
+
+			return { type: 'threshold-sha-256', label, threshold, subconditions };
+		}
+
+		if (depth < COMPOUND_CONDITION_DEPTH_MAX && ['prefix'].includes(answer)) {
+			const prefix = (await PromptRequired(`Enter prefix text of ${label} (signed together with the fulfillment)`, { newline: true })).trim();
+			const subcondition = await escrowConditionPartRequest({ account, label: `${label} with prefix`, depth: depth + 1 });
+
+			return { type: 'prefix-sha-256', label, prefix: Buffer.from(prefix).toString('hex').toUpperCase(), maxMessageLength: 0, subcondition };
+		}
+	}
+
+	fail('No valid condition specified');
+}
+
+const ParseConditionDescription = function (json) {
+	// CONDITION_JSON => the description of a compound condition
+	let description;
+
+	try { description = JSON.parse(json); } catch (e) { fail(`Invalid CONDITION_JSON: ${e.message}`); }
+
+	try { CompoundConditionOfDescription(description); }
+	catch (e) { fail(`Invalid CONDITION_JSON: ${e.message}`); }
+
+	return description;
+}
+
+const CompoundConditionOfDescription = function (node, depth = 0) {
+	// the description of a condition => Condition
+	if (!node || typeof node !== 'object') { throw new TypeError('a condition part must be an object'); }
+	if (depth > COMPOUND_CONDITION_DEPTH_MAX) { throw new RangeError(`the condition parts are nested deeper than ${COMPOUND_CONDITION_DEPTH_MAX} levels`); }
+
+	switch (node.type) {
+		case 'preimage-sha-256': {
+			const condition = Condition.fromBinary(`${node.condition || ''}`);
+			if (condition.typeId !== 0) { throw new TypeError(`the condition of "${node.label}" is not a preimage-sha-256 condition`); }
+			return condition;
+		}
+		case 'ed25519-sha-256':
+			if (!ED25519_PUBLIC_KEY_REGEX.test(node.publicKey || '')) { throw new TypeError(`invalid Ed25519 public key of "${node.label}"`); }
+			return Ed25519Sha256Condition(Buffer.from(node.publicKey.slice(-64), 'hex'));
+		case 'threshold-sha-256':
+			if (!Array.isArray(node.subconditions)) { throw new TypeError(`"${node.label}" must have subconditions`); }
+			return ThresholdSha256Condition({ threshold: node.threshold, subconditions: node.subconditions.map((item) => CompoundConditionOfDescription(item, depth + 1)) });
+		case 'prefix-sha-256':
+			return PrefixSha256Condition({ prefix: Buffer.from(`${node.prefix || ''}`, 'hex'), maxMessageLength: Number(node.maxMessageLength || 0), subcondition: CompoundConditionOfDescription(node.subcondition, depth + 1) });
+		default:
+			throw new TypeError(`unsupported condition type "${node.type}"`);
+	}
+}
+
+const escrowCompoundFulfillmentOnRequest = async function ({ account, escrowTestCondition }) {
+	// asks CONDITION_JSON and the secrets of its parts, returns { data, preimageSize } as escrowFulfillment()
+	const description = ParseConditionDescription(await PromptRequired('Enter CONDITION_JSON of the escrow', { newline: true }));
+	const hexCondition = CompoundConditionOfDescription(description).serializeBinary().toString('hex');
+
+	if (escrowTestCondition && hexCondition.toUpperCase() !== escrowTestCondition.toUpperCase()) { fail('CONDITION_JSON does not describe the condition of the escrow'); return; }
+
+	const fulfillment = await escrowFulfillmentPartRequest({ account, node: description });
+	if (!fulfillment) { console.log(ColoredText('The condition is not fulfilled', { color: 'FgYellow' })); return; }
+
+	const data = fulfillment.serializeBinary().toString('hex');
+	if (!ValidateFulfillment(data, hexCondition)) { fail('Internal error: the fulfillment does not match the condition'); return; }
+
+	return { data, preimageSize: data.length / 2 }; // the finish fee depends on the fulfillment size
+}
+
+const escrowFulfillmentPartRequest = async function ({ account, node, message = Buffer.alloc(0) }) {
+	// returns the Fulfillment of a condition part, or undefined if it is not fulfilled
+	switch (node.type) {
+		case 'preimage-sha-256': {
+			console.log(`\nFulfill ${node.label}${node.secret ? ` (${node.secret})` : ''}:`);
+			if (node.recoveryCode) { console.log(`RECOVERY CODE of ${node.label}: ${node.recoveryCode}`); }
+			const fulfil = await escrowFinishFulfillmentRequest({ escrowSrcAccountAddress: account, escrowTestCondition: node.condition, compound: false });
+			if (!fulfil?.data) { return; }
+
+			const fulfillment = Fulfillment.fromBinary(fulfil.data);
+			if (fulfillment.getCondition().serializeBinary().toString('hex').toUpperCase() !== node.condition.toUpperCase()) { return; }
+			return fulfillment;
+		}
+
+		case 'ed25519-sha-256': {
+			const key = (await PromptRequired(`Enter Ed25519 secret key (seed) of ${node.label}`, { scramble: true, newline: true })).trim();
+			const wallet = WalletFromSecret(key, { failOnError: false }).wallet;
+			if (!wallet || wallet.publicKey.toUpperCase() !== `ED${node.publicKey.slice(-64)}`.toUpperCase()) {
+				console.log(ColoredText(`The key does not match the Ed25519 public key of ${node.label}`, { color: 'FgYellow' }));
+				return;
+			}
+
+			return Ed25519Sha256Fulfillment.sign({ privateKey: Buffer.from(wallet.privateKey.slice(2), 'hex'), message });
+		}
+
+		case 'threshold-sha-256': {
+			const subfulfillments = [], subconditions = [];
+
+			for (const item of node.subconditions) {
+				let fulfillment;
+				if (subfulfillments.length < node.threshold) {
+					const answer = (await prompt(`\nFulfill ${item.label} of ${node.label} (${subfulfillments.length} of ${node.threshold} required fulfilled)? (Yes/No) [Yes]: `)).trim();
+					if (!answer || ['y', 'yes'].includes(answer.toLowerCase())) { fulfillment = await escrowFulfillmentPartRequest({ account, node: item, message }); }
+				}
+
+				if (fulfillment) { subfulfillments.push(fulfillment); }
+				else { subconditions.push(CompoundConditionOfDescription(item)); }
+			}
+
+			if (subfulfillments.length < node.threshold) { console.log(ColoredText(`Only ${subfulfillments.length} of ${node.threshold} required parts of ${node.label} fulfilled`, { color: 'FgYellow' })); return; }
+			return new ThresholdSha256Fulfillment({ subfulfillments, subconditions });
+		}
+
+		case 'prefix-sha-256': {
+			const prefix = Buffer.from(node.prefix, 'hex');
+			const subfulfillment = await escrowFulfillmentPartRequest({ account, node: node.subcondition, message: Buffer.concat([prefix, message]) });
+			if (!subfulfillment) { return; }
+
+			return new PrefixSha256Fulfillment({ prefix, maxMessageLength: Number(node.maxMessageLength || 0), subfulfillment });
+		}
+	}
+}
+
 async function main(){
 }
 
@@ -194,4 +601,15 @@ if (require.main === module) {
 
 	exports.escrowPasswordProtectionOnRequest = escrowPasswordProtectionOnRequest;
 	exports.escrowFinishFulfillmentRequest = escrowFinishFulfillmentRequest;
+	exports.FulfillmentMatchesCondition = FulfillmentMatchesCondition;
+	exports.escrowCompoundConditionOnRequest = escrowCompoundConditionOnRequest;
+	exports.escrowCompoundFulfillmentOnRequest = escrowCompoundFulfillmentOnRequest;
+	exports.ParseConditionDescription = ParseConditionDescription;
+	exports.CompoundConditionOfDescription = CompoundConditionOfDescription;
+	exports.escrowLadderPasswordRequest = escrowLadderPasswordRequest;
+	exports.escrowTranchePasswordCondition = escrowTranchePasswordCondition;
+	exports.escrowRecoveryCodeRequest = escrowRecoveryCodeRequest;
+	exports.ShowRecoveryCard = ShowRecoveryCard;
+	exports.ShowEscrowRecoverySheet = ShowEscrowRecoverySheet;
+	exports.EscrowProtectionInfo = EscrowProtectionInfo;
 }
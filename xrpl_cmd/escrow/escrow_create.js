@@ -0,0 +1,135 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_create.js - escrow XRP to another account (destination), e.g. a milestone payment
+// syntax: node escrow_create [--json] [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT ESCROW_XRP_AMOUNT FINISH_AFTER CANCEL_AFTER DESTINATION_TAG SOURCE_TAG
+//         node escrow_create --submit [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT ESCROW_XRP_AMOUNT FINISH_AFTER CANCEL_AFTER DESTINATION_TAG SOURCE_TAG SEED_KEY
+//         node escrow_create --qr [PUB|TEST|DEV] ACCOUNT DESTINATION_ACCOUNT ESCROW_XRP_AMOUNT FINISH_AFTER CANCEL_AFTER DESTINATION_TAG SOURCE_TAG SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// FINISH_AFTER - the time after which the escrow can be finished (the funds go to the destination), e.g. 2025-10-20T00:00:00Z or 90d
+// CANCEL_AFTER (optional) - the time after which the escrow can be cancelled (the funds return to ACCOUNT), must be after FINISH_AFTER
+//   Without CANCEL_AFTER the escrow can never be cancelled.
+// DESTINATION_TAG / SOURCE_TAG (optional) - numeric identifiers of the payment at the destination / of the sender
+//
+// You will be asked to protect the escrow with a password or a random key (a crypto-condition):
+// then it can be finished only with the matching fulfillment, give it to the destination when the milestone is done.
+//
+// Give the destination the source ACCOUNT and the "Escrow sequence" to finish the escrow by `escrow_finish`.
+// Every Escrow adds 1 item to the owner reserve of ACCOUNT until it is finished or cancelled.
+//
+// Docs: https://xrpl.org/escrowcreate.html
+//       https://xrpl.org/escrow.html
+//       https://xrpl.org/send-a-time-held-escrow.html
+//       https://xrpl.org/send-a-conditionally-held-escrow.html
+//       https://js.xrpl.org/interfaces/EscrowCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { xrpToDrops, rippleTimeToISOTime } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails, ColoredText } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { escrowCreate, escrowGeneralParams, escrowRippleTime } = require('./escrow.js');
+const { escrowPasswordProtectionOnRequest, ShowEscrowRecoverySheet, EscrowProtectionInfo } = require('./escrow_condition.js');
+const { EscrowRegistryOpen, EscrowRegistryRecord, EscrowRegistryOnSubmitted } = require('./escrow_registry.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	destination_account: { id: 3, default: '', required: true },
+	escrow_xrp_amount: { id: 4, default: '', required: true, desc: 'XRP amount to escrow' },
+	finish_after: { id: 5, default: '', required: true, desc: 'Release the escrow to the destination after this time', example: '2025-10-20T00:00:00Z or 90d', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	cancel_after: { id: 6, default: '', required: false, desc: 'Allow to cancel the escrow after this time', example: '2026-10-20T00:00:00Z or 1year', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	destination_tag: { id: 7, default: '', required: false, desc: 'Numeric identifier of the payment at the destination', type: 'number' },
+	source_tag: { id: 8, default: '', required: false, desc: 'Numeric identifier of the sender', type: 'number' },
+
+	key: { id: 9, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 10, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 11, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 12, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+const EscrowCreateWithCondition = async function ({ account, destination, finishAfterString, cancelAfterString, amountDropsToEscrow, feeDrops, tagDest, tagSrc, protection }){
+	// protection (optional): an object to be filled with { kind, recoveryCode, recoverySheet } of the condition, see EscrowProtectionInfo() in `escrow_condition`
+	const escrowParams = escrowGeneralParams({ account, destination, finishAfterString, cancelAfterString, amountDropsToEscrow, feeDrops, tagDest, tagSrc });
+
+	const pswProtection = await escrowPasswordProtectionOnRequest({ account, releaseTimeString: rippleTimeToISOTime(escrowParams.finishAfter), skipAskCancelAfter: !!escrowParams.cancelAfter });
+	if (!pswProtection.protect || !pswProtection.condition?.hexCondition) {
+		return escrowCreate(escrowParams);
+	}
+
+	escrowParams.finishConditionSha256PublicHash = pswProtection.condition.hexCondition;
+	if (pswProtection.timeConditionCancelAfter) { escrowParams.cancelAfter = escrowRippleTime(pswProtection.timeConditionCancelAfter, { name: 'timeConditionCancelAfter' }); }
+	if (protection) { Object.assign(protection, EscrowProtectionInfo(pswProtection)); }
+
+	return escrowCreate(escrowParams);
+}
+
+const ShowEscrowSequence = function (tx) {
+	const sequence = tx.Sequence || tx.TicketSequence;
+	if (!sequence) { return; }
+
+	console.log(`\nEscrow sequence: ${ColoredText(sequence, { color: 'FgYellow' })}  (owner ${tx.Account})`);
+	console.log('Give it to the destination to let it finish the escrow.');
+
+	return sequence;
+}
+
+async function main(){
+	const curDate = new Date(); console.log(`Current time: ${curDate.toISOString()}  |  ${curDate}\n`);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	const protection = {};
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => EscrowCreateWithCondition({
+			account: main_params.account.value,
+			destination: main_params.destination_account.value,
+			finishAfterString: main_params.finish_after.value,
+			cancelAfterString: main_params.cancel_after.value,
+			amountDropsToEscrow: xrpToDrops(main_params.escrow_xrp_amount.value),
+			tagDest: main_params.destination_tag.value || null,
+			tagSrc: main_params.source_tag.value || null,
+			feeDrops, // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			protection
+		}),
+		show: async (tx) => {
+			ShowTransactionDetails(tx);
+			ShowEscrowSequence(tx);
+			await ShowEscrowRecoverySheet(protection.recoverySheet, tx);
+			if (mode !== 'json') { await EscrowRegistryOpen(); }
+		},
+		title: 'ESCROW CREATE',
+		qrTxFields: ['Condition'],
+		qrAddtnFields: (tx) => [
+			{ name: 'Finish after', value: rippleTimeToISOTime(tx.FinishAfter) },
+			...(tx.CancelAfter ? [{ name: 'Cancel after', value: rippleTimeToISOTime(tx.CancelAfter) }] : []),
+			{ name: 'Escrow sequence', value: tx.Sequence || tx.TicketSequence },
+			{ name: 'Transaction kind', value: (tx.Condition ? '[ CREATE CONDITIONAL ESCROW ]' : '[ CREATE ESCROW ]') }
+		],
+		onSigned: (signed, tx) => EscrowRegistryRecord([{ tx, hash: signed.hash, protection }], { network: main_params.network.value }),
+		submitOptions: { onSubmitted: EscrowRegistryOnSubmitted({ network: main_params.network.value }) }
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.EscrowCreateWithCondition = EscrowCreateWithCondition;
+	exports.ShowEscrowSequence = ShowEscrowSequence;
+}
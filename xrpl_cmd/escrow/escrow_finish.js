@@ -3,6 +3,8 @@
 // escrow_finish.js - transfer escrowed XRP to the receiver
 // syntax: node escrow_finish [PUB|TEST|DEV] ACCOUNT ESCROW_TX_SEQUENCE_ON_CREATE
 //
+// With `--registry` the escrow (its sequence and condition) is chosen from the escrow registry, see `escrow_registry`.
+//
 // Any account may submit an EscrowFinish transaction.
 //
 // If the held payment has a Condition, you cannot execute it unless you provide a matching Fulfillment for the condition.
@@ -23,6 +25,7 @@ const MODULE_NAME = 'escrow_finish';
 const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee, showLoadedModules, ShowWarning, ShowTransactionDetails, OutputJsonTransaction, ConfirmFeeValue } = require('../common/libs/common.js');
 const { AddTransactionSequences } = require('../common/sign.js');
 const { escrowFinishFulfillmentRequest } = require('./escrow_condition.js');
+const { EscrowRegistryPickOption, EscrowRegistryPick } = require('./escrow_registry.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true },
@@ -35,11 +38,10 @@ function Fee(network, { withCondition, preimageSize } = {}) { // transaction fee
 	// If the transaction contains a fulfillment, the transaction cost
 	// is 330 drops of XRP plus another 10 drops for every 16 bytes in size of the preimage.
 
-	const minFee = networkMinFee(network);
 	const baseCost = 330;
 	const preimageBlockCost = 10;
 
-	if (!withCondition) { return minFee; }
+	if (!withCondition) { return networkMinFee(network); }
 	if (!preimageSize) { return baseCost + preimageBlockCost; }
 
 	const sizeCost = Math.ceil(preimageSize / 16.0) * preimageBlockCost;
@@ -113,8 +115,15 @@ async function buildTransaction() {
 }
 
 async function main(){
+	const fromRegistry = EscrowRegistryPickOption(main_params, ['escrow_tx_sequence', 'escrow_condition']);
 	await defineMainParams(main_params);
 
+	if (fromRegistry) {
+		const entry = await EscrowRegistryPick({ network: main_params.network.value, owner: main_params.account.value, action: 'finish' });
+		main_params.escrow_tx_sequence.value = entry.sequence;
+		main_params.escrow_condition.value = entry.condition || '';
+	}
+
 	const txParams = await buildTransaction();
 
 	ShowTransactionDetails(txParams);
@@ -129,6 +138,7 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.escrowSelfFinish = escrowSelfFinish;
 	exports.escrowFinish = escrowFinish;
 	exports.Fee = Fee;
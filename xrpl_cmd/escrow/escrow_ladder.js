@@ -0,0 +1,221 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_ladder.js - locks XRP into a series of time-held self-escrows (a vesting ladder) from one schedule
+// syntax: node escrow_ladder [--json] [PUB|TEST|DEV] ACCOUNT TOTAL_XRP_AMOUNT FIRST_RELEASE INTERVAL COUNT_OR_END
+//         node escrow_ladder --submit [PUB|TEST|DEV] ACCOUNT TOTAL_XRP_AMOUNT FIRST_RELEASE INTERVAL COUNT_OR_END SEED_KEY
+//         node escrow_ladder --qr [PUB|TEST|DEV] ACCOUNT TOTAL_XRP_AMOUNT FIRST_RELEASE INTERVAL COUNT_OR_END SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the JSON of every transaction to be signed by `sign`, --submit signs and submits them in order,
+// --qr signs them offline and shows all QR codes on a single page, submit them in the order shown (see `common/tx_command.js`).
+//
+// TOTAL_XRP_AMOUNT - split into equal tranches, the remainder (in drops) goes to the last one
+// FIRST_RELEASE - the release time of the first tranche: 2025-10-20T00:00:00Z or 1month
+// INTERVAL - the time between the tranches: 1month, 2weeks, 90days, 1year ...
+//   every release time is counted from FIRST_RELEASE, so "1month" from Jan 31 gives Feb 28, Mar 31, Apr 30 ...
+// COUNT_OR_END - the number of tranches (e.g. 12) or the latest release time (e.g. 2027-10-20T00:00:00Z or 2years)
+//
+// One EscrowCreate per tranche is built with consecutive Sequence numbers, or with the account Tickets from N up
+// with `--ticket N` (`--ticket N1,N2,...` offline, one Ticket per tranche).
+// Every escrow adds one item to the owner reserve (see "reserve_inc_xrp" in `server_info`),
+// the reserve is released as soon as the escrow is finished.
+// Optionally every tranche is protected by a password condition: to finish the tranche N use the password "PASSWORD#N".
+//
+// Use `escrow_sweep` to finish all the released tranches in one run.
+//
+// !!! Be careful !!!
+// !!! You could lock away your funds for years !!!
+// ================================================
+//
+// Docs:
+//   https://xrpl.org/escrowcreate.html
+//   https://xrpl.org/send-a-time-held-escrow.html
+//   https://xrpl.org/reserves.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_ladder';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const LADDER_TRANCHES_MAX = 60;
+const ESCROW_OWNER_RESERVE_DROPS_DEFAULT = 200000; // 0.2 XRP on Mainnet
+
+const { xrpToDrops, dropsToXrp, rippleTimeToISOTime } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, rippleEpochTimestamp, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ProcessInputDateTime } = require('../common/libs/cli_args.js');
+const { TimeIntervalSeries } = require('../common/libs/time.js');
+const { RunBatchTransactionCommand } = require('../common/tx_command.js');
+const { ServerInfo } = require('../ledger/server_info.js');
+const { escrowCreate, selfEscrowGeneralParams, escrowRippleTime } = require('./escrow.js');
+const { escrowLadderPasswordRequest, escrowTranchePasswordCondition, ShowRecoveryCard } = require('./escrow_condition.js');
+const { EscrowRegistryOpen, EscrowRegistryRecord, EscrowRegistryOnSubmitted } = require('./escrow_registry.js');
+const { KdfDescription, RecoveryCode } = require('../common/libs/kdf.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	total_xrp_amount: { id: 3, default: '', required: true, desc: 'XRP amount to split into the tranches' },
+	first_release: { id: 4, default: '', required: true, desc: 'Release time of the first tranche', example: '2025-10-20T00:00:00Z or 1month', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	interval: { id: 5, default: '', required: true, desc: 'Time between the tranches', example: '1month, 2weeks, 90days' },
+	count_or_end: { id: 6, default: '', required: true, desc: 'Number of tranches or the latest release time', example: '12 or 2027-10-20T00:00:00Z or 2years' },
+	key: { id: 7, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 8, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 9, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 10, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+const LadderSchedule = function ({ totalDrops, firstReleaseString, interval, countOrEnd }) {
+	// returns [{ tranche, finishAfter, amountDrops }]
+	let count, endDate;
+
+	const firstRelease = escrowRippleTime(firstReleaseString, { name: 'first release' });
+	if (!interval?.trim()) { fail("Must specify 'interval', e.g. 1month"); }
+
+	if (/^\d+$/.test(`${countOrEnd ?? ''}`.trim())) {
+		count = Number(countOrEnd);
+		if (count < 1 || count > LADDER_TRANCHES_MAX) { fail(`The number of tranches must be from 1 to ${LADDER_TRANCHES_MAX}`); }
+	} else {
+		const isoTime = ProcessInputDateTime(`${countOrEnd ?? ''}`, { type: ['datetime', 'timeoffset', 'drop_ms'] });
+		if (!isoTime) { fail(`Invalid COUNT_OR_END "${countOrEnd}": must be the number of tranches or the latest release time`); }
+		endDate = new Date(isoTime);
+	}
+
+	const dates = TimeIntervalSeries(new Date(rippleTimeToISOTime(firstRelease)), interval, { count, endDate, max: LADDER_TRANCHES_MAX + 1 });
+	if (!dates) { fail(`Invalid interval "${interval}": must be a positive time interval, e.g. 1month, 2weeks, 90days`); }
+	if (!dates.length) { fail('The latest release time is before the first release'); }
+	if (dates.length > LADDER_TRANCHES_MAX) { fail(`Too many tranches: maximum ${LADDER_TRANCHES_MAX}, increase the interval or set an earlier end`); }
+
+	const trancheDrops = Math.floor(Number(totalDrops) / dates.length);
+	if (!trancheDrops) { fail('The total amount is too small for this number of tranches'); }
+
+	return dates.map((date, idx) => ({
+		tranche: idx + 1,
+		finishAfter: rippleEpochTimestamp(date.toISOString()),
+		amountDrops: trancheDrops + (idx === dates.length - 1 ? Number(totalDrops) - trancheDrops * dates.length : 0)
+	}));
+}
+
+const LadderTransactions = function (schedule, { account, feeDrops, protection }) {
+	// one self-escrow per tranche, see EscrowSelfFreezeWithCondition() in `escrow_self`
+	const cancelOffset = (protection?.timeConditionCancelAfter ? rippleEpochTimestamp(protection.timeConditionCancelAfter) - schedule[0].finishAfter : undefined);
+
+	return schedule.map((item) => {
+		const params = selfEscrowGeneralParams({ account, releaseTimeString: rippleTimeToISOTime(item.finishAfter), amountDropsToEscrow: item.amountDrops, feeDrops });
+		if (!protection?.secret) { return escrowCreate(params); }
+
+		params.finishConditionSha256PublicHash = escrowTranchePasswordCondition({ password: protection.secret, account, tranche: item.tranche, kdf: protection.kdf }).hexCondition;
+		if (cancelOffset) { params.cancelAfter = item.finishAfter + cancelOffset; }
+		else { delete params['cancelAfter']; } // deny to cancel a self escrow with password if no cancellation time specified
+
+		return escrowCreate(params);
+	});
+}
+
+const EscrowLadder = async function ({ account, totalXrpAmount, firstReleaseString, interval, countOrEnd, feeDrops }) {
+	// returns { schedule, transactions, protection } without the sequences, protection: { kind, recoveryCode } of the password conditions
+	const schedule = LadderSchedule({ totalDrops: xrpToDrops(totalXrpAmount), firstReleaseString, interval, countOrEnd });
+	ShowLadderSchedule(schedule);
+
+	const protection = await escrowLadderPasswordRequest({ releaseTimeString: rippleTimeToISOTime(schedule[0].finishAfter) });
+	if (protection.secret) { console.log(`\nDeriving the conditions of ${schedule.length} tranches: ${KdfDescription(protection.kdf)}...`); }
+
+	const transactions = LadderTransactions(schedule, { account, feeDrops, protection });
+	if (protection.secret) { ShowRecoveryCard({ account, kdf: protection.kdf, note: 'One condition per tranche: finish the tranche N with the password "PASSWORD#N".' }); }
+
+	return { schedule, transactions, protection: (protection.secret ? { kind: 'password', recoveryCode: RecoveryCode(protection.kdf) } : {}) };
+}
+
+const LadderReserveDrops = async function ({ network, client } = {}) {
+	// the owner reserve increment of the network, or the default value when offline
+	if (!network && !client) { return ESCROW_OWNER_RESERVE_DROPS_DEFAULT; }
+
+	const info = await ServerInfo({ network, client });
+	const reserveInc = info?.result?.info?.validated_ledger?.reserve_inc_xrp;
+
+	return (reserveInc ? Number(xrpToDrops(reserveInc)) : ESCROW_OWNER_RESERVE_DROPS_DEFAULT);
+}
+
+const ShowLadderSchedule = function (schedule, { transactions, reserveDrops } = {}) {
+	let total = 0, fees = 0;
+
+	console.log(`\nLADDER SCHEDULE (${schedule.length} escrows):`);
+
+	schedule.forEach((item, idx) => {
+		const tx = transactions?.[idx];
+		const sequence = (tx ? `  [tx ${tx.TicketSequence ? `ticket ${tx.TicketSequence}` : `sequence ${tx.Sequence ?? '?'}`}]` : '');
+		const cancel = (tx?.CancelAfter && tx.Condition ? `  cancel after ${rippleTimeToISOTime(tx.CancelAfter)}` : '');
+
+		console.log(`  #${`${item.tranche}`.padEnd(3)} ${rippleTimeToISOTime(item.finishAfter)}  ${ColoredText(`${dropsToXrp(item.amountDrops)} XRP`, { color: 'FgGreen' })}${tx?.Condition ? '  (password condition)' : ''}${cancel}${sequence}`);
+
+		total += item.amountDrops;
+		if (tx) { fees += Number(tx.Fee); }
+	})
+
+	console.log(`\nTOTAL TO ESCROW: ${ColoredText(`${dropsToXrp(total)} XRP`, { color: 'FgYellow' })} in ${schedule.length} escrows`);
+	if (reserveDrops) {
+		console.log(`Owner reserve: ${schedule.length} x ${dropsToXrp(reserveDrops)} XRP = ${ColoredText(`${dropsToXrp(schedule.length * reserveDrops)} XRP`, { color: 'FgYellow' })} locked while the escrows exist`);
+	}
+	if (fees) { console.log(`Transaction fees: ${fees} drops`); }
+}
+
+async function main(){
+	const curDate = new Date(); console.log(`Current time: ${curDate.toISOString()}  |  ${curDate}\n`);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	let ladder;
+	await RunBatchTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: async ({ feeDrops }) => {
+			ladder = await EscrowLadder({
+				account: main_params.account.value,
+				totalXrpAmount: main_params.total_xrp_amount.value,
+				firstReleaseString: main_params.first_release.value,
+				interval: main_params.interval.value,
+				countOrEnd: main_params.count_or_end.value,
+				feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			});
+			return ladder.transactions;
+		},
+		show: async (transactions) => {
+			// the reserve of the qr mode is the default one, the network is not connected
+			ShowLadderSchedule(ladder.schedule, { transactions, reserveDrops: await LadderReserveDrops(mode === 'qr' ? {} : { network: main_params.network.value }) });
+			if (mode === 'qr') { console.log('(the owner reserve increment of Mainnet, see "reserve_inc_xrp" in `server_info` of your network)'); }
+			if (mode !== 'json') { await EscrowRegistryOpen(); }
+		},
+		title: 'Escrow ladder',
+		qrTransactions: (transactions) => transactions.map((transaction, idx) => ({
+			transaction,
+			qrTxFields: ['Condition'],
+			qrAddtnFields: [
+				{ name: 'Tranche', value: `${ladder.schedule[idx].tranche} of ${ladder.schedule.length}` },
+				{ name: 'Finish after', value: rippleTimeToISOTime(transaction.FinishAfter) },
+				{ name: 'Transaction kind', value: (transaction.Condition ? '[ CREATE CONDITIONAL ESCROW ]' : '[ CREATE ESCROW ]') }
+			]
+		})),
+		onSigned: (signed, transactions) => EscrowRegistryRecord(
+			transactions.map((tx, idx) => ({ tx, hash: signed[idx].hash, protection: ladder.protection, tranche: ladder.schedule[idx].tranche })),
+			{ network: main_params.network.value }
+		),
+		submitOptions: { onSubmitted: EscrowRegistryOnSubmitted({ network: main_params.network.value }) }
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.LadderSchedule = LadderSchedule;
+	exports.LadderTransactions = LadderTransactions;
+	exports.EscrowLadder = EscrowLadder;
+	exports.LadderReserveDrops = LadderReserveDrops;
+	exports.ShowLadderSchedule = ShowLadderSchedule;
+}
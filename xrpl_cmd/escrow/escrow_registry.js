@@ -0,0 +1,336 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_registry.js - the local record of the escrows created, reconciled against the ledger
+// syntax: node escrow_registry [PUB|TEST|DEV] ACCOUNT
+//
+// Every escrow signed by `escrow_create`, `escrow_self` and `escrow_ladder` with --qr or --submit is written to the registry file
+// (see ESCROW_REGISTRY in `common/common_settings.js`, default: ~/.xrpl_cmd/escrow_registry.json):
+//   the owner, the destination, the escrow sequence, the transaction hash, the amount, FinishAfter / CancelAfter,
+//   the condition and the RECOVERY CODE of a password condition (the key derivation parameters).
+// The passwords, the secret keys and the secret salts are never written.
+// With `encrypt: true` a new registry file is encrypted with a passphrase (scrypt + AES-256-GCM).
+//
+// This script checks the escrows of the registry on the ledger and updates their status:
+//   signed    - signed, not found on the ledger yet (e.g. the QR code is not submitted)
+//   submitted - accepted by the server, not validated yet
+//   pending   - the escrow exists on the ledger
+//   finished / cancelled - the escrow is finished (cancelled) by the transaction found
+//   closed    - the escrow does not exist anymore, its EscrowFinish / EscrowCancel is not in the history of the server
+//   failed / rejected / expired - the EscrowCreate failed, was rejected or was never validated before its LastLedgerSequence
+// ACCOUNT (optional) - check the escrows of this owner only.
+//
+// Run `escrow_finish`, `escrow_cancel` and `self_freeze/escrow_self_finish`, `self_freeze/escrow_self_cancel` (--qr or --submit)
+// with `--registry` to choose the escrow from the registry instead of typing its sequence.
+//
+// Docs: https://xrpl.org/ledger_entry.html#get-escrow-object
+//       https://xrpl.org/escrow-object.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_registry';
+
+const REGISTRY_VERSION = 1;
+const REGISTRY_STATUSES_OPEN = ['signed', 'submitted', 'pending'];
+
+const fs = require('fs');
+const { dropsToXrp, rippleTimeToISOTime, isValidClassicAddress } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { PromptRequired, TakeNamedOption } = require('../common/libs/cli_args.js');
+const { EscrowRegistrySettings } = require('../common/common_settings.js');
+const { LocalDataPath, EncryptWithPassphrase, DecryptWithPassphrase, WritePrivateFile } = require('../common/libs/secure_file.js');
+const { AccountTransactions, Transaction } = require('../account_info/account_transactions.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: false, desc: 'Escrow owner to check, all owners if empty' },
+}
+
+var registry; // { path, escrows, passphrase } of the opened registry
+
+const RegistryPath = function () {
+	const setts = EscrowRegistrySettings();
+	if (setts.path) { return setts.path; }
+
+	return LocalDataPath('escrow_registry.json');
+}
+
+const EscrowRegistryOpen = async function () {
+	// loads the registry file (asks the passphrase of an encrypted one), returns the escrows or undefined if the registry is disabled
+	if (registry) { return registry.escrows; }
+	if (!EscrowRegistrySettings().enabled) { return; }
+
+	const file = RegistryPath();
+	let content;
+
+	try {
+		if (fs.existsSync(file)) { content = JSON.parse(fs.readFileSync(file, 'utf8')); }
+	} catch (e) {
+		fail(`Unable to read the escrow registry "${file}": ${e.message}`);
+	}
+
+	if (!content) {
+		registry = { path: file, escrows: [] };
+		if (EscrowRegistrySettings().encrypt) { registry.passphrase = await newPassphraseRequest(); }
+		return registry.escrows;
+	}
+
+	if (!content.encrypted) {
+		registry = { path: file, escrows: content.escrows || [] };
+		return registry.escrows;
+	}
+
+	for (let i = 0; i < 3; i++) {
+		const passphrase = await PromptRequired(`Enter the passphrase of the escrow registry (${file})`, { scramble: true, newline: true });
+
+		try {
+			registry = { path: file, escrows: JSON.parse(DecryptWithPassphrase(content.encrypted, passphrase)), passphrase };
+			return registry.escrows;
+		} catch (e) {
+			console.log(ColoredText('Invalid passphrase', { color: 'FgYellow' }));
+		}
+	}
+
+	fail('Unable to decrypt the escrow registry');
+}
+
+const EscrowRegistryRecord = function (items, { network, status = 'signed' }) {
+	// items: [{ tx, hash, protection, tranche }] of the signed EscrowCreate transactions, see EscrowRegistryOpen()
+	// protection: { kind, recoveryCode } of the escrow condition (see EscrowProtectionInfo() in `escrow_condition`)
+	if (!registry) { return; }
+
+	const now = new Date().toISOString();
+
+	items.forEach(({ tx, hash, protection, tranche }) => {
+		const entry = {
+			network: `${network}`.toUpperCase(),
+			owner: tx.Account,
+			destination: tx.Destination,
+			sequence: tx.TicketSequence || tx.Sequence,
+			ticket: !!tx.TicketSequence,
+			hash,
+			amount: tx.Amount,
+			finishAfter: (tx.FinishAfter ? rippleTimeToISOTime(tx.FinishAfter) : undefined),
+			cancelAfter: (tx.CancelAfter ? rippleTimeToISOTime(tx.CancelAfter) : undefined),
+			destinationTag: tx.DestinationTag,
+			lastLedgerSequence: tx.LastLedgerSequence,
+			condition: tx.Condition,
+			protection: (tx.Condition ? protection?.kind : undefined),
+			recoveryCode: (tx.Condition ? protection?.recoveryCode : undefined),
+			tranche,
+			status,
+			created: now,
+			updated: now
+		};
+
+		const idx = registry.escrows.findIndex((item) => (item.network === entry.network && item.owner === entry.owner && item.sequence === entry.sequence));
+		if (idx < 0) { registry.escrows.push(entry); }
+		else { registry.escrows[idx] = entry; } // re-signed with the same sequence: the previous transaction can't be validated anymore
+	})
+
+	saveRegistry();
+	console.log(`\n${items.length > 1 ? `${items.length} escrows are` : 'The escrow is'} written to the escrow registry: ${registry.path}`);
+}
+
+const EscrowRegistryOnSubmitted = function ({ network }) {
+	// the "onSubmitted" function of Submit() and SubmitBatch(): updates the status of the escrow created by the transaction submitted
+	return function (result) {
+		const engineResult = result?.result?.engine_result;
+		const entry = registry?.escrows.find((item) => (item.network === `${network}`.toUpperCase() && item.hash === result?.result?.tx_json?.hash));
+		if (!entry) { return; }
+
+		entry.status = (['tesSUCCESS', 'terQUEUED'].includes(engineResult) ? 'submitted' : 'rejected');
+		entry.engineResult = engineResult;
+		entry.updated = new Date().toISOString();
+
+		saveRegistry();
+	}
+}
+
+const EscrowRegistryPickOption = function (main_params, paramNames) {
+	// `--registry`: the escrow is chosen from the registry, the parameters "paramNames" (its sequence, condition, hash) are not asked
+	if (!TakeNamedOption('registry', { flag: true, desc: 'choose the escrow from the escrow registry, see `escrow_registry`' })) { return false; }
+
+	paramNames.filter((name) => main_params[name]).forEach((name) => {
+		main_params[name].required = false;
+		main_params[name].skip = true;
+	})
+
+	return true;
+}
+
+const EscrowRegistryPick = async function ({ network, owner, action }) {
+	// asks to choose one of the open escrows of "owner" to finish or cancel, returns its registry entry
+	const escrows = await EscrowRegistryOpen();
+	if (!escrows) { fail('The escrow registry is disabled, see ESCROW_REGISTRY in `common/common_settings.js`'); }
+
+	const list = escrows.filter((item) => (item.network === `${network}`.toUpperCase() && item.owner === owner && REGISTRY_STATUSES_OPEN.includes(item.status)));
+	if (!list.length) { fail(`No open escrows of [${owner}] on ${`${network}`.toUpperCase()} in the escrow registry`); }
+
+	ShowEscrowRegistry(list, { title: `ESCROWS TO ${action.toUpperCase()}` });
+
+	for (let i = 0; i < 20; i++) {
+		const answer = Number(await PromptRequired(`Choose the escrow to ${action} [1-${list.length}]`, { newline: true }));
+		if (!Number.isInteger(answer) || answer < 1 || answer > list.length) { continue; }
+
+		const entry = list[answer - 1];
+		console.log(`\nEscrow sequence: ${ColoredText(entry.sequence, { color: 'FgYellow' })}  (owner ${entry.owner})`);
+		if (entry.recoveryCode) { console.log(`RECOVERY CODE of the password: ${ColoredText(entry.recoveryCode, { color: 'FgYellow' })}`); }
+		if (entry.tranche) { console.log(`Ladder tranche: ${entry.tranche}, finish it with the password "PASSWORD#${entry.tranche}"`); }
+
+		return entry;
+	}
+
+	fail('No escrow chosen');
+}
+
+const ReconcileEscrowRegistry = async function ({ network, owner, client }) {
+	// checks the open escrows of the registry on the ledger and updates their status, returns the escrows of the network
+	const escrows = await EscrowRegistryOpen();
+	if (!escrows) { fail('The escrow registry is disabled, see ESCROW_REGISTRY in `common/common_settings.js`'); }
+
+	const list = escrows.filter((item) => (item.network === `${network}`.toUpperCase() && (!owner || item.owner === owner)));
+	const open = list.filter((item) => REGISTRY_STATUSES_OPEN.includes(item.status));
+	if (!open.length) { return list; }
+
+	const validatedLedgerIndex = await client.getLedgerIndex();
+	const closings = {};
+
+	for (const entry of open) {
+		let status = entry.status, closedBy, engineResult = entry.engineResult;
+
+		if (await escrowExists(entry, { client })) {
+			status = 'pending';
+		} else {
+			if (!closings[entry.owner]) { closings[entry.owner] = await escrowClosingTransactions(entry.owner, { client }); }
+			const closing = closings[entry.owner].find((item) => (item.tx.Owner === entry.owner && item.tx.OfferSequence === entry.sequence));
+			const created = (!closing && entry.hash ? await Transaction({ txHash: entry.hash, client }) : undefined);
+
+			if (closing) {
+				status = (closing.tx.TransactionType === 'EscrowFinish' ? 'finished' : 'cancelled');
+				closedBy = closing.tx.hash;
+			} else if (created?.meta?.TransactionResult === 'tesSUCCESS') {
+				status = (created.validated ? 'closed' : 'submitted');
+			} else if (created?.meta?.TransactionResult) {
+				status = 'failed';
+				engineResult = created.meta.TransactionResult;
+			} else if (entry.lastLedgerSequence && validatedLedgerIndex > entry.lastLedgerSequence) {
+				status = 'expired';
+			}
+		}
+
+		if (status === entry.status && !closedBy) { continue; }
+
+		entry.status = status;
+		entry.engineResult = engineResult;
+		if (closedBy) { entry.closedBy = closedBy; }
+		entry.updated = new Date().toISOString();
+	}
+
+	saveRegistry();
+	return list;
+}
+
+const ShowEscrowRegistry = function (escrows, { title = 'ESCROW REGISTRY' } = {}) {
+	let amountOpen = 0;
+
+	console.log(`\n${title} (${escrows.length}):`);
+
+	escrows.forEach((item, idx) => {
+		const open = REGISTRY_STATUSES_OPEN.includes(item.status);
+		const status = ColoredText(item.status.toUpperCase().padEnd(9), { color: (item.status === 'pending' ? 'FgGreen' : (open ? 'FgYellow' : 'Dim')) });
+		const destination = (item.destination !== item.owner ? `  to ${item.destination}${item.destinationTag ? ` (tag ${item.destinationTag})` : ''}` : '  self');
+		const times = [item.finishAfter ? `finish after ${item.finishAfter}` : '', item.cancelAfter ? `cancel after ${item.cancelAfter}` : ''].filter((text) => text).join(', ');
+		const condition = (item.condition ? `, ${item.protection || 'condition'}${item.tranche ? ` #${item.tranche}` : ''}` : '');
+
+		console.log(`  #${`${idx + 1}`.padEnd(3)} ${status} ${ColoredText(`${dropsToXrp(item.amount)} XRP`, { color: 'FgGreen' })}  owner ${item.owner}  ${item.ticket ? 'ticket' : 'sequence'} ${item.sequence}${destination}  (${times || 'no time limits'}${condition})`);
+		if (item.recoveryCode) { console.log(`        RECOVERY CODE: ${item.recoveryCode}`); }
+
+		if (open) { amountOpen += Number(item.amount); }
+	})
+
+	console.log(`\nOPEN ESCROWS AMOUNT: ${ColoredText(`${dropsToXrp(amountOpen)} XRP`, { color: 'FgYellow' })}`);
+}
+
+async function escrowExists(entry, { client }) {
+	try {
+		await client.request({ command: 'ledger_entry', escrow: { owner: entry.owner, seq: entry.sequence }, ledger_index: 'validated' });
+		return true;
+	} catch (error) {
+		if (error?.data?.error === 'entryNotFound') { return false; }
+		throw error;
+	}
+}
+
+async function escrowClosingTransactions(owner, { client }) {
+	// the successful EscrowFinish / EscrowCancel transactions in the history of the owner
+	const info = await AccountTransactions({ account: owner, client, txType: 'escrow' });
+
+	return (info?.result?.transactions || []).filter((item) => (['EscrowFinish', 'EscrowCancel'].includes(item.tx.TransactionType) && item.meta?.TransactionResult === 'tesSUCCESS'));
+}
+
+function saveRegistry() {
+	const content = { version: REGISTRY_VERSION };
+
+	if (registry.passphrase) { content.encrypted = EncryptWithPassphrase(JSON.stringify(registry.escrows), registry.passphrase); }
+	else { content.escrows = registry.escrows; }
+
+	try {
+		WritePrivateFile(registry.path, JSON.stringify(content, null, '\t'));
+	} catch (e) {
+		fail(`Unable to write the escrow registry "${registry.path}": ${e.message}`);
+	}
+}
+
+async function newPassphraseRequest() {
+	console.log(ColoredText('\nA new encrypted escrow registry is created: the passphrase will be asked to open it on every run.', { color: 'FgYellow' }));
+
+	const passphrase = await PromptRequired('Enter a new passphrase of the escrow registry', { scramble: true, newline: true, answerMinLength: 8 });
+	const confirmation = await PromptRequired('Confirm the passphrase', { scramble: true, newline: true });
+	if (passphrase !== confirmation) { fail('\nInvalid passphrase confirmation'); }
+
+	return passphrase;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const owner = main_params.account.value?.trim();
+	if (owner && !isValidClassicAddress(owner)) { fail(`Invalid ACCOUNT "${owner}"`); }
+
+	let client, escrows;
+	try {
+		console.log('\nConnecting to XRPL to check the escrows of the registry...');
+		client = await XrplClient({ network: main_params.network.value });
+		escrows = await ReconcileEscrowRegistry({ network: main_params.network.value, owner, client });
+
+	} catch (err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	if (!escrows.length) { quit(`\nNO ESCROWS IN THE REGISTRY (${RegistryPath()})`); }
+
+	ShowEscrowRegistry(escrows);
+	quit(`\nRegistry: ${RegistryPath()}`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.EscrowRegistryOpen = EscrowRegistryOpen;
+	exports.EscrowRegistryRecord = EscrowRegistryRecord;
+	exports.EscrowRegistryOnSubmitted = EscrowRegistryOnSubmitted;
+	exports.EscrowRegistryPickOption = EscrowRegistryPickOption;
+	exports.EscrowRegistryPick = EscrowRegistryPick;
+	exports.ReconcileEscrowRegistry = ReconcileEscrowRegistry;
+	exports.ShowEscrowRegistry = ShowEscrowRegistry;
+}
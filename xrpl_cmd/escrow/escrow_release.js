@@ -0,0 +1,148 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_release.js - finishes the escrow of another account: delivers the escrowed XRP to its destination
+// syntax: node escrow_release [--json] [PUB|TEST|DEV] ACCOUNT OWNER OFFER_SEQUENCE
+//         node escrow_release --submit [PUB|TEST|DEV] ACCOUNT OWNER OFFER_SEQUENCE SEED_KEY
+//         node escrow_release --qr [PUB|TEST|DEV] ACCOUNT OWNER OFFER_SEQUENCE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT ESCROW_CONDITION FINISH_AFTER
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// ACCOUNT - the account that signs and pays the fee: the destination of the escrow or any third party
+// OWNER - the source account that created (funded) the escrow
+// OFFER_SEQUENCE - the Sequence (or Ticket) of the EscrowCreate transaction, see "Escrow sequence" of `escrow_create`
+//
+// The escrow is looked up in the ledger first: it can be finished only after its FinishAfter time and before its CancelAfter time.
+// If it is protected by a Condition, you will be asked for the password or the key: the fulfillment must match the Condition.
+// The funds always go to the Destination of the escrow, whoever finishes it.
+// The escrow can not be looked up offline: with --qr copy its Condition and FinishAfter from `escrow_release --json`
+// or `account_escrows` run on an online device, ESCROW_CONDITION and FINISH_AFTER are verified before signing
+// (leave them empty if the escrow has none).
+//
+// The minimum transaction cost increases if the transaction contains a fulfillment:
+// 330 drops of XRP plus another 10 drops for every 16 bytes in size of the preimage.
+//
+// Docs: https://xrpl.org/escrowfinish.html
+//       https://xrpl.org/escrow-object.html
+//       https://js.xrpl.org/interfaces/EscrowFinish.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_release';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { dropsToXrp, rippleTimeToISOTime } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ConfirmFeeValue, ColoredText, ShowWarning, InputTimeToRippleTime } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { EscrowEntry, VerifyEscrowFinish } = require('./escrow.js');
+const { escrowFinish, Fee } = require('./escrow_finish.js');
+const { escrowFinishFulfillmentRequest } = require('./escrow_condition.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	owner: { id: 3, default: '', required: true, desc: 'Source account that created the escrow' },
+	offer_sequence: { id: 4, default: '', required: true, desc: 'Sequence of the EscrowCreate transaction', type: 'number' },
+	key: { id: 5, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+
+	escrow_condition: { id: 9, default: '', required: false, desc: 'Condition of the escrow if exists', modes: ['qr'] },
+	finish_after: { id: 10, default: '', required: false, desc: 'FinishAfter time of the escrow if exists', example: '2025-10-20T00:00:00Z', type: ['datetime'], modes: ['qr'] },
+}
+
+const EscrowRelease = function ({ account, owner, txSequence, feeDrops, conditionFulfillment, condition }) {
+	return escrowFinish({
+		accountSrc: owner,
+		accountInitiator: account,
+		txSequence, feeDrops, conditionFulfillment, condition
+	});
+}
+
+const EscrowReleaseTransaction = async function ({ account, owner, txSequence, escrow, network }) {
+	// escrow: the Escrow ledger object (see EscrowEntry), or its known fields when signing offline
+	let fulfil;
+
+	if (escrow?.Condition) {
+		fulfil = await escrowFinishFulfillmentRequest({ escrowSrcAccountAddress: owner, escrowTestCondition: escrow.Condition });
+	}
+
+	VerifyEscrowFinish(escrow, { fulfillment: fulfil?.data });
+
+	const feeDrops = await ConfirmFeeValue( Fee(network, { withCondition: !!fulfil?.data, preimageSize: fulfil?.preimageSize }) );
+
+	return EscrowRelease({ account, owner, txSequence, feeDrops, conditionFulfillment: fulfil?.data, condition: escrow?.Condition });
+}
+
+const ShowEscrowToRelease = function (escrow) {
+	if (!escrow) { return; }
+
+	console.log(`\nESCROW of [${escrow.Account}]:`);
+	console.log(`  Amount: ${ColoredText(`${dropsToXrp(escrow.Amount)} XRP`, { color: 'FgGreen' })}`);
+	console.log(`  Destination: ${ColoredText(escrow.Destination, { color: 'FgYellow' })}${escrow.DestinationTag ? `  (tag ${escrow.DestinationTag})` : ''}`);
+	if (escrow.FinishAfter) { console.log(`  Finish after: ${rippleTimeToISOTime(escrow.FinishAfter)}`); }
+	if (escrow.CancelAfter) { console.log(`  Cancel after: ${rippleTimeToISOTime(escrow.CancelAfter)}`); }
+	if (escrow.Condition) { console.log(`  Condition: ${escrow.Condition}`); }
+}
+
+async function escrowToRelease(mode) {
+	// the Escrow ledger object, or its known fields of the parameters when signing offline
+	if (mode !== 'qr') {
+		const escrow = await EscrowEntry({ owner: main_params.owner.value, sequence: main_params.offer_sequence.value, network: main_params.network.value });
+		ShowEscrowToRelease(escrow);
+		return escrow;
+	}
+
+	ShowWarning('The escrow can not be looked up offline: make sure it exists and is not expired.');
+
+	const escrow = {};
+	if (main_params.escrow_condition.value) { escrow.Condition = main_params.escrow_condition.value.trim().toUpperCase(); }
+	if (main_params.finish_after.value) { escrow.FinishAfter = InputTimeToRippleTime(main_params.finish_after.value); }
+
+	return escrow;
+}
+
+async function main(){
+	const curDate = new Date(); console.log(`Current time: ${curDate.toISOString()}  |  ${curDate}\n`);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	const escrow = await escrowToRelease(mode);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		confirmFee: false, // the fee depends on the fulfillment, it is confirmed by EscrowReleaseTransaction()
+		build: () => EscrowReleaseTransaction({
+			account: main_params.account.value,
+			owner: main_params.owner.value,
+			txSequence: main_params.offer_sequence.value,
+			escrow,
+			network: main_params.network.value
+		}),
+		title: 'ESCROW RELEASE',
+		qrAddtnFields: (tx) => [
+			{ name: 'Escrow owner', value: tx.Owner },
+			{ name: 'Escrow sequence', value: tx.OfferSequence },
+			{ name: 'Transaction kind', value: '[ RELEASE ESCROW ]' }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.EscrowRelease = EscrowRelease;
+	exports.EscrowReleaseTransaction = EscrowReleaseTransaction;
+	exports.ShowEscrowToRelease = ShowEscrowToRelease;
+}
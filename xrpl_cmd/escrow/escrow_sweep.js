@@ -0,0 +1,228 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_sweep.js - lists every escrow ready to finish or cancel by the account to unlock them all at once
+// syntax: node escrow_sweep [--json] [PUB|TEST|DEV] ACCOUNT
+//         node escrow_sweep --submit [PUB|TEST|DEV] ACCOUNT SEED_KEY
+//         node escrow_sweep --qr [PUB|TEST|DEV] ACCOUNT SEED_KEY ESCROWS_JSON ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// Ready escrows:
+//   finish - the escrows to ACCOUNT (self-escrows and incoming ones) after FinishAfter and before CancelAfter;
+//            you will be asked for the password or the key of every escrow protected by a Condition (or skip it)
+//   cancel - the escrows funded by ACCOUNT after CancelAfter, the XRP returns to ACCOUNT
+// The escrows for other accounts ready to finish are left to their destinations (see `escrow_release`).
+//
+// --json lists the ready escrows and prints their ESCROWS_JSON, run it on a network connected device to be used by --qr.
+// --submit builds one EscrowFinish or EscrowCancel per ready escrow with consecutive Sequence numbers,
+// signs and submits them in one run.
+// --qr builds them for the escrows of ESCROWS_JSON, signs them offline and shows all QR codes on a single page:
+// submit them in the order shown (see `common/tx_command.js`).
+// With `--ticket N` the account Tickets from N up are used instead (read from the ledger, a missing one fails),
+// with --qr `--ticket N1,N2,...` lists one Ticket per transaction.
+//
+// Docs: https://xrpl.org/escrowfinish.html
+//       https://xrpl.org/escrowcancel.html
+//       https://xrpl.org/escrow-object.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_sweep';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const SWEEP_ACTIONS = ['finish', 'cancel'];
+
+const { dropsToXrp, rippleTimeToISOTime, unixTimeToRippleTime, isValidClassicAddress } = require('xrpl');
+
+const { quit, fail, defineModeParams, ledgerIndexMinTimeout, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { RunBatchTransactionCommand } = require('../common/tx_command.js');
+const { AccountEscrows, FindCreateEscrowTransactions } = require('../account_info/account_escrows.js');
+const { escrowFinish, Fee } = require('./escrow_finish.js');
+const { escrowCancel } = require('./escrow_cancel.js');
+const { escrowFinishFulfillmentRequest } = require('./escrow_condition.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+
+	key: { id: 3, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+	escrows_json: { id: 4, default: '', required: true, desc: 'ESCROWS_JSON printed by `escrow_sweep --json`', modes: ['qr'] },
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+const ReadyEscrows = async function ({ account, network, xrplAddress, client }) {
+	// returns [{ action, Owner, OfferSequence, Amount, Destination, Condition, FinishAfter, CancelAfter }] of the escrows
+	// ACCOUNT can finish or cancel right now to unlock its XRP
+	let lclient, escrows;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Account Escrows...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		escrows = await AccountEscrows({ account, client: lclient });
+		await FindCreateEscrowTransactions(escrows, { client: lclient });
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
+	const ready = [];
+	let notFound = 0;
+
+	escrows.forEach((item) => {
+		const expired = (item.CancelAfter && currentRippleTimestamp > item.CancelAfter);
+		let action;
+
+		if (expired && item.Account === account) { action = 'cancel'; }
+		else if (!expired && item.Destination === account && (!item.FinishAfter || currentRippleTimestamp > item.FinishAfter)) { action = 'finish'; }
+		if (!action) { return; }
+
+		if (typeof item._OfferSequence === 'undefined') { notFound++; return; }
+
+		ready.push({
+			action,
+			Owner: item.Account,
+			OfferSequence: item._OfferSequence,
+			Amount: item.Amount,
+			Destination: item.Destination,
+			Condition: item.Condition,
+			FinishAfter: item.FinishAfter,
+			CancelAfter: item.CancelAfter
+		});
+	})
+
+	if (notFound) { console.log(ColoredText(`\nSkipped ${notFound} ready escrows: their EscrowCreate transaction is not found (not in the history of the server)`, { color: 'FgYellow' })); }
+
+	return ready;
+}
+
+const ParseSweepEscrows = function (json) {
+	// ESCROWS_JSON of `escrow_sweep` => the list of ready escrows
+	let escrows;
+
+	try { escrows = JSON.parse(json); } catch (e) { fail(`Invalid ESCROWS_JSON: ${e.message}`); }
+	if (!Array.isArray(escrows) || !escrows.length) { fail('ESCROWS_JSON must be a non-empty list of escrows, see `escrow_sweep --json`'); }
+
+	escrows.forEach((item, idx) => {
+		if (!SWEEP_ACTIONS.includes(item?.action)) { fail(`Invalid action of escrow #${idx + 1} in ESCROWS_JSON: must be one of ${SWEEP_ACTIONS.join(', ')}`); }
+		if (!isValidClassicAddress(item.Owner || '')) { fail(`Invalid Owner of escrow #${idx + 1} in ESCROWS_JSON`); }
+		if (!Number.isInteger(item.OfferSequence) || item.OfferSequence <= 0) { fail(`Invalid OfferSequence of escrow #${idx + 1} in ESCROWS_JSON`); }
+	})
+
+	return escrows;
+}
+
+const SweepTransactions = async function (escrows, { account, network, feeDrops }) {
+	// returns [{ escrow, transaction }]: an EscrowFinish or EscrowCancel per escrow, without the conditional escrows skipped
+	const sweep = [];
+
+	for (const [idx, escrow] of escrows.entries()) {
+		if (escrow.action === 'cancel') {
+			sweep.push({ escrow, transaction: escrowCancel({ accountSrc: escrow.Owner, accountInitiator: account, txSequence: escrow.OfferSequence, feeDrops }) });
+			continue;
+		}
+
+		let fulfil;
+		if (escrow.Condition) {
+			console.log(`\nEscrow #${idx + 1} of [${escrow.Owner}] sequence ${escrow.OfferSequence}${escrow.Amount ? `: ${dropsToXrp(escrow.Amount)} XRP` : ''} is protected by a Condition`);
+			fulfil = await escrowFinishFulfillmentRequest({ escrowSrcAccountAddress: escrow.Owner, escrowTestCondition: escrow.Condition });
+			if (!fulfil?.data) { console.log(ColoredText(`Escrow #${idx + 1} is skipped`, { color: 'FgYellow' })); continue; }
+		}
+
+		const fee = (fulfil ? Math.max(Number(feeDrops), Fee(network, { withCondition: true, preimageSize: fulfil.preimageSize })) : feeDrops);
+
+		sweep.push({
+			escrow,
+			transaction: escrowFinish({
+				accountSrc: escrow.Owner,
+				accountInitiator: account,
+				txSequence: escrow.OfferSequence,
+				feeDrops: fee,
+				conditionFulfillment: fulfil?.data,
+				condition: (fulfil ? escrow.Condition : undefined)
+			})
+		});
+	}
+
+	return sweep;
+}
+
+const ShowSweepSummary = function (sweep) {
+	// sweep: [{ escrow, transaction }] or the list of escrows
+	let amountFinish = 0, amountCancel = 0, countFinish = 0, countCancel = 0, fees = 0;
+
+	console.log(`\nESCROWS TO UNLOCK (${sweep.length}):`);
+
+	sweep.forEach((item, idx) => {
+		const escrow = item.escrow || item;
+		const amount = Number(escrow.Amount || 0);
+		const time = (escrow.action === 'cancel' ? `cancel after ${rippleTimeToISOTime(escrow.CancelAfter)}` : (escrow.FinishAfter ? `finish after ${rippleTimeToISOTime(escrow.FinishAfter)}` : 'on condition'));
+		const sequence = (item.transaction ? `  [tx ${item.transaction.TicketSequence ? `ticket ${item.transaction.TicketSequence}` : `sequence ${item.transaction.Sequence ?? '?'}`}]` : '');
+
+		console.log(`  #${idx + 1} ${escrow.action.toUpperCase().padEnd(6)} ${ColoredText(`${dropsToXrp(amount)} XRP`, { color: 'FgGreen' })}  owner ${escrow.Owner}  escrow sequence ${escrow.OfferSequence}  (${time}${escrow.Condition ? ', condition' : ''})${sequence}`);
+
+		if (escrow.action === 'cancel') { countCancel++; amountCancel += amount; }
+		else { countFinish++; amountFinish += amount; }
+		if (item.transaction) { fees += Number(item.transaction.Fee); }
+	})
+
+	if (countFinish) { console.log(`\nFinish: ${countFinish} escrows with total ${dropsToXrp(amountFinish)} XRP`); }
+	if (countCancel) { console.log(`Cancel: ${countCancel} escrows with total ${dropsToXrp(amountCancel)} XRP`); }
+	console.log(`\nTOTAL XRP TO BE UNLOCKED: ${ColoredText(`${dropsToXrp(amountFinish + amountCancel)} XRP`, { color: 'FgYellow' })}`);
+	if (fees) { console.log(`Total fees: ${fees} drops`); }
+}
+
+async function main(){
+	const curDate = new Date(); console.log(`Current time: ${curDate.toISOString()}  |  ${curDate}\n`);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	const escrows = (mode === 'qr' ? ParseSweepEscrows(main_params.escrows_json.value) : await ReadyEscrows({ account: main_params.account.value, network: main_params.network.value }));
+	if (!escrows.length) { quit('\nNO ESCROWS READY TO FINISH OR CANCEL'); }
+
+	ShowSweepSummary(escrows);
+
+	if (mode === 'json') { quit(`\nESCROWS_JSON to be used on 'escrow_sweep --qr' call:\n\n${ColoredText(JSON.stringify(escrows), { color: 'FgGreen' })}\n`); }
+
+	let sweep;
+	await RunBatchTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: async ({ feeDrops }) => {
+			sweep = await SweepTransactions(escrows, { account: main_params.account.value, network: main_params.network.value, feeDrops });
+			if (!sweep.length) { quit('\nNO ESCROWS TO UNLOCK'); }
+
+			return sweep.map((item) => item.transaction);
+		},
+		show: () => ShowSweepSummary(sweep),
+		title: 'Escrow sweep',
+		qrTransactions: () => sweep.map(({ escrow, transaction }) => ({
+			transaction,
+			qrTxFields: ['Owner', 'OfferSequence'],
+			qrAddtnFields: [{ name: 'Transaction kind', value: (escrow.action === 'cancel' ? '[ CANCEL ESCROW ]' : '[ FINISH ESCROW ]') }]
+		}))
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.ReadyEscrows = ReadyEscrows;
+	exports.ParseSweepEscrows = ParseSweepEscrows;
+	exports.SweepTransactions = SweepTransactions;
+	exports.ShowSweepSummary = ShowSweepSummary;
+}
@@ -1,7 +1,12 @@
 ///////////////////////////////////////////////////////////
 //
 // escrow_self.js - escrow XRPL account funds to themselves
-// syntax: node escrow_self [PUB|TEST|DEV] ACCOUNT ESCROW_XRP_AMOUNT ESCROW_RELEASE_TIME
+// syntax: node escrow_self [--json] [PUB|TEST|DEV] ACCOUNT ESCROW_XRP_AMOUNT ESCROW_RELEASE_TIME
+//         node escrow_self --submit [PUB|TEST|DEV] ACCOUNT ESCROW_XRP_AMOUNT ESCROW_RELEASE_TIME SEED_KEY
+//         node escrow_self --qr [PUB|TEST|DEV] ACCOUNT ESCROW_XRP_AMOUNT ESCROW_RELEASE_TIME SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
 //
 // Every Escrow adds 2 XRP to your account reserve.
 // Those 2 XRP are inaccessible as long as the Escrow exists.
@@ -38,18 +43,26 @@
 
 const MODULE_NAME = 'escrow_self';
 
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
 const { xrpToDrops } = require("xrpl");
 
-const { quit, fail, defineMainParams, rippleEpochTimestamp, validateRippleEpochTimestamp, ledgerIndexMinTimeout, networkMinFee, showLoadedModules, ShowTransactionDetails, OutputJsonTransaction } = require('../../common/libs/common.js');
-const { AddTransactionSequences } = require('../../common/sign.js');
+const { fail, defineModeParams, rippleEpochTimestamp, validateRippleEpochTimestamp, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails } = require('../../common/libs/common.js');
+const { RunTransactionCommand } = require('../../common/tx_command.js');
 const { escrowCreate, selfEscrowGeneralParams } = require('../escrow.js');
-const { escrowPasswordProtectionOnRequest } = require('../escrow_condition.js');
+const { escrowPasswordProtectionOnRequest, ShowEscrowRecoverySheet, EscrowProtectionInfo } = require('../escrow_condition.js');
+const { EscrowRegistryOpen, EscrowRegistryRecord, EscrowRegistryOnSubmitted } = require('../escrow_registry.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
 	account: { id: 2, default: '', required: true },
 	escrowXrpAmount: { id: 3, default: '', required: true },
 	releaseTimeString: { id: 4, default: '', required: true, desc: 'Release the escrow after this time', example: '2022-10-20T00:00:00Z or 1year', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	key: { id: 5, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
 };
 
 const EscrowSelfFreeze = function ({ account, releaseTimeString, amountDropsToEscrow, feeDrops }){
@@ -58,7 +71,8 @@ const EscrowSelfFreeze = function ({ account, releaseTimeString, amountDropsToEs
 	return escrowCreate(params);
 }
 
-const EscrowSelfFreezeWithCondition = async function ({ account, releaseTimeString, amountDropsToEscrow, feeDrops, timeConditionCancelAfter }){
+const EscrowSelfFreezeWithCondition = async function ({ account, releaseTimeString, amountDropsToEscrow, feeDrops, timeConditionCancelAfter, protection }){
+	// protection (optional): an object to be filled with { kind, recoveryCode, recoverySheet } of the condition, see EscrowProtectionInfo() in `escrow_condition`
 	const escrowParams = selfEscrowGeneralParams({ account, releaseTimeString, amountDropsToEscrow, feeDrops });
 
 	const pswProtection = await escrowPasswordProtectionOnRequest({ account, releaseTimeString, skipAskCancelAfter: !!timeConditionCancelAfter });
@@ -68,6 +82,7 @@ const EscrowSelfFreezeWithCondition = async function ({ account, releaseTimeStri
 
 	let tsConditionCancelAfter;
 	escrowParams.finishConditionSha256PublicHash = pswProtection.condition.hexCondition;
+	if (protection) { Object.assign(protection, EscrowProtectionInfo(pswProtection)); }
 
 	timeConditionCancelAfter = timeConditionCancelAfter || pswProtection.timeConditionCancelAfter;
 	if (timeConditionCancelAfter) {
@@ -84,37 +99,34 @@ const EscrowSelfFreezeWithCondition = async function ({ account, releaseTimeStri
 	return escrowCreate(escrowParams);
 }
 
-async function commandTxParams() {
-	let txData = await EscrowSelfFreezeWithCondition({
-		account: main_params.account.value,
-		releaseTimeString: main_params.releaseTimeString.value,
-		amountDropsToEscrow: xrpToDrops(main_params.escrowXrpAmount.value),
-		feeDrops: networkMinFee(main_params.network.value)
-	});
-
-	await AddTransactionSequences(
-		txData,
-		{
-			account: main_params.account.value,
-			network: main_params.network.value,
-			ledgerTimeout: ledgerIndexMinTimeout(main_params.network.value)
-		}
-	);
-
-	return txData;
-}
-
 async function main(){
 	const curDate = new Date(); console.log(`Current time: ${curDate.toISOString()}  |  ${curDate}\n`);
-	await defineMainParams(main_params);
-
-	const txParams = await commandTxParams();
-
-	ShowTransactionDetails(txParams);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
 
-	quit( OutputJsonTransaction(txParams) );
+	const protection = {};
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		confirmFee: false,
+		build: ({ feeDrops }) => EscrowSelfFreezeWithCondition({
+			account: main_params.account.value,
+			releaseTimeString: main_params.releaseTimeString.value,
+			amountDropsToEscrow: xrpToDrops(main_params.escrowXrpAmount.value),
+			feeDrops, // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			protection
+		}),
+		show: async (tx) => {
+			ShowTransactionDetails(tx);
+			await ShowEscrowRecoverySheet(protection.recoverySheet, tx);
+			if (mode !== 'json') { await EscrowRegistryOpen(); }
+		},
+		title: 'ESCROW SELF',
+		onSigned: (signed, tx) => EscrowRegistryRecord([{ tx, hash: signed.hash, protection }], { network: main_params.network.value }),
+		submitOptions: { onSubmitted: EscrowRegistryOnSubmitted({ network: main_params.network.value }) }
+	});
 }
 
+
 if (require.main === module) {
 	console.log(MODULE_NAME + ' called directly\n');
 	main();
@@ -122,6 +134,7 @@ if (require.main === module) {
 } else {
 	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = COMMAND_MODES;
 	exports.EscrowSelfFreeze = EscrowSelfFreeze;
 	exports.EscrowSelfFreezeWithCondition = EscrowSelfFreezeWithCondition;
 }
@@ -0,0 +1,119 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_self_cancel.js - return escrowed XRP to the sender
+// syntax: node escrow_self_cancel --submit [PUB|TEST|DEV] ACCOUNT SEED_KEY ESCROW_TX_SEQUENCE_ON_CREATE
+//         node escrow_self_cancel --qr [PUB|TEST|DEV] ACCOUNT SEED_KEY ESCROW_TX_SEQUENCE_ON_CREATE ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --submit signs and submits the transaction, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// With --submit the escrow is looked up by its sequence or the hash of the EscrowCreate transaction
+// (ESCROW_TX_SEQUENCE_ON_CREATE or the named `--escrow_tx_hash HASH`).
+//
+// With `--registry` the escrow is chosen from the escrow registry, see `escrow_registry`:
+// pass empty ESCROW_TX_SEQUENCE_ON_CREATE ("") to specify the next parameters.
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_self_cancel';
+
+const COMMAND_MODES = ['qr', 'submit'];
+
+const { dropsToXrp, rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, XrplClient, ShowTransactionDetails, showLoadedModules } = require('../../common/libs/common.js');
+const { RunTransactionCommand } = require('../../common/tx_command.js');
+const { FindAccountEscrow } = require('../../account_info/account_escrows.js');
+const { escrowSelfCancel } = require('../escrow_cancel.js');
+const { EscrowRegistryPickOption, EscrowRegistryPick } = require('../escrow_registry.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	key: { id: 3, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true },
+	escrow_tx_sequence: { id: 4, default: '', required: true, desc: 'Sequence of the EscrowCreate transaction to be canceled (or its Hash with --submit)' },
+	escrow_tx_hash: { default: '', required: false, desc: 'Hash of the EscrowCreate transaction', modes: ['submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function escrowToCancel(mode) {
+	// { txSequence, escrow }: the escrow looked up online, or the sequence of the parameters when signing offline
+	const txSeqIsNumber = !isNaN(main_params.escrow_tx_sequence.value);
+	if (mode === 'qr') { return { txSequence: (txSeqIsNumber ? main_params.escrow_tx_sequence.value : null) }; }
+
+	const txHash = (main_params.escrow_tx_hash.value ? main_params.escrow_tx_hash.value : (main_params.escrow_tx_sequence.value && !txSeqIsNumber ? main_params.escrow_tx_sequence.value : null));
+	let txSequence = (txSeqIsNumber ? main_params.escrow_tx_sequence.value : null);
+
+	const client = await XrplClient({ network: main_params.network.value });
+	const escrow = await FindAccountEscrow({ client, account: main_params.account.value, txHash, txSequence });
+	client.disconnect();
+	if (escrow && !txSequence) { txSequence = escrow.Sequence };
+
+	console.log(`\nEscrow with specified Sequence/Hash ${escrow ? 'EXISTS' : 'NOT FOUND' }`);
+
+	return { txSequence, escrow, searched: true };
+}
+
+function showTransactionDetails (tx, { escrow, searched }) {
+	ShowTransactionDetails(tx);
+
+	if (escrow) {
+		const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
+		const available = (escrow.CancelAfter && currentRippleTimestamp > escrow.CancelAfter);
+
+		console.log(`Cancel Escrow Amount: ${dropsToXrp(escrow.Amount)} XRP ${escrow.self ? 'on self' : `destined for another account '${escrow.Destination}'`}`);
+		console.log(`  Escrow Date: ${rippleTimeToISOTime(escrow.date)}`);
+		if (escrow.FinishAfter) { console.log(`  Escrow Finish available After: ${rippleTimeToISOTime(escrow.FinishAfter)}`); }
+		if (escrow.CancelAfter) { console.log(`  Escrow Cancel available After: ${rippleTimeToISOTime(escrow.CancelAfter)} ${available ? '' : '< ATTENTION >'}`); }
+
+		if (!available) {
+			console.log(`\n-= ATTENTION! ESCROW CANCELLATION IS NOT YET AVAILABLE! (${escrow.CancelAfter ? 'see Cancel available After date' : "'Cancel After' date was not specified for the escrow"}) =-`);
+
+			if (escrow.FinishAfter && currentRippleTimestamp > escrow.FinishAfter) {
+				console.log('\nEscrow Finish is already available.');
+			}
+		}
+	} else if (searched) {
+		console.log('Unable to find information of the escrow to be canceled');
+	}
+}
+
+async function main(){
+	const fromRegistry = EscrowRegistryPickOption(main_params, ['escrow_tx_sequence', 'escrow_tx_hash']);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	if (fromRegistry) {
+		const entry = await EscrowRegistryPick({ network: main_params.network.value, owner: main_params.account.value, action: 'cancel' });
+		main_params.escrow_tx_sequence.value = `${entry.sequence}`;
+		if (mode === 'submit') { main_params.escrow_tx_hash.value = entry.hash || ''; }
+	}
+
+	const target = await escrowToCancel(mode);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		confirmFee: false,
+		build: ({ feeDrops }) => escrowSelfCancel({
+			account: main_params.account.value,
+			feeDrops, // transaction fee in 'drops'
+			txSequence: target.txSequence
+		}),
+		show: (tx) => showTransactionDetails(tx, target),
+		title: 'ESCROW SELF CANCEL'
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
@@ -0,0 +1,163 @@
+///////////////////////////////////////////////////////////
+//
+// escrow_self_finish.js - transfer escrowed XRP to the receiver
+// syntax: node escrow_self_finish --submit [PUB|TEST|DEV] ACCOUNT SEED_KEY ESCROW_TX_SEQUENCE_ON_CREATE
+//         node escrow_self_finish --qr [PUB|TEST|DEV] ACCOUNT SEED_KEY ESCROW_TX_SEQUENCE_ON_CREATE CONDITION ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --submit signs and submits the transaction, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// With --submit the escrow is looked up by its sequence or the hash of the EscrowCreate transaction
+// (ESCROW_TX_SEQUENCE_ON_CREATE or the named `--escrow_tx_hash HASH`),
+// with --qr its CONDITION (if exists) is specified instead.
+//
+// With `--registry` the escrow (its sequence, condition or hash) is chosen from the escrow registry, see `escrow_registry`:
+// pass empty ESCROW_TX_SEQUENCE_ON_CREATE and CONDITION ("") to specify the next parameters.
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'escrow_self_finish';
+
+const COMMAND_MODES = ['qr', 'submit'];
+
+const { dropsToXrp, rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, XrplClient, ConfirmFeeValue, ShowTransactionDetails, showLoadedModules } = require('../../common/libs/common.js');
+const { RunTransactionCommand } = require('../../common/tx_command.js');
+const { PromptParameter } = require('../../common/libs/cli_args.js');
+const { FindAccountEscrow } = require('../../account_info/account_escrows.js');
+const { escrowSelfFinish, Fee } = require('../escrow_finish.js');
+const { escrowFinishFulfillmentRequest } = require('../escrow_condition.js');
+const { EscrowRegistryPickOption, EscrowRegistryPick } = require('../escrow_registry.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	key: { id: 3, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true },
+	escrow_tx_sequence: { id: 4, default: '', required: true, desc: 'Sequence of the EscrowCreate transaction (or its Hash with --submit)' },
+	escrow_condition: { id: 5, default: '', required: false, desc: 'Escrow Condition if exists', modes: ['qr'] },
+	escrow_tx_hash: { default: '', required: false, desc: 'Hash of the EscrowCreate transaction', modes: ['submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function fetchEscrowInfo (account, txHash, txSequence) {
+	let withCondition;
+	console.log(`\nSearching the escrow ...`);
+
+	const client = await XrplClient({ network: main_params.network.value });
+	const escrow = await FindAccountEscrow({ client, account, txHash, txSequence });
+	client.disconnect();
+
+	console.log(`\nEscrow with specified Sequence/Hash ${escrow ? 'EXISTS' : 'NOT FOUND' }`);
+	if (escrow && !txSequence) { txSequence = escrow.Sequence; }
+
+	if (escrow) { withCondition = escrow?.Condition; }
+	else {
+		const answer = (await PromptParameter({ message: 'Is this escrow protected by a Condition field ? (Yes/No)', newline: true, required: true, infinityLoop: 20 })).toLowerCase();
+		withCondition = ['y', 'yes'].includes(answer);
+	}
+
+	return { withCondition, txSequence, escrow };
+}
+
+async function escrowToFinish(mode) {
+	// { account, txSequence, condition, withCondition, escrow }: the escrow looked up online, or of the parameters when signing offline
+	if (mode === 'qr') {
+		const txSequence = (isNaN(main_params.escrow_tx_sequence.value) ? null : main_params.escrow_tx_sequence.value);
+		return { account: main_params.account.value, txSequence, condition: main_params.escrow_condition.value, withCondition: true };
+	}
+
+	const txSeqIsNumber = !isNaN(main_params.escrow_tx_sequence.value);
+	const txHash = (main_params.escrow_tx_hash.value ? main_params.escrow_tx_hash.value : (main_params.escrow_tx_sequence.value && !txSeqIsNumber ? main_params.escrow_tx_sequence.value : null));
+
+	const fetchedInfo = await fetchEscrowInfo(main_params.account.value, txHash, (txSeqIsNumber ? main_params.escrow_tx_sequence.value : null));
+	const escrow = fetchedInfo.escrow;
+
+	return { account: escrow?.Account || main_params.account.value, txSequence: fetchedInfo.txSequence, condition: escrow?.Condition, withCondition: fetchedInfo.withCondition, escrow, searched: true };
+}
+
+async function buildTransaction(target) {
+	// the fee depends on the fulfillment, it is confirmed here
+	const finishParams = { account: target.account, txSequence: target.txSequence };
+	let feeDrops = Fee(main_params.network.value);
+
+	if (target.withCondition) {
+		const fulfil = await escrowFinishFulfillmentRequest({ escrowSrcAccountAddress: target.account, escrowTestCondition: target.condition });
+		if (fulfil?.data) {
+			finishParams.conditionFulfillment = fulfil.data;
+			finishParams.condition = target.condition;
+			feeDrops = Fee(main_params.network.value, { withCondition: true, preimageSize: fulfil.preimageSize });
+		}
+	}
+	finishParams.feeDrops = await ConfirmFeeValue(feeDrops);
+
+	return escrowSelfFinish(finishParams);
+}
+
+function showTransactionDetails (tx, { escrow, searched }) {
+	ShowTransactionDetails(tx);
+
+	if (escrow) {
+		const currentRippleTimestamp = unixTimeToRippleTime(new Date().getTime());
+		const availableFinish = (!escrow.FinishAfter || currentRippleTimestamp > escrow.FinishAfter);
+		const availableCancel = (escrow.CancelAfter && currentRippleTimestamp > escrow.CancelAfter);
+		const expiredFinish = availableCancel && availableFinish;
+
+		// should be canceled
+
+		console.log(`Finish Escrow and transfer the Amount: ${dropsToXrp(escrow.Amount)} XRP ${escrow.self ? 'back to self' : `to another account '${escrow.Destination}'`}`)
+		console.log(`  Escrow Date: ${rippleTimeToISOTime(escrow.date)}`)
+		if (escrow.FinishAfter) { console.log(`  Escrow Finish available After: ${rippleTimeToISOTime(escrow.FinishAfter)} ${availableFinish && !expiredFinish ? '' : '< ATTENTION >'}`); }
+		if (escrow.CancelAfter) { console.log(`  Escrow Cancel available After: ${rippleTimeToISOTime(escrow.CancelAfter)}`); }
+
+		if (!availableFinish) {
+			console.log(`\n-= ATTENTION! ESCROW FINISH IS NOT YET AVAILABLE! (${escrow.FinishAfter ? 'see Finish available After date' : "'Finish After' date was not specified for the escrow"}) =-`);
+
+			if (escrow.CancelAfter && currentRippleTimestamp > escrow.CancelAfter) {
+				console.log('\nEscrow cancellation is already available.');
+			}
+		}
+		if (expiredFinish) {
+			console.log(`\n-= ATTENTION! ESCROW FINISH EXPIRED!  ESCROW IS READY TO BE CANCELED! =-`);
+		}
+	} else if (searched) {
+		console.log('Unable to find information of the escrow to be finished');
+	}
+}
+
+async function main(){
+	const fromRegistry = EscrowRegistryPickOption(main_params, ['escrow_tx_sequence', 'escrow_condition', 'escrow_tx_hash']);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	if (fromRegistry) {
+		const entry = await EscrowRegistryPick({ network: main_params.network.value, owner: main_params.account.value, action: 'finish' });
+		main_params.escrow_tx_sequence.value = `${entry.sequence}`;
+		if (mode === 'qr') { main_params.escrow_condition.value = entry.condition || ''; }
+		else { main_params.escrow_tx_hash.value = entry.hash || ''; }
+	}
+
+	const target = await escrowToFinish(mode);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: target.account,
+		confirmFee: false,
+		build: () => buildTransaction(target),
+		show: (tx) => showTransactionDetails(tx, target),
+		title: 'ESCROW SELF FINISH'
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
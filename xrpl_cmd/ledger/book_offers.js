@@ -0,0 +1,240 @@
+///////////////////////////////////////////////////////////
+//
+// book_offers.js - shows the order book of a currency pair in the decentralized exchange
+// syntax: node book_offers [PUB|TEST|DEV] BASE_ASSET QUOTE_ASSET FILL_SIZE DEPTH_LEVELS
+//
+// BASE_ASSET / QUOTE_ASSET - XRP or a token as CURRENCY.ISSUER, e.g.:  XRP  USD.rIssuerAddress
+// Prices are shown in QUOTE_ASSET units per 1 BASE_ASSET.
+//   Asks - offers selling BASE_ASSET (you can buy from them),
+//   Bids - offers buying BASE_ASSET (you can sell to them).
+// FILL_SIZE (optional) - BASE_ASSET amount to estimate the effective (average) price of buying and selling it right now.
+// DEPTH_LEVELS (optional) - number of price levels to show on each side (default 15).
+//
+// Only the funded part of the offers is taken into account.
+// Transfer fees of the token issuers and the offers of the autobridging through XRP are not included.
+//
+//
+// Docs:
+//   https://xrpl.org/book_offers.html
+//   https://xrpl.org/decentralized-exchange.html
+//   https://xrpl.org/offers.html#offer-preference
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'book_offers';
+
+const BOOK_OFFERS_PAGE_LIMIT = 200;
+const BOOK_OFFERS_PAGES_MAX = 10;
+const DEPTH_LEVELS_DEFAULT = 15;
+const PRICE_PRECISION = 8; // significant digits to group the offers into price levels
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { ParseAsset, AmountValue, CurrencyCodeText } = require('../common/libs/amount.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	base_asset: { id: 2, default: '', required: true, desc: 'Asset to buy or sell', example: 'XRP or USD.rIssuerAddress' },
+	quote_asset: { id: 3, default: '', required: true, desc: 'Asset the price is expressed in', example: 'XRP or USD.rIssuerAddress' },
+	fill_size: { id: 4, default: '', required: false, desc: 'BASE_ASSET amount to estimate the effective price', type: 'number' },
+	depth_levels: { id: 5, default: '', required: false, desc: `Price levels to show on each side (default ${DEPTH_LEVELS_DEFAULT})`, type: 'number' },
+}
+
+const BookOffers = async function ({ takerGets, takerPays, network, xrplAddress, client }) {
+	// returns the offers selling `takerGets` for `takerPays`, the best ones first
+	let lclient, marker;
+	const offers = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to fetch Book Offers...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < BOOK_OFFERS_PAGES_MAX; page++) {
+			const request = { command: 'book_offers', taker_gets: takerGets, taker_pays: takerPays, limit: BOOK_OFFERS_PAGE_LIMIT, ledger_index: 'validated' };
+			if (marker) { request.marker = marker; }
+
+			const response = lclient.request(request);
+			let info;
+			response.then(
+				result => {
+					info = result;
+				},
+				error => {
+					if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+					else fail(`Error: ${error}`);
+				}
+			)
+			await response;
+
+			if (!info?.result?.offers) { fail('Unable to fetch Book Offers'); }
+
+			info.result.offers.forEach(item => offers.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return offers;
+}
+
+const offerFundedAmounts = function (offer) {
+	// an offer is not filled beyond the funds of its owner
+	const gets = AmountValue(offer.taker_gets_funded ?? offer.TakerGets);
+	const pays = AmountValue(offer.taker_pays_funded ?? offer.TakerPays);
+
+	return { gets, pays };
+}
+
+const BookDepth = function (offers, { side }) {
+	// side 'ask': offers sell the base asset (TakerGets = base), 'bid': offers buy the base asset (TakerPays = base)
+	// returns price levels: { price, base, quote, cumBase, cumQuote, count }
+	const levels = [];
+	let cumBase = 0, cumQuote = 0;
+
+	offers.forEach((offer) => {
+		const { gets, pays } = offerFundedAmounts(offer);
+		if (!gets || !pays) { return; }
+
+		const base = (side === 'ask' ? gets : pays);
+		const quote = (side === 'ask' ? pays : gets);
+		const price = +(quote / base).toPrecision(PRICE_PRECISION);
+
+		cumBase += base;
+		cumQuote += quote;
+
+		const last = levels[levels.length - 1];
+		if (last && last.price === price) {
+			last.base += base; last.quote += quote; last.count++;
+			last.cumBase = cumBase; last.cumQuote = cumQuote;
+		} else {
+			levels.push({ price, base, quote, cumBase, cumQuote, count: 1 });
+		}
+	});
+
+	return levels;
+}
+
+const EffectivePrice = function (levels, fillSize) {
+	// walks the price levels to fill `fillSize` of the base asset
+	// returns { filled, quote, price, worstPrice, complete }
+	let filled = 0, quote = 0, worstPrice;
+
+	for (const level of levels) {
+		if (filled >= fillSize) { break; }
+
+		const take = Math.min(level.base, fillSize - filled);
+		filled += take;
+		quote += take * (level.quote / level.base);
+		worstPrice = level.price;
+	}
+
+	return { filled, quote, price: (filled ? quote / filled : undefined), worstPrice, complete: filled >= fillSize };
+}
+
+const assetLabel = function (asset) {
+	return (asset.currency === 'XRP' ? 'XRP' : `${CurrencyCodeText(asset.currency)}.${asset.issuer}`);
+}
+
+const num = function (value, width) {
+	return `${+Number(value).toPrecision(PRICE_PRECISION)}`.padStart(width);
+}
+
+const showDepthTable = function (title, levels, { maxLevels, color, baseCode, quoteCode }) {
+	console.log(`\n${ColoredText(title, { color })}`);
+	if (!levels.length) { console.log('  <EMPTY>'); return; }
+
+	console.log(`  ${'Price'.padStart(16)} ${`Amount ${baseCode}`.padStart(20)} ${`Total ${baseCode}`.padStart(20)} ${`Total ${quoteCode}`.padStart(20)}  Offers`);
+	levels.slice(0, maxLevels).forEach((level) => {
+		console.log(`  ${ColoredText(num(level.price, 16), { color })} ${num(level.base, 20)} ${num(level.cumBase, 20)} ${num(level.cumQuote, 20)}  ${level.count}`);
+	});
+	if (levels.length > maxLevels) { console.log(`  ... ${levels.length - maxLevels} more price levels`); }
+}
+
+const showEffectivePrice = function (title, fill, { fillSize, baseCode, quoteCode }) {
+	if (!fill.filled) { console.log(`${title}: no liquidity`); return; }
+
+	const msg = `${title} ${+fill.filled.toPrecision(PRICE_PRECISION)} ${baseCode}: average price ${ColoredText(+fill.price.toPrecision(PRICE_PRECISION), { color: 'FgYellow' })} ${quoteCode}, total ${+fill.quote.toPrecision(PRICE_PRECISION)} ${quoteCode}, worst price ${+fill.worstPrice.toPrecision(PRICE_PRECISION)}`;
+	console.log(msg);
+	if (!fill.complete) { console.log(ColoredText(`  Not enough liquidity to fill ${fillSize} ${baseCode}`, { color: 'FgRed' })); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const base = ParseAsset(main_params.base_asset.value, { name: 'base asset' });
+	const quote = ParseAsset(main_params.quote_asset.value, { name: 'quote asset' });
+	if (base.currency === quote.currency && base.issuer === quote.issuer) { fail('Base and quote assets must be different'); }
+
+	const fillSize = Number(main_params.fill_size.value) || 0;
+	const maxLevels = Number(main_params.depth_levels.value) || DEPTH_LEVELS_DEFAULT;
+
+	let client, askOffers, bidOffers;
+
+	try{
+		console.log('\nConnecting to XRPL to fetch Book Offers...');
+		client = await XrplClient({ network: main_params.network.value });
+
+		askOffers = await BookOffers({ takerGets: base, takerPays: quote, client });
+		bidOffers = await BookOffers({ takerGets: quote, takerPays: base, client });
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	const asks = BookDepth(askOffers, { side: 'ask' });
+	const bids = BookDepth(bidOffers, { side: 'bid' });
+	const baseCode = (base.currency === 'XRP' ? 'XRP' : CurrencyCodeText(base.currency));
+	const quoteCode = (quote.currency === 'XRP' ? 'XRP' : CurrencyCodeText(quote.currency));
+
+	console.log(`\nORDER BOOK  ${assetLabel(base)} / ${assetLabel(quote)}`);
+	console.log(`(prices in ${quoteCode} per 1 ${baseCode}; ${askOffers.length} asks, ${bidOffers.length} bids)`);
+
+	showDepthTable('ASKS (sell offers, the best first):', asks, { maxLevels, color: 'FgRed', baseCode, quoteCode });
+	showDepthTable('BIDS (buy offers, the best first):', bids, { maxLevels, color: 'FgGreen', baseCode, quoteCode });
+
+	console.log('\nSUMMARY:');
+	const bestAsk = asks[0]?.price;
+	const bestBid = bids[0]?.price;
+	console.log(`Best ask: ${typeof bestAsk !== 'undefined' ? ColoredText(bestAsk, { color: 'FgRed' }) : '-'} ${quoteCode}`);
+	console.log(`Best bid: ${typeof bestBid !== 'undefined' ? ColoredText(bestBid, { color: 'FgGreen' }) : '-'} ${quoteCode}`);
+	if (typeof bestAsk !== 'undefined' && typeof bestBid !== 'undefined') {
+		const spread = bestAsk - bestBid;
+		const mid = (bestAsk + bestBid) / 2;
+		console.log(`Spread: ${+spread.toPrecision(PRICE_PRECISION)} ${quoteCode} (${+(spread / mid * 100).toFixed(4)}% of the mid price ${+mid.toPrecision(PRICE_PRECISION)})`);
+	}
+
+	if (fillSize) {
+		console.log();
+		showEffectivePrice('Buy', EffectivePrice(asks, fillSize), { fillSize, baseCode, quoteCode });
+		showEffectivePrice('Sell', EffectivePrice(bids, fillSize), { fillSize, baseCode, quoteCode });
+	}
+
+	quit();
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.BookOffers = BookOffers;
+	exports.BookDepth = BookDepth;
+	exports.EffectivePrice = EffectivePrice;
+}
@@ -8,7 +8,7 @@
 
 const MODULE_NAME = 'server_state';
 
-const { quit, fail, defineMainParams, XrplClient } = require('../common/libs/common.js');
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules } = require('../common/libs/common.js');
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
@@ -61,7 +61,8 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = [];
 	exports.ServerState = ServerState;
 }
@@ -0,0 +1,187 @@
+///////////////////////////////////////////////////////////
+//
+// nft.js - XRPL non-fungible tokens (NFTs, XLS-20) functions
+//
+// 1) The issuer (or an authorized minter on its behalf) mints an NFToken (`nft_mint`), it is owned by the minter.
+// 2) The owner puts it up for sale (`nft_offer_create` sell offer), or anyone offers to buy it (`nft_offer_create` buy offer).
+// 3) The counterparty accepts the offer (`nft_offer_accept`); a broker can match a sell and a buy offer and keep the difference.
+// 4) Offers can be cancelled (`nft_offer_cancel`), the owner can burn the NFToken (`nft_burn`).
+//
+// To give an NFToken to a customer (e.g. a certificate), create a sell offer for 0 XRP with the customer as DESTINATION,
+// the customer accepts it.
+//
+// URI - the link to the data or metadata of the NFToken (up to 256 bytes), it is stored as hex: specify it as a text.
+// TRANSFER_FEE - the fee the issuer receives on every secondary sale, percent from 0 to 50 (requires "transferable" flag).
+// Mint flags (comma separated, the "tf" prefix can be omitted):
+//   tfBurnable      - the issuer (or its authorized minter) can burn the NFToken
+//   tfOnlyXRP       - the NFToken can be sold for XRP only
+//   tfTransferable  - the NFToken can be transferred to others, not only back to the issuer
+//
+// Every 32 NFTokens held take 1 NFTokenPage (1 item of the owner reserve), every NFTokenOffer adds 1 item of the owner reserve.
+//
+//
+// Docs:
+//   https://xrpl.org/non-fungible-tokens.html
+//   https://xrpl.org/nftokenmint.html
+//   https://xrpl.org/nftokenburn.html
+//   https://xrpl.org/nftokencreateoffer.html
+//   https://xrpl.org/nftokenacceptoffer.html
+//   https://xrpl.org/nftokencanceloffer.html
+//   https://xrpl.org/nftoken.html#nftoken-flags
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft';
+
+const NFTOKEN_ID_REGEX = /^[0-9A-Fa-f]{64}$/;
+const NFTOKEN_OFFER_ID_REGEX = /^[0-9A-Fa-f]{64}$/;
+const URI_MAX_BYTES = 256;
+const TRANSFER_FEE_UNITS_PER_PERCENT = 1000;
+const TRANSFER_FEE_MAX_PERCENT = 50;
+const LEDGER_SPACE_NFTOKEN_OFFER = 0x0071; // 'q'
+
+const NFT_MINT_FLAG_ALIASES = { burnable: 'tfBurnable', onlyxrp: 'tfOnlyXRP', transferable: 'tfTransferable' };
+const NFT_OFFER_SIDES = ['sell', 'buy'];
+
+const { createHash } = require('crypto');
+const { NFTokenMintFlags, decodeAccountID, convertStringToHex, convertHexToString, parseNFTokenID } = require('xrpl');
+
+const { fail, showLoadedModules, ColoredText, ParseFlagNames, FlagNames } = require('../common/libs/common.js');
+const { ParseAmount } = require('../common/libs/amount.js');
+
+const IsValidNFTokenId = function (nftokenId) {
+	return NFTOKEN_ID_REGEX.test(nftokenId || '');
+}
+
+const IsValidNFTokenOfferId = function (offerId) {
+	return NFTOKEN_OFFER_ID_REGEX.test(offerId || '');
+}
+
+const ParseOfferIds = function (input) {
+	// 'ID1, ID2' => ['ID1', 'ID2']
+	if (!input) { return []; }
+
+	return `${input}`.split(/[\s,]+/).filter((item) => item.length).map((item) => item.toUpperCase());
+}
+
+const ParseOfferSide = function (input) {
+	const side = `${input || ''}`.trim().toLowerCase();
+	if (!NFT_OFFER_SIDES.includes(side)) { fail(`Invalid offer side "${input}": must be one of ${NFT_OFFER_SIDES.join(', ')}`); }
+
+	return side;
+}
+
+const ParseNFTokenOfferAmount = function (input, { name = 'amount' } = {}) {
+	// same as ParseAmount, but allows zero XRP (a sell offer to give the NFToken away)
+	if (/^\s*0*\.?0+\s*(XRP)?\s*$/i.test(`${input ?? ''}`)) { return '0'; }
+
+	return ParseAmount(input, { name });
+}
+
+const UriToHex = function (uri) {
+	if (!uri) { return; }
+
+	const hex = convertStringToHex(uri).toUpperCase();
+	if (hex.length / 2 > URI_MAX_BYTES) { fail(`URI is too long: ${hex.length / 2} bytes, maximum ${URI_MAX_BYTES}`); }
+
+	return hex;
+}
+
+const UriText = function (hex) {
+	if (!hex) { return ''; }
+
+	const text = convertHexToString(hex);
+	return (/^[\x20-\x7E]+$/.test(text) ? text : hex); // keep hex if it is not a printable text
+}
+
+const ParseTransferFee = function (input) {
+	// percent (0 - 50) => units of 1/100,000
+	if (typeof input === 'undefined' || input === null || `${input}`.trim() === '') { return; }
+
+	const percent = Number(`${input}`.replace('%', '').trim());
+	if (isNaN(percent) || percent < 0 || percent > TRANSFER_FEE_MAX_PERCENT) {
+		fail(`Invalid transfer fee "${input}": must be a percent from 0 to ${TRANSFER_FEE_MAX_PERCENT}`);
+	}
+
+	return Math.round(percent * TRANSFER_FEE_UNITS_PER_PERCENT);
+}
+
+const TransferFeeText = function (units) {
+	return `${Number(units || 0) / TRANSFER_FEE_UNITS_PER_PERCENT}%`;
+}
+
+const ParseNFTokenMintFlags = function (input) {
+	return ParseFlagNames(input, NFTokenMintFlags, { aliases: NFT_MINT_FLAG_ALIASES, title: 'NFToken flag' });
+}
+
+const NFTokenFlagNames = function (flagsValue) {
+	return FlagNames(flagsValue, NFTokenMintFlags);
+}
+
+const NFTokenOfferId = function (account, sequence) {
+	// The ID of an NFTokenOffer is the SHA-512Half of: the NFTokenOffer space key (0x0071), the AccountID of the owner of the offer,
+	// the Sequence (or Ticket) of NFTokenCreateOffer.
+	const data = Buffer.alloc(2 + 20 + 4);
+	data.writeUInt16BE(LEDGER_SPACE_NFTOKEN_OFFER, 0);
+	Buffer.from(decodeAccountID(account)).copy(data, 2);
+	data.writeUInt32BE(Number(sequence), 22);
+
+	return createHash('sha512').update(data).digest().subarray(0, 32).toString('hex').toUpperCase();
+}
+
+const ShowNFTokenOfferId = function (tx) {
+	const sequence = tx.Sequence || tx.TicketSequence;
+	if (!sequence) { return; }
+
+	const offerId = NFTokenOfferId(tx.Account, sequence);
+	console.log(`\nNFToken Offer ID: ${ColoredText(offerId, { color: 'FgYellow' })}`);
+	console.log('Give it to the counterparty to let it accept the offer.');
+
+	return offerId;
+}
+
+const ShowNFToken = function (nft, { index } = {}) {
+	// nft: an item of `account_nfts` response
+	const details = parseNFTokenID(nft.NFTokenID);
+	const flags = NFTokenFlagNames(details.Flags);
+
+	console.log(`\n${typeof index !== 'undefined' ? `#${index + 1} ` : ''}NFToken ID: ${ColoredText(nft.NFTokenID, { color: 'FgYellow' })}`);
+	console.log(`  Issuer: ${details.Issuer}`);
+	console.log(`  Taxon: ${details.Taxon},  serial: ${details.Sequence}`);
+	if (details.TransferFee) { console.log(`  Transfer fee: ${TransferFeeText(details.TransferFee)}`); }
+	console.log(`  Flags: ${flags.length ? flags.join(', ') : '<none>'}`);
+	if (nft.URI) { console.log(`  URI: ${ColoredText(UriText(nft.URI), { color: 'FgGreen' })}`); }
+}
+
+async function main(){
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	console.log('Use "nft_mint" to mint an NFToken, "nft_burn" to burn it.');
+	console.log('Use "nft_offer_create" to create a sell or a buy offer for an NFToken.');
+	console.log('Use "nft_offer_accept" to accept an offer (or match a sell and a buy offer as a broker).');
+	console.log('Use "nft_offer_cancel" to cancel offers.');
+	console.log('Use "account_nfts" to list the NFTokens of an account, "nft_offers" to list the offers for an NFToken.');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.IsValidNFTokenId = IsValidNFTokenId;
+	exports.IsValidNFTokenOfferId = IsValidNFTokenOfferId;
+	exports.ParseOfferIds = ParseOfferIds;
+	exports.ParseOfferSide = ParseOfferSide;
+	exports.ParseNFTokenOfferAmount = ParseNFTokenOfferAmount;
+	exports.UriToHex = UriToHex;
+	exports.UriText = UriText;
+	exports.ParseTransferFee = ParseTransferFee;
+	exports.TransferFeeText = TransferFeeText;
+	exports.ParseNFTokenMintFlags = ParseNFTokenMintFlags;
+	exports.NFTokenFlagNames = NFTokenFlagNames;
+	exports.NFTokenOfferId = NFTokenOfferId;
+	exports.ShowNFTokenOfferId = ShowNFTokenOfferId;
+	exports.ShowNFToken = ShowNFToken;
+}
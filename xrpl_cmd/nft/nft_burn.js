@@ -0,0 +1,97 @@
+///////////////////////////////////////////////////////////
+//
+// nft_burn.js - burns (permanently destroys) a non-fungible token (NFToken)
+// syntax: node nft_burn [--json] [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID OWNER
+//         node nft_burn --submit [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID OWNER SEED_KEY
+//         node nft_burn --qr [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID OWNER SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// NFTOKEN_ID - see `account_nfts`
+// OWNER (optional) - the current owner of the NFToken if it is not ACCOUNT:
+//   the issuer (or its authorized minter) can burn the NFToken held by another account only if it was minted with tfBurnable flag
+//
+// Burning releases the owner reserve if the NFTokenPage of the owner becomes empty.
+// The offers for the burnt NFToken are removed as well.
+//
+// Docs: https://xrpl.org/nftokenburn.html
+//       https://js.xrpl.org/interfaces/NFTokenBurn.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_burn';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { IsValidNFTokenId } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	nftoken_id: { id: 3, default: '', required: true, desc: 'see `account_nfts`' },
+	owner: { id: 4, default: '', required: false, desc: 'Owner of the NFToken if it is not the account (tfBurnable NFTokens only)' },
+
+	key: { id: 5, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 6, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 7, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 8, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function NFTokenBurn({ account, nftokenId, owner, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/NFTokenBurn.html
+	//       https://xrpl.org/nftokenburn.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call NFTokenBurn()"); error = true; }
+	if (!IsValidNFTokenId(nftokenId)){ console.error("Must specify 'nftokenId' as 64 characters hex string in call NFTokenBurn()"); error = true; }
+	if (owner && owner === account){ console.error("'owner' must not be equal to 'account' in call NFTokenBurn()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call NFTokenBurn()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'NFTokenBurn',
+		Account: account,
+		NFTokenID: nftokenId.toUpperCase(), // The NFToken to be removed by this transaction.
+		Fee: feeDrops.toString()
+	};
+
+	if (owner) { cmd.Owner = owner; } // The owner of the NFToken to burn. Only used if that owner is different than the account sending this transaction.
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => NFTokenBurn({
+			account: main_params.account.value,
+			nftokenId: main_params.nftoken_id.value,
+			owner: main_params.owner.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'NFT BURN',
+		qrTxFields: ['NFTokenID', 'Owner'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[[ BURN NFT ]]' }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.NFTokenBurn = NFTokenBurn;
+}
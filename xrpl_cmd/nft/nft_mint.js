@@ -0,0 +1,125 @@
+///////////////////////////////////////////////////////////
+//
+// nft_mint.js - mints a non-fungible token (NFToken)
+// syntax: node nft_mint [--json] [PUB|TEST|DEV] ACCOUNT TAXON URI FLAGS TRANSFER_FEE ISSUER
+//         node nft_mint --submit [PUB|TEST|DEV] ACCOUNT TAXON URI FLAGS TRANSFER_FEE ISSUER SEED_KEY
+//         node nft_mint --qr [PUB|TEST|DEV] ACCOUNT TAXON URI FLAGS TRANSFER_FEE ISSUER SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+// Use `--qr --ticket N` to sign a batch of mints offline and submit them in any order.
+//
+// TAXON - an arbitrary number the issuer uses to group its NFTokens (e.g. one taxon per collection), 0 if not needed
+// URI (optional) - the link to the data or metadata of the NFToken, as a text (up to 256 bytes), e.g. ipfs://bafybei...
+// FLAGS (optional) - comma separated list: tfBurnable, tfOnlyXRP, tfTransferable (the "tf" prefix can be omitted)
+// TRANSFER_FEE (optional) - the fee the issuer receives on every secondary sale, percent from 0 to 50 (requires tfTransferable)
+// ISSUER (optional) - the issuer of the NFToken if ACCOUNT mints on its behalf:
+//   the issuer must set ACCOUNT as its NFTokenMinter (see asfAuthorizedNFTokenMinter flag of `account_set`)
+//
+// The NFToken is owned by ACCOUNT after minting, see its NFToken ID in `account_nfts`.
+//
+// Docs: https://xrpl.org/nftokenmint.html
+//       https://xrpl.org/non-fungible-tokens.html
+//       https://js.xrpl.org/interfaces/NFTokenMint.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_mint';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { NFTokenMintFlags } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { UriToHex, UriText, ParseTransferFee, TransferFeeText, ParseNFTokenMintFlags, NFTokenFlagNames } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	taxon: { id: 3, default: '', required: true, desc: 'Arbitrary number to group NFTokens, 0 if not needed', example: '0' },
+	uri: { id: 4, default: '', required: false, desc: 'Link to the data or metadata of the NFToken (up to 256 bytes)', example: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi' },
+	flags: { id: 5, default: '', required: false, desc: 'Comma separated NFToken flags', example: 'tfBurnable, tfOnlyXRP, tfTransferable' },
+	transfer_fee: { id: 6, default: '', required: false, desc: 'Fee on secondary sales, percent from 0 to 50 (requires tfTransferable)', example: '2.5' },
+	issuer: { id: 7, default: '', required: false, desc: 'Issuer of the NFToken if minting on its behalf' },
+
+	key: { id: 8, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 9, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 10, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 11, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function NFTokenMint({ account, taxon, uri, flags, transferFee, issuer, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/NFTokenMint.html
+	//       https://xrpl.org/nftokenmint.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call NFTokenMint()"); error = true; }
+	if (!/^\d+$/.test(`${taxon ?? ''}`.trim()) || Number(taxon) > 0xFFFFFFFF){ console.error("Must specify 'taxon' as a Number from 0 to 4294967295 in call NFTokenMint()"); error = true; }
+	if (transferFee && !(flags & NFTokenMintFlags.tfTransferable)){ console.error("'transferFee' requires 'tfTransferable' flag in call NFTokenMint()"); error = true; }
+	if (issuer && issuer === account){ console.error("'issuer' must not be equal to 'account' in call NFTokenMint()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call NFTokenMint()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'NFTokenMint',
+		Account: account,
+		NFTokenTaxon: Number(taxon), // An arbitrary taxon, or shared identifier, for a series or collection of related NFTs.
+		Fee: feeDrops.toString()
+	};
+
+	if (flags) { cmd.Flags = flags; } // https://js.xrpl.org/enums/NFTokenMintFlags.html
+	if (transferFee) { cmd.TransferFee = transferFee; } // The fee charged by the issuer for secondary sales, in units of 1/100,000 (0 - 50000).
+	if (uri) { cmd.URI = uri; } // Up to 256 bytes of arbitrary data, in hex. Typically a URI that points to the data or metadata of the NFT.
+	if (issuer) { cmd.Issuer = issuer; } // The issuer of the token, if the sender is issuing it on behalf of another account.
+
+	return cmd;
+}
+
+function qrFields(tx) {
+	const fields = [
+		{ name: 'Taxon', value: tx.NFTokenTaxon }
+	];
+	if (tx.URI) { fields.push({ name: 'URI', value: UriText(tx.URI) }); }
+	if (tx.Flags) { fields.push({ name: 'NFToken flags', value: NFTokenFlagNames(tx.Flags).join(', ') }); }
+	if (tx.TransferFee) { fields.push({ name: 'Transfer fee', value: TransferFeeText(tx.TransferFee) }); }
+	fields.push({ name: 'Transaction kind', value: '[ MINT NFT ]' });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => NFTokenMint({
+			account: main_params.account.value,
+			taxon: main_params.taxon.value,
+			uri: UriToHex(main_params.uri.value),
+			flags: ParseNFTokenMintFlags(main_params.flags.value),
+			transferFee: ParseTransferFee(main_params.transfer_fee.value),
+			issuer: main_params.issuer.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'NFT MINT',
+		qrTxFields: ['Issuer'],
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.NFTokenMint = NFTokenMint;
+}
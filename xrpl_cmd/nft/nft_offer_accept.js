@@ -0,0 +1,115 @@
+///////////////////////////////////////////////////////////
+//
+// nft_offer_accept.js - accepts an offer to sell or to buy a non-fungible token (NFToken), or matches two offers as a broker
+// syntax: node nft_offer_accept [--json] [PUB|TEST|DEV] ACCOUNT SELL_OFFER BUY_OFFER BROKER_FEE
+//         node nft_offer_accept --submit [PUB|TEST|DEV] ACCOUNT SELL_OFFER BUY_OFFER BROKER_FEE SEED_KEY
+//         node nft_offer_accept --qr [PUB|TEST|DEV] ACCOUNT SELL_OFFER BUY_OFFER BROKER_FEE SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// SELL_OFFER - the NFToken Offer ID of a sell offer: ACCOUNT buys the NFToken (e.g. a customer receives a certificate)
+// BUY_OFFER - the NFToken Offer ID of a buy offer: ACCOUNT (the owner of the NFToken) sells it
+// Specify both SELL_OFFER and BUY_OFFER to match them in brokered mode:
+//   ACCOUNT is the broker, the NFToken goes from the seller to the buyer directly
+// BROKER_FEE (optional, brokered mode only) - the amount the broker keeps from the difference of the offers:
+//   10  or  10 XRP  or  10 USD.rIssuerAddress  (in the currency of the offers)
+//
+// See NFToken Offer IDs in `nft_offers`.
+//
+// Docs: https://xrpl.org/nftokenacceptoffer.html
+//       https://xrpl.org/non-fungible-tokens.html#brokered-mode
+//       https://js.xrpl.org/interfaces/NFTokenAcceptOffer.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_offer_accept';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { ParseAmount, FormatAmount } = require('../common/libs/amount.js');
+const { IsValidNFTokenOfferId } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	sell_offer: { id: 3, default: '', required: false, desc: 'NFToken Offer ID of a sell offer to accept, see `nft_offers`' },
+	buy_offer: { id: 4, default: '', required: false, desc: 'NFToken Offer ID of a buy offer to accept, see `nft_offers`' },
+	broker_fee: { id: 5, default: '', required: false, desc: 'Fee the broker keeps (both offers must be specified)', example: '1 or 1 USD.rIssuerAddress' },
+
+	key: { id: 6, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function NFTokenAcceptOffer({ account, sellOffer, buyOffer, brokerFee, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/NFTokenAcceptOffer.html
+	//       https://xrpl.org/nftokenacceptoffer.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call NFTokenAcceptOffer()"); error = true; }
+	if (!sellOffer && !buyOffer){ console.error("Must specify 'sellOffer' or 'buyOffer' (or both in brokered mode) in call NFTokenAcceptOffer()"); error = true; }
+	if (sellOffer && !IsValidNFTokenOfferId(sellOffer)){ console.error("'sellOffer' must be 64 characters hex string in call NFTokenAcceptOffer()"); error = true; }
+	if (buyOffer && !IsValidNFTokenOfferId(buyOffer)){ console.error("'buyOffer' must be 64 characters hex string in call NFTokenAcceptOffer()"); error = true; }
+	if (brokerFee && !(sellOffer && buyOffer)){ console.error("'brokerFee' requires both 'sellOffer' and 'buyOffer' (brokered mode) in call NFTokenAcceptOffer()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call NFTokenAcceptOffer()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'NFTokenAcceptOffer',
+		Account: account,
+		Fee: feeDrops.toString()
+	};
+
+	if (sellOffer) { cmd.NFTokenSellOffer = sellOffer.toUpperCase(); } // Identifies the NFTokenOffer that offers to sell the NFToken.
+	if (buyOffer) { cmd.NFTokenBuyOffer = buyOffer.toUpperCase(); } // Identifies the NFTokenOffer that offers to buy the NFToken.
+	if (brokerFee) { cmd.NFTokenBrokerFee = brokerFee; } // In brokered mode, the amount the broker keeps. Must be greater than zero.
+
+	return cmd;
+}
+
+function qrFields(tx) {
+	const brokered = (tx.NFTokenSellOffer && tx.NFTokenBuyOffer);
+	const fields = [];
+	if (tx.NFTokenBrokerFee) { fields.push({ name: 'Broker fee', value: FormatAmount(tx.NFTokenBrokerFee) }); }
+	fields.push({ name: 'Transaction kind', value: (brokered ? '[ BROKER NFT SALE ]' : (tx.NFTokenSellOffer ? '[ BUY NFT ]' : '[ SELL NFT ]')) });
+
+	return fields;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => NFTokenAcceptOffer({
+			account: main_params.account.value,
+			sellOffer: main_params.sell_offer.value,
+			buyOffer: main_params.buy_offer.value,
+			brokerFee: ParseAmount(main_params.broker_fee.value, { name: 'broker fee' }),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'NFT OFFER ACCEPT',
+		qrTxFields: ['NFTokenSellOffer', 'NFTokenBuyOffer'],
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.NFTokenAcceptOffer = NFTokenAcceptOffer;
+}
@@ -0,0 +1,92 @@
+///////////////////////////////////////////////////////////
+//
+// nft_offer_cancel.js - cancels offers to sell or to buy non-fungible tokens (NFTokens)
+// syntax: node nft_offer_cancel [--json] [PUB|TEST|DEV] ACCOUNT OFFER_IDS
+//         node nft_offer_cancel --submit [PUB|TEST|DEV] ACCOUNT OFFER_IDS SEED_KEY
+//         node nft_offer_cancel --qr [PUB|TEST|DEV] ACCOUNT OFFER_IDS SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// OFFER_IDS - comma separated list of NFToken Offer IDs, see `nft_offers`
+//
+// The owner of an offer can cancel it at any time, any account can cancel an expired offer.
+// The owner reserve of the offer is released.
+//
+// Docs: https://xrpl.org/nftokencanceloffer.html
+//       https://js.xrpl.org/interfaces/NFTokenCancelOffer.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_offer_cancel';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { IsValidNFTokenOfferId, ParseOfferIds } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	offer_ids: { id: 3, default: '', required: true, desc: 'Comma separated NFToken Offer IDs, see `nft_offers`' },
+	key: { id: 4, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function NFTokenCancelOffer({ account, offerIds, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/NFTokenCancelOffer.html
+	//       https://xrpl.org/nftokencanceloffer.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call NFTokenCancelOffer()"); error = true; }
+	if (!offerIds?.length){ console.error("Must specify 'offerIds' in call NFTokenCancelOffer()"); error = true; }
+	offerIds?.filter((id) => !IsValidNFTokenOfferId(id)).forEach((id) => { console.error(`Invalid NFToken Offer ID "${id}": must be 64 characters hex string in call NFTokenCancelOffer()`); error = true; });
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call NFTokenCancelOffer()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'NFTokenCancelOffer',
+		Account: account,
+		NFTokenOffers: offerIds.map((id) => id.toUpperCase()), // An array of IDs of the NFTokenOffer objects to cancel.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => NFTokenCancelOffer({
+			account: main_params.account.value,
+			offerIds: ParseOfferIds(main_params.offer_ids.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'NFT OFFER CANCEL',
+		qrAddtnFields: (tx) => [
+			...tx.NFTokenOffers.map((id, index) => ({ name: `Offer #${index + 1}`, value: id })),
+			{ name: 'Transaction kind', value: '[[ CANCEL NFT OFFERS ]]' }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.NFTokenCancelOffer = NFTokenCancelOffer;
+}
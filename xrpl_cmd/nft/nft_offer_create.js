@@ -0,0 +1,132 @@
+///////////////////////////////////////////////////////////
+//
+// nft_offer_create.js - creates an offer to sell or to buy a non-fungible token (NFToken)
+// syntax: node nft_offer_create [--json] [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID SIDE AMOUNT OWNER DESTINATION EXPIRATION
+//         node nft_offer_create --submit [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID SIDE AMOUNT OWNER DESTINATION EXPIRATION SEED_KEY
+//         node nft_offer_create --qr [PUB|TEST|DEV] ACCOUNT NFTOKEN_ID SIDE AMOUNT OWNER DESTINATION EXPIRATION SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// NFTOKEN_ID - see `account_nfts` (or `nft_offers` for the existing offers)
+// SIDE - sell (ACCOUNT owns the NFToken) or buy (ACCOUNT offers to buy the NFToken from OWNER)
+// AMOUNT - the price:  10  or  10 XRP  or  10 USD.rIssuerAddress
+//   a sell offer can be 0 XRP to give the NFToken away, a buy offer must be greater than zero
+// OWNER - the current owner of the NFToken: required for a buy offer, must be empty for a sell offer
+// DESTINATION (optional) - the only account that can accept the offer (e.g. a customer, or a broker for a sell offer)
+// EXPIRATION (optional) - the time after which the offer is no longer active, e.g. 2025-10-20T00:00:00Z or 30d
+//
+// To give a certificate to a customer: create a sell offer for 0 XRP with the customer as DESTINATION,
+// then give the NFToken Offer ID to the customer to accept it by `nft_offer_accept`.
+//
+// A buy offer sets the AMOUNT aside only when it is accepted: the account must hold it at that time.
+// Every NFTokenOffer adds 1 item to the owner reserve until it is accepted or cancelled.
+//
+// Docs: https://xrpl.org/nftokencreateoffer.html
+//       https://xrpl.org/non-fungible-tokens.html
+//       https://js.xrpl.org/interfaces/NFTokenCreateOffer.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_offer_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { NFTokenCreateOfferFlags } = require('xrpl');
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails, InputTimeToRippleTime } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { AmountValue } = require('../common/libs/amount.js');
+const { IsValidNFTokenId, ParseOfferSide, ParseNFTokenOfferAmount, NFTokenOfferId, ShowNFTokenOfferId } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	nftoken_id: { id: 3, default: '', required: true, desc: 'see `account_nfts`' },
+	side: { id: 4, default: '', required: true, desc: 'Sell the own NFToken or buy it from the owner', example: 'sell, buy' },
+	amount: { id: 5, default: '', required: true, desc: 'Price of the NFToken (0 to give it away by a sell offer)', example: '10 or 10 USD.rIssuerAddress' },
+	owner: { id: 6, default: '', required: false, desc: 'Owner of the NFToken (buy offer only)' },
+	destination: { id: 7, default: '', required: false, desc: 'The only account that can accept the offer' },
+	expiration: { id: 8, default: '', required: false, desc: 'Time after which the offer is no longer active', example: '2025-10-20T00:00:00Z or 30d', type: ['datetime', 'timeoffset', 'drop_ms'] },
+
+	key: { id: 9, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 10, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 11, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 12, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function NFTokenCreateOffer({ account, nftokenId, sell, amount, owner, destination, expiration, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/NFTokenCreateOffer.html
+	//       https://xrpl.org/nftokencreateoffer.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call NFTokenCreateOffer()"); error = true; }
+	if (!IsValidNFTokenId(nftokenId)){ console.error("Must specify 'nftokenId' as 64 characters hex string in call NFTokenCreateOffer()"); error = true; }
+	if (typeof amount === 'undefined' || amount === null){ console.error("Must specify 'amount' in call NFTokenCreateOffer()"); error = true; }
+	if (!sell && amount && !(AmountValue(amount) > 0)){ console.error("Buy offer 'amount' must be greater than zero in call NFTokenCreateOffer()"); error = true; }
+	if (!sell && !owner){ console.error("Must specify 'owner' of the NFToken for a buy offer in call NFTokenCreateOffer()"); error = true; }
+	if (sell && owner){ console.error("'owner' must not be specified for a sell offer in call NFTokenCreateOffer()"); error = true; }
+	if (owner && owner === account){ console.error("'owner' must not be equal to 'account' in call NFTokenCreateOffer()"); error = true; }
+	if (destination && destination === account){ console.error("'destination' must not be equal to 'account' in call NFTokenCreateOffer()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call NFTokenCreateOffer()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'NFTokenCreateOffer',
+		Account: account,
+		NFTokenID: nftokenId.toUpperCase(), // Identifies the NFToken object that the offer references.
+		Amount: amount, // Amount expected or offered for the NFToken. A sell offer can be zero, a buy offer must be greater than zero.
+		Fee: feeDrops.toString()
+	};
+
+	if (sell) { cmd.Flags = NFTokenCreateOfferFlags.tfSellNFToken; } // https://js.xrpl.org/enums/NFTokenCreateOfferFlags.html
+	if (owner) { cmd.Owner = owner; } // Who owns the corresponding NFToken. Must be present for buy offers, must not be present for sell offers.
+	if (destination) { cmd.Destination = destination; } // If present, only that account can accept the offer.
+	if (expiration) { cmd.Expiration = Number(expiration); } // Time after which the offer is no longer active, in seconds since the Ripple Epoch.
+
+	return cmd;
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => NFTokenCreateOffer({
+			account: main_params.account.value,
+			nftokenId: main_params.nftoken_id.value,
+			sell: ParseOfferSide(main_params.side.value) === 'sell',
+			amount: ParseNFTokenOfferAmount(main_params.amount.value),
+			owner: main_params.owner.value,
+			destination: main_params.destination.value,
+			expiration: InputTimeToRippleTime(main_params.expiration.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		show: (tx) => {
+			ShowTransactionDetails(tx);
+			ShowNFTokenOfferId(tx);
+		},
+		title: 'NFT OFFER CREATE',
+		qrTxFields: ['NFTokenID', 'Owner', 'Expiration'],
+		qrAddtnFields: (tx) => [
+			{ name: 'NFToken Offer ID', value: NFTokenOfferId(tx.Account, tx.Sequence || tx.TicketSequence) },
+			{ name: 'Transaction kind', value: (tx.Owner ? '[ BUY NFT OFFER ]' : '[ SELL NFT OFFER ]') }
+		]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.NFTokenCreateOffer = NFTokenCreateOffer;
+}
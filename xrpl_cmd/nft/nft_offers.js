@@ -0,0 +1,140 @@
+///////////////////////////////////////////////////////////
+//
+// nft_offers.js - lists the sell and buy offers for a non-fungible token (NFToken)
+// syntax: node nft_offers [PUB|TEST|DEV] NFTOKEN_ID
+//
+// NFTOKEN_ID - see `account_nfts`
+//
+// Use "Offer ID" as SELL_OFFER / BUY_OFFER of `nft_offer_accept` or OFFER_IDS of `nft_offer_cancel` scripts.
+// An offer with a destination can be accepted only by that account.
+// An expired offer can not be accepted anymore: anyone can cancel it to release the owner reserve of its owner.
+//
+//
+// Docs:
+//   https://xrpl.org/nft_sell_offers.html
+//   https://xrpl.org/nft_buy_offers.html
+//   https://xrpl.org/nftokenoffer.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'nft_offers';
+
+const NFT_OFFERS_PAGES_MAX = 20;
+
+const { rippleTimeToISOTime, unixTimeToRippleTime } = require('xrpl');
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { FormatAmount } = require('../common/libs/amount.js');
+const { IsValidNFTokenId } = require('./nft.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	nftoken_id: { id: 2, default: '', required: true, desc: 'see `account_nfts`' },
+}
+
+const NFTokenOffers = async function ({ nftokenId, side, network, xrplAddress, client }) {
+	// side: 'sell' or 'buy'; returns an empty list if the NFToken has no offers of this side
+	let lclient, marker, notFound;
+	const offers = [];
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log(`\nConnecting to XRPL to fetch NFT ${side} offers...`);
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		for (let page = 0; page < NFT_OFFERS_PAGES_MAX; page++) {
+			const request = { nft_id: nftokenId, command: `nft_${side}_offers`, ledger_index: 'validated' };
+			if (marker) { request.marker = marker; }
+
+			const response = lclient.request(request);
+			let info;
+			response.then(
+				result => {
+					info = result;
+				},
+				error => {
+					notFound = (error?.data?.error === 'objectNotFound'); // the NFToken has no offers of this side
+					if (notFound) { return; }
+
+					if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+					else fail(`Error: ${error}`);
+				}
+			)
+			await response;
+
+			if (!info?.result?.offers) { fail(`Unable to fetch NFT ${side} offers`); }
+
+			info.result.offers.forEach(item => offers.push(item));
+
+			marker = info.result.marker;
+			if (!marker) { break; }
+		}
+
+	} catch(err) {
+		if (!notFound) { fail(err); }
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	return offers;
+}
+
+const ShowNFTokenOffer = function (offer, { index } = {}) {
+	const expired = offer.expiration && offer.expiration <= unixTimeToRippleTime(Date.now());
+
+	console.log(`\n${typeof index !== 'undefined' ? `#${index + 1} ` : ''}Offer ID: ${ColoredText(offer.nft_offer_index, { color: 'FgYellow' })}`);
+	console.log(`  Amount: ${ColoredText(FormatAmount(offer.amount), { color: 'FgGreen' })}`);
+	console.log(`  Owner: ${offer.owner}`);
+	if (offer.destination) { console.log(`  Destination: ${offer.destination}`); }
+	if (offer.expiration) { console.log(`  Expiration: ${rippleTimeToISOTime(offer.expiration)}${expired ? ColoredText('  [EXPIRED]', { color: 'FgRed' }) : ''}`); }
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const nftokenId = main_params.nftoken_id.value.toUpperCase();
+	if (!IsValidNFTokenId(nftokenId)) { fail(`Invalid NFToken ID "${main_params.nftoken_id.value}": must be 64 characters hex string`); }
+
+	let client, sellOffers, buyOffers;
+
+	try{
+		console.log('\nConnecting to XRPL to fetch NFT offers...');
+		client = await XrplClient({ network: main_params.network.value });
+
+		sellOffers = await NFTokenOffers({ nftokenId, side: 'sell', client });
+		buyOffers = await NFTokenOffers({ nftokenId, side: 'buy', client });
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (client) { client.disconnect(); }
+	}
+
+	if (!sellOffers.length && !buyOffers.length) { quit('\nNo offers found. Use `nft_offer_create` script to create an offer.\n'); }
+
+	console.log(`\nSELL OFFERS (${sellOffers.length}):`);
+	sellOffers.forEach((offer, index) => ShowNFTokenOffer(offer, { index }));
+
+	console.log(`\nBUY OFFERS (${buyOffers.length}):`);
+	buyOffers.forEach((offer, index) => ShowNFTokenOffer(offer, { index }));
+
+	quit(`\n${JSON.stringify({ sell: sellOffers, buy: buyOffers })}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.NFTokenOffers = NFTokenOffers;
+	exports.ShowNFTokenOffer = ShowNFTokenOffer;
+}
@@ -0,0 +1,94 @@
+///////////////////////////////////////////////////////////
+//
+// claim_sign.js - signs a claim against a payment channel (works offline)
+// syntax: node claim_sign CHANNEL_ID CLAIM_XRP_AMOUNT SEED_KEY SHOW_QR
+//
+// The claim authorizes the destination to redeem CLAIM_XRP_AMOUNT in TOTAL from the channel,
+// so every next claim must be for a greater amount (previous claims + the new micro-payment).
+// The key must match the PublicKey of the channel (see `paychan_create`).
+//
+// The claim is not a transaction: give the destination the channel ID, the amount, the signature and the public key.
+// The destination verifies it by `claim_verify` and redeems it by `paychan_claim` at any time.
+//
+// This script does not connect to XRPL, so it can be used in offline mode.
+//
+// Docs: https://xrpl.org/use-payment-channels.html#3-the-payer-creates-claims-signed-by-the-channels-key-pair
+//       https://xrpl.org/channel_authorize.html
+//       https://js.xrpl.org/functions/signPaymentChannelClaim.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'claim_sign';
+
+const { signPaymentChannelClaim, xrpToDrops } = require('xrpl');
+
+const { quit, fail, defineMainParams, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { Wallet } = require('../common/libs/wallet.js');
+const { IsValidChannelId } = require('./paychan.js');
+
+const main_params = {
+	channel_id: { id: 1, default: '', required: true, desc: 'see `account_channels`' },
+	claim_xrp_amount: { id: 2, default: '', required: true, desc: 'total XRP the destination can redeem from the channel' },
+	key: { id: 3, default: '', mandatory_required: true, desc: 'secret seed / mnemonic phrase of the channel key pair', scramble: true },
+	show_qr: { id: 4, default: 'No', required: false, desc: 'show the claim as QR code', example: '[Y]es / [N]o' },
+}
+
+const SignClaim = function ({ channelId, xrpAmount, wallet }) {
+	let error;
+
+	if (!IsValidChannelId(channelId)) { console.error("Must specify 'channelId' as 64 characters hex string in call SignClaim()"); error = true; }
+	if (!xrpAmount || isNaN(xrpAmount) || Number(xrpAmount) <= 0) { console.error("Must specify 'xrpAmount' greater than zero in call SignClaim()"); error = true; }
+	if (!wallet) { console.error("Must specify 'wallet' in call SignClaim()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	return {
+		channel: channelId.toUpperCase(),
+		amount: String(xrpAmount), // XRP
+		amount_drops: xrpToDrops(xrpAmount),
+		signature: signPaymentChannelClaim(channelId.toUpperCase(), String(xrpAmount), wallet.privateKey),
+		public_key: wallet.publicKey
+	};
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const claim = SignClaim({
+		channelId: main_params.channel_id.value,
+		xrpAmount: main_params.claim_xrp_amount.value,
+		wallet: Wallet(main_params.key.value)
+	});
+
+	console.log('\nSIGNED CLAIM:');
+	console.log(claim);
+	console.log(`\nThe destination can redeem ${ColoredText(`${claim.amount} XRP`, { color: 'FgGreen' })} in total from the channel with this claim.`);
+	console.log('Make sure the public key matches the PublicKey of the channel, see `account_channels` script.\n');
+
+	if (!['y', 'yes'].includes(main_params.show_qr.value.toLowerCase())) { quit(); }
+
+	const { ShowHtmlQR } = require('../common/qr.js');
+	await ShowHtmlQR(JSON.stringify(claim), {
+		title: 'Payment Channel Claim',
+		descriptionFieldsTop: [
+			{ name: 'Channel', value: claim.channel },
+			{ name: 'Amount', value: `${claim.amount} XRP (${claim.amount_drops} drops)` }
+		],
+		descriptionFieldsBottom: [
+			{ name: 'Signature', value: claim.signature },
+			{ name: 'Public Key', value: claim.public_key }
+		],
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.SignClaim = SignClaim;
+}
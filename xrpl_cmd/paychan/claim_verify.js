@@ -0,0 +1,99 @@
+///////////////////////////////////////////////////////////
+//
+// claim_verify.js - verifies a payment channel claim signature
+// syntax: node claim_verify [PUB|TEST|DEV] CHANNEL_ID CLAIM_XRP_AMOUNT CLAIM_SIGNATURE PUBLIC_KEY
+//
+// With PUBLIC_KEY specified the signature is verified offline.
+// Without it the channel is fetched from XRPL and the signature is verified against the channel's PublicKey,
+// the claim amount is also compared to the channel Amount and the already claimed Balance.
+//
+// Docs: https://xrpl.org/use-payment-channels.html#4-the-payee-verifies-claims
+//       https://xrpl.org/channel_verify.html
+//       https://js.xrpl.org/functions/verifyPaymentChannelClaim.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'claim_verify';
+
+const { verifyPaymentChannelClaim, xrpToDrops, dropsToXrp } = require('xrpl');
+
+const { quit, fail, defineMainParams, showLoadedModules, ColoredText, ShowWarning } = require('../common/libs/common.js');
+const { IsValidChannelId } = require('./paychan.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	channel_id: { id: 2, default: '', required: true, desc: 'see `account_channels`' },
+	claim_xrp_amount: { id: 3, default: '', required: true, desc: 'total XRP authorized by the claim' },
+	claim_signature: { id: 4, default: '', required: true },
+	public_key: { id: 5, default: '', required: false, desc: 'channel public key, fetched from XRPL if not specified' },
+}
+
+const VerifyClaim = function ({ channelId, xrpAmount, signature, publicKey }) {
+	if (!IsValidChannelId(channelId)) { fail("Must specify 'channelId' as 64 characters hex string in call VerifyClaim()"); }
+
+	try {
+		return verifyPaymentChannelClaim(channelId.toUpperCase(), String(xrpAmount), signature.toUpperCase(), publicKey.toUpperCase());
+	} catch (err) {
+		return false; // malformed signature or public key
+	}
+}
+
+const VerifyClaimAgainstChannel = function (channel, { xrpAmount }) {
+	// returns the list of problems that make the claim useless even if its signature is valid
+	const problems = [];
+	const amountDrops = Number(xrpToDrops(xrpAmount));
+
+	if (amountDrops > Number(channel.Amount)) { problems.push(`Claim amount exceeds the channel Amount (${dropsToXrp(channel.Amount)} XRP). The channel must be funded first.`); }
+	if (amountDrops <= Number(channel.Balance || 0)) { problems.push(`Claim amount does not exceed the already claimed Balance (${dropsToXrp(channel.Balance || '0')} XRP). Nothing to redeem.`); }
+	if (channel.Expiration) { problems.push('The channel is closing (Expiration is set). Redeem the claim before it expires.'); }
+
+	return problems;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	let publicKey = main_params.public_key.value;
+	let channel;
+
+	if (!publicKey) {
+		const { PaymentChannelEntry, ShowChannel } = require('../account_info/account_channels.js');
+
+		channel = await PaymentChannelEntry({ channelId: main_params.channel_id.value, network: main_params.network.value });
+		ShowChannel(channel);
+		publicKey = channel.PublicKey;
+	}
+
+	const valid = VerifyClaim({
+		channelId: main_params.channel_id.value,
+		xrpAmount: main_params.claim_xrp_amount.value,
+		signature: main_params.claim_signature.value,
+		publicKey
+	});
+
+	if (!valid) { fail(`\n${ColoredText('[ INVALID CLAIM SIGNATURE ]', { color: 'FgRed' })}\nThe signature does not match the channel ID, the amount and the public key ${publicKey}\n`); }
+
+	console.log(`\n${ColoredText('[ VALID CLAIM SIGNATURE ]', { color: 'FgGreen' })}  ${main_params.claim_xrp_amount.value} XRP`);
+
+	if (channel) {
+		const problems = VerifyClaimAgainstChannel(channel, { xrpAmount: main_params.claim_xrp_amount.value });
+		problems.forEach(problem => ShowWarning(problem));
+		if (!problems.length) { console.log(`Redeemable now: ${ColoredText(`${dropsToXrp(String(Number(xrpToDrops(main_params.claim_xrp_amount.value)) - Number(channel.Balance || 0)))} XRP`, { color: 'FgGreen' })}`); }
+	}
+	else { console.log('The channel state is not checked. Run this script without PUBLIC_KEY on a network connected device to compare the claim with the channel balance.'); }
+
+	quit();
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.VerifyClaim = VerifyClaim;
+	exports.VerifyClaimAgainstChannel = VerifyClaimAgainstChannel;
+}
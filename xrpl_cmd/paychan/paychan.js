@@ -0,0 +1,197 @@
+///////////////////////////////////////////////////////////
+//
+// paychan.js - XRPL payment channel functions
+//
+// Payment channels let the source account send "asynchronous" XRP payments to the destination
+// that can be divided into very small increments and settled later.
+//
+// 1) The source account creates the channel and sets aside XRP for it (`paychan_create`), the channel is tied to a public key.
+// 2) The source account signs claims for cumulative amounts (`claim_sign`) - it does not need a network connection.
+// 3) The destination verifies the claims (`claim_verify`) and redeems the last (largest) one at any time (`paychan_claim`).
+// 4) The source account can add more XRP (`paychan_fund`), request closing or renew the channel (`paychan_claim` with CLOSE / RENEW flags).
+//
+// Every claim authorizes the TOTAL amount delivered by the channel, not an increment.
+// A claim for 5 XRP followed by a claim for 7 XRP lets the destination redeem 7 XRP in total.
+//
+// Every payment channel adds 1 item to the owner reserve of the source account until the channel is closed.
+//
+//
+// Docs:
+//   https://xrpl.org/payment-channels.html
+//   https://xrpl.org/use-payment-channels.html
+//   https://xrpl.org/paymentchannelcreate.html
+//   https://xrpl.org/paymentchannelfund.html
+//   https://xrpl.org/paymentchannelclaim.html
+//   https://xrpl.org/paychannel.html
+//
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'paychan';
+
+const CHANNEL_ID_REGEX = /^[0-9A-Fa-f]{64}$/;
+const PUBLIC_KEY_REGEX = /^([0-9A-Fa-f]{66})$/; // 33 bytes: secp256k1 or ED-prefixed ed25519 key
+
+const { PaymentChannelClaimFlags, rippleTimeToISOTime, hashes } = require('xrpl');
+
+const { fail, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+
+const IsValidChannelId = function (channelId) {
+	return CHANNEL_ID_REGEX.test(channelId || '');
+}
+
+function PaymentChannelCreate({ account, destination, amountDrops, settleDelay, publicKey, cancelAfter, tagSrc, tagDest, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/PaymentChannelCreate.html
+	//       https://xrpl.org/paymentchannelcreate.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call PaymentChannelCreate()"); error = true; }
+	if (!destination){ console.error("Must specify 'destination' in call PaymentChannelCreate()"); error = true; }
+	if (account && account === destination){ console.error("Channel 'destination' must differ from the source 'account' in call PaymentChannelCreate()"); error = true; }
+	if (!amountDrops || amountDrops <= 0){ console.error("Must specify 'amountDrops' greater than zero in call PaymentChannelCreate()"); error = true; }
+	if (typeof settleDelay === 'undefined' || settleDelay === '' || isNaN(settleDelay) || settleDelay < 0){ console.error("Must specify 'settleDelay' in seconds in call PaymentChannelCreate()"); error = true; }
+	if (!PUBLIC_KEY_REGEX.test(publicKey || '')){ console.error("Must specify 'publicKey' as 33 bytes hex string in call PaymentChannelCreate()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call PaymentChannelCreate()"); error = true; }
+	if (typeof tagSrc !== 'undefined' && tagSrc !== null && isNaN(tagSrc)){ console.error("Source Tag 'tagSrc' must be a Number in call PaymentChannelCreate()"); error = true; }
+	if (typeof tagDest !== 'undefined' && tagDest !== null && isNaN(tagDest)){ console.error("Destination Tag 'tagDest' must be a Number in call PaymentChannelCreate()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'PaymentChannelCreate',
+		Account: account,
+		Destination: destination, // Address to receive XRP claims against this channel. Cannot be the same as the sender (Account).
+		Amount: amountDrops.toString(), // Amount of XRP, in drops, to deduct from the sender's balance and set aside in this channel.
+		SettleDelay: Number(settleDelay), // Amount of time (in seconds) the source address must wait before closing the channel if it has unclaimed XRP.
+		PublicKey: publicKey.toUpperCase(), // The public key of the key pair the source will use to sign claims against this channel.
+		Fee: feeDrops.toString()
+	};
+
+	// The time, in seconds since the Ripple Epoch, when this channel expires.
+	// Any transaction that would modify the channel after this time closes the channel without otherwise affecting it.
+	// This value is immutable; the channel can be closed earlier than this time but cannot remain open after this time.
+	if (cancelAfter) { cmd.CancelAfter = Number(cancelAfter); }
+
+	if (typeof tagSrc !== 'undefined' && tagSrc !== null) { cmd.SourceTag = Number(tagSrc); }
+	if (typeof tagDest !== 'undefined' && tagDest !== null) { cmd.DestinationTag = Number(tagDest); } // Arbitrary tag to further specify the destination for this payment channel, such as a hosted recipient at the destination address.
+
+	return cmd;
+}
+
+function PaymentChannelFund({ account, channelId, amountDrops, expiration, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/PaymentChannelFund.html
+	//       https://xrpl.org/paymentchannelfund.html
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call PaymentChannelFund()"); error = true; }
+	if (!IsValidChannelId(channelId)){ console.error("Must specify 'channelId' as 64 characters hex string in call PaymentChannelFund()"); error = true; }
+	if (!amountDrops || amountDrops <= 0){ console.error("Must specify 'amountDrops' greater than zero in call PaymentChannelFund()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call PaymentChannelFund()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'PaymentChannelFund',
+		Account: account, // Only the source address of the channel can use this transaction.
+		Channel: channelId.toUpperCase(),
+		Amount: amountDrops.toString(), // Amount of XRP in drops to add to the channel.
+		Fee: feeDrops.toString()
+	};
+
+	// New Expiration time to set for the channel, in seconds since the Ripple Epoch.
+	// This must be later than either the current time plus the SettleDelay of the channel, or the existing Expiration of the channel.
+	if (expiration) { cmd.Expiration = Number(expiration); }
+
+	return cmd;
+}
+
+function PaymentChannelClaim({ account, channelId, balanceDrops, amountDrops, signature, publicKey, close, renew, feeDrops }) {
+	// Docs: https://js.xrpl.org/interfaces/PaymentChannelClaim.html
+	//       https://xrpl.org/paymentchannelclaim.html
+	//
+	// The source address can claim (deliver) XRP without a signature, renew the channel or request to close it.
+	// The destination address needs the claim signed by the source to get XRP, it can close the channel immediately.
+	let error;
+
+	if (!account){ console.error("Must specify 'account' in call PaymentChannelClaim()"); error = true; }
+	if (!IsValidChannelId(channelId)){ console.error("Must specify 'channelId' as 64 characters hex string in call PaymentChannelClaim()"); error = true; }
+	if (typeof balanceDrops !== 'undefined' && balanceDrops !== null && !(balanceDrops > 0)){ console.error("'balanceDrops' must be greater than zero in call PaymentChannelClaim()"); error = true; }
+	if (signature && !amountDrops){ console.error("Must specify 'amountDrops' authorized by the 'signature' in call PaymentChannelClaim()"); error = true; }
+	if (signature && !PUBLIC_KEY_REGEX.test(publicKey || '')){ console.error("Must specify the channel 'publicKey' with the 'signature' in call PaymentChannelClaim()"); error = true; }
+	if (amountDrops && balanceDrops && Number(balanceDrops) > Number(amountDrops)){ console.error("'balanceDrops' must not be greater than the signed claim 'amountDrops' in call PaymentChannelClaim()"); error = true; }
+	if (!balanceDrops && !close && !renew){ console.error("Nothing to do: specify 'balanceDrops', 'close' or 'renew' in call PaymentChannelClaim()"); error = true; }
+	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call PaymentChannelClaim()"); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'PaymentChannelClaim',
+		Account: account,
+		Channel: channelId.toUpperCase(),
+		Fee: feeDrops.toString()
+	};
+
+	// Total amount of XRP, in drops, delivered by this channel after processing this claim.
+	// Must be more than the total amount delivered by the channel so far, but not greater than the Amount of the signed claim.
+	if (balanceDrops) { cmd.Balance = balanceDrops.toString(); }
+
+	if (signature) {
+		cmd.Amount = amountDrops.toString(); // The amount of XRP, in drops, authorized by the Signature. This must match the amount in the signed message.
+		cmd.Signature = signature.toUpperCase(); // The signature of this claim, made by the source address of the channel.
+		cmd.PublicKey = publicKey.toUpperCase(); // The public key used for the signature. This must match the PublicKey stored in the ledger for the channel.
+	}
+
+	let flags = 0;
+	// tfRenew: Clear the channel's Expiration time. Only the source address of the payment channel can use this flag.
+	if (renew) { flags |= PaymentChannelClaimFlags.tfRenew; }
+	// tfClose: Request to close the channel.
+	// The source address closes the channel immediately if it has no XRP remaining, otherwise after SettleDelay seconds.
+	// The destination address closes the channel immediately, returning the remaining XRP to the source.
+	if (close) { flags |= PaymentChannelClaimFlags.tfClose; }
+	if (flags) { cmd.Flags = flags; }
+
+	return cmd;
+}
+
+const ShowPaychanTime = function (title, rippleTime) {
+	if (!rippleTime) { return; }
+
+	const tm = rippleTimeToISOTime(rippleTime);
+	console.log(`${title}: ${ColoredText(`${tm} (yy-mm-dd)  |  ${new Date(tm)}`, { color: 'FgGreen' })}`);
+}
+
+const ShowChannelId = function (tx) {
+	// The channel ID is derived from the source account, the destination and the sequence number (or the Ticket) of PaymentChannelCreate transaction.
+	const sequence = tx.Sequence || tx.TicketSequence;
+	if (!sequence) { return; }
+
+	const channelId = hashes.hashPaymentChannel(tx.Account, tx.Destination, Number(sequence));
+	console.log(`\nChannel ID: ${ColoredText(channelId, { color: 'FgYellow' })}`);
+	console.log('Give it to the destination with the public key to let it verify and redeem your claims.');
+
+	return channelId;
+}
+
+async function main(){
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	console.log('Use "paychan_create" to create a payment channel.');
+	console.log('Use "paychan_fund" to add XRP to the channel or extend its expiration.');
+	console.log('Use "claim_sign" to sign a claim against the channel (works offline).');
+	console.log('Use "claim_verify" to verify a claim signature.');
+	console.log('Use "paychan_claim" to redeem a claim, close or renew the channel.');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.PaymentChannelCreate = PaymentChannelCreate;
+	exports.PaymentChannelFund = PaymentChannelFund;
+	exports.PaymentChannelClaim = PaymentChannelClaim;
+	exports.ShowPaychanTime = ShowPaychanTime;
+	exports.ShowChannelId = ShowChannelId;
+	exports.IsValidChannelId = IsValidChannelId;
+}
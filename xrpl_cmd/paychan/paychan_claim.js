@@ -0,0 +1,102 @@
+///////////////////////////////////////////////////////////
+//
+// paychan_claim.js - redeems a claim against a payment channel, requests to close or renews the channel
+// syntax: node paychan_claim [--json] [PUB|TEST|DEV] ACCOUNT CHANNEL_ID CLAIM_XRP_AMOUNT CLAIM_SIGNATURE PUBLIC_KEY CLOSE RENEW
+//         node paychan_claim --submit [PUB|TEST|DEV] ACCOUNT CHANNEL_ID CLAIM_XRP_AMOUNT CLAIM_SIGNATURE PUBLIC_KEY CLOSE RENEW SEED_KEY
+//         node paychan_claim --qr [PUB|TEST|DEV] ACCOUNT CHANNEL_ID CLAIM_XRP_AMOUNT CLAIM_SIGNATURE PUBLIC_KEY CLOSE RENEW SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// The destination redeems XRP with the claim signed by the source (`claim_sign`):
+//   CLAIM_XRP_AMOUNT, CLAIM_SIGNATURE and the channel PUBLIC_KEY are required.
+//   Verify the claim by `claim_verify` script before you rely on it.
+// The source delivers XRP to the destination without a signature: specify CLAIM_XRP_AMOUNT only.
+//
+// CLOSE = Yes
+//   by the destination: closes the channel immediately, the remaining XRP returns to the source;
+//   by the source: closes the channel immediately if it has no XRP remaining, otherwise after SettleDelay seconds.
+// RENEW = Yes (source only): clears the Expiration time of the channel.
+//
+// CLAIM_XRP_AMOUNT is the TOTAL amount delivered by the channel after this claim, not an increment.
+//
+// Docs: https://xrpl.org/paymentchannelclaim.html
+//       https://xrpl.org/use-payment-channels.html
+//       https://js.xrpl.org/interfaces/PaymentChannelClaim.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'paychan_claim';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { xrpToDrops } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { PaymentChannelClaim } = require('./paychan.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true, desc: 'channel source or destination account' },
+	channel_id: { id: 3, default: '', required: true, desc: 'see `account_channels`' },
+	claim_xrp_amount: { id: 4, default: '', required: false, desc: 'total XRP delivered by the channel after this claim' },
+	claim_signature: { id: 5, default: '', required: false, desc: 'claim signature made by `claim_sign` (destination only)' },
+	public_key: { id: 6, default: '', required: false, desc: 'channel public key (required with the signature)' },
+	close: { id: 7, default: 'No', required: false, desc: 'request to close the channel', example: '[Y]es / [N]o' },
+	renew: { id: 8, default: 'No', required: false, desc: 'clear the channel expiration (source only)', example: '[Y]es / [N]o' },
+
+	key: { id: 9, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 10, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 11, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 12, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function qrFields(tx) {
+	const actions = [];
+	if (tx.Balance) { actions.push('CLAIM'); }
+	if (['y', 'yes'].includes(main_params.renew.value.toLowerCase())) { actions.push('RENEW'); }
+	if (['y', 'yes'].includes(main_params.close.value.toLowerCase())) { actions.push('CLOSE'); }
+
+	return [{ name: 'Transaction kind', value: `[ PAYMENT CHANNEL: ${actions.join(' + ')} ]` }];
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => {
+			const balanceDrops = (main_params.claim_xrp_amount.value ? xrpToDrops(main_params.claim_xrp_amount.value) : null);
+
+			return PaymentChannelClaim({
+				account: main_params.account.value,
+				channelId: main_params.channel_id.value,
+				balanceDrops,
+				amountDrops: (main_params.claim_signature.value ? balanceDrops : null),
+				signature: main_params.claim_signature.value,
+				publicKey: main_params.public_key.value,
+				close: ['y', 'yes'].includes(main_params.close.value.toLowerCase()),
+				renew: ['y', 'yes'].includes(main_params.renew.value.toLowerCase()),
+				feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			});
+		},
+		title: 'PAYMENT CHANNEL CLAIM',
+		qrTxFields: ['Channel', 'Balance'],
+		qrAddtnFields: qrFields
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
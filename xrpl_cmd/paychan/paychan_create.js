@@ -0,0 +1,89 @@
+///////////////////////////////////////////////////////////
+//
+// paychan_create.js - creates a payment channel and funds it with XRP
+// syntax: node paychan_create [--json] [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT XRP_AMOUNT SETTLE_DELAY_SECONDS PUBLIC_KEY CANCEL_AFTER DESTINATION_TAG
+//         node paychan_create --submit [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT XRP_AMOUNT SETTLE_DELAY_SECONDS PUBLIC_KEY CANCEL_AFTER DESTINATION_TAG SEED_KEY
+//         node paychan_create --qr [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT XRP_AMOUNT SETTLE_DELAY_SECONDS PUBLIC_KEY CANCEL_AFTER DESTINATION_TAG SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// PUBLIC_KEY is the key the claims will be signed with by `claim_sign` script.
+// Use `secret2address` script to get the public key of your secret seed on an offline device.
+// With --qr and --submit PUBLIC_KEY is optional (pass "" in its place), the public key of SEED_KEY is used by default.
+//
+// CANCEL_AFTER (optional) is an immutable expiration time of the channel, e.g. 2025-10-20T00:00:00Z or 90days
+//
+// The channel ID is printed when the transaction Sequence is known, see also `account_channels` script.
+//
+// Docs: https://xrpl.org/paymentchannelcreate.html
+//       https://xrpl.org/use-payment-channels.html
+//       https://js.xrpl.org/interfaces/PaymentChannelCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'paychan_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { xrpToDrops } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails, InputTimeToRippleTime } = require('../common/libs/common.js');
+const { CommandModeOption } = require('../common/libs/cli_args.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { PaymentChannelCreate, ShowChannelId } = require('./paychan.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	source_account: { id: 2, default: '', required: true },
+	destination_account: { id: 3, default: '', required: true },
+	xrp_amount: { id: 4, default: '', required: true, desc: 'XRP to set aside in the channel' },
+	settle_delay: { id: 5, default: '86400', required: true, desc: 'seconds to wait before closing the channel with unclaimed XRP', type: 'number' },
+	public_key: { id: 6, default: '', required: true, desc: 'public key to sign the claims with (hex)' },
+	cancel_after: { id: 7, default: '', required: false, desc: 'Immutable expiration time of the channel', example: '2025-10-20T00:00:00Z or 90days', type: ['datetime', 'timeoffset', 'drop_ms'] },
+	destination_tag: { id: 8, default: '', required: false, desc: 'Numeric identifier for the channel at the destination', type: 'number' },
+
+	key: { id: 9, default: '', required: true, desc: 'source account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 10, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 11, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 12, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function main(){
+	if (CommandModeOption(COMMAND_MODES) !== 'json') {
+		// the signing key is known, the claims key is optional
+		Object.assign(main_params.public_key, { required: false, desc: 'public key to sign the claims with (hex), the signing key by default' });
+	}
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.source_account.value,
+		build: async ({ feeDrops, wallet }) => PaymentChannelCreate({
+			account: main_params.source_account.value,
+			destination: main_params.destination_account.value,
+			amountDrops: xrpToDrops(main_params.xrp_amount.value),
+			settleDelay: main_params.settle_delay.value,
+			publicKey: main_params.public_key.value || (await wallet()).publicKey,
+			cancelAfter: InputTimeToRippleTime(main_params.cancel_after.value),
+			tagDest: main_params.destination_tag.value || null,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		show: (tx) => { ShowTransactionDetails(tx); ShowChannelId(tx); },
+		title: 'PAYMENT CHANNEL CREATE',
+		qrTxFields: ['SettleDelay', 'PublicKey', 'CancelAfter'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[ CREATE PAYMENT CHANNEL ]' }]
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
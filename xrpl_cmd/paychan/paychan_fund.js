@@ -0,0 +1,74 @@
+///////////////////////////////////////////////////////////
+//
+// paychan_fund.js - adds XRP to an open payment channel and optionally updates its expiration time
+// syntax: node paychan_fund [--json] [PUB|TEST|DEV] SOURCE_ACCOUNT CHANNEL_ID XRP_AMOUNT EXPIRATION
+//         node paychan_fund --submit [PUB|TEST|DEV] SOURCE_ACCOUNT CHANNEL_ID XRP_AMOUNT EXPIRATION SEED_KEY
+//         node paychan_fund --qr [PUB|TEST|DEV] SOURCE_ACCOUNT CHANNEL_ID XRP_AMOUNT EXPIRATION SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// Only the source address of the channel can fund it.
+// EXPIRATION (optional) must be later than the current time plus the SettleDelay of the channel,
+// e.g. 2025-10-20T00:00:00Z or 30days
+//
+// Docs: https://xrpl.org/paymentchannelfund.html
+//       https://xrpl.org/use-payment-channels.html
+//       https://js.xrpl.org/interfaces/PaymentChannelFund.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'paychan_fund';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const { xrpToDrops } = require('xrpl');
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules, InputTimeToRippleTime } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { PaymentChannelFund } = require('./paychan.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	source_account: { id: 2, default: '', required: true },
+	channel_id: { id: 3, default: '', required: true, desc: 'see `account_channels`' },
+	xrp_amount: { id: 4, default: '', required: true, desc: 'XRP to add to the channel' },
+	expiration: { id: 5, default: '', required: false, desc: 'New expiration time of the channel', example: '2025-10-20T00:00:00Z or 30days', type: ['datetime', 'timeoffset', 'drop_ms'] },
+
+	key: { id: 6, default: '', required: true, desc: 'source account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.source_account.value,
+		build: ({ feeDrops }) => PaymentChannelFund({
+			account: main_params.source_account.value,
+			channelId: main_params.channel_id.value,
+			amountDrops: xrpToDrops(main_params.xrp_amount.value),
+			expiration: InputTimeToRippleTime(main_params.expiration.value),
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		title: 'PAYMENT CHANNEL FUND',
+		qrTxFields: ['Channel', 'Expiration'],
+		qrAddtnFields: [{ name: 'Transaction kind', value: '[ FUND PAYMENT CHANNEL ]' }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
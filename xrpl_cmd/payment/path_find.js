@@ -0,0 +1,197 @@
+///////////////////////////////////////////////////////////
+//
+// path_find.js - finds the payment paths to deliver an amount to the destination and suggests SendMax
+// syntax: node path_find [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT AMOUNT_TO_DELIVER SOURCE_ASSET SLIPPAGE_PERCENT
+//
+// AMOUNT_TO_DELIVER - the amount the destination receives:  10  or  10 USD.rIssuerAddress
+// SOURCE_ASSET (optional) - the asset to spend:  XRP  or  USD.rIssuerAddress  (any asset the source holds by default)
+// SLIPPAGE_PERCENT (optional) - how much more than the current cost the payment is allowed to spend (default 1%)
+//
+// The suggested SendMax and Paths can be used by `payment --qr` to sign a cross-currency payment offline.
+// `payment --json` and `payment --submit` find the paths by themselves.
+//
+// The one-time `ripple_path_find` request is used. The paths are valid while the order books do not change much:
+// find them again if the payment is signed much later (or use a bigger slippage).
+//
+//
+// Docs: https://xrpl.org/ripple_path_find.html
+//       https://xrpl.org/path_find.html
+//       https://xrpl.org/paths.html
+//       https://xrpl.org/cross-currency-payments.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'path_find';
+
+const SLIPPAGE_PERCENT_DEFAULT = 1;
+
+const { quit, fail, defineMainParams, XrplClient, showLoadedModules, ColoredText, ShowWarning } = require('../common/libs/common.js');
+const { PromptParameter } = require('../common/libs/cli_args.js');
+const { ShowXrplHighlitedError } = require('../common/libs/errors.js');
+const { ParseAmount, ParseAsset, FormatAmount, IsXrpAmount, AmountValue, AmountInputText } = require('../common/libs/amount.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	source_account: { id: 2, default: '', required: true },
+	destination_account: { id: 3, default: '', required: true },
+	amount: { id: 4, default: '', required: true, desc: 'Amount to deliver', example: '10 or 10 USD.rIssuerAddress' },
+	source_asset: { id: 5, default: '', required: false, desc: 'Asset to spend', example: 'XRP or USD.rIssuerAddress' },
+	slippage: { id: 6, default: SLIPPAGE_PERCENT_DEFAULT, required: false, desc: 'Slippage tolerance, percent', type: 'number' },
+}
+
+const RipplePathFind = async function ({ source, destination, amount, sendMax, sourceAsset, network, xrplAddress, client }) {
+	// returns the list of alternatives: { source_amount, paths_computed }
+	let lclient, info;
+
+	try{
+		if (client) { lclient = client; }
+		else {
+			console.log('\nConnecting to XRPL to find Payment Paths...');
+			lclient = await XrplClient({ network, xrplAddress });
+		}
+
+		const request = { command: 'ripple_path_find', source_account: source, destination_account: destination, destination_amount: amount };
+		if (sendMax) { request.send_max = sendMax; } // "send_max" and "source_currencies" can not be used together
+		else if (sourceAsset) { request.source_currencies = [sourceAsset]; }
+
+		const response = lclient.request(request);
+		response.then(
+			result => {
+				info = result;
+			},
+			error => {
+				if (ShowXrplHighlitedError(error) && error?.data) { fail(error.data); }
+				else fail(`Error: ${error}`);
+			}
+		)
+		await response;
+
+	} catch(err) {
+		fail(err);
+
+	} finally {
+		if (!client && lclient) { lclient.disconnect(); }
+	}
+
+	if (!info?.result?.alternatives) { fail('Unable to find Payment Paths'); }
+
+	return info.result.alternatives;
+}
+
+const SendMaxWithSlippage = function (sourceAmount, slippagePercent) {
+	const ratio = 1 + Number(slippagePercent || 0) / 100;
+
+	if (IsXrpAmount(sourceAmount)) { return Math.ceil(Number(sourceAmount) * ratio).toString(); }
+
+	return { currency: sourceAmount.currency, issuer: sourceAmount.issuer, value: `${+(Number(sourceAmount.value) * ratio).toPrecision(15)}` };
+}
+
+const ParsePaths = function (input) {
+	// Paths as JSON: [[{ "currency": "USD", "issuer": "r..." }, { "account": "r..." }], ...]
+	if (!input) { return; }
+
+	let paths;
+	try { paths = JSON.parse(input); }
+	catch(err) { fail(`Invalid Paths JSON: ${err.message}`); }
+
+	if (!Array.isArray(paths) || !paths.every((path) => Array.isArray(path) && path.length)) { fail('Invalid Paths: must be an array of paths, each path is an array of steps'); }
+
+	return paths;
+}
+
+const ShowAlternatives = function (alternatives) {
+	alternatives.forEach((item, index) => {
+		console.log(`  #${index + 1}  spend ${ColoredText(FormatAmount(item.source_amount), { color: 'FgGreen' })}  (${item.paths_computed?.length || 0} path(s))`);
+	});
+}
+
+const NeedsPathFinding = function (tx) {
+	// XRP-to-XRP payments do not use paths
+	return !(IsXrpAmount(tx.Amount) && (!tx.SendMax || IsXrpAmount(tx.SendMax)));
+}
+
+const AddPaymentPaths = async function (tx, { network, client, slippage }) {
+	// finds the paths for a cross-currency (or a token) payment, lets to choose one and sets Paths and SendMax of the transaction
+	if (!NeedsPathFinding(tx) || tx.Paths) { return tx; }
+
+	const alternatives = await RipplePathFind({ source: tx.Account, destination: tx.Destination, amount: tx.Amount, sendMax: tx.SendMax, network, client });
+
+	if (!alternatives.length) {
+		ShowWarning('No payment paths found: the payment will most likely fail with "tecPATH_DRY" or "tecPATH_PARTIAL" result.');
+		return tx;
+	}
+
+	console.log(`\nPAYMENT PATHS to deliver ${FormatAmount(tx.Amount)}:`);
+	ShowAlternatives(alternatives);
+
+	let choice = 1;
+	if (alternatives.length > 1) {
+		choice = Number(await PromptParameter({ message: `Choose the alternative to use (1..${alternatives.length})`, newline: true, required: true, infinityLoop: 20, type: 'number', default: 1 }));
+		if (!alternatives[choice - 1]) { fail('Invalid alternative specified'); }
+	}
+	const alternative = alternatives[choice - 1];
+
+	if (alternative.paths_computed?.length) { tx.Paths = alternative.paths_computed; }
+
+	if (tx.SendMax) {
+		if (AmountValue(tx.SendMax) < AmountValue(alternative.source_amount)) {
+			ShowWarning(`SendMax ${FormatAmount(tx.SendMax)} is less than the current cost ${FormatAmount(alternative.source_amount)}: the payment may fail.`);
+		}
+		return tx;
+	}
+
+	if (typeof slippage === 'undefined' || slippage === '') {
+		slippage = await PromptParameter({ message: 'Slippage tolerance, percent', newline: true, required: true, infinityLoop: 20, type: 'number', default: SLIPPAGE_PERCENT_DEFAULT });
+	}
+
+	// SendMax must be omitted if the source spends the same XRP amount it delivers
+	if (!(IsXrpAmount(alternative.source_amount) && IsXrpAmount(tx.Amount))) {
+		tx.SendMax = SendMaxWithSlippage(alternative.source_amount, slippage);
+		console.log(`SendMax (${slippage}% slippage): ${ColoredText(FormatAmount(tx.SendMax), { color: 'FgYellow' })}`);
+	}
+
+	return tx;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const amount = ParseAmount(main_params.amount.value, { name: 'amount' });
+	const sourceAsset = ParseAsset(main_params.source_asset.value, { name: 'source asset' });
+	const slippage = Number(main_params.slippage.value) || 0;
+
+	const alternatives = await RipplePathFind({
+		source: main_params.source_account.value,
+		destination: main_params.destination_account.value,
+		amount,
+		sourceAsset,
+		network: main_params.network.value
+	});
+
+	if (!alternatives.length) { quit('\nNo payment paths found.\n'); }
+
+	console.log(`\nPAYMENT PATHS to deliver ${FormatAmount(amount)}:`);
+	alternatives.forEach((item, index) => {
+		console.log(`\n#${index + 1}  spend: ${ColoredText(FormatAmount(item.source_amount), { color: 'FgGreen' })}`);
+		console.log(`    SendMax (${slippage}% slippage): ${ColoredText(`"${AmountInputText(SendMaxWithSlippage(item.source_amount, slippage))}"`, { color: 'FgYellow' })}`);
+		console.log(`    Paths: ${item.paths_computed?.length ? `'${JSON.stringify(item.paths_computed)}'` : '<direct, no paths needed>'}`);
+	});
+
+	quit('\nUse SEND_MAX and PATHS values with `payment --qr`.\n');
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.RipplePathFind = RipplePathFind;
+	exports.AddPaymentPaths = AddPaymentPaths;
+	exports.NeedsPathFinding = NeedsPathFinding;
+	exports.SendMaxWithSlippage = SendMaxWithSlippage;
+	exports.ParsePaths = ParsePaths;
+}
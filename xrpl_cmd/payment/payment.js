@@ -1,40 +1,81 @@
 ///////////////////////////////////////////////////////////
 //
 // payment.js - transfer of value from one account to another
-// syntax: node payment [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT XRP_AMOUNT_TO_PAY DESTINATION_TAG INVOICE_ID MEMO
+// syntax: node payment [--json] [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT AMOUNT_TO_PAY DESTINATION_TAG INVOICE_ID MEMO SEND_MAX FLAGS DELIVER_MIN
+//         node payment --submit [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT AMOUNT_TO_PAY DESTINATION_TAG INVOICE_ID MEMO SEND_MAX FLAGS DELIVER_MIN SEED_KEY
+//         node payment --qr [PUB|TEST|DEV] SOURCE_ACCOUNT DESTINATION_ACCOUNT AMOUNT_TO_PAY DESTINATION_TAG INVOICE_ID MEMO SEND_MAX FLAGS DELIVER_MIN SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT PATHS
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
 //
 // Payments are also the only way to create accounts.
 //
+// AMOUNT_TO_PAY is the amount to deliver, XRP or a token (issued currency):
+//   10  or  10 XRP  or  10 USD.rIssuerAddress
+// SEND_MAX (optional) - the highest amount to spend, in the currency to pay with (for cross-currency payments).
+//   If it is not specified for a token or cross-currency payment, the payment paths are found online
+//   and SendMax is suggested with a slippage tolerance (see `path_find` script).
+//   With --qr the paths are not looked up: find SEND_MAX and PATHS (JSON) on an online device by `path_find` script.
+// FLAGS (optional) - comma separated list, the "tf" prefix can be omitted:
+//   tfPartialPayment  (or "partial") - deliver less than AMOUNT_TO_PAY if it is not possible to deliver all of it
+//   tfNoDirectRipple  (or "NoRippleDirect") - do not use the default path, only the paths included in the transaction
+//   tfLimitQuality    - only take paths where all the conversions have an input:output ratio equal or better than Amount:SendMax
+// DELIVER_MIN (optional) - the minimum amount to deliver by a partial payment.
+//
 // Docs: https://xrpl.org/payment.html
 //       https://js.xrpl.org/interfaces/Payment.html
 //       https://xrpl.org/use-specialized-payment-types.html
 //       https://xrpl.org/payment.html#creating-accounts
+//       https://xrpl.org/payment.html#payment-flags
+//       https://xrpl.org/cross-currency-payments.html
+//       https://xrpl.org/partial-payments.html
 //
 //       https://xrpl.org/known-amendments.html#paychan
 //       https://xrpl.org/paymentchannelclaim.html
+//       (see `paychan` scripts for the payment channels)
 ///////////////////////////////////////////////////////////
 
 'use strict';
 
 const MODULE_NAME = 'payment';
 
-const { xrpToDrops } = require("xrpl");
+const COMMAND_MODES = ['json', 'qr', 'submit'];
 
-const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee, ShowTransactionDetails, OutputJsonTransaction } = require('../common/libs/common.js');
-const { AddTransactionSequences } = require('../common/sign.js');
+const { PaymentFlags } = require("xrpl");
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ParseFlagNames, FlagNames } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
 const { AddTransactionMemo } = require('../common/libs/memo.js');
+const { ParseAmount, IsXrpAmount, AmountValue, FormatAmount } = require('../common/libs/amount.js');
+const { AddPaymentPaths, ParsePaths } = require('./path_find.js');
+
+const PAYMENT_FLAG_ALIASES = { partial: 'tfPartialPayment', norippledirect: 'tfNoDirectRipple', tfnorippledirect: 'tfNoDirectRipple' };
 
 const main_params = {
 	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
 	source_account: { id: 2, default: '', required: true },
 	destination_account: { id: 3, default: '', required: true },
-	pay_xrp_amount: { id: 4, default: '', required: true },
+	pay_amount: { id: 4, default: '', required: true, desc: 'Amount to deliver', example: '10 or 10 USD.rIssuerAddress' },
 	destination_tag: { id: 5, default: '', required: false, desc: 'Numeric identifier for the payment to the destination', type: 'number' },
 	invoice_id: { id: 6, default: '', required: false, desc: 'Arbitrary 256-bit hash representing identifier for this payment' },
 	memo: { id: 7, default: '', required: false, desc: 'Additional information to save with a transaction' },
+	send_max: { id: 8, default: '', required: false, desc: 'Highest amount to spend (found online if empty, see `path_find` for --qr)', example: '10 or 10 USD.rIssuerAddress' },
+	flags: { id: 9, default: '', required: false, desc: 'Comma separated payment flags', example: 'tfPartialPayment, tfNoDirectRipple, tfLimitQuality' },
+	deliver_min: { id: 10, default: '', required: false, desc: 'Minimum amount to deliver by a partial payment', example: '10 or 10 USD.rIssuerAddress' },
+
+	key: { id: 11, default: '', required: true, desc: 'source account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 12, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 13, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 14, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+	paths: { id: 15, default: '', required: false, desc: 'Payment paths JSON, see `path_find`', modes: ['qr'] },
+}
+
+const ParsePaymentFlags = function (input) {
+	return ParseFlagNames(input, PaymentFlags, { aliases: PAYMENT_FLAG_ALIASES, title: 'payment flag' });
 }
 
-function Payment({ accountSrc, accountDest, payAmount, feeDrops, invoiceID, tagSrc, tagDest }) {
+function Payment({ accountSrc, accountDest, payAmount, sendMax, deliverMin, paths, flags, feeDrops, invoiceID, tagSrc, tagDest }) {
 	// Docs: https://js.xrpl.org/interfaces/Payment.html
 	//       https://xrpl.org/payment.html
 	//
@@ -58,11 +99,17 @@ function Payment({ accountSrc, accountDest, payAmount, feeDrops, invoiceID, tagS
 
 	if (!accountSrc){ console.error("Must specify 'accountSrc' in call Payment()"); error = true; }
 	if (!accountDest){ console.error("Must specify 'accountDest' in call Payment()"); error = true; }
-	if (!payAmount || payAmount <= 0){ console.error("Must specify 'payAmount' greater than zero in call Payment()"); error = true; }
+	if (!payAmount || !(AmountValue(payAmount) > 0)){ console.error("Must specify 'payAmount' greater than zero in call Payment()"); error = true; }
 	if (!feeDrops || feeDrops <= 0){ console.error("Must specify 'feeDrops' greater than zero in call Payment()"); error = true; }
 	if (typeof tagSrc !== 'undefined' && tagSrc !== null && isNaN(tagSrc)){ console.log("Source Tag 'tagSrc' must be a Number in call Payment()"); error = true; }
 	if (typeof tagDest !== 'undefined' && tagDest !== null && isNaN(tagDest)){ console.log("Destination Tag 'tagDest' must be a Number in call Payment()"); error = true; }
 
+	const xrpToXrp = payAmount && IsXrpAmount(payAmount) && (!sendMax || IsXrpAmount(sendMax));
+	if (xrpToXrp && sendMax){ console.error("'sendMax' must be omitted for XRP-to-XRP payments in call Payment()"); error = true; }
+	if (xrpToXrp && paths){ console.error("'paths' must be omitted for XRP-to-XRP payments in call Payment()"); error = true; }
+	if (xrpToXrp && flags){ console.error("Payment flags can not be used for XRP-to-XRP payments in call Payment()"); error = true; }
+	if (deliverMin && !(flags & PaymentFlags.tfPartialPayment)){ console.error("'deliverMin' is only valid with 'tfPartialPayment' flag in call Payment()"); error = true; }
+
 	if (error) { fail('Error occurred'); }
 
 	let cmd = {
@@ -70,23 +117,25 @@ function Payment({ accountSrc, accountDest, payAmount, feeDrops, invoiceID, tagS
 		Account: accountSrc, // The unique address of the account that initiated the transaction
 		Destination: accountDest, // Address of the account receiving the payment
 		Fee: feeDrops.toString(),
-		Amount: payAmount.toString(), // The amount of currency to deliver.
+		Amount: (IsXrpAmount(payAmount) ? payAmount.toString() : payAmount), // The amount of currency to deliver.
 																	// Amount can be a Hash for non-XRP amounts, the nested field names MUST be lower-case:
 																	//   keys[0] = 'currency'
 																	//   keys[1] = 'issuer'
 																	//   keys[2] = 'value'
 	};
 
-	// cmd.Paths // Array of payment paths to be used for this transaction. Must be omitted for XRP-to-XRP transactions.
+	if (paths) { cmd.Paths = paths; } // Array of payment paths to be used for this transaction. Must be omitted for XRP-to-XRP transactions.
 
-	// cmd.SendMax // Highest amount of source currency this transaction is allowed to cost, including transfer fees, exchange rates, and slippage.
+	if (sendMax) { cmd.SendMax = sendMax; } // Highest amount of source currency this transaction is allowed to cost, including transfer fees, exchange rates, and slippage.
 								 // Does not include the XRP destroyed as a cost for submitting the transaction.
 								 // For non-XRP amounts, the nested field names MUST be lower-case.
 								 // Must be supplied for cross-currency/cross-issue payments. Must be omitted for XRP-to-XRP payments.
 
-	// cmd.DeliverMin // Minimum amount of destination currency this transaction should deliver.
+	if (deliverMin) { cmd.DeliverMin = deliverMin; } // Minimum amount of destination currency this transaction should deliver.
 										// Only valid if this is a partial payment. For non-XRP amounts, the nested field names are lower-case.
 
+	if (flags) { cmd.Flags = flags; } // https://js.xrpl.org/enums/PaymentFlags.html
+
 	if (typeof tagSrc !== 'undefined' && tagSrc !== null) { cmd.SourceTag = Number(tagSrc); } // Arbitrary integer used to identify the reason for this payment, or a sender on whose behalf this transaction is made.
 	if (typeof tagDest !== 'undefined' && tagDest !== null) { cmd.DestinationTag = Number(tagDest); } // Arbitrary tag (Number) that identifies the reason for the payment to the destination, or a hosted recipient to pay.
 	if (invoiceID) { cmd.InvoiceID = invoiceID; } // Arbitrary 256-bit hash string representing a specific reason or identifier for this payment.
@@ -94,38 +143,45 @@ function Payment({ accountSrc, accountDest, payAmount, feeDrops, invoiceID, tagS
 	return cmd;
 }
 
-async function commandTxParams() {
-	let txData = Payment({
+async function buildTransaction(mode, feeDrops) {
+	const tx = Payment({
 		accountSrc: main_params.source_account.value,
 		accountDest: main_params.destination_account.value,
 		tagDest: main_params.destination_tag.value,
 		invoiceID: main_params.invoice_id.value,
-		payAmount: xrpToDrops(main_params.pay_xrp_amount.value),
-		feeDrops: networkMinFee(main_params.network.value)
+		payAmount: ParseAmount(main_params.pay_amount.value, { name: 'Amount' }),
+		sendMax: ParseAmount(main_params.send_max.value, { name: 'SendMax' }),
+		deliverMin: ParseAmount(main_params.deliver_min.value, { name: 'DeliverMin' }),
+		flags: ParsePaymentFlags(main_params.flags.value),
+		paths: (mode === 'qr' ? ParsePaths(main_params.paths.value) : undefined),
+		feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
 	});
 
-	await AddTransactionSequences(
-		txData,
-		{
-			account: main_params.source_account.value,
-			network: main_params.network.value,
-			ledgerTimeout: ledgerIndexMinTimeout(main_params.network.value)
-		}
-	);
+	// the paths of the qr mode are found on an online device by `path_find`
+	if (mode !== 'qr') { await AddPaymentPaths(tx, { network: main_params.network.value }); }
 
-	if (main_params.memo.value) { AddTransactionMemo(txData, { data: main_params.memo.value }); }
+	if (main_params.memo.value) { AddTransactionMemo(tx, { data: main_params.memo.value }); }
 
-	return txData;
+	return tx;
 }
 
-async function main(){
-	await defineMainParams(main_params);
-
-	const txParams = await commandTxParams();
+const qrFields = function (tx) {
+	const fields = [];
+	if (tx.SendMax) { fields.push({ name: 'Send Max', value: FormatAmount(tx.SendMax) }); }
+	if (tx.DeliverMin) { fields.push({ name: 'Deliver Min', value: FormatAmount(tx.DeliverMin) }); }
+	if (tx.Flags) { fields.push({ name: 'Payment flags', value: FlagNames(tx.Flags, PaymentFlags).join(', ') }); }
+	return fields;
+}
 
-	ShowTransactionDetails(txParams);
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
 
-	quit( OutputJsonTransaction(txParams) );
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.source_account.value,
+		build: ({ feeDrops }) => buildTransaction(mode, feeDrops),
+		qrAddtnFields: qrFields
+	});
 }
 
 if (require.main === module) {
@@ -133,7 +189,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = COMMAND_MODES;
 	exports.Payment = Payment;
+	exports.ParsePaymentFlags = ParsePaymentFlags;
 }
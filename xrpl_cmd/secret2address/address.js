@@ -38,7 +38,7 @@
 
 const MODULE_NAME = 'address';
 
-const { quit, fail, prompt, defineMainParams, ColoredText } = require('../common/libs/common.js');
+const { quit, fail, prompt, defineMainParams, ColoredText, showLoadedModules } = require('../common/libs/common.js');
 const { Wallet } = require('../common/sign.js');
 
 const main_params = {
@@ -73,7 +73,9 @@ if (require.main === module) {
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
 
 	// exports.AddressFromSecret = AddressFromSecret
 }
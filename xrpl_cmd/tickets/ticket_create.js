@@ -0,0 +1,115 @@
+///////////////////////////////////////////////////////////
+//
+// ticket_create.js - sets aside one or more sequence numbers as Tickets.
+// syntax: node ticket_create [--json] [PUB|TEST|DEV] ACCOUNT TICKET_COUNT
+//         node ticket_create --submit [PUB|TEST|DEV] ACCOUNT TICKET_COUNT SEED_KEY
+//         node ticket_create --qr [PUB|TEST|DEV] ACCOUNT TICKET_COUNT SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// The created Tickets get the sequence numbers following the Sequence of this transaction:
+//   Sequence + 1 ... Sequence + TICKET_COUNT
+// Use `account_tickets` script to list them.
+//
+// A transaction built with `--ticket TICKET_SEQUENCE` option of any builder script uses a Ticket
+// instead of the next account Sequence. Such transactions can be signed offline in advance
+// and submitted in any order, e.g. several multi-signed transactions at the same time.
+//
+// Every Ticket adds 1 item to the owner reserve until it is used.
+// An account can own 250 Tickets at most.
+//
+//
+// Docs:
+//   https://xrpl.org/tickets.html
+//   https://xrpl.org/ticketcreate.html
+//   https://xrpl.org/use-tickets.html
+//   https://js.xrpl.org/interfaces/TicketCreate.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'ticket_create';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
+const TICKETS_MAX = 250;
+
+const { fail, defineModeParams, ledgerIndexMinTimeout, showLoadedModules, ShowTransactionDetails, ColoredText } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	ticket_count: { id: 3, default: '1', required: true, desc: `Number of Tickets to create (1..${TICKETS_MAX})`, type: 'number' },
+	account_secret_key: { id: 4, default: '', required: true, desc: 'secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 5, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 6, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 7, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+function TicketCreate ({ account, ticketCount, feeDrops }) {
+	let error;
+
+	ticketCount = Number(ticketCount);
+
+	if (!account) { console.error("Must specify 'account' in call TicketCreate()"); error = true; }
+	if (!feeDrops || feeDrops <= 0) { console.error("Must specify 'feeDrops' greater than zero in call TicketCreate()"); error = true; }
+	if (!Number.isInteger(ticketCount) || ticketCount < 1 || ticketCount > TICKETS_MAX) { console.error(`Must specify 'ticketCount' as a Number from 1 to ${TICKETS_MAX} in call TicketCreate()`); error = true; }
+
+	if (error) { fail('Error occurred'); }
+
+	let cmd = {
+		TransactionType: 'TicketCreate',
+		Account: account,
+		TicketCount: ticketCount, // How many Tickets to create. This must be a positive number and cannot cause the account to own more than 250 Tickets after executing this transaction.
+		Fee: feeDrops.toString()
+	};
+
+	return cmd;
+}
+
+const ShowTicketsToBeCreated = function (tx) {
+	// The Tickets are numbered after the Sequence of TicketCreate transaction itself.
+	// When TicketCreate uses a Ticket, the new Tickets start from the current account Sequence which is unknown here.
+	if (!tx.Sequence) { return; }
+
+	const first = Number(tx.Sequence) + 1;
+	const last = Number(tx.Sequence) + Number(tx.TicketCount);
+
+	console.log(`\nTickets to be created: ${ColoredText(first === last ? `${first}` : `${first} ... ${last}`, { color: 'FgYellow' })}`);
+	console.log(`Owner reserve increases by ${tx.TicketCount} item(s).`);
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		keyParam: 'account_secret_key',
+		build: ({ feeDrops }) => TicketCreate({
+			account: main_params.account.value,
+			ticketCount: main_params.ticket_count.value,
+			feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+		}),
+		show: (tx) => { ShowTransactionDetails(tx); ShowTicketsToBeCreated(tx); },
+		title: 'TICKET CREATE',
+		qrTxFields: ['TicketCount'],
+		qrAddtnFields: (tx) => [{ name: 'Transaction kind', value: `[ CREATE ${tx.TicketCount} TICKET(S) ]` }]
+	});
+}
+
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+	exports.TicketCreate = TicketCreate;
+	exports.ShowTicketsToBeCreated = ShowTicketsToBeCreated;
+}
@@ -0,0 +1,74 @@
+///////////////////////////////////////////////////////////
+//
+// trustline_remove.js - Removes a trust line linked to account
+// syntax: node trustline_remove --submit [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE SEED_KEY MEMO
+//         node trustline_remove --qr [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE SEED_KEY MEMO ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --submit signs and submits the transaction, --qr signs it offline and shows the QR code (see `common/tx_command.js`).
+//
+// To remove trustline you need to put it in its default state.
+// Default state means:
+//   - Balance is zero (remove all of the IOU from account).
+//   - Limit is zero.
+//   - Line is not authed or frozen (remove the Auth or Freeze flags if present).
+//   - Line does not allow rippling, unless account has "DefaultRipple" flag set, in which case it must allow rippling.
+//
+// Docs: https://xrpl.org/trust-lines-and-issuing.html
+//       https://xrpl.org/trustset.html
+//       https://js.xrpl.org/interfaces/TrustSet.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'trustline_remove';
+
+const COMMAND_MODES = ['qr', 'submit'];
+
+const { defineModeParams, ledgerIndexMinTimeout, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
+const { TrustRemove } = require('./trustline_set.js');
+const { AddTransactionMemo } = require('../common/libs/memo.js');
+
+const main_params = {
+	network: { id: 1, default: '', required: true, example: 'DEV, TEST, PUB' },
+	account: { id: 2, default: '', required: true },
+	issuer_account: { id: 3, default: '', required: true, desc: 'XRPL address which issues the Token' },
+	currency_code: { id: 4, default: '', required: true, desc: 'Token Currency Code' },
+	key: { id: 5, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true },
+	memo: { id: 6, default: '', required: false, desc: 'Additional information to save with a transaction' },
+
+	account_sequence: { id: 7, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 8, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 9, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
+}
+
+async function main(){
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
+
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => {
+			const tx = TrustRemove({
+				account: main_params.account.value,
+				currencyCode: main_params.currency_code.value,
+				issuerAccount: main_params.issuer_account.value,
+				feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			});
+
+			if (main_params.memo.value) { AddTransactionMemo(tx, { data: main_params.memo.value }); }
+
+			return tx;
+		}
+	});
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = COMMAND_MODES;
+}
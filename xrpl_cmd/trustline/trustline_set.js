@@ -1,7 +1,12 @@
 ///////////////////////////////////////////////////////////
 //
 // trustline_set.js - Create or modify a trust line linking two accounts
-// syntax: node trustline_set [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE CURRENCY_LIMIT_AMOUNT
+// syntax: node trustline_set [--json] [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE CURRENCY_LIMIT_AMOUNT MEMO
+//         node trustline_set --submit [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE CURRENCY_LIMIT_AMOUNT MEMO SEED_KEY
+//         node trustline_set --qr [PUB|TEST|DEV] ACCOUNT ISSUER_ACCOUNT CURRENCY_CODE CURRENCY_LIMIT_AMOUNT MEMO SEED_KEY ACCOUNT_SEQUENCE LEDGER_INDEX LEDGER_TIMEOUT
+//
+// --json builds the transaction JSON to be signed by `sign`, --submit signs and submits it,
+// --qr signs it offline and shows the QR code (see `common/tx_command.js`).
 //
 // Trust lines are structures in the XRP Ledger for holding tokens.
 // Trust lines enforce the XRP Ledger's rule that you cannot cause someone else to hold a token they don't want.
@@ -24,10 +29,12 @@
 
 const MODULE_NAME = 'trustline_set';
 
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+
 const { TrustSetFlags } = require("xrpl");
 
-const { quit, fail, defineMainParams, ledgerIndexMinTimeout, networkMinFee, ShowTransactionDetails, OutputJsonTransaction } = require('../common/libs/common.js');
-const { AddTransactionSequences } = require('../common/sign.js');
+const { fail, defineModeParams, ledgerIndexMinTimeout, ShowTransactionDetails, showLoadedModules } = require('../common/libs/common.js');
+const { RunTransactionCommand } = require('../common/tx_command.js');
 const { AddTransactionMemo } = require('../common/libs/memo.js');
 
 const KNOWN_SET_FLAGS = {
@@ -51,6 +58,13 @@ const main_params = {
 	issuer_account: { id: 3, default: '', required: true, desc: 'XRPL address which issues the Token' },
 	currency_code: { id: 4, default: '', required: true, desc: 'Token Currency Code' },
 	limit_amount: { id: 5, default: '', required: true },
+	memo: { id: 6, default: '', required: false, desc: 'Additional information to save with a transaction' },
+
+	key: { id: 7, default: '', required: true, desc: 'account secret seed / mnemonic phrase', scramble: true, modes: ['qr', 'submit'] },
+
+	account_sequence: { id: 8, default: '', required: true, desc: 'see "Sequence" in `account_info`', modes: ['qr'] },
+	ledger_current_index: { id: 9, default: '', required: true, desc: 'see "ledger_current_index" in `account_info`', modes: ['qr'] },
+	ledger_index_timeout: { id: 10, default: '', required: true, desc: 'value to add to "ledger_current_index"', auto: () => ledgerIndexMinTimeout(main_params.network.value, { qr: true }), modes: ['qr'] },
 }
 
 const AvailableFlags = function () {
@@ -120,47 +134,47 @@ const FlagsByValue = function (flagsValue) {
 	return foundFlags;
 }
 
-async function commandTxParams() {
-	let txData = TrustSet({
-		account: main_params.account.value,
-		trustFlags: TrustSetFlags.tfSetNoRipple,
-		currencyCode: main_params.currency_code.value,
-		issuerAccount: main_params.issuer_account.value,
-		limitAmountValue: main_params.limit_amount.value,
-		feeDrops: networkMinFee(main_params.network.value)
+const ShowTrustSetDetails = function (tx) {
+	const flags = []; FlagsByValue(tx.Flags).forEach((item) => {
+		Object.keys(item).forEach((flagName) => flags.push([flagName, item[flagName].desc]));
 	});
 
-	await AddTransactionSequences(
-		txData,
-		{
-			account: main_params.account.value,
-			network: main_params.network.value,
-			ledgerTimeout: ledgerIndexMinTimeout(main_params.network.value)
-		}
-	);
-
-	if (main_params.memo.value) { AddTransactionMemo(txData, { data: main_params.memo.value }); }
-
-	return txData;
+	ShowTransactionDetails(tx, { extra: { flags } });
 }
 
 async function main(){
-	await defineMainParams(main_params);
+	const mode = await defineModeParams(main_params, COMMAND_MODES);
 
-	const txParams = await commandTxParams();
-
-	ShowTransactionDetails(txParams);
-
-	quit( OutputJsonTransaction(txParams) );
+	await RunTransactionCommand(mode, {
+		params: main_params,
+		account: main_params.account.value,
+		build: ({ feeDrops }) => {
+			const tx = TrustSet({
+				account: main_params.account.value,
+				trustFlags: TrustSetFlags.tfSetNoRipple,
+				currencyCode: main_params.currency_code.value,
+				issuerAccount: main_params.issuer_account.value,
+				limitAmountValue: main_params.limit_amount.value,
+				feeDrops // transaction fee in 'drops' (1 XRP = 1 000 000 drops)
+			});
+
+			if (main_params.memo.value) { AddTransactionMemo(tx, { data: main_params.memo.value }); }
+
+			return tx;
+		},
+		show: ShowTrustSetDetails
+	});
 }
 
+
 if (require.main === module) {
 	console.log(MODULE_NAME + ' called directly\n');
 	main();
 
 } else {
-	console.log(MODULE_NAME + ' module loaded');
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
 
+	exports.COMMAND_MODES = COMMAND_MODES;
 	exports.TrustSet = TrustSet;
 	exports.TrustRemove = TrustRemove;
 	exports.AvailableFlags = AvailableFlags;
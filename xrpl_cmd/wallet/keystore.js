@@ -0,0 +1,155 @@
+///////////////////////////////////////////////////////////
+//
+// keystore.js - lists the secret keys of the local encrypted keystore
+// syntax: node keystore
+//
+// The keystore keeps the secret seeds / mnemonic phrases to sign with, so they are never typed
+// or passed on the command line (where they end up in the shell history and the process list).
+// Every entry is encrypted with its own passphrase (scrypt + AES-256-GCM), the account address and the label are kept in clear
+// (see WALLET_KEYSTORE in `common/common_settings.js`, default: ~/.xrpl_cmd/keystore.json).
+//
+// `keystore_import` adds a secret key, `keystore_unlock` checks the passphrase of an entry.
+// The `--qr` and `--submit` modes of the transaction commands offer the keystore entry of the signing account when the secret key is not specified:
+// enter its passphrase (or leave it empty to type the secret key instead).
+//
+// Docs: https://xrpl.org/secure-signing.html
+//       https://xrpl.org/cryptographic-keys.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'keystore';
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_PASSPHRASE_ATTEMPTS = 3;
+
+const fs = require('fs');
+
+const { quit, fail, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { PromptRequired } = require('../common/libs/cli_args.js');
+const { WalletFromSecret } = require('../common/libs/wallet.js');
+const { WalletKeystoreSettings } = require('../common/common_settings.js');
+const { LocalDataPath, EncryptWithPassphrase, DecryptWithPassphrase, WritePrivateFile } = require('../common/libs/secure_file.js');
+
+const KeystorePath = function () {
+	const setts = WalletKeystoreSettings();
+	if (setts.path) { return setts.path; }
+
+	return LocalDataPath('keystore.json');
+}
+
+const KeystoreEntries = function () {
+	// returns [{ address, keyAddress, label, type, created, encrypted }], empty if the keystore is disabled or not created yet
+	if (!WalletKeystoreSettings().enabled) { return []; }
+
+	const file = KeystorePath();
+
+	try {
+		if (!fs.existsSync(file)) { return []; }
+		return JSON.parse(fs.readFileSync(file, 'utf8')).entries || [];
+	} catch (e) {
+		fail(`Unable to read the keystore "${file}": ${e.message}`);
+	}
+}
+
+const KeystoreEntry = function (address) {
+	return KeystoreEntries().find((item) => item.address === address);
+}
+
+const KeystoreImport = function ({ secret, account, label, passphrase }) {
+	// encrypts the secret key and adds (replaces) the entry of "account" (default: the address of the key), returns the entry
+	// account: the account the key signs for, it differs from the address of the key for a regular key
+	if (!WalletKeystoreSettings().enabled) { fail('The keystore is disabled, see WALLET_KEYSTORE in `common/common_settings.js`'); }
+
+	const xwallet = WalletFromSecret(secret, { failOnError: false });
+	if (!xwallet.wallet) { fail(xwallet.errorText); }
+
+	const keyAddress = xwallet.wallet.classicAddress;
+	const entry = {
+		address: account || keyAddress,
+		keyAddress: (account && account !== keyAddress ? keyAddress : undefined),
+		label: label || undefined,
+		type: (/\s+/.test(secret.trim()) ? 'mnemonic' : 'seed'),
+		created: new Date().toISOString(),
+		encrypted: EncryptWithPassphrase(secret.trim(), passphrase)
+	};
+
+	const entries = KeystoreEntries().filter((item) => item.address !== entry.address);
+	entries.push(entry);
+	saveKeystore(entries);
+
+	return entry;
+}
+
+const KeystoreUnlock = function (address, passphrase) {
+	// returns the secret key of the entry, throws on a wrong passphrase
+	const entry = KeystoreEntry(address);
+	if (!entry) { throw new Error(`No keystore entry of [${address}]`); }
+
+	return DecryptWithPassphrase(entry.encrypted, passphrase);
+}
+
+const KeystoreSecretRequest = async function (address) {
+	// asks the passphrase of the keystore entry of "address", returns the secret key or undefined if there is no entry or it is skipped
+	const entry = (address ? KeystoreEntry(address) : undefined);
+	if (!entry) { return; }
+
+	console.log(`\nThe secret key of [${address}]${entry.label ? ` (${entry.label})` : ''} is in the keystore${entry.keyAddress ? `: regular key ${entry.keyAddress}` : ''}.`);
+
+	for (let i = 0; i < KEYSTORE_PASSPHRASE_ATTEMPTS; i++) {
+		const passphrase = await PromptRequired('Enter the passphrase to unlock it (leave empty to enter the secret key instead)', { scramble: true, newline: true });
+		if (!passphrase) { return; }
+
+		try {
+			const secret = KeystoreUnlock(address, passphrase);
+			console.log(ColoredText('The secret key is unlocked', { color: 'FgGreen' }));
+			return secret;
+		} catch (e) {
+			console.log(ColoredText('Invalid passphrase', { color: 'FgYellow' }));
+		}
+	}
+}
+
+const ShowKeystore = function (entries) {
+	console.log(`\nKEYSTORE (${entries.length}): ${KeystorePath()}`);
+
+	entries.forEach((item, idx) => {
+		const regularKey = (item.keyAddress ? `  regular key ${item.keyAddress}` : '');
+		console.log(`  #${`${idx + 1}`.padEnd(3)} ${ColoredText(item.address, { color: 'FgGreen' })}  ${item.type.padEnd(8)}  created ${item.created}${item.label ? `  "${item.label}"` : ''}${regularKey}`);
+	})
+}
+
+function saveKeystore(entries) {
+	const file = KeystorePath();
+
+	try {
+		WritePrivateFile(file, JSON.stringify({ version: KEYSTORE_VERSION, entries }, null, '\t'));
+	} catch (e) {
+		fail(`Unable to write the keystore "${file}": ${e.message}`);
+	}
+}
+
+async function main(){
+	const entries = KeystoreEntries();
+	if (!entries.length) { quit(`\nTHE KEYSTORE IS EMPTY: add a secret key by \`keystore_import\` (${KeystorePath()})`); }
+
+	ShowKeystore(entries);
+	quit();
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.KeystorePath = KeystorePath;
+	exports.KeystoreEntries = KeystoreEntries;
+	exports.KeystoreEntry = KeystoreEntry;
+	exports.KeystoreImport = KeystoreImport;
+	exports.KeystoreUnlock = KeystoreUnlock;
+	exports.KeystoreSecretRequest = KeystoreSecretRequest;
+	exports.ShowKeystore = ShowKeystore;
+}
@@ -0,0 +1,84 @@
+///////////////////////////////////////////////////////////
+//
+// keystore_import.js - imports a secret seed / mnemonic phrase into the local encrypted keystore
+// syntax: node keystore_import ACCOUNT LABEL
+//
+// ACCOUNT (optional) - the account the key signs for: set it to import the regular key of ACCOUNT,
+//   by default the address of the key itself
+// LABEL (optional) - a note shown with the entry, e.g. "treasury" (kept in clear)
+//
+// The secret key is asked (never pass it on the command line), then a new passphrase of the entry.
+// An existing entry of the account is replaced after a confirmation.
+// The passphrase can't be recovered: keep the secret key backed up as before.
+//
+// Docs: https://xrpl.org/secure-signing.html
+//       https://xrpl.org/assign-a-regular-key-pair.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'keystore_import';
+
+const { isValidClassicAddress } = require('xrpl');
+
+const { quit, fail, prompt, defineMainParams, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { PromptRequired } = require('../common/libs/cli_args.js');
+const { WalletFromSecret } = require('../common/libs/wallet.js');
+const { KeystoreEntry, KeystoreImport, KeystorePath } = require('./keystore.js');
+
+const main_params = {
+	account: { id: 1, default: '', required: false, desc: 'Account the key signs for, the address of the key if empty' },
+	label: { id: 2, default: '', required: false, desc: 'Note of the entry', example: 'treasury' },
+}
+
+const KeystoreSecretInput = async function () {
+	const secret = await PromptRequired('Enter the secret seed / mnemonic phrase to import', { scramble: true, newline: true });
+
+	const xwallet = WalletFromSecret(secret, { failOnError: false });
+	if (!xwallet.wallet) { fail(xwallet.errorText); }
+
+	return { secret, keyAddress: xwallet.wallet.classicAddress };
+}
+
+const KeystoreNewPassphrase = async function () {
+	const passphrase = await PromptRequired('Enter a new passphrase of the keystore entry', { scramble: true, newline: true, answerMinLength: 8 });
+	const confirmation = await PromptRequired('Confirm the passphrase', { scramble: true, newline: true });
+	if (!passphrase || passphrase !== confirmation) { fail('\nInvalid passphrase confirmation'); }
+
+	return passphrase;
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const account = main_params.account.value?.trim();
+	if (account && !isValidClassicAddress(account)) { fail(`Invalid ACCOUNT "${account}"`); }
+
+	const { secret, keyAddress } = await KeystoreSecretInput();
+	console.log(`\nAddress of the key: ${ColoredText(keyAddress, { color: 'FgGreen' })}`);
+	if (account && account !== keyAddress) { console.log(ColoredText(`The key is imported as the regular key of [${account}]: it must be set by \`set_key\` to sign for it`, { color: 'FgYellow' })); }
+
+	const existing = KeystoreEntry(account || keyAddress);
+	if (existing) {
+		const answer = await prompt(`\nThe keystore has the key of [${existing.address}] created ${existing.created}. Type [Y]es to replace it: `);
+		if (!['y', 'yes'].includes(answer.toLowerCase())) { quit('Cancelled'); }
+	}
+
+	const passphrase = await KeystoreNewPassphrase();
+	console.log('\nEncrypting the secret key...');
+	const entry = KeystoreImport({ secret, account, label: main_params.label.value?.trim(), passphrase });
+
+	quit(`\nThe secret key of [${ColoredText(entry.address, { color: 'FgGreen' })}] is imported into the keystore: ${KeystorePath()}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+	exports.KeystoreSecretInput = KeystoreSecretInput;
+	exports.KeystoreNewPassphrase = KeystoreNewPassphrase;
+}
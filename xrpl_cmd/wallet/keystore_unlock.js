@@ -0,0 +1,48 @@
+///////////////////////////////////////////////////////////
+//
+// keystore_unlock.js - unlocks a keystore entry by its account address to check the passphrase
+// syntax: node keystore_unlock ACCOUNT
+//
+// The secret key is decrypted with the passphrase asked and checked to derive the address of the entry.
+// The secret key itself is not shown.
+//
+// Docs: https://xrpl.org/secure-signing.html
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'keystore_unlock';
+
+const { quit, fail, defineMainParams, showLoadedModules, ColoredText } = require('../common/libs/common.js');
+const { WalletFromSecret } = require('../common/libs/wallet.js');
+const { KeystoreEntry, KeystoreSecretRequest } = require('./keystore.js');
+
+const main_params = {
+	account: { id: 1, default: '', required: true, desc: 'Account address of the keystore entry' },
+}
+
+async function main(){
+	await defineMainParams(main_params);
+
+	const account = main_params.account.value.trim();
+	const entry = KeystoreEntry(account);
+	if (!entry) { fail(`No keystore entry of [${account}], see \`keystore\``); }
+
+	const secret = await KeystoreSecretRequest(account);
+	if (!secret) { fail('\nThe keystore entry is not unlocked'); }
+
+	const keyAddress = WalletFromSecret(secret, { failOnError: false }).wallet?.classicAddress;
+	if (keyAddress !== (entry.keyAddress || entry.address)) { fail(`\nThe secret key of the entry derives another address: ${keyAddress}`); }
+
+	quit(`\nThe passphrase of [${ColoredText(account, { color: 'FgGreen' })}] is correct, the key address: ${keyAddress}\n`);
+}
+
+if (require.main === module) {
+	console.log(MODULE_NAME + ' called directly\n');
+	main();
+
+} else {
+	if (showLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.COMMAND_MODES = [];
+}
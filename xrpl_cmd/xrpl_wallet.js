@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+///////////////////////////////////////////////////////////
+//
+// xrpl_wallet.js - the single entry point of the console: runs the scripts as commands of their groups
+// syntax: xrpl-wallet GROUP COMMAND [--json|--qr|--submit] [PARAMETERS] [OPTIONS]
+//         xrpl-wallet [GROUP]
+//         xrpl-wallet completion [bash|zsh]
+//
+// GROUP - the folder of the scripts, e.g. escrow, escrow/self_freeze, account_settings
+// COMMAND - the script name, e.g. `xrpl-wallet escrow escrow_create --submit` runs `escrow/escrow_create --submit`.
+//   A command is a script exporting its COMMAND_MODES (empty of a command without modes), the library modules export none.
+//   The modes of a transaction command (see `common/tx_command.js`):
+//   --json   - builds the transaction JSON, the default mode
+//   --qr     - signs offline and shows the QR code
+//   --submit - signs and submits
+// The mode, the parameters and the options are passed to the script as is, `--help` shows the parameters of the command.
+// Without COMMAND the commands of GROUP are listed, without GROUP the groups.
+//
+// Shell completion of the groups, the commands, the networks and the flag names:
+//   xrpl-wallet completion bash > ~/.xrpl-wallet-completion.bash && echo 'source ~/.xrpl-wallet-completion.bash' >> ~/.bashrc
+//   xrpl-wallet completion zsh > "${fpath[1]}/_xrpl-wallet"
+//
+// Install the `xrpl-wallet` command by `npm link` (or `npm install -g .`) in the root folder of the console.
+///////////////////////////////////////////////////////////
+
+'use strict';
+
+const MODULE_NAME = 'xrpl_wallet';
+
+const COMMAND_MODES = ['json', 'qr', 'submit'];
+const COMMANDS_EXCLUDED_DIRS = ['node_modules', 'libs'];
+const COMPLETION_SHELLS = ['bash', 'zsh'];
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { XrplServers, ShowLoadedModules } = require('./common/common_settings.js');
+
+const CommandGroups = function (rootDir = __dirname, { group: onlyGroup } = {}) {
+	// { group: { command: { file, desc, modes } } } of the commands found in the folders (of "onlyGroup" only if specified)
+	const groups = {};
+
+	const scanDir = function (dir) {
+		fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name)).forEach((item) => {
+			const file = path.join(dir, item.name);
+			if (item.isDirectory()) {
+				if (!COMMANDS_EXCLUDED_DIRS.includes(item.name) && !item.name.startsWith('.')) { scanDir(file); }
+				return;
+			}
+			if (dir === rootDir || !item.name.endsWith('.js')) { return; }
+
+			const group = path.relative(rootDir, dir).split(path.sep).join('/');
+			if (onlyGroup && group !== onlyGroup) { return; }
+
+			const { COMMAND_MODES: modes } = require(file);
+			if (!Array.isArray(modes)) { return; } // a library module
+
+			groups[group] = groups[group] || {};
+			groups[group][path.basename(item.name, '.js')] = { file, desc: scriptDescription(fs.readFileSync(file, 'utf8')), modes: COMMAND_MODES.filter((mode) => modes.includes(mode)) };
+		})
+	}
+
+	scanDir(rootDir);
+	return groups;
+}
+
+const RunCommand = function (groups, { group, command, args }) {
+	// runs the script of the command, its mode is chosen by `--json`, `--qr` or `--submit` of "args" (see CommandModeOption() in `cli_args.js`),
+	// returns its exit code
+	const cmd = groups[group]?.[command];
+	if (!cmd) { return commandError(`Unknown command "${command}" of the group "${group}", see \`xrpl-wallet ${group}\``); }
+
+	const result = spawnSync(process.execPath, [cmd.file, ...args], { stdio: 'inherit' });
+	if (result.error) { return commandError(`Unable to run "${cmd.file}": ${result.error.message}`); }
+
+	return (result.status ?? 1);
+}
+
+const ShowGroups = function (groups) {
+	console.log('Usage: xrpl-wallet GROUP COMMAND [--json|--qr|--submit] [PARAMETERS] [OPTIONS]\n');
+	console.log('GROUPS:');
+	Object.keys(groups).forEach((group) => {
+		const count = Object.keys(groups[group]).length;
+		console.log(`  ${group.padEnd(24)} ${count} command${count === 1 ? '' : 's'}`);
+	})
+	console.log('\nRun `xrpl-wallet GROUP` to list its commands, `xrpl-wallet GROUP COMMAND --help` to show the parameters.');
+	console.log('Run `xrpl-wallet completion bash` (or zsh) to get the shell completion script.');
+}
+
+const ShowGroupCommands = function (groups, group) {
+	if (!groups[group]) { return commandError(`Unknown group "${group}", see \`xrpl-wallet\``); }
+
+	const commands = groups[group];
+	const width = Math.max(...Object.keys(commands).map((name) => name.length)) + 2;
+
+	console.log(`${group.toUpperCase()} COMMANDS:`);
+	Object.keys(commands).sort().forEach((name) => {
+		const modes = commands[name].modes.map((mode) => `--${mode}`).join('|');
+		console.log(`  ${name.padEnd(width)} ${(modes ? `[${modes}]` : '').padEnd(22)} ${commands[name].desc || ''}`);
+	})
+
+	return 0;
+}
+
+const CompletionScript = function (groups, shell) {
+	// the completion script of the groups, the commands, the modes, the networks and the flag names of AccountSet and TrustSet
+	const words = completionWords(groups);
+
+	if (shell === 'zsh') {
+		return [
+			'#compdef xrpl-wallet',
+			'# zsh completion of xrpl-wallet, generated by `xrpl-wallet completion zsh`',
+			'_xrpl_wallet() {',
+			'\tlocal -a candidates',
+			'\tcase $CURRENT in',
+			`\t\t2) candidates=(${words.groups.join(' ')} completion) ;;`,
+			'\t\t3) case ${words[2]} in',
+			...Object.keys(words.commands).map((group) => `\t\t\t${group}) candidates=(${words.commands[group].join(' ')}) ;;`),
+			`\t\t\tcompletion) candidates=(${COMPLETION_SHELLS.join(' ')}) ;;`,
+			'\t\tesac ;;',
+			`\t\t*) candidates=(${words.options.concat(words.networks).join(' ')})`,
+			'\t\t\tcase ${words[2]} in',
+			`\t\t\t\taccount_settings) candidates+=(${words.accountFlags.join(' ')}) ;;`,
+			`\t\t\t\ttrustline) candidates+=(${words.trustFlags.join(' ')}) ;;`,
+			'\t\t\tesac ;;',
+			'\tesac',
+			'\tcompadd -- $candidates',
+			'}',
+			'compdef _xrpl_wallet xrpl-wallet',
+			''
+		].join('\n');
+	}
+
+	return [
+		'# bash completion of xrpl-wallet, generated by `xrpl-wallet completion bash`',
+		'_xrpl_wallet() {',
+		'\tlocal cur="${COMP_WORDS[COMP_CWORD]}" words=""',
+		'\tcase $COMP_CWORD in',
+		`\t\t1) words="${words.groups.join(' ')} completion" ;;`,
+		'\t\t2) case "${COMP_WORDS[1]}" in',
+		...Object.keys(words.commands).map((group) => `\t\t\t${group}) words="${words.commands[group].join(' ')}" ;;`),
+		`\t\t\tcompletion) words="${COMPLETION_SHELLS.join(' ')}" ;;`,
+		'\t\tesac ;;',
+		`\t\t*) words="${words.options.concat(words.networks).join(' ')}"`,
+		'\t\t\tcase "${COMP_WORDS[1]}" in',
+		`\t\t\t\taccount_settings) words="$words ${words.accountFlags.join(' ')}" ;;`,
+		`\t\t\t\ttrustline) words="$words ${words.trustFlags.join(' ')}" ;;`,
+		'\t\t\tesac ;;',
+		'\tesac',
+		'\tCOMPREPLY=( $(compgen -W "$words" -- "$cur") )',
+		'}',
+		'complete -F _xrpl_wallet xrpl-wallet',
+		''
+	].join('\n');
+}
+
+function completionWords(groups) {
+	const { CommonOptions } = require('./common/libs/cli_args.js');
+	const { AvailableFlags: AccountSetFlags } = require('./account_settings/account_set.js');
+	const { AvailableFlags: TrustSetFlags } = require('./trustline/trustline_set.js');
+
+	return {
+		groups: Object.keys(groups),
+		commands: Object.fromEntries(Object.keys(groups).map((group) => [group, Object.keys(groups[group])])),
+		options: COMMAND_MODES.map((mode) => `--${mode}`).concat(CommonOptions().map((item) => `--${item.name}`)),
+		networks: Object.keys(XrplServers()),
+		accountFlags: AccountSetFlags().map((item) => Object.keys(item)[0]), // [{ asfRequireDest: { value, desc } }, ...]
+		trustFlags: TrustSetFlags().map((item) => Object.keys(item)[0])
+	};
+}
+
+function scriptDescription(source) {
+	// "// name.js - description" of the header
+	const mm = /^\/\/\s*\S+\.js\s+-\s+(.+)$/m.exec(source);
+	return (mm ? mm[1].trim() : '');
+}
+
+function commandError(text) {
+	console.error(text);
+	return 1;
+}
+
+function main() {
+	const [group, command, ...args] = process.argv.slice(2);
+
+	if (!group || ['--help', '-h', 'help'].includes(group)) { ShowGroups(CommandGroups()); return 0; }
+
+	if (group === 'completion') {
+		const shell = command || 'bash';
+		if (!COMPLETION_SHELLS.includes(shell)) { return commandError(`Unknown shell "${shell}": must be one of ${COMPLETION_SHELLS.join(', ')}`); }
+
+		process.stdout.write(CompletionScript(CommandGroups(), shell));
+		return 0;
+	}
+
+	// the modules of the group only are loaded to find its commands
+	const groups = CommandGroups(__dirname, { group });
+	if (!command) { return ShowGroupCommands(groups, group); }
+
+	return RunCommand(groups, { group, command, args });
+}
+
+if (require.main === module) {
+	process.exitCode = main();
+
+} else {
+	if (ShowLoadedModules()) { console.log(MODULE_NAME + ' module loaded'); }
+
+	exports.CommandGroups = CommandGroups;
+	exports.RunCommand = RunCommand;
+	exports.ShowGroups = ShowGroups;
+	exports.ShowGroupCommands = ShowGroupCommands;
+	exports.CompletionScript = CompletionScript;
+}